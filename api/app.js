@@ -0,0 +1,271 @@
+// REST/JSON HTTP API over the LostPet contract.
+// Read routes proxy the contract's view functions; transaction routes return
+// unsigned transactions for the caller's wallet to sign.
+
+const { LostPetError, CaseNotFoundError, NotCaseOwnerError, encodeCaseOptions } = require("../sdk");
+const {
+  RequestError,
+  parseAddress,
+  parseInteger,
+  validateCreateCase,
+  validateSubmitAsFinder,
+  validateResolveCase
+} = require("./validation");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_BODY_BYTES = 64 * 1024;
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+  }
+}
+
+// Contract errors that are bad input rather than a state conflict
+const BAD_REQUEST_ERRORS = [
+  "BountyTooLowError",
+  "EmptyPetNameError",
+  "EmptyEvidenceError",
+  "InvalidFinderIndexError",
+  "NoValueSentError"
+];
+
+/**
+ * HTTP status for an error thrown by a route handler.
+ * @param {Error} error
+ * @returns {number}
+ */
+function statusFor(error) {
+  if (error instanceof RequestError) {
+    return 400;
+  }
+  if (error instanceof NotFoundError || error instanceof CaseNotFoundError) {
+    return 404;
+  }
+  if (error instanceof NotCaseOwnerError) {
+    return 403;
+  }
+  if (error instanceof LostPetError) {
+    return BAD_REQUEST_ERRORS.includes(error.name) ? 400 : 409;
+  }
+  return 500;
+}
+
+function pageParams(query) {
+  const start = parseInteger(query.get("start"), "start", 0);
+  const count = parseInteger(query.get("count"), "count", DEFAULT_PAGE_SIZE);
+  if (count > MAX_PAGE_SIZE) {
+    throw new RequestError(`count must be at most ${MAX_PAGE_SIZE}`);
+  }
+  return { start, count };
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new RequestError("Request body too large");
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+    if (typeof body !== "object" || body === null || Array.isArray(body)) {
+      throw new Error("not an object");
+    }
+    return body;
+  } catch (error) {
+    throw new RequestError("Request body must be a JSON object");
+  }
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new RequestError(`Malformed URL encoding in ${value}`);
+  }
+}
+
+/**
+ * Build the route table for a client.
+ * @param {Object} client LostPetClient
+ * @param {Object} web3 Web3 instance connected to the same node
+ */
+function createRoutes(client, web3) {
+  const getCases = async (caseIds) => {
+    const cases = [];
+    for (const caseId of caseIds) {
+      cases.push(await client.getCaseFull(caseId));
+    }
+    return cases;
+  };
+
+  return [
+    {
+      method: "GET",
+      path: /^\/cases$/,
+      async handler({ query }) {
+        if (query.get("active") === "true") {
+          return { cases: await getCases(await client.getActiveCases()) };
+        }
+
+        const { start, count } = pageParams(query);
+        const total = await client.getTotalCases();
+        const ids = [];
+        for (let id = start; id < Math.min(start + count, total); id++) {
+          ids.push(id);
+        }
+        return { total, start, cases: await getCases(ids) };
+      }
+    },
+    {
+      method: "GET",
+      path: /^\/cases\/([^/]+)$/,
+      async handler({ params }) {
+        return client.getCaseFull(parseInteger(params[0], "caseId"));
+      }
+    },
+    {
+      method: "GET",
+      path: /^\/cases\/([^/]+)\/finders$/,
+      async handler({ params, query }) {
+        const caseId = parseInteger(params[0], "caseId");
+        const { start, count } = pageParams(query);
+        const addresses = await client.getFindersPaginated(caseId, start, count);
+
+        const finders = [];
+        for (let i = 0; i < addresses.length; i++) {
+          finders.push({
+            index: start + i,
+            finder: addresses[i],
+            evidence: await client.getFinderEvidence(caseId, addresses[i])
+          });
+        }
+        return { caseId, total: await client.getFinderCount(caseId), start, finders };
+      }
+    },
+    {
+      method: "GET",
+      path: /^\/cases\/([^/]+)\/sightings$/,
+      async handler({ params, query }) {
+        const caseId = parseInteger(params[0], "caseId");
+        const { start, count } = pageParams(query);
+        const [total, sightings] = await Promise.all([
+          client.getSightingCount(caseId),
+          client.getSightings(caseId, start, count)
+        ]);
+        return { caseId, total, start, sightings };
+      }
+    },
+    {
+      method: "GET",
+      path: /^\/owners\/([^/]+)\/cases$/,
+      async handler({ params }) {
+        const owner = parseAddress(params[0], "owner");
+        return { owner, cases: await getCases(await client.getCasesByOwner(owner)) };
+      }
+    },
+    {
+      method: "GET",
+      path: /^\/finders\/([^/]+)\/cases$/,
+      async handler({ params, query }) {
+        const finder = parseAddress(params[0], "finder");
+        const { start, count } = pageParams(query);
+        const [submissions, totalEarned, [reputation]] = await Promise.all([
+          client.getFinderSubmissions(finder, start, count),
+          client.getTotalEarned(finder),
+          client.getFinderStats([finder])
+        ]);
+        return { finder, totalEarned, reputation, start, submissions };
+      }
+    },
+    {
+      method: "GET",
+      path: /^\/escrow$/,
+      async handler() {
+        return { totalEscrow: await client.getTotalEscrow() };
+      }
+    },
+    {
+      method: "POST",
+      path: /^\/tx\/createCase$/,
+      async handler({ body }) {
+        const { from, petName, value } = await validateCreateCase(client, body);
+        return client.buildTransaction("createCase", [petName, encodeCaseOptions()], { from, value });
+      }
+    },
+    {
+      method: "POST",
+      path: /^\/tx\/submitAsFinder$/,
+      async handler({ body }) {
+        const { from, caseId, evidence, value } = await validateSubmitAsFinder(client, web3, body);
+        return client.buildTransaction("submitAsFinder", [caseId, evidence], { from, value });
+      }
+    },
+    {
+      method: "POST",
+      path: /^\/tx\/resolveCase$/,
+      async handler({ body }) {
+        const { from, caseId, finderIndex } = await validateResolveCase(client, web3, body);
+        return client.buildTransaction("resolveCase", [caseId, finderIndex], { from });
+      }
+    }
+  ];
+}
+
+/**
+ * Create a Node `http` request listener for the API.
+ * @param {Object} options
+ * @param {Object} options.client LostPetClient
+ * @param {Object} options.web3 Web3 instance connected to the same node
+ * @returns {(req: Object, res: Object) => Promise<void>}
+ */
+function createApp({ client, web3 }) {
+  const routes = createRoutes(client, web3);
+
+  const send = (res, status, payload) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  };
+
+  return async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const matching = routes.filter((route) => route.path.test(url.pathname));
+      if (matching.length === 0) {
+        throw new NotFoundError(`No route for ${url.pathname}`);
+      }
+
+      const route = matching.find((candidate) => candidate.method === req.method);
+      if (!route) {
+        res.setHeader("Allow", matching.map((candidate) => candidate.method).join(", "));
+        send(res, 405, { error: "MethodNotAllowed", message: `${req.method} not allowed` });
+        return;
+      }
+
+      const params = url.pathname.match(route.path).slice(1).map(decodeParam);
+      const body = req.method === "POST" ? await readJson(req) : undefined;
+      send(res, 200, await route.handler({ params, query: url.searchParams, body }));
+    } catch (error) {
+      const status = statusFor(error);
+      if (status === 500) {
+        console.error(error);
+      }
+      send(res, status, {
+        error: status === 500 ? "InternalError" : error.name,
+        message: status === 500 ? "Internal server error" : error.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  createApp,
+  statusFor
+};
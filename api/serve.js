@@ -0,0 +1,28 @@
+// HTTP API entry point.
+// Runs through `truffle exec` so the node comes from truffle-config.js:
+//
+//   truffle exec api/serve.js --port 8080 --network development
+
+const http = require("http");
+const { LostPetClient } = require("../sdk");
+const { createApp } = require("./app");
+
+const DEFAULT_PORT = 8080;
+
+module.exports = async function (callback) {
+  try {
+    const portIndex = process.argv.indexOf("--port");
+    const port = portIndex >= 0 ? Number(process.argv[portIndex + 1]) : DEFAULT_PORT;
+
+    const client = await LostPetClient.deployed(artifacts.require("LostPet"));
+    const server = http.createServer(createApp({ client, web3 }));
+
+    server.listen(port, () => {
+      console.log(`LostPet API listening on http://localhost:${port} (contract ${client.address})`);
+    });
+    // The server keeps the process alive; stop it with Ctrl+C
+  } catch (error) {
+    console.error(error.message);
+    callback(error);
+  }
+};
@@ -0,0 +1,179 @@
+// Request validation for the HTTP API.
+// Transaction builders re-check the contract's `require` rules (in the same
+// order) so invalid requests fail with the SDK's typed errors before anything
+// is signed or sent.
+
+const {
+  toWei,
+  CaseNotActiveError,
+  CaseExpiredError,
+  NotCaseOwnerError,
+  BountyTooLowError,
+  EmptyPetNameError,
+  CaseTooNewError,
+  InvalidFinderIndexError,
+  InsufficientBalanceError,
+  AlreadyFinderError,
+  EmptyEvidenceError,
+  SubmissionWithdrawnError,
+  SubmissionFlaggedError,
+  SubmissionLimitError,
+  SubmissionRejectedError,
+  PausedError
+} = require("../sdk");
+
+/** Malformed request (bad JSON, missing field, wrong type). */
+class RequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RequestError";
+  }
+}
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+function parseAddress(value, name) {
+  if (typeof value !== "string" || !ADDRESS_PATTERN.test(value)) {
+    throw new RequestError(`${name} must be a 0x-prefixed 20-byte address`);
+  }
+  return value;
+}
+
+function parseInteger(value, name, fallback) {
+  if ((value === undefined || value === null || value === "") && fallback !== undefined) {
+    return fallback;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    throw new RequestError(`${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+function parseString(value, name) {
+  if (typeof value !== "string") {
+    throw new RequestError(`${name} must be a string`);
+  }
+  return value;
+}
+
+function parseEther(value, name) {
+  try {
+    return toWei(value);
+  } catch (error) {
+    throw new RequestError(`${name} must be an ETH amount (e.g. "0.05")`);
+  }
+}
+
+async function latestTimestamp(web3) {
+  return Number((await web3.eth.getBlock("latest")).timestamp);
+}
+
+/**
+ * Validate a createCase request.
+ * @returns {Promise<{from: string, petName: string, value: string}>}
+ */
+async function validateCreateCase(client, body) {
+  const from = parseAddress(body.from, "from");
+  const petName = parseString(body.petName, "petName");
+  const value = parseEther(body.bountyEth, "bountyEth");
+  const { minBounty } = await client.getConstants();
+
+  if (BigInt(value) < BigInt(minBounty)) {
+    throw new BountyTooLowError("Bounty must be at least 0.001 ETH");
+  }
+  if ((await client.getAdminState()).paused) {
+    throw new PausedError("Contract paused");
+  }
+  if (petName.length === 0) {
+    throw new EmptyPetNameError("Pet name cannot be empty");
+  }
+  return { from, petName, value };
+}
+
+/**
+ * Validate a submitAsFinder request.
+ * @returns {Promise<{from: string, caseId: number, evidence: string, value: string}>} `value` is the case's stake in wei
+ */
+async function validateSubmitAsFinder(client, web3, body) {
+  const from = parseAddress(body.from, "from");
+  const caseId = parseInteger(body.caseId, "caseId");
+  const evidence = parseString(body.evidence, "evidence");
+
+  const petCase = await client.getCaseFull(caseId);
+  const now = await latestTimestamp(web3);
+
+  if ((await client.getAdminState()).paused) {
+    throw new PausedError("Contract paused");
+  }
+  if (petCase.status !== "Active") {
+    throw new CaseNotActiveError("Case not active");
+  }
+  if (now >= petCase.expiresAt) {
+    throw new CaseExpiredError("Case expired");
+  }
+  if (await client.isFinder(caseId, from)) {
+    throw new AlreadyFinderError("Already submitted as finder");
+  }
+  const { stake, maxSubmissions, submissionCount } = await client.getSubmissionRules(caseId);
+  if (maxSubmissions !== 0 && submissionCount >= maxSubmissions) {
+    throw new SubmissionLimitError("Submission limit reached");
+  }
+  if (evidence.length === 0) {
+    throw new EmptyEvidenceError("Evidence cannot be empty");
+  }
+  return { from, caseId, evidence, value: stake };
+}
+
+/**
+ * Validate a resolveCase request.
+ * @returns {Promise<{from: string, caseId: number, finderIndex: number}>}
+ */
+async function validateResolveCase(client, web3, body) {
+  const from = parseAddress(body.from, "from");
+  const caseId = parseInteger(body.caseId, "caseId");
+  const finderIndex = parseInteger(body.finderIndex, "finderIndex");
+
+  const petCase = await client.getCaseFull(caseId);
+  const { minResolveTime } = await client.getConstants();
+  const now = await latestTimestamp(web3);
+
+  if (from.toLowerCase() !== petCase.owner.toLowerCase()) {
+    throw new NotCaseOwnerError("Only case owner can resolve");
+  }
+  if (petCase.status !== "Active") {
+    throw new CaseNotActiveError("Case not active");
+  }
+  if (now >= petCase.expiresAt) {
+    throw new CaseExpiredError("Case expired");
+  }
+  if (now < petCase.createdAt + minResolveTime) {
+    throw new CaseTooNewError("Case too new to resolve");
+  }
+  if (finderIndex >= petCase.finderCount) {
+    throw new InvalidFinderIndexError("Invalid finder index");
+  }
+  const [finder] = await client.getFindersPaginated(caseId, finderIndex, 1);
+  if (await client.isSubmissionWithdrawn(caseId, finder)) {
+    throw new SubmissionWithdrawnError("Finder withdrew submission");
+  }
+  if (await client.isSubmissionFlagged(caseId, finder)) {
+    throw new SubmissionFlaggedError("Submission flagged as spam");
+  }
+  const { state } = await client.getRejection(caseId, finder);
+  if (state !== "None" && state !== "Reinstated") {
+    throw new SubmissionRejectedError("Submission rejected");
+  }
+  if (!(await client.isCaseFunded(caseId))) {
+    throw new InsufficientBalanceError("Insufficient contract balance");
+  }
+  return { from, caseId, finderIndex };
+}
+
+module.exports = {
+  RequestError,
+  parseAddress,
+  parseInteger,
+  validateCreateCase,
+  validateSubmitAsFinder,
+  validateResolveCase
+};
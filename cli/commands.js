@@ -0,0 +1,810 @@
+// Subcommands of the lostpet CLI.
+// Each command receives a LostPetClient and the parsed arguments, and returns
+// `{ data, text }` so the caller can print either JSON or a table.
+
+const { LostPetClient, CASE_STATUS_NAMES, REJECTION_REASONS, rankFinders } = require("../sdk");
+const { formatTable, formatRecord, formatTimestamp, formatJson } = require("./format");
+
+const DEFAULT_PAGE_SIZE = 20;
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Flags that take no value
+const BOOLEAN_FLAGS = ["json", "active", "help"];
+
+const USAGE = `Usage: truffle exec cli/lostpet.js <command> [args] [--from <address>] [--json] [--network <name>]
+
+Commands:
+  create <petName> <bountyEth> [details] [--duration <days>]
+                                         Create a case with a bounty in ETH, optionally expiring
+                                         after a custom number of days
+  describe <caseId> [details]            Replace an active case's details (owner only)
+  extend <caseId> <days> [topUpEth]      Push back a case's deadline, optionally adding ETH to the bounty
+  increase-bounty <caseId> <amountEth>   Add ETH to a case's bounty
+  create-token <petName> <token> <amount> [details] [--duration <days>]
+                                         Create a case with a token bounty (amount in the token's smallest unit)
+  increase-token-bounty <caseId> <amount>
+                                         Add tokens to a token case's bounty
+  allow-token <token> <minBounty>        Allow a token for bounties, or remove it with 0 (admin only)
+  pause                                  Stop new cases, bounty increases and submissions (admin only)
+  unpause                                Lift the pause (admin only)
+  transfer-admin <address>               Offer the admin role to an address (admin only)
+  accept-admin                           Accept the admin role offered to the sender
+  admin                                  Show the admin, any pending admin and whether the contract is paused
+  set-fee <feeBps>                       Set the platform fee on resolved bounties in bps (admin only)
+  treasury [--token <address>]           Show the platform fee and the fees collected in ETH or a token
+  withdraw-treasury <to> [--token <address>]
+                                         Send collected fees to an address (admin only)
+  set-keeper-reward <rewardBps>          Set the share of expired bounties paid to whoever processes them (admin only)
+  keeper-reward                          Show the keeper reward in bps
+  submit-finder <caseId> <evidence>      Submit the sender as a finder (sends the case's stake, if any)
+  update-evidence <caseId> <evidence>    Replace the sender's evidence (the old one is kept in the history)
+  retract <caseId>                       Withdraw the sender's finder submission
+  set-rules <caseId> <stakeEth> [maxSubmissions]
+                                         Require a stake from new finders and cap submissions (owner only, 0 = none)
+  rules <caseId>                         Show a case's submission stake and cap
+  flag <caseId> <finderIndex>            Flag a submission as spam; the finder can contest it like a rejection
+  claim-flagged-stake <caseId> <finderIndex>
+                                         Credit a flagged finder's stake to the owner once the flag stands
+  reclaim-stake <caseId>                 Credit the sender's stake back after the case closed
+  reject <caseId> <finderIndex> <reason> Reject a submission (owner only); reason is one of
+                                         ${REJECTION_REASONS.join(", ")}
+  contest-rejection <caseId> <reason>    Contest the owner's rejection or spam flag of the sender's submission
+  rule-rejection <caseId> <finderIndex> <uphold|reinstate>
+                                         Rule on a contested rejection (arbiters only)
+  rejection <caseId> <finder>            Show the rejection of a finder's submission
+  sighting <caseId> <geohash> [--note <s>] [--seen-at <unix>]
+                                         Log a sighting without becoming a finder (default time: now)
+  tip-sighter <caseId> <sightingId> <amountEth>
+                                         Tip the reporter of a sighting in ETH (owner only)
+  contribute <caseId> <amountEth>        Add ETH to someone else's case bounty
+  resolve <caseId> <finderIndex>         Pay the bounty to a finder
+  resolve-split <caseId> <index:bps...>  Split the bounty between finders (bps add up to 10000)
+  propose <caseId> <finderIndex>         Propose a finder, who confirms the handover to be paid
+  confirm <caseId>                       Confirm a proposal (the finder, or anyone after the claim window)
+  withdraw-proposal <caseId>             Withdraw an unconfirmed proposal and reopen the case
+  proposal <caseId>                      Show the finder proposed for a case
+  dispute <caseId> <reason>              Contest a resolution as one of the case's finders
+  uphold <caseId>                        Keep a disputed resolution (arbiters only)
+  overturn <caseId> <finderIndex>        Award a disputed bounty to another finder (arbiters only)
+  finalize <caseId>                      Release a resolution after the dispute window or arbitration timeout
+  resolution <caseId>                    Show the dispute status and payouts of a resolution
+  cancel <caseId>                        Cancel a case and credit the refund to the owner
+  expire <caseId>                        Process a case if it has expired
+  batch-expire <caseId...>               Process several cases for expiry
+  withdraw [--token <address>]           Withdraw payouts and refunds credited to the sender
+  pending [address] [--token <address>]  Show the amount credited to an address (default: sender)
+  show <caseId> [--start n] [--count n]  Show a case and a page of its finders
+  contributions <caseId>                 List who contributed to a case's bounty
+  sightings <caseId> [--start n] [--count n]
+                                         List a case's sightings, oldest first
+  list --active                          List active cases
+  list --owner <address>                 List cases created by an address
+  list --finder <address>                List cases an address has submitted to as a finder
+  list --status <status|any>             List cases by status (Active, Resolved, Cancelled, Expired,
+                                         PendingResolution)
+                                         --owner, --finder and --status take [--start n] [--count n]
+  escrow [caseId]                        Show total escrow or a case's escrow
+  history [address] [--token <address>]  Show a finder's submissions and total earned (default: sender)
+                                         [--start n] [--count n]
+  reputation <caseId> [--start n] [--count n]
+                                         Rank a page of a case's finders by reputation score
+
+Details: --species <s> --description <s> --last-seen <geohash> --photo-hash <0x...> --microchip <id>`;
+
+class UsageError extends Error {}
+
+/**
+ * Split raw arguments into positionals and `--flag [value]` options.
+ * @param {string[]} argv
+ * @returns {{command: string|undefined, positionals: string[], flags: Object}}
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`Missing value for --${name}`);
+      }
+      flags[name] = argv[++i];
+    }
+  }
+
+  const [command, ...rest] = positionals;
+  return { command, positionals: rest, flags };
+}
+
+function requireArgs(positionals, names) {
+  if (positionals.length < names.length) {
+    throw new UsageError(`Missing argument: <${names[positionals.length]}>`);
+  }
+}
+
+function parseId(value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new UsageError(`<${name}> must be a non-negative integer, got "${value}"`);
+  }
+  return Number(value);
+}
+
+// Token amounts can be larger than Number.MAX_SAFE_INTEGER, so they stay strings
+function parseAmount(value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new UsageError(`<${name}> must be a whole number of the token's smallest unit, got "${value}"`);
+  }
+  return String(value);
+}
+
+// Metadata from the details flags, or null when none were given
+function parseMetadata(flags) {
+  const fields = {
+    species: flags.species,
+    description: flags.description,
+    lastSeenGeohash: flags["last-seen"],
+    photoHash: flags["photo-hash"],
+    microchipId: flags.microchip
+  };
+  for (const key of Object.keys(fields)) {
+    if (fields[key] === undefined) {
+      delete fields[key];
+    }
+  }
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+// Duration and details shared by create and create-token
+function parseCaseOptions(flags) {
+  const caseOptions = {};
+  if (flags.duration !== undefined) {
+    caseOptions.duration = parseId(flags.duration, "duration") * SECONDS_PER_DAY;
+  }
+  const metadata = parseMetadata(flags);
+  if (metadata) {
+    caseOptions.metadata = metadata;
+  }
+  return caseOptions;
+}
+
+function txResult(label, data, receipt) {
+  return {
+    data: { ...data, tx: receipt.transactionHash },
+    text: formatRecord({ result: label, ...data, tx: receipt.transactionHash })
+  };
+}
+
+function caseRow(petCase) {
+  return {
+    id: petCase.caseId,
+    pet: petCase.petName,
+    owner: petCase.owner,
+    bountyEth: petCase.bountyEth ?? `${petCase.bounty} (token)`,
+    status: petCase.status,
+    finders: petCase.finderCount,
+    expiresAt: formatTimestamp(petCase.expiresAt)
+  };
+}
+
+async function listCases(client, caseIds) {
+  const cases = [];
+  for (const caseId of caseIds) {
+    cases.push(await client.getCaseFull(caseId));
+  }
+  return {
+    data: cases,
+    text: formatTable(["id", "pet", "owner", "bountyEth", "status", "finders", "expiresAt"], cases.map(caseRow))
+  };
+}
+
+const commands = {
+  async create(client, { positionals, flags }) {
+    requireArgs(positionals, ["petName", "bountyEth"]);
+    const [petName, bountyEth] = positionals;
+    const { caseId, expiresAt, receipt } = await client.createCaseWithOptions(petName, {
+      ...parseCaseOptions(flags),
+      bountyEth
+    });
+
+    return txResult("Case created", { caseId, expiresAt: formatTimestamp(expiresAt) }, receipt);
+  },
+
+  async extend(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "days"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const extraTime = parseId(positionals[1], "days") * SECONDS_PER_DAY;
+    const { expiresAt, newTotal, receipt } = await client.extendCase(caseId, extraTime, positionals[2] || "0");
+
+    const data = { caseId, expiresAt: formatTimestamp(expiresAt) };
+    if (newTotal !== null) {
+      data.newTotal = newTotal;
+    }
+    return txResult("Case extended", data, receipt);
+  },
+
+  async describe(client, { positionals, flags }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const metadata = parseMetadata(flags);
+    if (!metadata) {
+      throw new UsageError("describe requires at least one of --species, --description, --last-seen, --photo-hash, --microchip");
+    }
+    const { receipt } = await client.updateCaseMetadata(caseId, metadata);
+
+    return txResult("Details updated", { caseId }, receipt);
+  },
+
+  async "increase-bounty"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "amountEth"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { newTotal, receipt } = await client.increaseBounty(caseId, positionals[1]);
+
+    return txResult("Bounty increased", { caseId, newTotal }, receipt);
+  },
+
+  async "create-token"(client, { positionals, flags }) {
+    requireArgs(positionals, ["petName", "token", "amount"]);
+    const [petName, token, amount] = positionals;
+    const { caseId, bounty, expiresAt, receipt } = await client.createCaseWithOptions(petName, {
+      ...parseCaseOptions(flags),
+      token,
+      amount: parseAmount(amount, "amount")
+    });
+
+    return txResult("Case created", { caseId, token, bounty, expiresAt: formatTimestamp(expiresAt) }, receipt);
+  },
+
+  async "increase-token-bounty"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "amount"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { newTotal, receipt } = await client.increaseTokenBounty(caseId, parseAmount(positionals[1], "amount"));
+
+    return txResult("Bounty increased", { caseId, newTotal }, receipt);
+  },
+
+  async "allow-token"(client, { positionals }) {
+    requireArgs(positionals, ["token", "minBounty"]);
+    const [token, minBounty] = positionals;
+    const { receipt } = await client.setAllowedToken(token, parseAmount(minBounty, "minBounty"));
+
+    return txResult("Token allow-list updated", { token, minBounty }, receipt);
+  },
+
+  async pause(client) {
+    const { receipt } = await client.pause();
+    return txResult("Contract paused", {}, receipt);
+  },
+
+  async unpause(client) {
+    const { receipt } = await client.unpause();
+    return txResult("Contract unpaused", {}, receipt);
+  },
+
+  async "transfer-admin"(client, { positionals }) {
+    requireArgs(positionals, ["newAdmin"]);
+    const newAdmin = positionals[0];
+    const { receipt } = await client.transferAdmin(newAdmin);
+
+    return txResult("Admin role offered", { newAdmin }, receipt);
+  },
+
+  async "accept-admin"(client) {
+    const { previousAdmin, receipt } = await client.acceptAdmin();
+    return txResult("Admin role accepted", { previousAdmin }, receipt);
+  },
+
+  async admin(client) {
+    const state = await client.getAdminState();
+    return { data: state, text: formatRecord({ ...state, pendingAdmin: state.pendingAdmin || "-" }) };
+  },
+
+  async "set-fee"(client, { positionals }) {
+    requireArgs(positionals, ["feeBps"]);
+    const feeBps = parseId(positionals[0], "feeBps");
+    const { receipt } = await client.setPlatformFee(feeBps);
+
+    return txResult("Platform fee updated", { feeBps }, receipt);
+  },
+
+  async "set-keeper-reward"(client, { positionals }) {
+    requireArgs(positionals, ["rewardBps"]);
+    const rewardBps = parseId(positionals[0], "rewardBps");
+    const { receipt } = await client.setKeeperReward(rewardBps);
+
+    return txResult("Keeper reward updated", { rewardBps }, receipt);
+  },
+
+  async "keeper-reward"(client) {
+    const data = { rewardBps: await client.getKeeperReward() };
+    return { data, text: formatRecord(data) };
+  },
+
+  async treasury(client, { flags }) {
+    const [feeBps, balance] = await Promise.all([client.getPlatformFee(), client.getTreasuryBalance(flags.token || null)]);
+    const data = { feeBps, asset: flags.token || "ETH", balance };
+
+    return { data, text: formatRecord(data) };
+  },
+
+  async "withdraw-treasury"(client, { positionals, flags }) {
+    requireArgs(positionals, ["to"]);
+    const to = positionals[0];
+    const { amount, receipt } = await client.withdrawTreasury(to, flags.token || null);
+
+    return txResult("Treasury withdrawn", { to, asset: flags.token || "ETH", amount }, receipt);
+  },
+
+  async "submit-finder"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "evidence"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { receipt } = await client.submitAsFinder(caseId, positionals[1]);
+
+    return txResult("Finder submitted", { caseId }, receipt);
+  },
+
+  async "update-evidence"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "evidence"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { revision, receipt } = await client.updateEvidence(caseId, positionals[1]);
+
+    return txResult("Evidence updated", { caseId, revision }, receipt);
+  },
+
+  async retract(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { receipt } = await client.withdrawSubmission(caseId);
+
+    return txResult("Submission withdrawn", { caseId }, receipt);
+  },
+
+  async "set-rules"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "stakeEth"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const stakeEth = positionals[1];
+    const maxSubmissions = positionals[2] !== undefined ? parseId(positionals[2], "maxSubmissions") : 0;
+    const { receipt } = await client.setSubmissionRules(caseId, { stakeEth, maxSubmissions });
+
+    return txResult("Submission rules updated", { caseId, stakeEth, maxSubmissions }, receipt);
+  },
+
+  async rules(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { stakeEth, maxSubmissions, submissionCount } = await client.getSubmissionRules(caseId);
+    const data = { caseId, stakeEth, maxSubmissions, submissionCount };
+
+    return { data, text: formatRecord({ ...data, maxSubmissions: maxSubmissions || "none" }) };
+  },
+
+  async flag(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "finderIndex"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { finder, stake, contestDeadline, receipt } = await client.flagSubmission(caseId, parseId(positionals[1], "finderIndex"));
+
+    return txResult("Submission flagged", { caseId, finder, stake, contestDeadline: formatTimestamp(contestDeadline) }, receipt);
+  },
+
+  async "claim-flagged-stake"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "finderIndex"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { finder, amount, receipt } = await client.claimFlaggedStake(caseId, parseId(positionals[1], "finderIndex"));
+
+    return txResult("Stake credited", { caseId, finder, amount }, receipt);
+  },
+
+  async "reclaim-stake"(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { amount, receipt } = await client.reclaimStake(caseId);
+
+    return txResult("Stake credited", { caseId, amount }, receipt);
+  },
+
+  async sighting(client, { positionals, flags }) {
+    requireArgs(positionals, ["caseId", "geohash"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const seenAt = flags["seen-at"] !== undefined ? parseId(flags["seen-at"], "seen-at") : Math.floor(Date.now() / 1000);
+    const { sightingId, receipt } = await client.reportSighting(caseId, {
+      geohash: positionals[1],
+      seenAt,
+      note: flags.note
+    });
+
+    return txResult("Sighting logged", { caseId, sightingId }, receipt);
+  },
+
+  async "tip-sighter"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "sightingId", "amountEth"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const sightingId = parseId(positionals[1], "sightingId");
+    const { reporter, amount, receipt } = await client.tipSighter(caseId, sightingId, positionals[2]);
+
+    return txResult("Sighter tipped", { caseId, sightingId, reporter, amount }, receipt);
+  },
+
+  async contribute(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "amountEth"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { amount, newTotal, receipt } = await client.contributeToBounty(caseId, positionals[1]);
+
+    return txResult("Contribution added", { caseId, amount, newTotal }, receipt);
+  },
+
+  async resolve(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "finderIndex"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const finderIndex = parseId(positionals[1], "finderIndex");
+    const { finder, bountyAmount, platformFee, receipt } = await client.resolveCase(caseId, finderIndex);
+
+    return txResult("Case resolved", { caseId, finder, bountyAmount, platformFee }, receipt);
+  },
+
+  async "resolve-split"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "index:bps"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const splits = positionals.slice(1).map((value) => {
+      const [finderIndex, shareBps] = value.split(":");
+      return { finderIndex: parseId(finderIndex, "index"), shareBps: parseId(shareBps, "bps") };
+    });
+    const { bountyAmount, platformFee, payouts, receipt } = await client.resolveCaseSplit(caseId, splits);
+
+    return {
+      data: { caseId, bountyAmount, platformFee, payouts, tx: receipt.transactionHash },
+      text: `${formatRecord({ result: "Case resolved (split)", caseId, bountyAmount, platformFee, tx: receipt.transactionHash })}\n\n` +
+        formatTable(["finder", "shareBps", "amount"], payouts)
+    };
+  },
+
+  async propose(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "finderIndex"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const finderIndex = parseId(positionals[1], "finderIndex");
+    const { finder, claimDeadline, receipt } = await client.proposeResolution(caseId, finderIndex);
+
+    return txResult("Resolution proposed", { caseId, finder, claimDeadline: formatTimestamp(claimDeadline) }, receipt);
+  },
+
+  async confirm(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { finder, acknowledged, bountyAmount, platformFee, receipt } = await client.confirmResolution(caseId);
+
+    return txResult("Case resolved", { caseId, finder, acknowledged, bountyAmount, platformFee }, receipt);
+  },
+
+  async "withdraw-proposal"(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { receipt } = await client.withdrawProposal(caseId);
+
+    return txResult("Proposal withdrawn", { caseId }, receipt);
+  },
+
+  async proposal(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const proposal = await client.getProposal(caseId);
+    if (!proposal) {
+      return { data: { caseId, proposal: null }, text: `No proposal for case ${caseId}` };
+    }
+
+    return {
+      data: { caseId, ...proposal },
+      text: formatRecord({ caseId, ...proposal, claimDeadline: formatTimestamp(proposal.claimDeadline) })
+    };
+  },
+
+  async dispute(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "reason"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { arbitrationDeadline, receipt } = await client.openDispute(caseId, positionals[1]);
+
+    return txResult("Dispute opened", { caseId, arbitrationDeadline: formatTimestamp(arbitrationDeadline) }, receipt);
+  },
+
+  async uphold(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { amount, receipt } = await client.upholdResolution(caseId);
+
+    return txResult("Resolution upheld", { caseId, amount }, receipt);
+  },
+
+  async overturn(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "finderIndex"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const finderIndex = parseId(positionals[1], "finderIndex");
+    const { finder, amount, receipt } = await client.overturnResolution(caseId, finderIndex);
+
+    return txResult("Resolution overturned", { caseId, finder, amount }, receipt);
+  },
+
+  async finalize(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { amount, receipt } = await client.finalizeResolution(caseId);
+
+    return txResult("Resolution finalized", { caseId, amount }, receipt);
+  },
+
+  async resolution(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const resolution = await client.getResolution(caseId);
+
+    const details = formatRecord({
+      caseId,
+      state: resolution.state,
+      amount: resolution.amount,
+      disputeDeadline: resolution.disputeDeadline ? formatTimestamp(resolution.disputeDeadline) : "-",
+      disputant: resolution.disputant || "-",
+      arbitrationDeadline: resolution.arbitrationDeadline ? formatTimestamp(resolution.arbitrationDeadline) : "-"
+    });
+    return {
+      data: { caseId, ...resolution },
+      text: `${details}\n\n${formatTable(["finder", "amount"], resolution.payouts)}`
+    };
+  },
+
+  async reject(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "finderIndex", "reason"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const reason = positionals[2];
+    if (!REJECTION_REASONS.includes(reason)) {
+      throw new UsageError(`Unknown rejection reason "${reason}"`);
+    }
+    const { finder, contestDeadline, receipt } = await client.rejectSubmission(caseId, parseId(positionals[1], "finderIndex"), reason);
+
+    return txResult("Submission rejected", { caseId, finder, reason, contestDeadline: formatTimestamp(contestDeadline) }, receipt);
+  },
+
+  async "contest-rejection"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "reason"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { arbitrationDeadline, receipt } = await client.contestRejection(caseId, positionals[1]);
+
+    return txResult("Rejection contested", { caseId, arbitrationDeadline: formatTimestamp(arbitrationDeadline) }, receipt);
+  },
+
+  async "rule-rejection"(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "finderIndex", "uphold|reinstate"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const finderIndex = parseId(positionals[1], "finderIndex");
+    const ruling = positionals[2];
+    if (ruling !== "uphold" && ruling !== "reinstate") {
+      throw new UsageError(`Ruling must be "uphold" or "reinstate", got "${ruling}"`);
+    }
+    const { receipt } = await client.ruleOnRejection(caseId, finderIndex, ruling === "uphold");
+
+    return txResult(ruling === "uphold" ? "Rejection upheld" : "Submission reinstated", { caseId, finderIndex }, receipt);
+  },
+
+  async rejection(client, { positionals }) {
+    requireArgs(positionals, ["caseId", "finder"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const finder = positionals[1];
+    const rejection = await client.getRejection(caseId, finder);
+
+    return {
+      data: { caseId, finder, ...rejection },
+      text: formatRecord({
+        caseId,
+        finder,
+        state: rejection.state,
+        reason: rejection.reason || "-",
+        contestDeadline: rejection.contestDeadline ? formatTimestamp(rejection.contestDeadline) : "-",
+        arbitrationDeadline: rejection.arbitrationDeadline ? formatTimestamp(rejection.arbitrationDeadline) : "-"
+      })
+    };
+  },
+
+  async cancel(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { amount, receipt } = await client.cancelCase(caseId);
+
+    return txResult("Case cancelled", { caseId, refunded: amount }, receipt);
+  },
+
+  async expire(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const { processed, keeperReward, receipt } = await client.checkAndProcessExpiry(caseId);
+
+    return txResult(processed ? "Case expired" : "Case not expired", { caseId, processed, keeperReward }, receipt);
+  },
+
+  async "batch-expire"(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseIds = positionals.map((value) => parseId(value, "caseId"));
+    const { processedCount, processed, keeperRewards, receipt } = await client.batchCheckExpiry(caseIds);
+
+    return txResult("Batch processed", {
+      processedCount,
+      processed: processed.join(",") || "-",
+      keeperRewards: keeperRewards.join(",") || "-"
+    }, receipt);
+  },
+
+  async withdraw(client, { flags }) {
+    if (flags.token) {
+      const { amount, receipt } = await client.withdrawToken(flags.token);
+      return txResult("Withdrawn", { token: flags.token, amount }, receipt);
+    }
+    const { amount, receipt } = await client.withdraw();
+
+    return txResult("Withdrawn", { amount }, receipt);
+  },
+
+  async pending(client, { positionals, flags }) {
+    const account = positionals[0] || client.from;
+    if (!account) {
+      throw new UsageError("pending requires an <address> or --from <address>");
+    }
+    if (flags.token) {
+      const pending = await client.pendingTokenWithdrawal(account, flags.token);
+      return { data: { account, token: flags.token, pending }, text: formatRecord({ account, token: flags.token, pending }) };
+    }
+    const pending = await client.pendingWithdrawal(account);
+    return { data: { account, pending }, text: formatRecord({ account, pending }) };
+  },
+
+  async show(client, { positionals, flags }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const start = flags.start !== undefined ? parseId(flags.start, "start") : 0;
+    const count = flags.count !== undefined ? parseId(flags.count, "count") : DEFAULT_PAGE_SIZE;
+
+    const petCase = await client.getCaseDetails(caseId);
+    const addresses = await client.getFindersPaginated(caseId, start, count);
+    const finders = [];
+    for (let i = 0; i < addresses.length; i++) {
+      finders.push({
+        index: start + i,
+        finder: addresses[i],
+        evidence: await client.getFinderEvidence(caseId, addresses[i])
+      });
+    }
+
+    const details = formatRecord({
+      ...caseRow(petCase),
+      createdAt: formatTimestamp(petCase.createdAt),
+      species: petCase.metadata.species,
+      description: petCase.metadata.description,
+      lastSeen: petCase.metadata.lastSeenGeohash ?? ""
+    });
+    const range = finders.length > 0 ? `${start + 1}-${start + finders.length}` : "none";
+    return {
+      data: { ...petCase, finders },
+      text: `${details}\n\nFinders ${range} of ${petCase.finderCount}:\n` +
+        formatTable(["index", "finder", "evidence"], finders)
+    };
+  },
+
+  async contributions(client, { positionals }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const contributions = await client.getContributions(caseId);
+
+    return { data: contributions, text: formatTable(["contributor", "amount"], contributions) };
+  },
+
+  async sightings(client, { positionals, flags }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const start = flags.start !== undefined ? parseId(flags.start, "start") : 0;
+    const count = flags.count !== undefined ? parseId(flags.count, "count") : DEFAULT_PAGE_SIZE;
+    const sightings = await client.getSightings(caseId, start, count);
+
+    const rows = sightings.map((sighting) => ({ ...sighting, seenAt: formatTimestamp(sighting.seenAt) }));
+    return { data: sightings, text: formatTable(["sightingId", "reporter", "geohash", "seenAt", "note", "tips"], rows) };
+  },
+
+  async list(client, { flags }) {
+    if (flags.active) {
+      return listCases(client, await client.getActiveCases());
+    }
+
+    const paged = flags.start !== undefined || flags.count !== undefined;
+    const start = flags.start !== undefined ? parseId(flags.start, "start") : 0;
+    const count = flags.count !== undefined ? parseId(flags.count, "count") : DEFAULT_PAGE_SIZE;
+    if (flags.owner) {
+      return listCases(client, paged
+        ? await client.getCasesByOwnerPaginated(flags.owner, start, count)
+        : await client.getCasesByOwner(flags.owner));
+    }
+    if (flags.finder) {
+      return listCases(client, await client.getCasesByFinderPaginated(flags.finder, start, count));
+    }
+    if (flags.status) {
+      const status = flags.status.toLowerCase() === "any" ? null : CASE_STATUS_NAMES.find(
+        (name) => name.toLowerCase() === flags.status.toLowerCase()
+      );
+      if (status === undefined) {
+        throw new UsageError(`Unknown status "${flags.status}"`);
+      }
+      return listCases(client, await client.getCasesPaginated(start, count, status));
+    }
+    throw new UsageError("list requires --active, --owner <address>, --finder <address> or --status <status>");
+  },
+
+  async history(client, { positionals, flags }) {
+    const finder = positionals[0] || client.from;
+    const start = flags.start !== undefined ? parseId(flags.start, "start") : 0;
+    const count = flags.count !== undefined ? parseId(flags.count, "count") : DEFAULT_PAGE_SIZE;
+
+    const [submissions, totalEarned] = await Promise.all([
+      client.getFinderSubmissions(finder, start, count),
+      client.getTotalEarned(finder, flags.token || null)
+    ]);
+    return {
+      data: { finder, totalEarned, submissions },
+      text: `${formatRecord({ finder, totalEarned })}\n\n` +
+        formatTable(["caseId", "status", "withdrawn", "paidAmount"], submissions)
+    };
+  },
+
+  async reputation(client, { positionals, flags }) {
+    requireArgs(positionals, ["caseId"]);
+    const caseId = parseId(positionals[0], "caseId");
+    const start = flags.start !== undefined ? parseId(flags.start, "start") : 0;
+    const count = flags.count !== undefined ? parseId(flags.count, "count") : DEFAULT_PAGE_SIZE;
+
+    const stats = await client.getFinderStats(await client.getFindersPaginated(caseId, start, count));
+    const ranked = rankFinders(stats.map((entry, i) => ({ index: start + i, ...entry })));
+    return {
+      data: ranked,
+      text: formatTable(["index", "finder", "score", "submissions", "chosen", "rejected", "disputesLost"], ranked)
+    };
+  },
+
+  async escrow(client, { positionals }) {
+    if (positionals.length > 0) {
+      const caseId = parseId(positionals[0], "caseId");
+      const escrow = await client.getCaseEscrow(caseId);
+      return { data: { caseId, escrow }, text: formatRecord({ caseId, escrow }) };
+    }
+
+    const totalEscrow = await client.getTotalEscrow();
+    return { data: { totalEscrow }, text: formatRecord({ totalEscrow }) };
+  }
+};
+
+/**
+ * Run a CLI command against a client.
+ * @param {Object} client LostPetClient
+ * @param {string[]} argv Arguments after the script name
+ * @returns {Promise<string>} Output to print
+ */
+async function run(client, argv) {
+  const parsed = parseArgs(argv);
+  if (!parsed.command || parsed.flags.help) {
+    return USAGE;
+  }
+
+  const command = commands[parsed.command];
+  if (!command) {
+    throw new UsageError(`Unknown command "${parsed.command}"`);
+  }
+
+  const sender = parsed.flags.from ? new LostPetClient(client.contract, { from: parsed.flags.from }) : client;
+  const { data, text } = await command(sender, parsed);
+  return parsed.flags.json ? formatJson(data) : text;
+}
+
+module.exports = {
+  USAGE,
+  UsageError,
+  commands,
+  parseArgs,
+  run
+};
@@ -0,0 +1,56 @@
+// Output helpers for the lostpet CLI: plain-text tables and JSON.
+
+/**
+ * Render rows as a fixed-width text table.
+ * @param {string[]} columns Column headers (also the row keys)
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+function formatTable(columns, rows) {
+  if (rows.length === 0) {
+    return "(none)";
+  }
+
+  const cells = rows.map((row) => columns.map((column) => String(row[column] ?? "")));
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map((row) => row[i].length))
+  );
+
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+  return [
+    line(columns),
+    line(widths.map((width) => "-".repeat(width))),
+    ...cells.map(line)
+  ].join("\n");
+}
+
+/**
+ * Render a single record as "key: value" lines.
+ * @param {Object} record
+ * @returns {string}
+ */
+function formatRecord(record) {
+  const keys = Object.keys(record);
+  const width = Math.max(...keys.map((key) => key.length));
+  return keys.map((key) => `${(key + ":").padEnd(width + 1)} ${record[key]}`).join("\n");
+}
+
+/**
+ * Format a unix timestamp (seconds) as an ISO date string.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+function formatJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+module.exports = {
+  formatTable,
+  formatRecord,
+  formatTimestamp,
+  formatJson
+};
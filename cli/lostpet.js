@@ -0,0 +1,51 @@
+// lostpet CLI entry point.
+// Runs through `truffle exec` so the network comes from truffle-config.js:
+//
+//   truffle exec cli/lostpet.js show 0 --network development
+//   truffle exec cli/lostpet.js create Fluffy 0.05 --from 0xabc... --json
+
+const { LostPetClient } = require("../sdk");
+const { run, UsageError, USAGE } = require("./commands");
+
+// Options consumed by truffle itself
+const TRUFFLE_OPTIONS = ["--network", "--config"];
+
+/**
+ * Arguments after the script path, without truffle's own options.
+ * @param {string[]} argv
+ * @returns {string[]}
+ */
+function scriptArgs(argv) {
+  const scriptIndex = argv.findIndex((arg) => /lostpet(\.js)?$/.test(arg));
+  const args = argv.slice(scriptIndex + 1);
+  const result = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (TRUFFLE_OPTIONS.includes(args[i])) {
+      i++;
+    } else if (args[i] !== "--compile") {
+      result.push(args[i]);
+    }
+  }
+  return result;
+}
+
+module.exports = async function (callback) {
+  try {
+    const LostPet = artifacts.require("LostPet");
+    const [defaultAccount] = await web3.eth.getAccounts();
+    const client = await LostPetClient.deployed(LostPet, { from: defaultAccount });
+
+    console.log(await run(client, scriptArgs(process.argv)));
+    callback();
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+    } else {
+      console.error(error.reason || error.message);
+    }
+    callback(error);
+  }
+};
+
+module.exports.scriptArgs = scriptArgs;
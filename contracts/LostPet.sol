@@ -1,40 +1,64 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
 
 import "../interfaces/LostPetInterface.sol";
+import "../interfaces/IERC20.sol";
+import "./LostPetStorage.sol";
+import "./LostPetResolution.sol";
+import "./LostPetSubmissions.sol";
 
 /**
  * @title LostPet
  * @notice Simple contract for lost pet bounties
  */
 contract LostPet is LostPetInterface{
-    // Basic state variables
-    uint256 public nextCaseId;
+    using LostPetStorage for LostPetState;
 
-    // Case status enum
-    enum CaseStatus { Active, Resolved, Cancelled, Expired }
+    // Case state, shared with the LostPetResolution and LostPetSubmissions libraries
+    LostPetState private s;
 
-    // Simple struct - only essential fields
-    struct CaseData {
-        address owner;
-        string petName;
-        uint256 bounty;
-        CaseStatus status;
-        uint256 createdAt;
-        uint256 expiresAt;
-    }
-    
-    mapping(uint256 => CaseData) private cases;
-    mapping(address => uint256[]) private ownerCases;
+    // The arbiter manager adds and removes arbiters
+    address public arbiterManager;
 
-    mapping(uint256 => address[]) private caseFinders;
-    mapping(uint256 => mapping(address => bool)) private isFinderForCase;
-    mapping(uint256 => mapping(address => string)) private finderEvidence;
+    // Token bounties - allow-listed ERC-20 tokens and their minimum bounty
+    mapping(address => uint256) public override tokenMinBounty;
+
+    // The admin can pause the contract; the role moves in two steps (transferAdmin, acceptAdmin)
+    address public override admin;
+    address public override pendingAdmin;
+    bool public override paused;
     
     // Constants for gas optimization
     uint256 public constant DEFAULT_EXPIRY_DAYS = 90 days;
+    uint256 public constant MIN_CASE_DURATION = 7 days;
+    uint256 public constant MAX_CASE_DURATION = 365 days;
     uint256 public constant MIN_BOUNTY = 0.001 ether;
-    uint256 public constant MIN_RESOLVE_TIME = 1 days;
+    uint256 public constant MIN_RESOLVE_TIME = LostPetStorage.MIN_RESOLVE_TIME;
+    uint256 public constant BPS_DENOMINATOR = LostPetStorage.BPS_DENOMINATOR;
+    uint256 public constant MAX_SPLIT_FINDERS = LostPetStorage.MAX_SPLIT_FINDERS;
+    uint256 public constant MAX_CONTRIBUTORS = 50;
+    uint256 public constant DISPUTE_WINDOW = LostPetStorage.DISPUTE_WINDOW;
+    uint256 public constant ARBITRATION_TIMEOUT = LostPetStorage.ARBITRATION_TIMEOUT;
+    uint256 public constant REJECTION_CONTEST_PERIOD = LostPetStorage.REJECTION_CONTEST_PERIOD;
+    uint256 public constant CLAIM_WINDOW = LostPetStorage.CLAIM_WINDOW;
+    uint256 public constant MAX_GEOHASH_LENGTH = LostPetStorage.MAX_GEOHASH_LENGTH;
+    uint256 public constant MAX_CONTACT_HINT_LENGTH = LostPetSubmissions.MAX_CONTACT_HINT_LENGTH;
+    uint256 public constant MAX_SIGHTING_NOTE_LENGTH = LostPetSubmissions.MAX_SIGHTING_NOTE_LENGTH;
+    uint256 public constant MAX_SPECIES_LENGTH = 32;
+    uint256 public constant MAX_DESCRIPTION_LENGTH = 256;
+    uint256 public constant MAX_PLATFORM_FEE_BPS = LostPetStorage.MAX_PLATFORM_FEE_BPS;
+    uint256 public constant MAX_KEEPER_REWARD_BPS = 100;
+    uint8 public constant ANY_STATUS = 255;
+
+    constructor(address initialAdmin) {
+        require(initialAdmin != address(0), "Invalid admin");
+        admin = initialAdmin;
+        arbiterManager = msg.sender;
+        s.isArbiter[msg.sender] = true;
+
+        emit AdminTransferred(address(0), initialAdmin);
+        emit ArbiterUpdated(msg.sender, true);
+    }
     
     
     // =============================================
@@ -42,29 +66,75 @@ contract LostPet is LostPetInterface{
     // =============================================
     
     /**
-     * @notice Create a lost pet case with bounty
+     * @notice Create a lost pet case with an ETH or allow-listed ERC-20 bounty
+     * @dev With options.asset = address(0) the bounty is msg.value and options.amount must be 0;
+     *      with a token the bounty is the amount actually received, so fee-on-transfer tokens cannot overstate it.
+     *      options.duration = 0 uses DEFAULT_EXPIRY_DAYS
      */
-    function createCase(string calldata petName) external payable override returns (uint256 caseId) {
-        require(msg.value >= MIN_BOUNTY, "Bounty must be at least 0.001 ETH");
-        require(bytes(petName).length > 0, "Pet name cannot be empty");
-        
-        caseId = nextCaseId;
-        nextCaseId++;
-        
-        uint256 expiresAt = block.timestamp + DEFAULT_EXPIRY_DAYS;
-        
-        cases[caseId] = CaseData({
-            owner: msg.sender,
-            petName: petName,
-            bounty: msg.value,
-            status: CaseStatus.Active,
-            createdAt: block.timestamp,
-            expiresAt: expiresAt
-        });
-        
-        ownerCases[msg.sender].push(caseId);
-        
-        emit CaseCreated(caseId, msg.sender, petName, msg.value, expiresAt);
+    function createCase(string calldata petName, CaseOptions calldata options)
+        external
+        payable
+        override
+        returns (uint256 caseId)
+    {
+        uint256 duration = options.duration == 0 ? DEFAULT_EXPIRY_DAYS : options.duration;
+        require(duration >= MIN_CASE_DURATION && duration <= MAX_CASE_DURATION, "Invalid duration");
+        _checkMetadata(options.metadata);
+
+        uint256 amount;
+        if (options.asset == address(0)) {
+            require(options.amount == 0, "Wrong bounty asset");
+            amount = _ethBounty();
+        } else {
+            require(msg.value == 0, "Wrong bounty asset");
+            amount = _tokenBounty(options.asset, options.amount);
+        }
+        return _createCase(petName, options.asset, amount, options.metadata, duration);
+    }
+
+    /**
+     * @notice Push back the deadline of an open case
+     * @dev Only case owner can call this function. ETH sent with the call is added to the bounty
+     */
+    function extendCase(uint256 caseId, uint256 extraTime) external payable override returns (uint256 newExpiresAt) {
+        CaseData storage c = s.cases[caseId];
+
+        require(msg.sender == c.owner, "Only case owner can extend");
+        require(c.status == CaseStatus.Active, "Case not active");
+        require(block.timestamp < c.expiresAt, "Case expired");
+        require(extraTime > 0, "Invalid duration");
+
+        newExpiresAt = c.expiresAt + extraTime;
+        require(newExpiresAt <= block.timestamp + MAX_CASE_DURATION, "Extension too long");
+        c.expiresAt = newExpiresAt;
+
+        if (msg.value > 0) {
+            _checkNotPaused();
+            require(c.asset == address(0), "Wrong bounty asset");
+            c.bounty += msg.value;
+            s.escrowTotals[address(0)] += msg.value;
+
+            emit IncreaseBounty(caseId, msg.value, c.bounty);
+        }
+
+        emit CaseExtended(caseId, extraTime, newExpiresAt);
+    }
+
+    /**
+     * @notice Replace the descriptive details of an open case
+     * @dev Only case owner can call this function
+     */
+    function updateCaseMetadata(uint256 caseId, PetMetadata calldata metadata) external override {
+        CaseData storage c = s.cases[caseId];
+
+        require(msg.sender == c.owner, "Only case owner can update metadata");
+        require(c.status == CaseStatus.Active, "Case not active");
+        require(block.timestamp < c.expiresAt, "Case expired");
+        _checkMetadata(metadata);
+
+        s.caseMetadata[caseId] = metadata;
+
+        emit CaseMetadataUpdated(caseId, metadata);
     }
     
     /**
@@ -72,72 +142,158 @@ contract LostPet is LostPetInterface{
      * @dev Only case owner can call this function
      */
     function increaseBounty(uint256 caseId) external payable override{
-        CaseData storage c = cases[caseId];
+        CaseData storage c = s.cases[caseId];
 
+        _checkNotPaused();
         require(msg.sender == c.owner, "Only case owner can increase bounty");
         require(c.status == CaseStatus.Active, "Case not active");
         require(block.timestamp < c.expiresAt, "Case expired");
+        require(c.asset == address(0), "Wrong bounty asset");
         require(msg.value > 0, "Must send ETH");
         
         c.bounty += msg.value;
+        s.escrowTotals[address(0)] += msg.value;
         
         emit IncreaseBounty(caseId, msg.value, c.bounty);
     }
+
+    /**
+     * @notice Increase the token bounty for an existing case
+     * @dev Only case owner can call this function. Works even if the token was removed from the allow-list
+     */
+    function increaseTokenBounty(uint256 caseId, uint256 amount) external override {
+        CaseData storage c = s.cases[caseId];
+
+        _checkNotPaused();
+        require(msg.sender == c.owner, "Only case owner can increase bounty");
+        require(c.status == CaseStatus.Active, "Case not active");
+        require(block.timestamp < c.expiresAt, "Case expired");
+        require(c.asset != address(0), "Wrong bounty asset");
+        require(amount > 0, "Must send tokens");
+
+        uint256 received = _pullToken(c.asset, amount);
+        c.bounty += received;
+        s.escrowTotals[c.asset] += received;
+
+        emit IncreaseBounty(caseId, received, c.bounty);
+    }
     
     /**
      * @notice Resolve case and pay bounty to a finder
      * @dev Only case owner can call this function
      * @dev Case must exist for minimum time before resolution
+     * @dev The platform fee goes to the treasury; the rest is held for DISPUTE_WINDOW,
+     *      then credited to the finder with finalizeResolution()
      */
-    function resolveCase(uint256 caseId, uint256 finderIndex) external override{
-        CaseData storage c = cases[caseId];
+    function resolveCase(uint256 caseId, uint256 finderIndex) external override {
+        LostPetResolution.resolveCase(s, caseId, finderIndex);
+    }
 
-        require(msg.sender == c.owner, "Only case owner can resolve");
-        require(c.status == CaseStatus.Active, "Case not active");
-        require(block.timestamp < c.expiresAt, "Case expired");
-        require(block.timestamp >= c.createdAt + MIN_RESOLVE_TIME, "Case too new to resolve");
-        require(finderIndex < caseFinders[caseId].length, "Invalid finder index");
-        
-        // Wallet/Escrow check
-        require(address(this).balance >= c.bounty, "Insufficient contract balance");
-        
-        address finder = caseFinders[caseId][finderIndex];
-        uint256 bounty = c.bounty;
-        
-        // Update state before sending money
-        c.status = CaseStatus.Resolved;
-        c.bounty = 0;
-        
-        // Send bounty to finder
-        (bool success, ) = payable(finder).call{value: bounty}("");
-        require(success, "Transfer failed");
-        
-        emit CaseResolved(caseId, finder, bounty);
+    /**
+     * @notice Resolve case and split the bounty between several finders
+     * @dev Only case owner can call this function
+     * @dev The platform fee goes to the treasury first; each share is the rest * shareBps / 10000,
+     *      and the rounding dust goes to the first finder listed
+     * @dev Shares are held for DISPUTE_WINDOW, then credited to each finder with finalizeResolution()
+     */
+    function resolveCaseSplit(
+        uint256 caseId,
+        uint256[] calldata finderIndices,
+        uint256[] calldata sharesBps
+    ) external override {
+        LostPetResolution.resolveCaseSplit(s, caseId, finderIndices, sharesBps);
+    }
+
+    /**
+     * @notice Propose a finder; the case is resolved once they confirm the handover
+     * @dev Only case owner can call this function. Same rules as resolveCase
+     * @dev The case is PendingResolution until the finder confirms, CLAIM_WINDOW passes,
+     *      or the owner withdraws the proposal
+     */
+    function proposeResolution(uint256 caseId, uint256 finderIndex) external override {
+        LostPetResolution.proposeResolution(s, caseId, finderIndex);
+    }
+
+    /**
+     * @notice Resolve a proposed case to its proposed finder
+     * @dev The proposed finder can confirm at any time; anyone can finalize once CLAIM_WINDOW is over
+     * @dev Expiry waits for the proposal, so this works even past the case deadline
+     */
+    function confirmResolution(uint256 caseId) external override {
+        LostPetResolution.confirmResolution(s, caseId);
+    }
+
+    /**
+     * @notice Take back a proposal the finder has not confirmed, reopening the case
+     * @dev Only case owner can call this function, before CLAIM_WINDOW is over
+     * @dev If the case deadline passed while the proposal was pending, the case reopens as expired
+     */
+    function withdrawProposal(uint256 caseId) external override {
+        LostPetResolution.withdrawProposal(s, caseId);
     }
     
     /**
      * @notice Cancel case and get refund
      * @dev Only case owner can call this function
+     * @dev The refund is credited pro rata to the owner and any contributors and claimed with withdraw()
+     * @dev Allowed if every submission was withdrawn by its finder, flagged as spam or rejected,
+     *      and no rejection or flag can still be contested or ruled on
      */
     function cancelCase(uint256 caseId) external override{
-        CaseData storage c = cases[caseId];
+        CaseData storage c = s.cases[caseId];
 
         require(msg.sender == c.owner, "Only owner can cancel");
-        require(caseFinders[caseId].length == 0, "Cannot cancel - finders already submitted");
         require(c.status == CaseStatus.Active, "Case not active");
+        require(s.caseFinders[caseId].length == s.inactiveFinderCount[caseId], "Cannot cancel - finders already submitted");
+        require(block.timestamp >= s.cancelLockedUntil[caseId], "Rejection can still be contested");
         require(block.timestamp < c.expiresAt, "Case expired");
         
         // Time restriction
         require(block.timestamp >= c.createdAt + 7 days, "Cannot cancel before 7 days");
         
-        uint256 refundAmount = c.bounty;
-        c.status = CaseStatus.Cancelled;
-        c.bounty = 0;
-        
-        (bool success, ) = payable(msg.sender).call{value: refundAmount}("");
-        require(success, "Refund failed");
+        uint256 refundAmount = s.closeCase(c, CaseStatus.Cancelled);
         
         emit CaseCancelled(caseId, msg.sender, refundAmount);
+        _refundFunders(caseId, refundAmount, refundAmount);
+    }
+
+    /**
+     * @notice Set the ETH stake each new finder must lock and the most submissions the case accepts
+     * @dev Only case owner can call this function, while the case is active
+     * @dev Applies to later submissions only; stakes already locked keep their amount
+     */
+    function setSubmissionRules(uint256 caseId, uint256 stake, uint256 maxSubmissions) external override {
+        LostPetSubmissions.setSubmissionRules(s, caseId, stake, maxSubmissions);
+    }
+
+    /**
+     * @notice Flag a submission as spam
+     * @dev Only case owner can call this function, while the case is active and not expired
+     * @dev A flag is a rejection with reason code 4 (spam): the finder can contest it, cancelCase waits
+     *      for it like any rejection, and an arbiter who reinstates the submission clears the flag
+     * @dev The finder's stake stays locked until the flag stands, then the owner takes it with claimFlaggedStake
+     * @dev Withdrawn or rejected submissions cannot be flagged, even if the rejection was reinstated
+     */
+    function flagSubmission(uint256 caseId, uint256 finderIndex) external override {
+        LostPetResolution.flagSubmission(s, caseId, finderIndex);
+    }
+
+    /**
+     * @notice Take the stake of a finder flagged as spam once the flag stands
+     * @dev Only case owner can call this function. The flag stands once an arbiter upheld it, or once
+     *      the contest period or ARBITRATION_TIMEOUT ran out; the stake is credited and claimed with withdraw()
+     */
+    function claimFlaggedStake(uint256 caseId, uint256 finderIndex) external override {
+        LostPetSubmissions.claimFlaggedStake(s, caseId, finderIndex);
+    }
+
+    /**
+     * @notice Reject a submission with a reason code so it no longer blocks cancelCase
+     * @dev Only case owner can call this function, while the case is active
+     * @dev The finder can contest for REJECTION_CONTEST_PERIOD; cancelCase waits until then
+     */
+    function rejectSubmission(uint256 caseId, uint256 finderIndex, uint8 reasonCode) external override {
+        LostPetResolution.rejectSubmission(s, caseId, finderIndex, reasonCode);
     }
     
     // =============================================
@@ -146,46 +302,340 @@ contract LostPet is LostPetInterface{
     
     /**
      * @notice Submit yourself as a finder for a case
+     * @dev msg.value must equal the case's submission stake (usually 0)
+     */
+    function submitAsFinder(uint256 caseId, string calldata evidence) external payable override{
+        _checkNotPaused();
+        LostPetSubmissions.submitAsFinder(s, caseId, evidence);
+    }
+
+    /**
+     * @notice Submit yourself as a finder with a structured report
+     * @dev geohash must use the geohash base32 alphabet (0-9, b-z without a, i, l, o)
+     * @dev sightedAt must not be in the future; contactHint is optional
+     * @dev msg.value must equal the case's submission stake (usually 0)
+     */
+    function submitFinderReport(
+        uint256 caseId,
+        bytes32 photoHash,
+        string calldata geohash,
+        uint64 sightedAt,
+        string calldata contactHint
+    ) external payable override {
+        _checkNotPaused();
+        LostPetSubmissions.submitFinderReport(s, caseId, photoHash, geohash, sightedAt, contactHint);
+    }
+
+    /**
+     * @notice Replace the evidence of your finder submission
+     * @dev The previous evidence is kept in evidenceHistory; finders who used
+     *      submitFinderReport start with no text evidence, so nothing is archived
+     */
+    function updateEvidence(uint256 caseId, string calldata evidence) external override {
+        LostPetSubmissions.updateEvidence(s, caseId, evidence);
+    }
+
+    /**
+     * @notice Retract your finder submission
+     * @dev The finder keeps their index in caseFinders but can no longer be paid or dispute
+     */
+    function withdrawSubmission(uint256 caseId) external override {
+        LostPetSubmissions.withdrawSubmission(s, caseId);
+    }
+
+    /**
+     * @notice Get your submission stake back once the case is no longer active
+     * @dev The stake is credited and claimed with withdraw(); the stake of a flagged submission goes to the owner
      */
-    function submitAsFinder(uint256 caseId, string calldata evidence) external override{
-        require(caseId < nextCaseId, "Case does not exist");
-        CaseData storage c = cases[caseId];
+    function reclaimStake(uint256 caseId) external override {
+        LostPetSubmissions.reclaimStake(s, caseId);
+    }
 
+    /**
+     * @notice Log where and when you saw the pet, without becoming a finder
+     * @dev Sightings are not bounty candidates and do not block cancelCase
+     */
+    function reportSighting(
+        uint256 caseId,
+        string calldata geohash,
+        uint64 seenAt,
+        string calldata note
+    ) external override {
+        _checkNotPaused();
+        LostPetSubmissions.reportSighting(s, caseId, geohash, seenAt, note);
+    }
+
+    /**
+     * @notice Thank a sighter with the ETH sent, without resolving the case
+     * @dev Only case owner can call this function. The tip is credited and claimed with withdraw()
+     */
+    function tipSighter(uint256 caseId, uint256 sightingId) external payable override {
+        _checkNotPaused();
+        LostPetSubmissions.tipSighter(s, caseId, sightingId);
+    }
+
+    /**
+     * @notice Add ETH to someone else's case bounty
+     * @dev Repeat contributions from the same address are added together
+     * @dev Contributors are refunded pro rata if the case is cancelled or expires
+     */
+    function contributeToBounty(uint256 caseId) external payable override {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        CaseData storage c = s.cases[caseId];
+
+        _checkNotPaused();
+        require(msg.sender != c.owner, "Owner must use increaseBounty");
         require(c.status == CaseStatus.Active, "Case not active");
         require(block.timestamp < c.expiresAt, "Case expired");
-        require(!isFinderForCase[caseId][msg.sender], "Already submitted as finder");
-        require(bytes(evidence).length > 0, "Evidence cannot be empty");
-        
-        caseFinders[caseId].push(msg.sender);
-        isFinderForCase[caseId][msg.sender] = true;
-        finderEvidence[caseId][msg.sender] = evidence;
-        
-        emit FinderSubmitted(caseId, msg.sender, evidence);
+        require(c.asset == address(0), "Wrong bounty asset");
+        require(msg.value >= MIN_BOUNTY, "Contribution must be at least 0.001 ETH");
+
+        if (s.contributions[caseId][msg.sender] == 0) {
+            require(s.caseContributors[caseId].length < MAX_CONTRIBUTORS, "Too many contributors");
+            s.caseContributors[caseId].push(msg.sender);
+        }
+        s.contributions[caseId][msg.sender] += msg.value;
+        c.bounty += msg.value;
+        s.escrowTotals[address(0)] += msg.value;
+
+        emit BountyContributed(caseId, msg.sender, msg.value, c.bounty);
+    }
+    
+    /**
+     * @notice Withdraw all ETH credited to the caller
+     * @dev Balance is cleared before sending so re-entering cannot withdraw twice
+     */
+    function withdraw() external override {
+        uint256 amount = _takeWithdrawal(address(0));
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    /**
+     * @notice Withdraw all tokens of one kind credited to the caller
+     */
+    function withdrawToken(address token) external override {
+        require(token != address(0), "Invalid token");
+        uint256 amount = _takeWithdrawal(token);
+
+        _safeTransfer(token, msg.sender, amount);
+
+        emit TokenWithdrawal(msg.sender, token, amount);
+    }
+    
+    // =============================================
+    // DISPUTE FUNCTIONS
+    // =============================================
+
+    /**
+     * @notice Contest the owner's resolution of a case
+     * @dev Only finders of the case can dispute, within DISPUTE_WINDOW of the resolution
+     */
+    function openDispute(uint256 caseId, string calldata reason) external override {
+        LostPetResolution.openDispute(s, caseId, reason);
+    }
+
+    /**
+     * @notice Arbiter keeps the owner's resolution and releases the held payouts
+     */
+    function upholdResolution(uint256 caseId) external override {
+        LostPetResolution.upholdResolution(s, caseId);
+    }
+
+    /**
+     * @notice Arbiter overturns the owner's resolution and awards the whole bounty to one finder
+     */
+    function overturnResolution(uint256 caseId, uint256 finderIndex) external override {
+        LostPetResolution.overturnResolution(s, caseId, finderIndex);
+    }
+
+    /**
+     * @notice Release held payouts once nobody can dispute or rule any more
+     * @dev Undisputed: after DISPUTE_WINDOW. Disputed but not ruled: after ARBITRATION_TIMEOUT,
+     *      in which case the owner's resolution stands
+     */
+    function finalizeResolution(uint256 caseId) external override {
+        LostPetResolution.finalizeResolution(s, caseId);
+    }
+
+    /**
+     * @notice Rejected or flagged finder contests the rejection before REJECTION_CONTEST_PERIOD is over
+     * @dev An arbiter then has ARBITRATION_TIMEOUT to rule, after which the rejection stands
+     */
+    function contestRejection(uint256 caseId, string calldata reason) external override {
+        LostPetResolution.contestRejection(s, caseId, reason);
+    }
+
+    /**
+     * @notice Arbiter upholds a contested rejection or reinstates the submission
+     * @dev Once every rejection of the case has been ruled on, cancelCase no longer waits for them.
+     *      Reinstating a spam flag clears it, and the finder keeps their stake
+     */
+    function ruleOnRejection(uint256 caseId, uint256 finderIndex, bool uphold) external override {
+        LostPetResolution.ruleOnRejection(s, caseId, finderIndex, uphold);
+    }
+
+    /**
+     * @notice Add or remove an arbiter
+     * @dev Only the arbiter manager can call this function
+     */
+    function setArbiter(address arbiter, bool enabled) external override {
+        require(msg.sender == arbiterManager, "Only arbiter manager");
+        require(arbiter != address(0), "Invalid arbiter");
+
+        s.isArbiter[arbiter] = enabled;
+
+        emit ArbiterUpdated(arbiter, enabled);
     }
     
+    // =============================================
+    // ALLOW-LIST FUNCTIONS
+    // =============================================
+
+    /**
+     * @notice Allow a token for bounties, change its minimum, or remove it with minBounty = 0
+     * @dev Only the admin can call this function
+     */
+    function setAllowedToken(address token, uint256 minBounty) external override {
+        _checkAdmin();
+        require(token.code.length > 0, "Invalid token");
+
+        tokenMinBounty[token] = minBounty;
+
+        emit TokenAllowed(token, minBounty);
+    }
+
+    // =============================================
+    // ADMIN FUNCTIONS
+    // =============================================
+
+    /**
+     * @notice Stop new cases, bounty increases and finder submissions in an emergency
+     * @dev Only the admin can call this function. Refunds, resolutions, disputes and withdrawals keep working
+     */
+    function pause() external override {
+        _checkAdmin();
+        require(!paused, "Already paused");
+
+        paused = true;
+
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @notice Lift the pause
+     * @dev Only the admin can call this function
+     */
+    function unpause() external override {
+        _checkAdmin();
+        require(paused, "Not paused");
+
+        paused = false;
+
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @notice Set the platform fee taken from later resolved bounties
+     * @dev Only the admin can call this function. Capped at MAX_PLATFORM_FEE_BPS
+     */
+    function setPlatformFee(uint256 feeBps) external override {
+        _checkAdmin();
+        require(feeBps <= MAX_PLATFORM_FEE_BPS, "Fee above cap");
+
+        emit PlatformFeeUpdated(s.platformFeeBps, feeBps);
+
+        s.platformFeeBps = feeBps;
+    }
+
+    /**
+     * @notice Set the share of later expired bounties paid to whoever processes the expiry
+     * @dev Only the admin can call this function. Capped at MAX_KEEPER_REWARD_BPS
+     */
+    function setKeeperReward(uint256 rewardBps) external override {
+        _checkAdmin();
+        require(rewardBps <= MAX_KEEPER_REWARD_BPS, "Reward above cap");
+
+        emit KeeperRewardUpdated(s.keeperRewardBps, rewardBps);
+
+        s.keeperRewardBps = rewardBps;
+    }
+
+    /**
+     * @notice Send all collected fees of one asset (address(0) for ETH) to an address
+     * @dev Only the admin can call this function. Balance is cleared before sending
+     */
+    function withdrawTreasury(address asset, address to) external override {
+        _checkAdmin();
+        require(to != address(0), "Invalid recipient");
+        uint256 amount = s.treasury[asset];
+        require(amount > 0, "Treasury empty");
+
+        s.treasury[asset] = 0;
+
+        if (asset == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            _safeTransfer(asset, to, amount);
+        }
+
+        emit TreasuryWithdrawal(asset, to, amount);
+    }
+
+    /**
+     * @notice Offer the admin role to another address
+     * @dev Only the admin can call this function. The role only moves once newAdmin calls
+     *      acceptAdmin(), so a mistyped address cannot lock the admin out; address(0) withdraws the offer
+     */
+    function transferAdmin(address newAdmin) external override {
+        _checkAdmin();
+
+        pendingAdmin = newAdmin;
+
+        emit AdminTransferStarted(msg.sender, newAdmin);
+    }
+
+    /**
+     * @notice Accept the admin role offered with transferAdmin()
+     */
+    function acceptAdmin() external override {
+        require(msg.sender == pendingAdmin, "Only pending admin");
+
+        emit AdminTransferred(admin, msg.sender);
+
+        admin = msg.sender;
+        pendingAdmin = address(0);
+    }
+
     // =============================================
     // TIME LIMIT FUNCTIONS
     // =============================================
     
     /**
      * @notice Check and process expired cases
+     * @dev The keeper reward is credited to the caller; the rest is refunded to the owner and contributors
+     * @dev A PendingResolution case is not expired; expiry waits until the proposal is confirmed or withdrawn
      */
     function checkAndProcessExpiry(uint256 caseId) public override returns (bool processed) {
-        require(caseId < nextCaseId, "Case does not exist");
-        CaseData storage c = cases[caseId];
+        require(caseId < s.nextCaseId, "Case does not exist");
+        CaseData storage c = s.cases[caseId];
         
         if (c.status == CaseStatus.Active && 
             block.timestamp >= c.expiresAt && 
             c.bounty > 0) {
             
-            uint256 refundAmount = c.bounty;
-            c.status = CaseStatus.Expired;
-            c.bounty = 0;
+            uint256 funded = s.closeCase(c, CaseStatus.Expired);
+            uint256 reward = (funded * s.keeperRewardBps) / LostPetStorage.BPS_DENOMINATOR;
             
-            (bool success, ) = payable(c.owner).call{value: refundAmount}("");
-            require(success, "Refund failed");
-            
-            emit CaseExpired(caseId, c.owner, refundAmount);
+            emit CaseExpired(caseId, c.owner, funded - reward, msg.sender, reward);
+            if (reward > 0) {
+                s.credit(msg.sender, caseId, reward);
+            }
+            _refundFunders(caseId, funded - reward, funded);
             return true;
         }
         return false;
@@ -210,49 +660,63 @@ contract LostPet is LostPetInterface{
      * @notice Get basic case info (low gas)
      */
     function getCaseBasic(uint256 caseId) external view override returns (address owner, uint256 bounty, bool isResolved) {
-        require(caseId < nextCaseId, "Case does not exist");
-        CaseData storage c = cases[caseId];
+        require(caseId < s.nextCaseId, "Case does not exist");
+        CaseData storage c = s.cases[caseId];
 
         return (c.owner, c.bounty, c.status == CaseStatus.Resolved);
     }
     
+    /**
+     * @notice ID the next case will get, which is also the number of cases
+     */
+    function nextCaseId() external view returns (uint256) {
+        return s.nextCaseId;
+    }
+
+    /**
+     * @notice Check if an address can rule on disputes
+     */
+    function isArbiter(address account) external view returns (bool) {
+        return s.isArbiter[account];
+    }
+
     /**
      * @notice Get total number of cases
      */
     function getTotalCases() external view override returns (uint256) {
-        return nextCaseId;
+        return s.nextCaseId;
     }
     
     /**
      * @notice Check if case is expired
      */
     function isCaseExpired(uint256 caseId) external view override returns (bool) {
-        require(caseId < nextCaseId, "Case does not exist");
-        return block.timestamp >= cases[caseId].expiresAt;
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return block.timestamp >= s.cases[caseId].expiresAt;
     }
     
     /**
      * @notice Get finders for a case
      */
     function getFinders(uint256 caseId) external view override returns (address[] memory) {
-        require(caseId < nextCaseId, "Case does not exist");
-        return caseFinders[caseId];
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.caseFinders[caseId];
     }
 
     /**
      * @notice Get number of finders for a case
      */
     function getFinderCount(uint256 caseId) external view override returns (uint256) {
-        require(caseId < nextCaseId, "Case does not exist");
-        return caseFinders[caseId].length;
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.caseFinders[caseId].length;
     }
     
     /**
      * @notice Check if an address is a finder for a specific case
      */
     function isFinder(uint256 caseId, address finder) external view override returns (bool) {
-        require(caseId < nextCaseId, "Case does not exist");
-        return isFinderForCase[caseId][finder];
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.isFinderForCase[caseId][finder];
     }
     
     /**
@@ -260,9 +724,9 @@ contract LostPet is LostPetInterface{
      * @dev Returns empty array instead of reverting when startIndex is out-of-range.
      */
     function getFindersPaginated(uint256 caseId, uint256 startIndex, uint256 count) external view override returns (address[] memory finders){
-        require(caseId < nextCaseId, "Case does not exist");
+        require(caseId < s.nextCaseId, "Case does not exist");
 
-        uint256 length = caseFinders[caseId].length;
+        uint256 length = s.caseFinders[caseId].length;
         if (count == 0 || startIndex >= length) {
             return new address[](0);
         }
@@ -274,7 +738,7 @@ contract LostPet is LostPetInterface{
 
         finders = new address[](endIndex - startIndex);
         for (uint256 i = startIndex; i < endIndex; i++) {
-            finders[i - startIndex] = caseFinders[caseId][i];
+            finders[i - startIndex] = s.caseFinders[caseId][i];
         }
     }
 
@@ -282,13 +746,93 @@ contract LostPet is LostPetInterface{
      * @notice View the evidence submitted by a specific finder
      */
     function getFinderEvidence(uint256 caseId, address finder) external view override returns (string memory){
-        require(caseId < nextCaseId, "Case does not exist");
-        return finderEvidence[caseId][finder];
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.finderEvidence[caseId][finder];
+    }
+
+    /**
+     * @notice View the evidence a finder has replaced, oldest first
+     */
+    function getEvidenceHistory(uint256 caseId, address finder) external view override returns (string[] memory) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.evidenceHistory[caseId][finder];
+    }
+
+    /**
+     * @notice Check if a finder has retracted their submission
+     */
+    function isSubmissionWithdrawn(uint256 caseId, address finder) external view override returns (bool) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.submissionWithdrawn[caseId][finder];
+    }
+
+    /**
+     * @notice Check if the owner flagged a finder's submission as spam
+     */
+    function isSubmissionFlagged(uint256 caseId, address finder) external view override returns (bool) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.submissionFlagged[caseId][finder];
+    }
+
+    /**
+     * @notice Get a case's submission stake, submission cap and number of submissions so far
+     */
+    function getSubmissionRules(uint256 caseId) external view override returns (
+        uint256 stake,
+        uint256 maxSubmissions,
+        uint256 submissionCount
+    ) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        SubmissionRules storage rules = s.submissionRules[caseId];
+        return (rules.stake, rules.maxSubmissions, s.caseFinders[caseId].length);
+    }
+
+    /**
+     * @notice Get the stake a finder has locked in a case
+     */
+    function getLockedStake(uint256 caseId, address finder) external view override returns (uint256) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.lockedStakes[caseId][finder];
+    }
+
+    /**
+     * @notice Get the owner's rejection of a finder's submission
+     */
+    function getRejection(uint256 caseId, address finder) external view override returns (
+        uint8 state,
+        uint8 reasonCode,
+        uint256 contestDeadline,
+        uint256 arbitrationDeadline
+    ) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        Rejection storage r = s.rejections[caseId][finder];
+
+        if (r.contestedAt != 0) {
+            arbitrationDeadline = r.contestedAt + ARBITRATION_TIMEOUT;
+        }
+        return (uint8(r.state), r.reasonCode, r.contestDeadline, arbitrationDeadline);
+    }
+
+    /**
+     * @notice View the structured report submitted by a specific finder
+     * @dev hasReport is false for finders who used submitAsFinder
+     */
+    function getFinderReport(uint256 caseId, address finder) external view override returns (
+        bool hasReport,
+        bytes32 photoHash,
+        string memory geohash,
+        uint64 sightedAt,
+        string memory contactHint
+    ) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        FinderReport storage r = s.finderReports[caseId][finder];
+
+        return (r.photoHash != bytes32(0), r.photoHash, r.geohash, r.sightedAt, r.contactHint);
     }
 
     /**
      * @notice Get full case details (higher gas)
-     * @dev Returns the case status as enum value (0=Active, 1=Resolved, 2=Cancelled, 3=Expired)
+     * @dev Returns the case status as enum value (0=Active, 1=Resolved, 2=Cancelled, 3=Expired, 4=PendingResolution)
      */
     function getCaseFull(uint256 caseId) external view override returns (
         address owner,
@@ -299,9 +843,9 @@ contract LostPet is LostPetInterface{
         uint256 expiresAt,
         uint256 finderCount
     ) {
-        require(caseId < nextCaseId, "Case does not exist");
-        CaseData storage c = cases[caseId];
-        uint256 count = caseFinders[caseId].length;
+        require(caseId < s.nextCaseId, "Case does not exist");
+        CaseData storage c = s.cases[caseId];
+        uint256 count = s.caseFinders[caseId].length;
 
         return (
             c.owner,
@@ -314,69 +858,575 @@ contract LostPet is LostPetInterface{
         );
     }
     
+    /**
+     * @notice Get the descriptive details of a case
+     */
+    function getCaseMetadata(uint256 caseId) external view override returns (PetMetadata memory) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.caseMetadata[caseId];
+    }
+    
     /**
      * @notice Get total ETH held in escrow
-     * @return total Total amount of ETH held for all active bounties
+     * @return total Total amount of ETH held for all active bounties (token bounties are not included)
      */
     function getTotalEscrow() external view override returns (uint256 total) {
-        for (uint256 i = 0; i < nextCaseId; i++) {
-            if (cases[i].status == CaseStatus.Active) {
-                total += cases[i].bounty;
-            }
-        }
+        return s.escrowTotals[address(0)];
     }
     
     /**
      * @notice Get escrow for specific case
      */
     function getCaseEscrow(uint256 caseId) external view override returns (uint256) {
-        require(caseId < nextCaseId, "Case does not exist");
+        require(caseId < s.nextCaseId, "Case does not exist");
 
-        if (cases[caseId].status != CaseStatus.Active) {
+        CaseStatus status = s.cases[caseId].status;
+        if (status != CaseStatus.Active && status != CaseStatus.PendingResolution) {
             return 0;
         }
-        return cases[caseId].bounty;
+        return s.cases[caseId].bounty;
     }
     
+    /**
+     * @notice Get the asset a case's bounty is paid in (address(0) for ETH)
+     */
+    function getCaseAsset(uint256 caseId) external view override returns (address) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.cases[caseId].asset;
+    }
+
+    /**
+     * @notice Get escrow, held resolutions and credited withdrawals for one asset
+     * @dev Running totals, so it does not loop over cases
+     */
+    function getAssetTotals(address asset) external view override returns (
+        uint256 escrow,
+        uint256 pendingResolutions,
+        uint256 pendingWithdrawals
+    ) {
+        return (s.escrowTotals[asset], s.pendingResolutionTotals[asset], s.pendingWithdrawalTotals[asset]);
+    }
+
     /**
      * @notice Verify case has sufficient funds
      */
     function isCaseFunded(uint256 caseId) external view override returns (bool) {
-        require(caseId < nextCaseId, "Case does not exist");
-        return address(this).balance >= cases[caseId].bounty;
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return LostPetStorage.balanceOf(s.cases[caseId].asset) >= s.cases[caseId].bounty;
     }
     
     /**
      * @notice Get active cases (unresolved, uncancelled, not expired)
      */
     function getActiveCases() external view override returns (uint256[] memory) {
-        uint256 activeCount = 0;
-        
-        // First pass: count active cases
-        for (uint256 i = 0; i < nextCaseId; i++) {
-            if (cases[i].status == CaseStatus.Active && block.timestamp < cases[i].expiresAt) {
-                activeCount++;
+        return _filterCases(0, s.nextCaseId, uint8(CaseStatus.Active));
+    }
+    
+    /**
+     * @notice Get cases created by a specific owner
+     */
+    function getCasesByOwner(address owner) external view override returns (uint256[] memory) {
+        return s.ownerCases[owner];
+    }
+
+    /**
+     * @notice Get the cases in an ID range that have a given status
+     * @dev Gas is bounded by `count`, unlike getActiveCases(). Returns an empty array when startIndex is out-of-range.
+     */
+    function getCasesPaginated(uint256 startIndex, uint256 count, uint8 statusFilter)
+        external
+        view
+        override
+        returns (uint256[] memory caseIds)
+    {
+        if (startIndex >= s.nextCaseId) {
+            return new uint256[](0);
+        }
+
+        uint256 endIndex = count < s.nextCaseId - startIndex ? startIndex + count : s.nextCaseId;
+        return _filterCases(startIndex, endIndex, statusFilter);
+    }
+
+    /**
+     * @notice Get a page of the cases created by an owner
+     */
+    function getCasesByOwnerPaginated(address owner, uint256 startIndex, uint256 count)
+        external
+        view
+        override
+        returns (uint256[] memory)
+    {
+        return _page(s.ownerCases[owner], startIndex, count);
+    }
+
+    /**
+     * @notice Get a page of the cases an address has submitted to as a finder
+     * @dev Includes submissions that were later withdrawn
+     */
+    function getCasesByFinderPaginated(address finder, uint256 startIndex, uint256 count)
+        external
+        view
+        override
+        returns (uint256[] memory)
+    {
+        return _page(s.finderCases[finder], startIndex, count);
+    }
+
+    /**
+     * @notice Get a page of a finder's submissions with the outcome of each case
+     */
+    function getFinderSubmissions(address finder, uint256 startIndex, uint256 count)
+        external
+        view
+        override
+        returns (
+            uint256[] memory caseIds,
+            uint8[] memory statuses,
+            bool[] memory withdrawn,
+            uint256[] memory paidAmounts
+        )
+    {
+        caseIds = _page(s.finderCases[finder], startIndex, count);
+        statuses = new uint8[](caseIds.length);
+        withdrawn = new bool[](caseIds.length);
+        paidAmounts = new uint256[](caseIds.length);
+
+        for (uint256 i = 0; i < caseIds.length; i++) {
+            uint256 caseId = caseIds[i];
+            statuses[i] = uint8(s.currentStatus(caseId));
+            withdrawn[i] = s.submissionWithdrawn[caseId][finder];
+
+            if (s.resolutions[caseId].state == ResolutionState.Finalized) {
+                Payout[] storage payouts = s.resolutionPayouts[caseId];
+                for (uint256 j = 0; j < payouts.length; j++) {
+                    if (payouts[j].finder == finder) {
+                        paidAmounts[i] = payouts[j].amount;
+                    }
+                }
             }
         }
-        
+    }
+
+    /**
+     * @notice Get the reputation counters of several addresses, e.g. a page from getFindersPaginated
+     */
+    function getFinderStats(address[] calldata finders)
+        external
+        view
+        override
+        returns (
+            uint256[] memory submissions,
+            uint256[] memory chosen,
+            uint256[] memory rejected,
+            uint256[] memory disputesLost
+        )
+    {
+        submissions = new uint256[](finders.length);
+        chosen = new uint256[](finders.length);
+        rejected = new uint256[](finders.length);
+        disputesLost = new uint256[](finders.length);
+
+        for (uint256 i = 0; i < finders.length; i++) {
+            FinderStats storage stats = s.finderStats[finders[i]];
+            submissions[i] = stats.submissions;
+            chosen[i] = stats.chosen;
+            rejected[i] = stats.rejected;
+            disputesLost[i] = stats.disputesLost;
+        }
+    }
+
+    /**
+     * @notice Get the total bounty an address has been credited as a finder
+     */
+    function getTotalEarned(address finder, address asset) external view override returns (uint256) {
+        return s.totalEarned[finder][asset];
+    }
+
+    /**
+     * @notice Get the number of cases in each status
+     */
+    function getCaseCounts() external view override returns (
+        uint256 active,
+        uint256 resolved,
+        uint256 cancelled,
+        uint256 expired,
+        uint256 pendingResolution
+    ) {
+        return (
+            s.statusCounts[CaseStatus.Active],
+            s.statusCounts[CaseStatus.Resolved],
+            s.statusCounts[CaseStatus.Cancelled],
+            s.statusCounts[CaseStatus.Expired],
+            s.statusCounts[CaseStatus.PendingResolution]
+        );
+    }
+
+    /**
+     * @notice Get every contributor of a case and the amount each one added
+     * @dev The owner's own deposits are not included
+     */
+    function getContributions(uint256 caseId) external view override returns (address[] memory contributors, uint256[] memory amounts) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+
+        contributors = s.caseContributors[caseId];
+        amounts = new uint256[](contributors.length);
+        for (uint256 i = 0; i < contributors.length; i++) {
+            amounts[i] = s.contributions[caseId][contributors[i]];
+        }
+    }
+
+    /**
+     * @notice Get the number of sightings logged for a case
+     */
+    function getSightingCount(uint256 caseId) external view override returns (uint256) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.sightings[caseId].length;
+    }
+
+    /**
+     * @notice Get a page of a case's sightings, oldest first
+     * @dev Sighting IDs are positions in the log, so the first entry has ID startIndex
+     */
+    function getSightings(uint256 caseId, uint256 startIndex, uint256 count)
+        external
+        view
+        override
+        returns (
+            address[] memory reporters,
+            uint64[] memory seenAts,
+            string[] memory geohashes,
+            string[] memory notes,
+            uint256[] memory tips
+        )
+    {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        Sighting[] storage log = s.sightings[caseId];
+
+        uint256 length = startIndex < log.length ? log.length - startIndex : 0;
+        if (count < length) {
+            length = count;
+        }
+        reporters = new address[](length);
+        seenAts = new uint64[](length);
+        geohashes = new string[](length);
+        notes = new string[](length);
+        tips = new uint256[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            Sighting storage sighting = log[startIndex + i];
+            reporters[i] = sighting.reporter;
+            seenAts[i] = sighting.seenAt;
+            geohashes[i] = sighting.geohash;
+            notes[i] = sighting.note;
+            tips[i] = sighting.tips;
+        }
+    }
+
+    /**
+     * @notice Get the amount a specific address contributed to a case
+     */
+    function getContribution(uint256 caseId, address contributor) external view override returns (uint256) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        return s.contributions[caseId][contributor];
+    }
+
+    /**
+     * @notice Get the pending resolution proposal of a case
+     * @dev claimDeadline is 0 when there is no proposal
+     */
+    function getProposal(uint256 caseId) external view override returns (
+        address finder,
+        uint256 claimDeadline,
+        bool acknowledged
+    ) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        Proposal storage p = s.proposals[caseId];
+
+        if (p.finder != address(0)) {
+            claimDeadline = p.proposedAt + CLAIM_WINDOW;
+        }
+        return (p.finder, claimDeadline, p.acknowledged);
+    }
+
+    /**
+     * @notice Get the dispute status of a resolved case
+     * @dev State is 0=None, 1=Pending, 2=Disputed, 3=Finalized. Deadlines are 0 when they do not apply
+     */
+    function getResolution(uint256 caseId) external view override returns (
+        uint8 state,
+        uint256 amount,
+        uint256 disputeDeadline,
+        address disputant,
+        uint256 arbitrationDeadline
+    ) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        ResolutionData storage r = s.resolutions[caseId];
+
+        if (r.state != ResolutionState.None) {
+            disputeDeadline = r.requestedAt + DISPUTE_WINDOW;
+        }
+        if (r.disputant != address(0)) {
+            arbitrationDeadline = r.disputedAt + ARBITRATION_TIMEOUT;
+        }
+
+        return (uint8(r.state), r.amount, disputeDeadline, r.disputant, arbitrationDeadline);
+    }
+
+    /**
+     * @notice Get the finders and amounts a resolution pays out
+     * @dev Reflects the arbiter's ruling once a dispute is overturned
+     */
+    function getResolutionPayouts(uint256 caseId) external view override returns (address[] memory finders, uint256[] memory amounts) {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        Payout[] storage payouts = s.resolutionPayouts[caseId];
+
+        finders = new address[](payouts.length);
+        amounts = new uint256[](payouts.length);
+        for (uint256 i = 0; i < payouts.length; i++) {
+            finders[i] = payouts[i].finder;
+            amounts[i] = payouts[i].amount;
+        }
+    }
+
+    /**
+     * @notice Get ETH credited to an account and not yet withdrawn
+     */
+    function pendingWithdrawal(address account) external view override returns (uint256) {
+        return s.withdrawable[account][address(0)];
+    }
+
+    /**
+     * @notice Get tokens credited to an account and not yet withdrawn
+     */
+    function pendingTokenWithdrawal(address account, address token) external view override returns (uint256) {
+        return s.withdrawable[account][token];
+    }
+
+    /**
+     * @notice Get ETH held for resolutions that are not finalized yet
+     */
+    function totalPendingResolutions() external view override returns (uint256) {
+        return s.pendingResolutionTotals[address(0)];
+    }
+
+    /**
+     * @notice Get ETH credited to all accounts and not yet withdrawn
+     */
+    function totalPendingWithdrawals() external view override returns (uint256) {
+        return s.pendingWithdrawalTotals[address(0)];
+    }
+
+    /**
+     * @notice Get ETH locked as submission stakes in all cases
+     */
+    function totalLockedStakes() external view override returns (uint256) {
+        return s.totalLockedStakes;
+    }
+
+    /**
+     * @notice Get the platform fee in basis points
+     */
+    function platformFeeBps() external view override returns (uint256) {
+        return s.platformFeeBps;
+    }
+
+    /**
+     * @notice Get the keeper reward in basis points
+     */
+    function keeperRewardBps() external view override returns (uint256) {
+        return s.keeperRewardBps;
+    }
+
+    /**
+     * @notice Get collected fees of one asset (address(0) for ETH) not yet withdrawn
+     */
+    function treasuryBalance(address asset) external view override returns (uint256) {
+        return s.treasury[asset];
+    }
+
+    // =============================================
+    // INTERNAL FUNCTIONS
+    // =============================================
+
+    /**
+     * @dev Revert unless the caller is the admin
+     */
+    function _checkAdmin() private view {
+        require(msg.sender == admin, "Only admin");
+    }
+
+    /**
+     * @dev Revert while the admin has paused new cases, bounty increases and submissions
+     */
+    function _checkNotPaused() private view {
+        require(!paused, "Contract paused");
+    }
+
+    /**
+     * @dev Check the ETH sent as a new case's bounty
+     */
+    function _ethBounty() private view returns (uint256) {
+        require(msg.value >= MIN_BOUNTY, "Bounty must be at least 0.001 ETH");
+        return msg.value;
+    }
+
+    /**
+     * @dev Check an allow-listed token bounty and pull it from the caller
+     */
+    function _tokenBounty(address token, uint256 amount) private returns (uint256) {
+        uint256 minBounty = tokenMinBounty[token];
+        require(minBounty > 0, "Token not allowed");
+        require(amount >= minBounty, "Bounty below token minimum");
+
+        return _pullToken(token, amount);
+    }
+
+    /**
+     * @dev Length and format checks for case metadata; every field is optional
+     */
+    function _checkMetadata(PetMetadata calldata metadata) private pure {
+        require(bytes(metadata.species).length <= MAX_SPECIES_LENGTH, "Species too long");
+        require(bytes(metadata.description).length <= MAX_DESCRIPTION_LENGTH, "Description too long");
+        require(
+            bytes(metadata.lastSeenGeohash).length == 0 || LostPetStorage.isGeohash(metadata.lastSeenGeohash),
+            "Invalid geohash"
+        );
+    }
+
+    /**
+     * @dev Shared bookkeeping for ETH and token cases; `amount` has already been received
+     */
+    function _createCase(
+        string calldata petName,
+        address asset,
+        uint256 amount,
+        PetMetadata calldata metadata,
+        uint256 duration
+    ) private returns (uint256 caseId) {
+        _checkNotPaused();
+        require(bytes(petName).length > 0, "Pet name cannot be empty");
+
+        caseId = s.nextCaseId;
+        s.nextCaseId++;
+
+        uint256 expiresAt = block.timestamp + duration;
+
+        s.cases[caseId] = CaseData({
+            owner: msg.sender,
+            petName: petName,
+            bounty: amount,
+            asset: asset,
+            status: CaseStatus.Active,
+            createdAt: block.timestamp,
+            expiresAt: expiresAt
+        });
+
+        s.caseMetadata[caseId] = metadata;
+
+        s.ownerCases[msg.sender].push(caseId);
+        s.statusCounts[CaseStatus.Active]++;
+        s.escrowTotals[asset] += amount;
+
+        emit CaseCreated(caseId, msg.sender, petName, amount, asset, expiresAt, metadata);
+    }
+
+    /**
+     * @dev Case IDs in [startIndex, endIndex) whose status matches. Cases past
+     *      their deadline count as Expired, as in getActiveCases()
+     */
+    function _filterCases(uint256 startIndex, uint256 endIndex, uint8 statusFilter) private view returns (uint256[] memory caseIds) {
+        // First pass: count matching cases
+        uint256 matchCount = 0;
+        for (uint256 i = startIndex; i < endIndex; i++) {
+            if (_hasStatus(i, statusFilter)) {
+                matchCount++;
+            }
+        }
+
         // Second pass: populate array
-        uint256[] memory activeCases = new uint256[](activeCount);
+        caseIds = new uint256[](matchCount);
         uint256 currentIndex = 0;
-        
-        for (uint256 i = 0; i < nextCaseId; i++) {
-            if (cases[i].status == CaseStatus.Active && block.timestamp < cases[i].expiresAt) {
-                activeCases[currentIndex] = i;
+        for (uint256 i = startIndex; i < endIndex; i++) {
+            if (_hasStatus(i, statusFilter)) {
+                caseIds[currentIndex] = i;
                 currentIndex++;
             }
         }
-        
-        return activeCases;
     }
-    
+
+    function _hasStatus(uint256 caseId, uint8 statusFilter) private view returns (bool) {
+        return statusFilter == ANY_STATUS || uint8(s.currentStatus(caseId)) == statusFilter;
+    }
+
     /**
-     * @notice Get cases created by a specific owner
+     * @dev Copy list[startIndex..startIndex+count) to memory, clamped to the list length
      */
-    function getCasesByOwner(address owner) external view override returns (uint256[] memory) {
-        return ownerCases[owner];
+    function _page(uint256[] storage list, uint256 startIndex, uint256 count) private view returns (uint256[] memory page) {
+        uint256 length = list.length;
+        if (startIndex >= length) {
+            return new uint256[](0);
+        }
+
+        uint256 endIndex = count < length - startIndex ? startIndex + count : length;
+        page = new uint256[](endIndex - startIndex);
+        for (uint256 i = startIndex; i < endIndex; i++) {
+            page[i - startIndex] = list[i];
+        }
+    }
+
+    /**
+     * @dev Clear the caller's credited balance of `asset` and return it
+     */
+    function _takeWithdrawal(address asset) private returns (uint256 amount) {
+        amount = s.withdrawable[msg.sender][asset];
+        require(amount > 0, "No funds to withdraw");
+
+        s.withdrawable[msg.sender][asset] = 0;
+        s.pendingWithdrawalTotals[asset] -= amount;
+    }
+
+    /**
+     * @dev transferFrom the caller and return the amount actually received
+     */
+    function _pullToken(address token, uint256 amount) private returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        _callToken(token, abi.encodeWithSelector(IERC20.transferFrom.selector, msg.sender, address(this), amount));
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+
+    /**
+     * @dev transfer tokens from this contract
+     */
+    function _safeTransfer(address token, address to, uint256 amount) private {
+        _callToken(token, abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+    }
+
+    /**
+     * @dev Call a token and revert unless it succeeds and returns true or nothing,
+     *      so tokens that do not return a bool (e.g. USDT) are also supported
+     */
+    function _callToken(address token, bytes memory data) private {
+        (bool success, bytes memory result) = token.call(data);
+        require(success && (result.length == 0 || abi.decode(result, (bool))), "Token transfer failed");
+    }
+
+    /**
+     * @dev Split a refund between the contributors and the owner in proportion
+     *      to what each put in. `funded` is the bounty the refund is taken from;
+     *      the owner receives their own share plus the rounding dust
+     */
+    function _refundFunders(uint256 caseId, uint256 refundAmount, uint256 funded) private {
+        s.escrowTotals[s.cases[caseId].asset] -= funded;
+
+        address[] storage contributors = s.caseContributors[caseId];
+        uint256 refunded = 0;
+
+        for (uint256 i = 0; i < contributors.length; i++) {
+            uint256 share = (refundAmount * s.contributions[caseId][contributors[i]]) / funded;
+            refunded += share;
+            s.credit(contributors[i], caseId, share);
+        }
+
+        s.credit(s.cases[caseId].owner, caseId, refundAmount - refunded);
     }
 }
\ No newline at end of file
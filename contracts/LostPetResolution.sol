@@ -0,0 +1,469 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./LostPetStorage.sol";
+
+/**
+ * @title LostPetResolution
+ * @notice Resolution and dispute logic of LostPet, deployed as a linked library
+ *         to keep LostPet under the 24 KB contract size limit
+ * @dev LostPet forwards each call with its state; library calls run with
+ *      LostPet's storage, balance and msg.sender
+ */
+library LostPetResolution {
+    using LostPetStorage for LostPetState;
+
+    // Same signatures as the LostPetInterface events, so logs emitted here
+    // through LostPet decode with LostPet's ABI
+    event CaseResolved(uint256 indexed caseId, address indexed finder, uint256 bountyAmount);
+    event BountySplitPaid(uint256 indexed caseId, address indexed finder, uint256 shareBps, uint256 amount);
+    event CaseResolvedSplit(uint256 indexed caseId, uint256 bountyAmount, uint256 payoutCount);
+    event DisputeOpened(uint256 indexed caseId, address indexed disputant, string reason, uint256 arbitrationDeadline);
+    event DisputeRuled(uint256 indexed caseId, address indexed arbiter, bool upheld, address finder, uint256 amount);
+    event ResolutionFinalized(uint256 indexed caseId, uint256 amount);
+    event ResolutionPending(uint256 indexed caseId, uint256 amount, uint256 disputeDeadline);
+    event SubmissionRejected(uint256 indexed caseId, address indexed finder, uint8 reasonCode, uint256 contestDeadline);
+    event RejectionContested(uint256 indexed caseId, address indexed finder, string reason, uint256 arbitrationDeadline);
+    event RejectionRuled(uint256 indexed caseId, address indexed arbiter, address indexed finder, bool upheld);
+    event SubmissionFlagged(uint256 indexed caseId, address indexed finder, uint256 stake);
+    event PlatformFeeCharged(uint256 indexed caseId, uint256 amount);
+    event ResolutionProposed(uint256 indexed caseId, address indexed finder, uint256 claimDeadline);
+    event ResolutionConfirmed(uint256 indexed caseId, address indexed finder, bool acknowledged);
+    event ResolutionProposalWithdrawn(uint256 indexed caseId, address indexed finder);
+
+    // =============================================
+    // RESOLUTION FUNCTIONS
+    // =============================================
+
+    /**
+     * @notice Resolve case and pay bounty to a finder
+     * @dev Only case owner can call this function
+     * @dev Case must exist for minimum time before resolution
+     * @dev The platform fee goes to the treasury; the rest is held for DISPUTE_WINDOW,
+     *      then credited to the finder with finalizeResolution()
+     */
+    function resolveCase(LostPetState storage s, uint256 caseId, uint256 finderIndex) external {
+        _resolve(s, caseId, _checkResolvable(s, caseId, finderIndex));
+    }
+
+    /**
+     * @notice Propose a finder; the case is resolved once they confirm the handover
+     * @dev Same rules as resolveCase. The case is PendingResolution until the finder confirms,
+     *      CLAIM_WINDOW passes, or the owner withdraws the proposal
+     */
+    function proposeResolution(LostPetState storage s, uint256 caseId, uint256 finderIndex) external {
+        address finder = _checkResolvable(s, caseId, finderIndex);
+
+        s.proposals[caseId] = Proposal(finder, block.timestamp, false);
+        s.setStatus(s.cases[caseId], CaseStatus.PendingResolution);
+
+        emit ResolutionProposed(caseId, finder, block.timestamp + LostPetStorage.CLAIM_WINDOW);
+    }
+
+    /**
+     * @notice Resolve a proposed case to its proposed finder
+     * @dev The proposed finder can confirm at any time; anyone can finalize once CLAIM_WINDOW is over
+     * @dev Expiry waits for the proposal, so this works even past the case deadline
+     * @dev The resolution then follows resolveCase: platform fee, DISPUTE_WINDOW, finalizeResolution()
+     */
+    function confirmResolution(LostPetState storage s, uint256 caseId) external {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        require(s.cases[caseId].status == CaseStatus.PendingResolution, "No pending proposal");
+
+        Proposal storage p = s.proposals[caseId];
+        bool acknowledged = msg.sender == p.finder;
+        require(acknowledged || block.timestamp >= p.proposedAt + LostPetStorage.CLAIM_WINDOW, "Claim window still open");
+
+        p.acknowledged = acknowledged;
+        emit ResolutionConfirmed(caseId, p.finder, acknowledged);
+
+        _resolve(s, caseId, p.finder);
+    }
+
+    /**
+     * @notice Take back a proposal the finder has not confirmed, reopening the case
+     * @dev Only case owner can call this function, before CLAIM_WINDOW is over
+     * @dev If the case deadline passed while the proposal was pending, the case reopens as expired
+     */
+    function withdrawProposal(LostPetState storage s, uint256 caseId) external {
+        CaseData storage c = s.cases[caseId];
+
+        require(msg.sender == c.owner, "Only case owner can withdraw proposal");
+        require(c.status == CaseStatus.PendingResolution, "No pending proposal");
+        require(block.timestamp < s.proposals[caseId].proposedAt + LostPetStorage.CLAIM_WINDOW, "Claim window over");
+
+        emit ResolutionProposalWithdrawn(caseId, s.proposals[caseId].finder);
+
+        delete s.proposals[caseId];
+        s.setStatus(c, CaseStatus.Active);
+    }
+
+    /**
+     * @notice Resolve case and split the bounty between several finders
+     * @dev Only case owner can call this function
+     * @dev The platform fee goes to the treasury first; each share is the rest * shareBps / 10000,
+     *      and the rounding dust goes to the first finder listed
+     * @dev Shares are held for DISPUTE_WINDOW, then credited to each finder with finalizeResolution()
+     */
+    function resolveCaseSplit(
+        LostPetState storage s,
+        uint256 caseId,
+        uint256[] calldata finderIndices,
+        uint256[] calldata sharesBps
+    ) external {
+        CaseData storage c = s.cases[caseId];
+
+        require(msg.sender == c.owner, "Only case owner can resolve");
+        require(c.status == CaseStatus.Active, "Case not active");
+        require(block.timestamp < c.expiresAt, "Case expired");
+        require(block.timestamp >= c.createdAt + LostPetStorage.MIN_RESOLVE_TIME, "Case too new to resolve");
+        require(finderIndices.length > 0 && finderIndices.length <= LostPetStorage.MAX_SPLIT_FINDERS, "Invalid number of finders");
+        require(finderIndices.length == sharesBps.length, "Shares length mismatch");
+
+        uint256 totalBps = 0;
+        for (uint256 i = 0; i < finderIndices.length; i++) {
+            require(finderIndices[i] < s.caseFinders[caseId].length, "Invalid finder index");
+            s.checkPayable(caseId, s.caseFinders[caseId][finderIndices[i]]);
+            require(sharesBps[i] > 0, "Share must be greater than zero");
+            for (uint256 j = 0; j < i; j++) {
+                require(finderIndices[j] != finderIndices[i], "Duplicate finder index");
+            }
+            totalBps += sharesBps[i];
+        }
+        require(totalBps == LostPetStorage.BPS_DENOMINATOR, "Shares must add up to 10000 bps");
+
+        // Wallet/Escrow check
+        require(LostPetStorage.balanceOf(c.asset) >= c.bounty, "Insufficient contract balance");
+
+        uint256 bounty = _takeFee(s, caseId, s.closeCase(c, CaseStatus.Resolved));
+
+        // Work out every share first so the rounding dust can go to the first finder
+        uint256[] memory amounts = new uint256[](finderIndices.length);
+        uint256 distributed = 0;
+        for (uint256 i = 0; i < finderIndices.length; i++) {
+            amounts[i] = (bounty * sharesBps[i]) / LostPetStorage.BPS_DENOMINATOR;
+            distributed += amounts[i];
+        }
+        amounts[0] += bounty - distributed;
+
+        // Record each finder's share until the dispute window is over
+        for (uint256 i = 0; i < finderIndices.length; i++) {
+            address finder = s.caseFinders[caseId][finderIndices[i]];
+
+            emit BountySplitPaid(caseId, finder, sharesBps[i], amounts[i]);
+            s.resolutionPayouts[caseId].push(Payout(finder, amounts[i]));
+            s.finderStats[finder].chosen++;
+        }
+
+        emit CaseResolvedSplit(caseId, bounty, finderIndices.length);
+        _holdResolution(s, caseId, bounty);
+    }
+
+    // =============================================
+    // DISPUTE FUNCTIONS
+    // =============================================
+
+    /**
+     * @notice Contest the owner's resolution of a case
+     * @dev Only finders of the case can dispute, within DISPUTE_WINDOW of the resolution
+     */
+    function openDispute(LostPetState storage s, uint256 caseId, string calldata reason) external {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        ResolutionData storage r = s.resolutions[caseId];
+
+        require(r.state == ResolutionState.Pending, "Resolution not pending");
+        require(
+            s.isFinderForCase[caseId][msg.sender] &&
+                !s.submissionWithdrawn[caseId][msg.sender] &&
+                !s.submissionFlagged[caseId][msg.sender] &&
+                !s.isRejected(caseId, msg.sender),
+            "Only finders can dispute"
+        );
+        require(block.timestamp < r.requestedAt + LostPetStorage.DISPUTE_WINDOW, "Dispute window closed");
+        require(bytes(reason).length > 0, "Dispute reason cannot be empty");
+
+        r.state = ResolutionState.Disputed;
+        r.disputant = msg.sender;
+        r.disputedAt = block.timestamp;
+
+        emit DisputeOpened(caseId, msg.sender, reason, block.timestamp + LostPetStorage.ARBITRATION_TIMEOUT);
+    }
+
+    /**
+     * @notice Arbiter keeps the owner's resolution and releases the held payouts
+     */
+    function upholdResolution(LostPetState storage s, uint256 caseId) external {
+        _checkArbitration(s, caseId);
+
+        emit DisputeRuled(caseId, msg.sender, true, address(0), s.resolutions[caseId].amount);
+        _finalizeResolution(s, caseId);
+    }
+
+    /**
+     * @notice Arbiter overturns the owner's resolution and awards the whole bounty to one finder
+     */
+    function overturnResolution(LostPetState storage s, uint256 caseId, uint256 finderIndex) external {
+        _checkArbitration(s, caseId);
+        require(finderIndex < s.caseFinders[caseId].length, "Invalid finder index");
+
+        address finder = s.caseFinders[caseId][finderIndex];
+        s.checkPayable(caseId, finder);
+        uint256 amount = s.resolutions[caseId].amount;
+
+        // Every finder the owner chose loses the dispute, unless the arbiter picks them again
+        Payout[] storage payouts = s.resolutionPayouts[caseId];
+        bool alreadyChosen = false;
+        for (uint256 i = 0; i < payouts.length; i++) {
+            if (payouts[i].finder == finder) {
+                alreadyChosen = true;
+            } else {
+                s.finderStats[payouts[i].finder].disputesLost++;
+            }
+        }
+        if (!alreadyChosen) {
+            s.finderStats[finder].chosen++;
+        }
+
+        delete s.resolutionPayouts[caseId];
+        s.resolutionPayouts[caseId].push(Payout(finder, amount));
+
+        emit DisputeRuled(caseId, msg.sender, false, finder, amount);
+        _finalizeResolution(s, caseId);
+    }
+
+    /**
+     * @notice Release held payouts once nobody can dispute or rule any more
+     * @dev Undisputed: after DISPUTE_WINDOW. Disputed but not ruled: after ARBITRATION_TIMEOUT,
+     *      in which case the owner's resolution stands
+     */
+    function finalizeResolution(LostPetState storage s, uint256 caseId) external {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        ResolutionData storage r = s.resolutions[caseId];
+
+        if (r.state == ResolutionState.Pending) {
+            require(block.timestamp >= r.requestedAt + LostPetStorage.DISPUTE_WINDOW, "Dispute window still open");
+        } else if (r.state == ResolutionState.Disputed) {
+            require(block.timestamp >= r.disputedAt + LostPetStorage.ARBITRATION_TIMEOUT, "Arbitration still in progress");
+        } else {
+            revert("Resolution not pending");
+        }
+
+        _finalizeResolution(s, caseId);
+    }
+
+    // =============================================
+    // REJECTION FUNCTIONS
+    // =============================================
+
+    /**
+     * @notice Case owner rejects a submission so it no longer blocks cancelCase
+     * @dev The finder can contest for REJECTION_CONTEST_PERIOD; until then the case cannot be cancelled
+     */
+    function rejectSubmission(LostPetState storage s, uint256 caseId, uint256 finderIndex, uint8 reasonCode) external {
+        require(msg.sender == s.cases[caseId].owner, "Only case owner can reject");
+        require(reasonCode < LostPetStorage.REJECTION_REASON_COUNT, "Invalid reason code");
+
+        _reject(s, caseId, finderIndex, reasonCode);
+    }
+
+    /**
+     * @notice Case owner flags a submission as spam
+     * @dev A flag is a rejection with SPAM_REASON, so the finder can contest it like any other.
+     *      Their stake stays locked until the flag stands (see LostPetSubmissions.claimFlaggedStake)
+     */
+    function flagSubmission(LostPetState storage s, uint256 caseId, uint256 finderIndex) external {
+        require(msg.sender == s.cases[caseId].owner, "Only case owner can flag");
+
+        address finder = _reject(s, caseId, finderIndex, LostPetStorage.SPAM_REASON);
+        s.submissionFlagged[caseId][finder] = true;
+
+        emit SubmissionFlagged(caseId, finder, s.lockedStakes[caseId][finder]);
+    }
+
+    /**
+     * @notice Rejected or flagged finder asks an arbiter to reinstate their submission
+     * @dev Only within REJECTION_CONTEST_PERIOD; an arbiter has ARBITRATION_TIMEOUT to rule,
+     *      after which the rejection stands
+     */
+    function contestRejection(LostPetState storage s, uint256 caseId, string calldata reason) external {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        require(s.cases[caseId].status == CaseStatus.Active, "Case not active");
+
+        Rejection storage r = s.rejections[caseId][msg.sender];
+        require(r.state == RejectionState.Rejected, "No rejection to contest");
+        require(block.timestamp < r.contestDeadline, "Contest period over");
+        require(bytes(reason).length > 0, "Contest reason cannot be empty");
+
+        r.state = RejectionState.Contested;
+        r.contestedAt = block.timestamp;
+        s.lockCancel(caseId, block.timestamp + LostPetStorage.ARBITRATION_TIMEOUT);
+
+        emit RejectionContested(caseId, msg.sender, reason, block.timestamp + LostPetStorage.ARBITRATION_TIMEOUT);
+    }
+
+    /**
+     * @notice Arbiter upholds a contested rejection or reinstates the submission
+     * @dev Once every rejection of the case has been ruled on, cancelCase no longer waits for them
+     */
+    function ruleOnRejection(LostPetState storage s, uint256 caseId, uint256 finderIndex, bool uphold) external {
+        require(s.isArbiter[msg.sender], "Only arbiter");
+        require(caseId < s.nextCaseId, "Case does not exist");
+        require(s.cases[caseId].status == CaseStatus.Active, "Case not active");
+        require(finderIndex < s.caseFinders[caseId].length, "Invalid finder index");
+        require(
+            msg.sender != s.cases[caseId].owner && !s.isFinderForCase[caseId][msg.sender],
+            "Arbiter is a party to the case"
+        );
+
+        address finder = s.caseFinders[caseId][finderIndex];
+        Rejection storage r = s.rejections[caseId][finder];
+        require(r.state == RejectionState.Contested, "No contested rejection");
+        require(block.timestamp < r.contestedAt + LostPetStorage.ARBITRATION_TIMEOUT, "Arbitration period over");
+
+        if (uphold) {
+            r.state = RejectionState.Upheld;
+        } else {
+            r.state = RejectionState.Reinstated;
+            s.inactiveFinderCount[caseId]--;
+            s.finderStats[finder].rejected--;
+            delete s.submissionFlagged[caseId][finder];
+        }
+
+        s.openRejections[caseId]--;
+        if (s.openRejections[caseId] == 0) {
+            // Nothing is left to contest or rule on
+            delete s.cancelLockedUntil[caseId];
+        }
+
+        emit RejectionRuled(caseId, msg.sender, finder, uphold);
+    }
+
+    // =============================================
+    // INTERNAL FUNCTIONS
+    // =============================================
+
+    /**
+     * @dev Checks and bookkeeping shared by rejectSubmission and flagSubmission; returns the rejected finder
+     */
+    function _reject(LostPetState storage s, uint256 caseId, uint256 finderIndex, uint8 reasonCode) private returns (address finder) {
+        CaseData storage c = s.cases[caseId];
+
+        require(c.status == CaseStatus.Active, "Case not active");
+        require(block.timestamp < c.expiresAt, "Case expired");
+        require(finderIndex < s.caseFinders[caseId].length, "Invalid finder index");
+
+        finder = s.caseFinders[caseId][finderIndex];
+        require(!s.submissionWithdrawn[caseId][finder], "Submission withdrawn");
+        require(!s.submissionFlagged[caseId][finder], "Submission flagged as spam");
+        require(s.rejections[caseId][finder].state == RejectionState.None, "Submission already rejected");
+
+        uint256 contestDeadline = block.timestamp + LostPetStorage.REJECTION_CONTEST_PERIOD;
+        s.rejections[caseId][finder] = Rejection(RejectionState.Rejected, reasonCode, contestDeadline, 0);
+        s.inactiveFinderCount[caseId]++;
+        s.openRejections[caseId]++;
+        s.finderStats[finder].rejected++;
+        s.lockCancel(caseId, contestDeadline);
+
+        emit SubmissionRejected(caseId, finder, reasonCode, contestDeadline);
+    }
+
+    /**
+     * @dev Owner checks shared by resolveCase and proposeResolution; returns the chosen finder
+     */
+    function _checkResolvable(LostPetState storage s, uint256 caseId, uint256 finderIndex) private view returns (address finder) {
+        CaseData storage c = s.cases[caseId];
+
+        require(msg.sender == c.owner, "Only case owner can resolve");
+        require(c.status == CaseStatus.Active, "Case not active");
+        require(block.timestamp < c.expiresAt, "Case expired");
+        require(block.timestamp >= c.createdAt + LostPetStorage.MIN_RESOLVE_TIME, "Case too new to resolve");
+        require(finderIndex < s.caseFinders[caseId].length, "Invalid finder index");
+
+        finder = s.caseFinders[caseId][finderIndex];
+        s.checkPayable(caseId, finder);
+    }
+
+    /**
+     * @dev Close a case as resolved to one finder and hold the bounty, after the platform fee,
+     *      until the dispute window is over
+     */
+    function _resolve(LostPetState storage s, uint256 caseId, address finder) private {
+        CaseData storage c = s.cases[caseId];
+
+        // Wallet/Escrow check
+        require(LostPetStorage.balanceOf(c.asset) >= c.bounty, "Insufficient contract balance");
+
+        uint256 bounty = _takeFee(s, caseId, s.closeCase(c, CaseStatus.Resolved));
+
+        emit CaseResolved(caseId, finder, bounty);
+
+        s.resolutionPayouts[caseId].push(Payout(finder, bounty));
+        s.finderStats[finder].chosen++;
+        _holdResolution(s, caseId, bounty);
+    }
+
+    /**
+     * @dev Move the platform fee of a resolved bounty from escrow to the treasury
+     *      and return what is left for the finders
+     */
+    function _takeFee(LostPetState storage s, uint256 caseId, uint256 bounty) private returns (uint256) {
+        uint256 fee = (bounty * s.platformFeeBps) / LostPetStorage.BPS_DENOMINATOR;
+        if (fee == 0) return bounty;
+
+        address asset = s.cases[caseId].asset;
+        s.escrowTotals[asset] -= fee;
+        s.treasury[asset] += fee;
+
+        emit PlatformFeeCharged(caseId, fee);
+        return bounty - fee;
+    }
+
+    /**
+     * @dev Hold a resolved bounty so finders can dispute it
+     */
+    function _holdResolution(LostPetState storage s, uint256 caseId, uint256 amount) private {
+        s.resolutions[caseId] = ResolutionData({
+            state: ResolutionState.Pending,
+            amount: amount,
+            requestedAt: block.timestamp,
+            disputant: address(0),
+            disputedAt: 0
+        });
+        s.escrowTotals[s.cases[caseId].asset] -= amount;
+        s.pendingResolutionTotals[s.cases[caseId].asset] += amount;
+
+        emit ResolutionPending(caseId, amount, block.timestamp + LostPetStorage.DISPUTE_WINDOW);
+    }
+
+    /**
+     * @dev Shared checks for arbiter rulings
+     */
+    function _checkArbitration(LostPetState storage s, uint256 caseId) private view {
+        require(s.isArbiter[msg.sender], "Only arbiter");
+        require(caseId < s.nextCaseId, "Case does not exist");
+        require(s.resolutions[caseId].state == ResolutionState.Disputed, "No open dispute");
+        require(block.timestamp < s.resolutions[caseId].disputedAt + LostPetStorage.ARBITRATION_TIMEOUT, "Arbitration period over");
+        require(
+            msg.sender != s.cases[caseId].owner && !s.isFinderForCase[caseId][msg.sender],
+            "Arbiter is a party to the case"
+        );
+    }
+
+    /**
+     * @dev Credit every held payout and close the resolution
+     */
+    function _finalizeResolution(LostPetState storage s, uint256 caseId) private {
+        ResolutionData storage r = s.resolutions[caseId];
+        r.state = ResolutionState.Finalized;
+        s.pendingResolutionTotals[s.cases[caseId].asset] -= r.amount;
+
+        Payout[] storage payouts = s.resolutionPayouts[caseId];
+        address asset = s.cases[caseId].asset;
+        for (uint256 i = 0; i < payouts.length; i++) {
+            s.totalEarned[payouts[i].finder][asset] += payouts[i].amount;
+            s.credit(payouts[i].finder, caseId, payouts[i].amount);
+        }
+
+        emit ResolutionFinalized(caseId, r.amount);
+    }
+}
@@ -0,0 +1,278 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/LostPetInterface.sol";
+import "../interfaces/IERC20.sol";
+
+// Case status enum. PendingResolution: the owner proposed a finder who has not confirmed yet
+enum CaseStatus { Active, Resolved, Cancelled, Expired, PendingResolution }
+
+// State of the payout after the owner resolves a case
+enum ResolutionState { None, Pending, Disputed, Finalized }
+
+// Owner rejection of a submission; a contested rejection goes to an arbiter
+enum RejectionState { None, Rejected, Contested, Upheld, Reinstated }
+
+// Simple struct - only essential fields
+struct CaseData {
+    address owner;
+    string petName;
+    uint256 bounty;
+    address asset; // ERC-20 token of the bounty, address(0) for ETH
+    CaseStatus status;
+    uint256 createdAt;
+    uint256 expiresAt;
+}
+
+// Payout held until the dispute window or arbitration is over
+struct ResolutionData {
+    ResolutionState state;
+    uint256 amount;
+    uint256 requestedAt;
+    address disputant;
+    uint256 disputedAt;
+}
+
+// Owner's proposed finder, waiting for the finder to confirm the handover
+struct Proposal {
+    address finder;
+    uint256 proposedAt;
+    bool acknowledged; // True once the finder confirmed (false if it finalized after the claim window)
+}
+
+struct Payout {
+    address finder;
+    uint256 amount;
+}
+
+struct Rejection {
+    RejectionState state;
+    uint8 reasonCode;
+    uint256 contestDeadline;
+    uint256 contestedAt;
+}
+
+// Optional anti-spam rules of a case, set by its owner
+struct SubmissionRules {
+    uint256 stake;          // ETH each finder locks when submitting (0 = none)
+    uint256 maxSubmissions; // Most finders the case accepts (0 = no cap)
+}
+
+// Structured finder report - photo content hash, sighting location and time
+struct FinderReport {
+    bytes32 photoHash;
+    string geohash;
+    uint64 sightedAt;
+    string contactHint;
+}
+
+// Reputation counters of an address across every case it submitted to
+struct FinderStats {
+    uint32 submissions;  // Finder submissions made
+    uint32 chosen;       // Times picked by an owner's resolution or awarded by an arbiter
+    uint32 rejected;     // Submissions rejected or flagged as spam (reinstated rejections are taken back)
+    uint32 disputesLost; // Resolutions in their favour that an arbiter overturned
+}
+
+// Sighting of the pet by someone who is not claiming the bounty
+struct Sighting {
+    address reporter;
+    uint64 seenAt;
+    string geohash;
+    string note;
+    uint256 tips; // ETH the owner has tipped the reporter for this sighting
+}
+
+/**
+ * @dev Case state of LostPet. It is kept in one struct so LostPet can hand it
+ *      to the external libraries (e.g. LostPetResolution) that hold the code
+ *      that no longer fits in the contract itself.
+ */
+struct LostPetState {
+    uint256 nextCaseId;
+
+    mapping(uint256 => CaseData) cases;
+    mapping(uint256 => LostPetInterface.PetMetadata) caseMetadata;
+    mapping(address => uint256[]) ownerCases;
+    mapping(address => uint256[]) finderCases;
+    mapping(address => mapping(address => uint256)) totalEarned; // finder => asset => amount
+    mapping(address => FinderStats) finderStats;
+
+    // Running number of cases per stored status
+    mapping(CaseStatus => uint256) statusCounts;
+
+    mapping(uint256 => address[]) caseFinders;
+    mapping(uint256 => mapping(address => bool)) isFinderForCase;
+    mapping(uint256 => mapping(address => string)) finderEvidence;
+    mapping(uint256 => mapping(address => FinderReport)) finderReports;
+
+    // Finder edits - replaced evidence and retracted submissions.
+    // Retracted finders stay in caseFinders so finder indexes never shift.
+    mapping(uint256 => mapping(address => string[])) evidenceHistory;
+    mapping(uint256 => mapping(address => bool)) submissionWithdrawn;
+
+    // Anti-spam - submission stakes and submissions the owner flagged as spam.
+    // A flag is a rejection with SPAM_REASON; flagged finders stay in caseFinders but can no longer be paid.
+    mapping(uint256 => SubmissionRules) submissionRules;
+    mapping(uint256 => mapping(address => uint256)) lockedStakes;
+    mapping(uint256 => mapping(address => bool)) submissionFlagged;
+    uint256 totalLockedStakes;
+
+    // Owner rejections and spam flags. Cancelling waits until no rejection can still be contested
+    // or ruled on. The lock is released early once an arbiter has ruled on every rejection that
+    // was Rejected or Contested
+    mapping(uint256 => mapping(address => Rejection)) rejections;
+    mapping(uint256 => uint256) cancelLockedUntil;
+    mapping(uint256 => uint256) openRejections;
+
+    // Submissions that are withdrawn, flagged or rejected; a case can be cancelled once all of them are
+    mapping(uint256 => uint256) inactiveFinderCount;
+
+    // Sighting log - reports that do not make the reporter a finder
+    mapping(uint256 => Sighting[]) sightings;
+
+    // Community co-funding - ETH added to a case's bounty by non-owners
+    mapping(uint256 => address[]) caseContributors;
+    mapping(uint256 => mapping(address => uint256)) contributions;
+
+    // Two-phase resolutions - the owner proposes, the finder confirms
+    mapping(uint256 => Proposal) proposals;
+
+    // Disputes - resolved bounties are held here until finalized
+    mapping(uint256 => ResolutionData) resolutions;
+    mapping(uint256 => Payout[]) resolutionPayouts;
+
+    // Arbiters rule on disputes
+    mapping(address => bool) isArbiter;
+
+    // Pull payments - ETH and tokens owed to finders and owners, withdrawn with
+    // withdraw() or withdrawToken(). Keyed by account, then asset (address(0) for ETH)
+    mapping(address => mapping(address => uint256)) withdrawable;
+
+    // Per-asset totals, so each asset's balance = escrow + pending resolutions + pending withdrawals
+    // + treasury (+ locked stakes for ETH)
+    mapping(address => uint256) escrowTotals;
+    mapping(address => uint256) pendingResolutionTotals;
+    mapping(address => uint256) pendingWithdrawalTotals;
+
+    // Platform fee - taken from resolved bounties into the treasury, per asset
+    uint256 platformFeeBps;
+    mapping(address => uint256) treasury;
+
+    // Keeper reward - share of an expired bounty paid to whoever processes the expiry
+    uint256 keeperRewardBps;
+}
+
+/**
+ * @title LostPetStorage
+ * @notice Constants and bookkeeping shared by LostPet and its libraries
+ */
+library LostPetStorage {
+    uint256 internal constant MIN_RESOLVE_TIME = 1 days;
+    uint256 internal constant BPS_DENOMINATOR = 10000;
+    uint256 internal constant MAX_SPLIT_FINDERS = 10;
+    uint256 internal constant DISPUTE_WINDOW = 3 days;
+    uint256 internal constant ARBITRATION_TIMEOUT = 7 days;
+    uint256 internal constant REJECTION_CONTEST_PERIOD = 3 days;
+    uint8 internal constant REJECTION_REASON_COUNT = 4;
+    uint8 internal constant SPAM_REASON = 4; // Reason code of a flagSubmission rejection
+    uint256 internal constant MAX_GEOHASH_LENGTH = 12;
+    uint256 internal constant MAX_PLATFORM_FEE_BPS = 1000;
+    uint256 internal constant CLAIM_WINDOW = 7 days;
+
+    // Same signature as LostPetInterface.PaymentCredited
+    event PaymentCredited(address indexed account, uint256 indexed caseId, uint256 amount);
+
+    /**
+     * @dev Move an open case to its final status and return the bounty it held
+     */
+    function closeCase(LostPetState storage s, CaseData storage c, CaseStatus status) internal returns (uint256 bounty) {
+        bounty = c.bounty;
+        c.bounty = 0;
+        setStatus(s, c, status);
+    }
+
+    /**
+     * @dev Change a case's stored status and keep the status counters in step
+     */
+    function setStatus(LostPetState storage s, CaseData storage c, CaseStatus status) internal {
+        s.statusCounts[c.status]--;
+        s.statusCounts[status]++;
+        c.status = status;
+    }
+
+    /**
+     * @dev Credit the case's bounty asset to an account instead of sending it,
+     *      so a recipient that rejects ETH or tokens cannot block resolve, cancel or expiry
+     */
+    function credit(LostPetState storage s, address account, uint256 caseId, uint256 amount) internal {
+        address asset = s.cases[caseId].asset;
+        s.withdrawable[account][asset] += amount;
+        s.pendingWithdrawalTotals[asset] += amount;
+
+        emit PaymentCredited(account, caseId, amount);
+    }
+
+    /**
+     * @dev Revert unless the submission of `finder` can still be paid
+     */
+    function checkPayable(LostPetState storage s, uint256 caseId, address finder) internal view {
+        require(!s.submissionWithdrawn[caseId][finder], "Finder withdrew submission");
+        require(!s.submissionFlagged[caseId][finder], "Submission flagged as spam");
+        require(!isRejected(s, caseId, finder), "Submission rejected");
+    }
+
+    /**
+     * @dev Block cancelCase until `until`, keeping any later lock
+     */
+    function lockCancel(LostPetState storage s, uint256 caseId, uint256 until) internal {
+        if (until > s.cancelLockedUntil[caseId]) {
+            s.cancelLockedUntil[caseId] = until;
+        }
+    }
+
+    /**
+     * @dev True while the owner's rejection of `finder` stands, is contested or was upheld
+     */
+    function isRejected(LostPetState storage s, uint256 caseId, address finder) internal view returns (bool) {
+        RejectionState state = s.rejections[caseId][finder].state;
+        return state != RejectionState.None && state != RejectionState.Reinstated;
+    }
+
+    /**
+     * @dev Stored status, except that an Active case past its deadline is Expired
+     */
+    function currentStatus(LostPetState storage s, uint256 caseId) internal view returns (CaseStatus) {
+        CaseData storage c = s.cases[caseId];
+        if (c.status == CaseStatus.Active && block.timestamp >= c.expiresAt) {
+            return CaseStatus.Expired;
+        }
+        return c.status;
+    }
+
+    /**
+     * @dev True if `value` is 1-12 characters of the geohash base32 alphabet
+     */
+    function isGeohash(string calldata value) internal pure returns (bool) {
+        bytes calldata b = bytes(value);
+        if (b.length == 0 || b.length > MAX_GEOHASH_LENGTH) {
+            return false;
+        }
+        for (uint256 i = 0; i < b.length; i++) {
+            bytes1 ch = b[i];
+            bool isDigit = ch >= "0" && ch <= "9";
+            bool isLetter = ch >= "b" && ch <= "z" && ch != "i" && ch != "l" && ch != "o";
+            if (!isDigit && !isLetter) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @dev Balance of the contract in ETH (asset = address(0)) or a token
+     */
+    function balanceOf(address asset) internal view returns (uint256) {
+        return asset == address(0) ? address(this).balance : IERC20(asset).balanceOf(address(this));
+    }
+}
@@ -0,0 +1,288 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./LostPetStorage.sol";
+
+/**
+ * @title LostPetSubmissions
+ * @notice Finder submission, stake and spam logic of LostPet, deployed as a
+ *         linked library to keep LostPet under the 24 KB contract size limit
+ * @dev Like LostPetResolution, runs with LostPet's storage, balance, msg.sender and msg.value
+ */
+library LostPetSubmissions {
+    using LostPetStorage for LostPetState;
+
+    uint256 internal constant MAX_CONTACT_HINT_LENGTH = 64;
+    uint256 internal constant MAX_SIGHTING_NOTE_LENGTH = 140;
+
+    // Same signatures as the LostPetInterface events, so logs emitted here
+    // through LostPet decode with LostPet's ABI
+    event FinderSubmitted(uint256 indexed caseId, address indexed finder, string evidence);
+    event FinderReportSubmitted(
+        uint256 indexed caseId,
+        address indexed finder,
+        bytes32 photoHash,
+        string geohash,
+        uint64 sightedAt,
+        string contactHint
+    );
+    event EvidenceUpdated(uint256 indexed caseId, address indexed finder, string evidence, uint256 revision);
+    event SubmissionWithdrawn(uint256 indexed caseId, address indexed finder);
+    event SubmissionRulesUpdated(uint256 indexed caseId, uint256 stake, uint256 maxSubmissions);
+    event StakeReturned(uint256 indexed caseId, address indexed finder, uint256 amount);
+    event FlaggedStakeClaimed(uint256 indexed caseId, address indexed finder, uint256 amount);
+    event SightingReported(
+        uint256 indexed caseId,
+        uint256 indexed sightingId,
+        address indexed reporter,
+        string geohash,
+        uint64 seenAt,
+        string note
+    );
+    event SightingTipped(uint256 indexed caseId, uint256 indexed sightingId, address indexed reporter, uint256 amount);
+    event PaymentCredited(address indexed account, uint256 indexed caseId, uint256 amount);
+
+    // =============================================
+    // FINDER FUNCTIONS
+    // =============================================
+
+    /**
+     * @notice Submit yourself as a finder for a case
+     * @dev msg.value must equal the case's submission stake (usually 0)
+     */
+    function submitAsFinder(LostPetState storage s, uint256 caseId, string calldata evidence) external {
+        _addFinder(s, caseId);
+        require(bytes(evidence).length > 0, "Evidence cannot be empty");
+
+        s.finderEvidence[caseId][msg.sender] = evidence;
+
+        emit FinderSubmitted(caseId, msg.sender, evidence);
+    }
+
+    /**
+     * @notice Submit yourself as a finder with a structured report
+     * @dev geohash must use the geohash base32 alphabet (0-9, b-z without a, i, l, o)
+     * @dev sightedAt must not be in the future; contactHint is optional
+     * @dev msg.value must equal the case's submission stake (usually 0)
+     */
+    function submitFinderReport(
+        LostPetState storage s,
+        uint256 caseId,
+        bytes32 photoHash,
+        string calldata geohash,
+        uint64 sightedAt,
+        string calldata contactHint
+    ) external {
+        _addFinder(s, caseId);
+        require(photoHash != bytes32(0), "Photo hash required");
+        require(LostPetStorage.isGeohash(geohash), "Invalid geohash");
+        require(sightedAt > 0 && sightedAt <= block.timestamp, "Invalid sighting time");
+        require(bytes(contactHint).length <= MAX_CONTACT_HINT_LENGTH, "Contact hint too long");
+
+        s.finderReports[caseId][msg.sender] = FinderReport({
+            photoHash: photoHash,
+            geohash: geohash,
+            sightedAt: sightedAt,
+            contactHint: contactHint
+        });
+
+        emit FinderReportSubmitted(caseId, msg.sender, photoHash, geohash, sightedAt, contactHint);
+    }
+
+    /**
+     * @notice Replace the evidence of your finder submission
+     * @dev The previous evidence is kept in evidenceHistory; finders who used
+     *      submitFinderReport start with no text evidence, so nothing is archived
+     */
+    function updateEvidence(LostPetState storage s, uint256 caseId, string calldata evidence) external {
+        _checkOpenSubmission(s, caseId);
+        require(bytes(evidence).length > 0, "Evidence cannot be empty");
+
+        string[] storage history = s.evidenceHistory[caseId][msg.sender];
+        if (bytes(s.finderEvidence[caseId][msg.sender]).length > 0) {
+            history.push(s.finderEvidence[caseId][msg.sender]);
+        }
+        s.finderEvidence[caseId][msg.sender] = evidence;
+
+        emit EvidenceUpdated(caseId, msg.sender, evidence, history.length);
+    }
+
+    /**
+     * @notice Retract your finder submission
+     * @dev The finder keeps their index in caseFinders but can no longer be paid or dispute
+     */
+    function withdrawSubmission(LostPetState storage s, uint256 caseId) external {
+        _checkOpenSubmission(s, caseId);
+
+        s.submissionWithdrawn[caseId][msg.sender] = true;
+        s.inactiveFinderCount[caseId]++;
+
+        emit SubmissionWithdrawn(caseId, msg.sender);
+    }
+
+    /**
+     * @notice Get your submission stake back once the case is no longer active
+     * @dev The stake is credited and claimed with withdraw(); the stake of a flagged submission goes to the owner
+     */
+    function reclaimStake(LostPetState storage s, uint256 caseId) external {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        CaseStatus status = s.currentStatus(caseId);
+        require(status != CaseStatus.Active && status != CaseStatus.PendingResolution, "Case still active");
+        require(!s.submissionFlagged[caseId][msg.sender], "Submission flagged as spam");
+        require(s.lockedStakes[caseId][msg.sender] > 0, "No stake to reclaim");
+
+        uint256 stake = _releaseStake(s, caseId, msg.sender, msg.sender);
+        emit StakeReturned(caseId, msg.sender, stake);
+    }
+
+    // =============================================
+    // SIGHTING FUNCTIONS
+    // =============================================
+
+    /**
+     * @notice Log where and when you saw the pet, without becoming a finder
+     * @dev Sightings are not bounty candidates and do not block cancelCase
+     */
+    function reportSighting(
+        LostPetState storage s,
+        uint256 caseId,
+        string calldata geohash,
+        uint64 seenAt,
+        string calldata note
+    ) external {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        require(s.currentStatus(caseId) == CaseStatus.Active, "Case not active");
+        require(LostPetStorage.isGeohash(geohash), "Invalid geohash");
+        require(seenAt > 0 && seenAt <= block.timestamp, "Invalid sighting time");
+        require(bytes(note).length <= MAX_SIGHTING_NOTE_LENGTH, "Note too long");
+
+        Sighting[] storage log = s.sightings[caseId];
+        log.push(Sighting(msg.sender, seenAt, geohash, note, 0));
+
+        emit SightingReported(caseId, log.length - 1, msg.sender, geohash, seenAt, note);
+    }
+
+    /**
+     * @notice Thank a sighter with the ETH sent, without resolving the case
+     * @dev Only case owner can call this function. The tip is credited and claimed with withdraw()
+     */
+    function tipSighter(LostPetState storage s, uint256 caseId, uint256 sightingId) external {
+        require(msg.sender == s.cases[caseId].owner, "Only case owner can tip");
+        require(sightingId < s.sightings[caseId].length, "Invalid sighting");
+        require(msg.value > 0, "Must send ETH");
+
+        Sighting storage sighting = s.sightings[caseId][sightingId];
+        sighting.tips += msg.value;
+        s.withdrawable[sighting.reporter][address(0)] += msg.value;
+        s.pendingWithdrawalTotals[address(0)] += msg.value;
+
+        emit SightingTipped(caseId, sightingId, sighting.reporter, msg.value);
+        emit PaymentCredited(sighting.reporter, caseId, msg.value);
+    }
+
+    // =============================================
+    // OWNER FUNCTIONS
+    // =============================================
+
+    /**
+     * @notice Set the ETH stake each new finder must lock and the most submissions the case accepts
+     * @dev Only case owner can call this function, while the case is active
+     * @dev Applies to later submissions only; stakes already locked keep their amount
+     */
+    function setSubmissionRules(LostPetState storage s, uint256 caseId, uint256 stake, uint256 maxSubmissions) external {
+        CaseData storage c = s.cases[caseId];
+
+        require(msg.sender == c.owner, "Only case owner can set rules");
+        require(c.status == CaseStatus.Active, "Case not active");
+        require(maxSubmissions == 0 || maxSubmissions >= s.caseFinders[caseId].length, "Cap below current submissions");
+
+        s.submissionRules[caseId] = SubmissionRules(stake, maxSubmissions);
+
+        emit SubmissionRulesUpdated(caseId, stake, maxSubmissions);
+    }
+
+    /**
+     * @notice Take the stake of a finder flagged as spam once the flag stands
+     * @dev Only case owner can call this function. The flag stands once an arbiter upheld it, or once
+     *      the contest period or ARBITRATION_TIMEOUT ran out; the stake is credited and claimed with withdraw()
+     */
+    function claimFlaggedStake(LostPetState storage s, uint256 caseId, uint256 finderIndex) external {
+        require(msg.sender == s.cases[caseId].owner, "Only case owner can claim");
+        require(finderIndex < s.caseFinders[caseId].length, "Invalid finder index");
+
+        address finder = s.caseFinders[caseId][finderIndex];
+        require(s.submissionFlagged[caseId][finder], "Submission not flagged");
+
+        Rejection storage r = s.rejections[caseId][finder];
+        require(
+            r.state == RejectionState.Upheld ||
+                (r.state == RejectionState.Rejected && block.timestamp >= r.contestDeadline) ||
+                (r.state == RejectionState.Contested && block.timestamp >= r.contestedAt + LostPetStorage.ARBITRATION_TIMEOUT),
+            "Flag can still be contested"
+        );
+        require(s.lockedStakes[caseId][finder] > 0, "No stake to claim");
+
+        uint256 stake = _releaseStake(s, caseId, finder, msg.sender);
+        emit FlaggedStakeClaimed(caseId, finder, stake);
+    }
+
+    // =============================================
+    // INTERNAL FUNCTIONS
+    // =============================================
+
+    /**
+     * @dev Shared checks and bookkeeping for both ways of submitting as a finder
+     */
+    function _addFinder(LostPetState storage s, uint256 caseId) private {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        CaseData storage c = s.cases[caseId];
+
+        require(c.status == CaseStatus.Active, "Case not active");
+        require(block.timestamp < c.expiresAt, "Case expired");
+        require(!s.isFinderForCase[caseId][msg.sender], "Already submitted as finder");
+
+        SubmissionRules storage rules = s.submissionRules[caseId];
+        require(rules.maxSubmissions == 0 || s.caseFinders[caseId].length < rules.maxSubmissions, "Submission limit reached");
+        require(msg.value == rules.stake, "Incorrect stake");
+
+        if (msg.value > 0) {
+            s.lockedStakes[caseId][msg.sender] = msg.value;
+            s.totalLockedStakes += msg.value;
+        }
+
+        s.caseFinders[caseId].push(msg.sender);
+        s.isFinderForCase[caseId][msg.sender] = true;
+        s.finderCases[msg.sender].push(caseId);
+        s.finderStats[msg.sender].submissions++;
+    }
+
+    /**
+     * @dev Shared checks for a finder changing their own submission
+     */
+    function _checkOpenSubmission(LostPetState storage s, uint256 caseId) private view {
+        require(caseId < s.nextCaseId, "Case does not exist");
+        CaseData storage c = s.cases[caseId];
+
+        require(c.status == CaseStatus.Active, "Case not active");
+        require(block.timestamp < c.expiresAt, "Case expired");
+        require(s.isFinderForCase[caseId][msg.sender], "Not a finder for this case");
+        require(!s.submissionWithdrawn[caseId][msg.sender], "Submission withdrawn");
+        require(!s.submissionFlagged[caseId][msg.sender], "Submission flagged as spam");
+        require(!s.isRejected(caseId, msg.sender), "Submission rejected");
+    }
+
+    /**
+     * @dev Unlock the stake of `finder` and credit it in ETH to `to`
+     */
+    function _releaseStake(LostPetState storage s, uint256 caseId, address finder, address to) private returns (uint256 stake) {
+        stake = s.lockedStakes[caseId][finder];
+        if (stake == 0) return 0;
+
+        s.lockedStakes[caseId][finder] = 0;
+        s.totalLockedStakes -= stake;
+        s.withdrawable[to][address(0)] += stake;
+        s.pendingWithdrawalTotals[address(0)] += stake;
+
+        emit PaymentCredited(to, caseId, stake);
+    }
+}
@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../../interfaces/IERC20.sol";
+
+/**
+ * @title MockERC20
+ * @notice Test stablecoin with open minting, used for token bounties in tests and local chains
+ */
+contract MockERC20 is IERC20 {
+    string public name;
+    string public symbol;
+    uint8 public immutable decimals;
+
+    mapping(address => uint256) public override balanceOf;
+    mapping(address => mapping(address => uint256)) public override allowance;
+
+    // When set, transfers return false instead of moving tokens
+    bool public failTransfers;
+
+    event Transfer(address indexed from, address indexed to, uint256 amount);
+    event Approval(address indexed owner, address indexed spender, uint256 amount);
+
+    constructor(string memory tokenName, string memory tokenSymbol, uint8 tokenDecimals) {
+        name = tokenName;
+        symbol = tokenSymbol;
+        decimals = tokenDecimals;
+    }
+
+    /**
+     * @notice Create `amount` tokens for `to` (anyone can mint)
+     */
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+
+        emit Transfer(address(0), to, amount);
+    }
+
+    /**
+     * @notice Make transfers return false, to test how failed transfers are handled
+     */
+    function setFailTransfers(bool fail) external {
+        failTransfers = fail;
+    }
+
+    function transfer(address to, uint256 amount) external override returns (bool) {
+        return _transfer(msg.sender, to, amount);
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external override returns (bool) {
+        require(allowance[from][msg.sender] >= amount, "Insufficient allowance");
+        if (failTransfers) {
+            return false;
+        }
+        allowance[from][msg.sender] -= amount;
+        return _transfer(from, to, amount);
+    }
+
+    function approve(address spender, uint256 amount) external override returns (bool) {
+        allowance[msg.sender][spender] = amount;
+
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) private returns (bool) {
+        if (failTransfers) {
+            return false;
+        }
+        require(balanceOf[from] >= amount, "Insufficient balance");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+
+        emit Transfer(from, to, amount);
+        return true;
+    }
+}
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../../interfaces/LostPetInterface.sol";
+
+/**
+ * @title RejectingReceiver
+ * @notice Test helper that takes part in LostPet cases but rejects any ETH sent to it
+ */
+contract RejectingReceiver {
+    LostPetInterface public immutable lostPet;
+
+    constructor(address lostPetAddress) {
+        lostPet = LostPetInterface(lostPetAddress);
+    }
+
+    /**
+     * @notice Create an ETH case owned by this contract, with the default duration and no details
+     */
+    function createCase(string calldata petName) external payable returns (uint256) {
+        LostPetInterface.CaseOptions memory options;
+        return lostPet.createCase{value: msg.value}(petName, options);
+    }
+
+    /**
+     * @notice Cancel a case owned by this contract
+     */
+    function cancelCase(uint256 caseId) external {
+        lostPet.cancelCase(caseId);
+    }
+
+    /**
+     * @notice Withdraw ETH credited to this contract (fails, since ETH is rejected)
+     */
+    function withdraw() external {
+        lostPet.withdraw();
+    }
+
+    /**
+     * @notice Submit this contract as a finder for a case
+     */
+    function submitAsFinder(uint256 caseId, string calldata evidence) external {
+        lostPet.submitAsFinder(caseId, evidence);
+    }
+
+    receive() external payable {
+        revert("ETH not accepted");
+    }
+}
@@ -0,0 +1,573 @@
+// In-memory case database derived from LostPet events.
+// State is rebuilt by replaying the stored events in order, which keeps
+// rollbacks after a reorg trivial: drop the events and replay the rest.
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * @typedef {Object} IndexedEvent
+ * @property {string} name Event name (e.g. "CaseCreated")
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {number} logIndex
+ * @property {string} transactionHash
+ * @property {number} timestamp Block timestamp (seconds)
+ * @property {Object<string, string|Object>} args Event arguments, numbers as decimal strings and booleans as "true"/"false"; struct arguments are nested objects
+ */
+
+/**
+ * @typedef {Object} IndexedCase
+ * @property {number} caseId
+ * @property {string} owner
+ * @property {string} petName
+ * @property {string} bounty Current escrowed bounty in wei (or the token's smallest unit)
+ * @property {string|null} asset Bounty token address, null for ETH
+ * @property {string} status
+ * @property {number} createdAt
+ * @property {number} expiresAt
+ * @property {{species: string, description: string, photoHash: string, lastSeenGeohash: string, microchipHash: string}} metadata Latest PetMetadata
+ * @property {IndexedFinder[]} finders In submission order; withdrawn, flagged and rejected finders keep their place
+ * @property {{stake: string, maxSubmissions: number}} submissionRules Stake in wei and submission cap (0 = none)
+ * @property {IndexedSighting[]} sightings Sighting log, by sighting ID
+ * @property {{contributor: string, amount: string}[]} contributions Non-owner contributions, one entry per contributor
+ * @property {string|null} paidFinder Finder paid by a single-finder resolution
+ * @property {string|null} paidAmount
+ * @property {{finder: string, shareBps: number, amount: string}[]} payouts Shares paid by a split resolution
+ * @property {string} platformFee Fee taken into the treasury when the case was resolved, "0" if none
+ * @property {{keeper: string, amount: string}|null} keeperReward Who processed the expiry and the reward
+ *   they were credited ("0" when the reward is off); null unless the case expired on-chain
+ * @property {{finder: string, claimDeadline: number, acknowledged: boolean|null}|null} proposal
+ *   Finder proposed by the owner; acknowledged is null until the proposal is confirmed
+ * @property {IndexedResolution|null} resolution Dispute status once the case is resolved
+ */
+
+/**
+ * @typedef {Object} IndexedSighting
+ * @property {string} reporter
+ * @property {string} geohash
+ * @property {number} seenAt
+ * @property {string} note
+ * @property {string} tips ETH tipped by the owner, in wei
+ */
+
+/**
+ * @typedef {Object} IndexedFinder
+ * @property {string} finder
+ * @property {string} evidence Current evidence
+ * @property {string[]} history Evidence replaced with updateEvidence, oldest first
+ * @property {Object|null} report {photoHash, geohash, sightedAt, contactHint} for structured reports
+ * @property {boolean} withdrawn True once the finder retracted their submission
+ * @property {boolean} flagged True while the owner's spam flag of the submission stands (cleared when reinstated)
+ * @property {string} stake Stake in wei still locked by the finder
+ * @property {IndexedRejection|null} rejection The owner's rejection of the submission, null if none
+ * @property {number} blockNumber
+ */
+
+/**
+ * @typedef {Object} IndexedRejection
+ * @property {"Rejected"|"Contested"|"Upheld"|"Reinstated"} state
+ * @property {number} reasonCode Owner's reason code (see REJECTION_REASONS in the SDK), 4 for a spam flag
+ * @property {number} contestDeadline
+ * @property {string|null} contestReason Reason given by the finder when contesting
+ */
+
+/**
+ * @typedef {Object} IndexedResolution
+ * @property {"Pending"|"Disputed"|"Finalized"} state
+ * @property {number} disputeDeadline
+ * @property {string|null} disputant
+ * @property {string|null} reason Reason given by the disputant
+ * @property {"Upheld"|"Overturned"|null} ruling Arbiter ruling, null if none (yet)
+ */
+
+class CaseDatabase {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    /** @type {Map<number, IndexedCase>} */
+    this.cases = new Map();
+    /** @type {Map<string, number[]>} */
+    this.ownerCases = new Map();
+    /** @type {Map<string, number[]>} */
+    this.finderCases = new Map();
+    /** @type {Map<string, Set<number>>} Every prefix of a case's last-seen geohash (including "") -> case IDs */
+    this.geohashCases = new Map();
+  }
+
+  /**
+   * Rebuild the database from a full, ordered event list.
+   * @param {IndexedEvent[]} events
+   */
+  rebuild(events) {
+    this.reset();
+    for (const event of events) {
+      this.apply(event);
+    }
+  }
+
+  /**
+   * Apply a single event to the derived state.
+   * @param {IndexedEvent} event
+   */
+  apply(event) {
+    const { args } = event;
+    const caseId = Number(args.caseId);
+
+    switch (event.name) {
+      case "CaseCreated": {
+        const owner = args.owner.toLowerCase();
+        this.cases.set(caseId, {
+          caseId,
+          owner: args.owner,
+          petName: args.petName,
+          bounty: args.bounty,
+          asset: args.asset === ZERO_ADDRESS ? null : args.asset,
+          status: "Active",
+          createdAt: event.timestamp,
+          expiresAt: Number(args.expiresAt),
+          metadata: { ...args.metadata },
+          submissionRules: { stake: "0", maxSubmissions: 0 },
+          finders: [],
+          sightings: [],
+          contributions: [],
+          paidFinder: null,
+          paidAmount: null,
+          payouts: [],
+          platformFee: "0",
+          keeperReward: null,
+          proposal: null,
+          resolution: null
+        });
+        if (!this.ownerCases.has(owner)) {
+          this.ownerCases.set(owner, []);
+        }
+        this.ownerCases.get(owner).push(caseId);
+        this._indexLocation(caseId, "", args.metadata.lastSeenGeohash);
+        break;
+      }
+      case "CaseMetadataUpdated": {
+        const c = this._case(caseId, event);
+        this._indexLocation(caseId, c.metadata.lastSeenGeohash, args.metadata.lastSeenGeohash);
+        c.metadata = { ...args.metadata };
+        break;
+      }
+      case "FinderSubmitted": {
+        const c = this._case(caseId, event);
+        this._addFinderCase(args.finder, caseId);
+        c.finders.push({
+          finder: args.finder,
+          evidence: args.evidence,
+          history: [],
+          report: null,
+          withdrawn: false,
+          flagged: false,
+          stake: c.submissionRules.stake,
+          rejection: null,
+          blockNumber: event.blockNumber
+        });
+        break;
+      }
+      case "FinderReportSubmitted": {
+        const c = this._case(caseId, event);
+        this._addFinderCase(args.finder, caseId);
+        c.finders.push({
+          finder: args.finder,
+          evidence: "",
+          history: [],
+          report: {
+            photoHash: args.photoHash,
+            geohash: args.geohash,
+            sightedAt: Number(args.sightedAt),
+            contactHint: args.contactHint
+          },
+          withdrawn: false,
+          flagged: false,
+          stake: c.submissionRules.stake,
+          rejection: null,
+          blockNumber: event.blockNumber
+        });
+        break;
+      }
+      case "EvidenceUpdated": {
+        const entry = this._finder(caseId, args.finder, event);
+        if (entry.evidence.length > 0) {
+          entry.history.push(entry.evidence);
+        }
+        entry.evidence = args.evidence;
+        break;
+      }
+      case "SubmissionWithdrawn":
+        this._finder(caseId, args.finder, event).withdrawn = true;
+        break;
+      case "SubmissionRulesUpdated":
+        this._case(caseId, event).submissionRules = {
+          stake: args.stake,
+          maxSubmissions: Number(args.maxSubmissions)
+        };
+        break;
+      case "SubmissionFlagged":
+        this._finder(caseId, args.finder, event).flagged = true;
+        break;
+      case "StakeReturned":
+      case "FlaggedStakeClaimed":
+        this._finder(caseId, args.finder, event).stake = "0";
+        break;
+      case "SightingReported":
+        this._case(caseId, event).sightings.push({
+          reporter: args.reporter,
+          geohash: args.geohash,
+          seenAt: Number(args.seenAt),
+          note: args.note,
+          tips: "0"
+        });
+        break;
+      case "SightingTipped": {
+        const sighting = this._case(caseId, event).sightings[Number(args.sightingId)];
+        sighting.tips = (BigInt(sighting.tips) + BigInt(args.amount)).toString();
+        break;
+      }
+      case "SubmissionRejected":
+        this._finder(caseId, args.finder, event).rejection = {
+          state: "Rejected",
+          reasonCode: Number(args.reasonCode),
+          contestDeadline: Number(args.contestDeadline),
+          contestReason: null
+        };
+        break;
+      case "RejectionContested":
+        Object.assign(this._rejection(caseId, args.finder, event), { state: "Contested", contestReason: args.reason });
+        break;
+      case "RejectionRuled": {
+        const upheld = args.upheld === "true";
+        this._rejection(caseId, args.finder, event).state = upheld ? "Upheld" : "Reinstated";
+        if (!upheld) {
+          this._finder(caseId, args.finder, event).flagged = false;
+        }
+        break;
+      }
+      case "IncreaseBounty":
+        this._case(caseId, event).bounty = args.newTotal;
+        break;
+      case "CaseExtended":
+        this._case(caseId, event).expiresAt = Number(args.newExpiresAt);
+        break;
+      case "BountyContributed": {
+        const c = this._case(caseId, event);
+        const entry = c.contributions.find((e) => e.contributor.toLowerCase() === args.contributor.toLowerCase());
+        if (entry) {
+          entry.amount = (BigInt(entry.amount) + BigInt(args.amount)).toString();
+        } else {
+          c.contributions.push({ contributor: args.contributor, amount: args.amount });
+        }
+        c.bounty = args.newTotal;
+        break;
+      }
+      case "CaseResolved": {
+        const c = this._case(caseId, event);
+        c.status = "Resolved";
+        c.bounty = "0";
+        c.paidFinder = args.finder;
+        c.paidAmount = args.bountyAmount;
+        break;
+      }
+      case "BountySplitPaid":
+        this._case(caseId, event).payouts.push({
+          finder: args.finder,
+          shareBps: Number(args.shareBps),
+          amount: args.amount
+        });
+        break;
+      case "PlatformFeeCharged":
+        this._case(caseId, event).platformFee = args.amount;
+        break;
+      case "ResolutionProposed":
+        Object.assign(this._case(caseId, event), {
+          status: "PendingResolution",
+          proposal: { finder: args.finder, claimDeadline: Number(args.claimDeadline), acknowledged: null }
+        });
+        break;
+      case "ResolutionProposalWithdrawn":
+        Object.assign(this._case(caseId, event), { status: "Active", proposal: null });
+        break;
+      case "ResolutionConfirmed":
+        this._proposal(caseId, event).acknowledged = args.acknowledged === "true";
+        break;
+      case "CaseResolvedSplit":
+        this._close(caseId, event, "Resolved");
+        break;
+      case "ResolutionPending":
+        this._case(caseId, event).resolution = {
+          state: "Pending",
+          disputeDeadline: Number(args.disputeDeadline),
+          disputant: null,
+          reason: null,
+          ruling: null
+        };
+        break;
+      case "DisputeOpened":
+        Object.assign(this._resolution(caseId, event), {
+          state: "Disputed",
+          disputant: args.disputant,
+          reason: args.reason
+        });
+        break;
+      case "DisputeRuled": {
+        const c = this._case(caseId, event);
+        const upheld = args.upheld === "true";
+        this._resolution(caseId, event).ruling = upheld ? "Upheld" : "Overturned";
+        if (!upheld) {
+          // The arbiter's award replaces the owner's choice
+          c.paidFinder = args.finder;
+          c.paidAmount = args.amount;
+          c.payouts = [];
+        }
+        break;
+      }
+      case "ResolutionFinalized":
+        this._resolution(caseId, event).state = "Finalized";
+        break;
+      case "CaseCancelled":
+        this._close(caseId, event, "Cancelled");
+        break;
+      case "CaseExpired":
+        this._close(caseId, event, "Expired");
+        this._case(caseId, event).keeperReward = { keeper: args.keeper, amount: args.keeperReward };
+        break;
+      default:
+        // Events that do not change case state (e.g. ExpiryCheckFailed)
+        break;
+    }
+  }
+
+  // =============================================
+  // QUERIES (mirror the contract's view functions)
+  // =============================================
+
+  /**
+   * @param {number} caseId
+   * @returns {IndexedCase|undefined}
+   */
+  getCase(caseId) {
+    return this.cases.get(Number(caseId));
+  }
+
+  /** @returns {number} */
+  getTotalCases() {
+    return this.cases.size;
+  }
+
+  /**
+   * Active, non-expired case IDs, like `getActiveCases()`.
+   * @param {number} now Unix timestamp (seconds) to evaluate expiry against
+   * @returns {number[]}
+   */
+  getActiveCases(now) {
+    const result = [];
+    for (const c of this.cases.values()) {
+      if (c.status === "Active" && now < c.expiresAt) {
+        result.push(c.caseId);
+      }
+    }
+    return result.sort((a, b) => a - b);
+  }
+
+  /**
+   * Case IDs created by an owner, like `getCasesByOwner()`.
+   * @param {string} owner
+   * @returns {number[]}
+   */
+  getCasesByOwner(owner) {
+    return [...(this.ownerCases.get(owner.toLowerCase()) || [])];
+  }
+
+  /**
+   * Case IDs an address submitted to as a finder, in submission order, like
+   * `getCasesByFinderPaginated()`.
+   * @param {string} finder
+   * @returns {number[]}
+   */
+  getCasesByFinder(finder) {
+    return [...(this.finderCases.get(finder.toLowerCase()) || [])];
+  }
+
+  /**
+   * Cases an address submitted to as a finder, in submission order.
+   * @param {string} finder
+   * @returns {IndexedCase[]}
+   */
+  getFinderHistory(finder) {
+    return this.getCasesByFinder(finder).map((caseId) => this.cases.get(caseId));
+  }
+
+  /**
+   * Total credited to a finder by finalized resolutions in one asset, like
+   * `getTotalEarned()`.
+   * @param {string} finder
+   * @param {string|null} [asset] Token address, null for ETH
+   * @returns {string} Total in wei (or the token's smallest unit)
+   */
+  getTotalEarned(finder, asset = null) {
+    const key = asset && asset.toLowerCase();
+    let total = 0n;
+    for (const c of this.getFinderHistory(finder)) {
+      if (c.resolution && c.resolution.state === "Finalized" && (c.asset && c.asset.toLowerCase()) === key) {
+        total += BigInt(this._paidAmount(c, finder));
+      }
+    }
+    return total.toString();
+  }
+
+  /**
+   * Full history of an owner's cases, oldest first.
+   * @param {string} owner
+   * @returns {IndexedCase[]}
+   */
+  getOwnerHistory(owner) {
+    return this.getCasesByOwner(owner).map((caseId) => this.cases.get(caseId));
+  }
+
+  /**
+   * Sum of bounties held for Active and PendingResolution cases in one asset. With no asset this is
+   * the ETH total, like `getTotalEscrow()`.
+   * @param {string|null} [asset] Token address, null for ETH
+   * @returns {string} Total in wei (or the token's smallest unit)
+   */
+  getTotalEscrow(asset = null) {
+    const key = asset && asset.toLowerCase();
+    let total = 0n;
+    for (const c of this.cases.values()) {
+      const open = c.status === "Active" || c.status === "PendingResolution";
+      if (open && (c.asset && c.asset.toLowerCase()) === key) {
+        total += BigInt(c.bounty);
+      }
+    }
+    return total.toString();
+  }
+
+  /**
+   * Active, non-expired cases whose last-seen geohash starts with any of the
+   * prefixes, by case ID. Cases without a location never match.
+   * @param {string[]} prefixes e.g. from geohashPrefixesForRadius()
+   * @param {number} now Unix timestamp (seconds) to evaluate expiry against
+   * @param {number} [startIndex] Offset into the matching cases
+   * @param {number} [count] Maximum number of IDs to return
+   * @returns {number[]}
+   */
+  getActiveCasesByGeohash(prefixes, now, startIndex = 0, count = Infinity) {
+    const matches = new Set();
+    for (const prefix of prefixes) {
+      for (const caseId of this.geohashCases.get(prefix) || []) {
+        const c = this.cases.get(caseId);
+        if (c.status === "Active" && now < c.expiresAt) {
+          matches.add(caseId);
+        }
+      }
+    }
+    return [...matches].sort((a, b) => a - b).slice(startIndex, startIndex + count);
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {string[]} Finder addresses in submission order
+   */
+  getFinders(caseId) {
+    const c = this.getCase(caseId);
+    return c ? c.finders.map((entry) => entry.finder) : [];
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} finder
+   * @returns {string} Evidence, or "" when the address is not a finder
+   */
+  getFinderEvidence(caseId, finder) {
+    const c = this.getCase(caseId);
+    const entry = c && c.finders.find((f) => f.finder.toLowerCase() === finder.toLowerCase());
+    return entry ? entry.evidence : "";
+  }
+
+  _case(caseId, event) {
+    const c = this.cases.get(caseId);
+    if (!c) {
+      throw new Error(`${event.name} for unknown case ${caseId} at block ${event.blockNumber}`);
+    }
+    return c;
+  }
+
+  // Amount the case's resolution pays a finder, "0" if none
+  _paidAmount(c, finder) {
+    const payouts = c.payouts.length > 0 ? c.payouts : [{ finder: c.paidFinder, amount: c.paidAmount }];
+    const payout = payouts.find((p) => p.finder && p.finder.toLowerCase() === finder.toLowerCase());
+    return payout ? payout.amount : "0";
+  }
+
+  _addFinderCase(finder, caseId) {
+    const key = finder.toLowerCase();
+    if (!this.finderCases.has(key)) {
+      this.finderCases.set(key, []);
+    }
+    this.finderCases.get(key).push(caseId);
+  }
+
+  _finder(caseId, finder, event) {
+    const entry = this._case(caseId, event).finders.find((f) => f.finder.toLowerCase() === finder.toLowerCase());
+    if (!entry) {
+      throw new Error(`${event.name} for unknown finder ${finder} of case ${caseId} at block ${event.blockNumber}`);
+    }
+    return entry;
+  }
+
+  _resolution(caseId, event) {
+    const resolution = this._case(caseId, event).resolution;
+    if (!resolution) {
+      throw new Error(`${event.name} for unresolved case ${caseId} at block ${event.blockNumber}`);
+    }
+    return resolution;
+  }
+
+  _proposal(caseId, event) {
+    const { proposal } = this._case(caseId, event);
+    if (!proposal) {
+      throw new Error(`${event.name} for case ${caseId} without a proposal at block ${event.blockNumber}`);
+    }
+    return proposal;
+  }
+
+  _rejection(caseId, finder, event) {
+    const { rejection } = this._finder(caseId, finder, event);
+    if (!rejection) {
+      throw new Error(`${event.name} for unrejected finder ${finder} of case ${caseId} at block ${event.blockNumber}`);
+    }
+    return rejection;
+  }
+
+  // Move a case between geohash buckets when its last-seen location changes
+  _indexLocation(caseId, previous, next) {
+    if (previous) {
+      for (let i = 0; i <= previous.length; i++) {
+        this.geohashCases.get(previous.slice(0, i)).delete(caseId);
+      }
+    }
+    if (next) {
+      for (let i = 0; i <= next.length; i++) {
+        const prefix = next.slice(0, i);
+        if (!this.geohashCases.has(prefix)) {
+          this.geohashCases.set(prefix, new Set());
+        }
+        this.geohashCases.get(prefix).add(caseId);
+      }
+    }
+  }
+
+  _close(caseId, event, status) {
+    const c = this._case(caseId, event);
+    c.status = status;
+    c.bounty = "0";
+  }
+}
+
+module.exports = {
+  CaseDatabase
+};
@@ -0,0 +1,338 @@
+// Event indexer for the LostPet contract.
+// Replays contract logs into a CaseDatabase so dashboards can query cases
+// without the on-chain loops in getActiveCases()/getTotalEscrow().
+
+const { CaseDatabase } = require("./CaseDatabase");
+const { distanceToGeohash, geohashPrefixesForRadius } = require("../sdk/geo");
+const { MemoryStore } = require("./store");
+
+// Events that change case state
+const INDEXED_EVENTS = [
+  "CaseCreated",
+  "CaseMetadataUpdated",
+  "FinderSubmitted",
+  "FinderReportSubmitted",
+  "EvidenceUpdated",
+  "SubmissionWithdrawn",
+  "SubmissionRulesUpdated",
+  "SubmissionFlagged",
+  "StakeReturned",
+  "FlaggedStakeClaimed",
+  "SightingReported",
+  "SightingTipped",
+  "SubmissionRejected",
+  "RejectionContested",
+  "RejectionRuled",
+  "IncreaseBounty",
+  "CaseExtended",
+  "BountyContributed",
+  "CaseResolved",
+  "CaseResolvedSplit",
+  "BountySplitPaid",
+  "PlatformFeeCharged",
+  "ResolutionProposed",
+  "ResolutionProposalWithdrawn",
+  "ResolutionConfirmed",
+  "ResolutionPending",
+  "DisputeOpened",
+  "DisputeRuled",
+  "ResolutionFinalized",
+  "CaseCancelled",
+  "CaseExpired"
+];
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {number} fromBlock First block scanned
+ * @property {number} toBlock Last block scanned
+ * @property {number} eventCount Number of new events indexed
+ * @property {number|null} rolledBackTo Safe block the index was rolled back to, if a reorg was found
+ */
+
+class LostPetIndexer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.contract Deployed truffle-contract instance of LostPet
+   * @param {Object} options.web3 Web3 instance connected to the node
+   * @param {Object} [options.store] MemoryStore (default) or JsonFileStore
+   * @param {number} [options.fromBlock] Block to start indexing from (e.g. the deployment block)
+   * @param {number} [options.confirmations] Blocks to stay behind the head
+   * @param {number} [options.reorgDepth] How many recent blocks are checked for reorgs
+   * @param {number} [options.batchSize] Maximum block range per getPastEvents call
+   */
+  constructor({ contract, web3, store = new MemoryStore(), fromBlock = 0, confirmations = 0, reorgDepth = 12, batchSize = 1000 }) {
+    this.contract = contract;
+    this.web3 = web3;
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+    this.batchSize = batchSize;
+
+    this.state = store.load();
+    this.db = new CaseDatabase();
+    this.db.rebuild(this.state.events);
+  }
+
+  /** @returns {number} Last fully indexed block, or -1 */
+  get lastBlock() {
+    return this.state.lastBlock;
+  }
+
+  /** @returns {number|null} Timestamp of the last indexed block */
+  get lastTimestamp() {
+    const { checkpoints } = this.state;
+    return checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].timestamp : null;
+  }
+
+  /**
+   * Index new blocks up to the head (minus confirmations), rolling back first
+   * if a previously indexed block is no longer on the canonical chain.
+   * @returns {Promise<SyncResult>}
+   */
+  async sync() {
+    const rolledBackTo = await this._handleReorg();
+
+    const head = Number(await this.web3.eth.getBlockNumber());
+    const target = head - this.confirmations;
+    const fromBlock = Math.max(this.state.lastBlock + 1, this.fromBlock);
+    let eventCount = 0;
+
+    for (let start = fromBlock; start <= target; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, target);
+      const logs = await this.contract.getPastEvents("allEvents", { fromBlock: start, toBlock: end });
+      const events = await this._normalize(logs);
+
+      for (const event of events) {
+        this.state.events.push(event);
+        this.db.apply(event);
+        this._addCheckpoint({ number: event.blockNumber, hash: event.blockHash, timestamp: event.timestamp });
+      }
+      eventCount += events.length;
+
+      const block = await this.web3.eth.getBlock(end);
+      this._addCheckpoint({ number: end, hash: block.hash, timestamp: Number(block.timestamp) });
+      this.state.lastBlock = end;
+      this._pruneCheckpoints();
+      this.store.save(this.state);
+    }
+
+    return { fromBlock, toBlock: Math.max(target, this.state.lastBlock), eventCount, rolledBackTo };
+  }
+
+  /**
+   * Drop everything indexed after `safeBlock` and rebuild the database.
+   * @param {number} safeBlock
+   */
+  rollback(safeBlock) {
+    this.state.events = this.state.events.filter((event) => event.blockNumber <= safeBlock);
+    this.state.checkpoints = this.state.checkpoints.filter((cp) => cp.number <= safeBlock);
+    this.state.lastBlock = Math.min(this.state.lastBlock, safeBlock);
+    this.db.rebuild(this.state.events);
+    this.store.save(this.state);
+  }
+
+  // =============================================
+  // QUERIES
+  // =============================================
+
+  /**
+   * Active, non-expired cases as of `now` (defaults to the last indexed block time).
+   * @param {number} [now]
+   * @returns {number[]}
+   */
+  getActiveCases(now = this.lastTimestamp) {
+    return this.db.getActiveCases(now ?? 0);
+  }
+
+  /**
+   * Active cases last seen in any of the geohash cells, one page at a time.
+   * @param {string[]} prefixes
+   * @param {number} [startIndex]
+   * @param {number} [count]
+   * @param {number} [now]
+   * @returns {number[]}
+   */
+  getActiveCasesByGeohash(prefixes, startIndex = 0, count = Infinity, now = this.lastTimestamp) {
+    return this.db.getActiveCasesByGeohash(prefixes, now ?? 0, startIndex, count);
+  }
+
+  /**
+   * Active cases last seen within `radiusMeters` of a point, by case ID, one page at a time.
+   * A case counts when any part of its geohash cell is inside the circle.
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {number} radiusMeters
+   * @param {number} [startIndex]
+   * @param {number} [count]
+   * @param {number} [now]
+   * @returns {number[]}
+   */
+  getActiveCasesNear(latitude, longitude, radiusMeters, startIndex = 0, count = Infinity, now = this.lastTimestamp) {
+    const prefixes = geohashPrefixesForRadius(latitude, longitude, radiusMeters);
+    return this.db.getActiveCasesByGeohash(prefixes, now ?? 0)
+      .filter((caseId) => {
+        const { lastSeenGeohash } = this.db.getCase(caseId).metadata;
+        return distanceToGeohash(latitude, longitude, lastSeenGeohash) <= radiusMeters;
+      })
+      .slice(startIndex, startIndex + count);
+  }
+
+  /**
+   * @param {string} owner
+   * @returns {number[]}
+   */
+  getCasesByOwner(owner) {
+    return this.db.getCasesByOwner(owner);
+  }
+
+  /**
+   * @param {string} finder
+   * @returns {number[]}
+   */
+  getCasesByFinder(finder) {
+    return this.db.getCasesByFinder(finder);
+  }
+
+  /**
+   * @param {string} finder
+   * @returns {Object[]}
+   */
+  getFinderHistory(finder) {
+    return this.db.getFinderHistory(finder);
+  }
+
+  /**
+   * @param {string} finder
+   * @param {string|null} [asset] Token address, null (default) for ETH
+   * @returns {string} Total credited by finalized resolutions
+   */
+  getTotalEarned(finder, asset = null) {
+    return this.db.getTotalEarned(finder, asset);
+  }
+
+  /**
+   * @param {string} owner
+   * @returns {Object[]}
+   */
+  getOwnerHistory(owner) {
+    return this.db.getOwnerHistory(owner);
+  }
+
+  /**
+   * @param {string|null} [asset] Token address, null (default) for ETH
+   * @returns {string} Total escrow in wei (or the token's smallest unit)
+   */
+  getTotalEscrow(asset = null) {
+    return this.db.getTotalEscrow(asset);
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Object|undefined}
+   */
+  getCase(caseId) {
+    return this.db.getCase(caseId);
+  }
+
+  // =============================================
+  // INTERNAL HELPERS
+  // =============================================
+
+  /**
+   * Walk back through the recent checkpoints until one still matches the chain.
+   * @returns {Promise<number|null>} The safe block rolled back to, or null if no reorg
+   */
+  async _handleReorg() {
+    const { checkpoints } = this.state;
+
+    for (let i = checkpoints.length - 1; i >= 0; i--) {
+      const block = await this.web3.eth.getBlock(checkpoints[i].number);
+      if (block && block.hash === checkpoints[i].hash) {
+        if (i === checkpoints.length - 1) {
+          return null;
+        }
+        this.rollback(checkpoints[i].number);
+        return checkpoints[i].number;
+      }
+    }
+
+    if (checkpoints.length === 0) {
+      return null;
+    }
+
+    // Nothing in the window matched: everything older is treated as final
+    const safeBlock = checkpoints[0].number - 1;
+    this.rollback(safeBlock);
+    return safeBlock;
+  }
+
+  async _normalize(logs) {
+    const timestamps = new Map();
+    const events = [];
+
+    for (const log of logs) {
+      if (!INDEXED_EVENTS.includes(log.event)) {
+        continue;
+      }
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.web3.eth.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, Number(block.timestamp));
+      }
+
+      events.push({
+        name: log.event,
+        blockNumber: Number(log.blockNumber),
+        blockHash: log.blockHash,
+        logIndex: Number(log.logIndex),
+        transactionHash: log.transactionHash,
+        timestamp: timestamps.get(log.blockNumber),
+        args: normalizeArgs(log.returnValues || log.args)
+      });
+    }
+
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  _addCheckpoint(checkpoint) {
+    const { checkpoints } = this.state;
+    const last = checkpoints[checkpoints.length - 1];
+    if (last && last.number >= checkpoint.number) {
+      return;
+    }
+    checkpoints.push(checkpoint);
+  }
+
+  _pruneCheckpoints() {
+    const oldest = this.state.lastBlock - this.reorgDepth;
+    const { checkpoints } = this.state;
+    while (checkpoints.length > 1 && checkpoints[0].number < oldest) {
+      checkpoints.shift();
+    }
+  }
+}
+
+// Keep named arguments only and store numbers as decimal strings.
+// Struct arguments (e.g. PetMetadata) become nested objects.
+function normalizeArgs(values) {
+  const args = {};
+  for (const key of Object.keys(values)) {
+    if (/^\d+$/.test(key) || key === "__length__") {
+      continue;
+    }
+    const value = values[key];
+    if (typeof value === "string") {
+      args[key] = value;
+    } else if (Array.isArray(value)) {
+      args[key] = normalizeArgs(value);
+    } else {
+      args[key] = value.toString();
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  LostPetIndexer,
+  INDEXED_EVENTS
+};
@@ -0,0 +1,13 @@
+// Public entry point of the LostPet event indexer.
+
+const { LostPetIndexer, INDEXED_EVENTS } = require("./LostPetIndexer");
+const { CaseDatabase } = require("./CaseDatabase");
+const { MemoryStore, JsonFileStore } = require("./store");
+
+module.exports = {
+  LostPetIndexer,
+  INDEXED_EVENTS,
+  CaseDatabase,
+  MemoryStore,
+  JsonFileStore
+};
@@ -0,0 +1,49 @@
+// Indexer entry point.
+// Runs through `truffle exec` so the node comes from truffle-config.js:
+//
+//   truffle exec indexer/run.js --db data/lostpet-index.json --network development
+//   truffle exec indexer/run.js --interval 15 --network development
+
+const { LostPetIndexer } = require("./LostPetIndexer");
+const { JsonFileStore } = require("./store");
+
+const DEFAULT_DB_PATH = "data/lostpet-index.json";
+
+function readOption(argv, name, fallback) {
+  const index = argv.indexOf(`--${name}`);
+  return index >= 0 && index + 1 < argv.length ? argv[index + 1] : fallback;
+}
+
+module.exports = async function (callback) {
+  try {
+    const LostPet = artifacts.require("LostPet");
+    const indexer = new LostPetIndexer({
+      contract: await LostPet.deployed(),
+      web3,
+      store: new JsonFileStore(readOption(process.argv, "db", DEFAULT_DB_PATH)),
+      fromBlock: Number(readOption(process.argv, "from-block", 0)),
+      confirmations: Number(readOption(process.argv, "confirmations", 0))
+    });
+    const interval = Number(readOption(process.argv, "interval", 0));
+
+    const syncOnce = async () => {
+      const result = await indexer.sync();
+      if (result.rolledBackTo !== null) {
+        console.log(`Reorg detected, rolled back to block ${result.rolledBackTo}`);
+      }
+      console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.eventCount} events, ` +
+        `${indexer.getActiveCases().length} active cases, ${indexer.getTotalEscrow()} wei in escrow`);
+    };
+
+    await syncOnce();
+    if (interval > 0) {
+      // Keep polling; the process is stopped with Ctrl+C
+      setInterval(() => syncOnce().catch((error) => console.error(error.message)), interval * 1000);
+      return;
+    }
+    callback();
+  } catch (error) {
+    console.error(error.message);
+    callback(error);
+  }
+};
@@ -0,0 +1,74 @@
+// Persistence for the indexer.
+// The store only holds raw events and block checkpoints; the case database
+// is derived from them on load.
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {number} number Block number
+ * @property {string} hash Block hash at the time it was indexed
+ * @property {number} timestamp Block timestamp (seconds)
+ */
+
+/**
+ * @typedef {Object} IndexerState
+ * @property {number} lastBlock Last block that was fully indexed (-1 before the first sync)
+ * @property {Checkpoint[]} checkpoints Recent indexed blocks, oldest first, used to detect reorgs
+ * @property {Object[]} events Indexed events in chain order
+ */
+
+function emptyState() {
+  return { lastBlock: -1, checkpoints: [], events: [] };
+}
+
+class MemoryStore {
+  constructor() {
+    this.state = emptyState();
+  }
+
+  /** @returns {IndexerState} */
+  load() {
+    return this.state;
+  }
+
+  /** @param {IndexerState} state */
+  save(state) {
+    this.state = state;
+  }
+}
+
+class JsonFileStore {
+  /**
+   * @param {string} filePath Path of the JSON database file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /** @returns {IndexerState} */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return emptyState();
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+  }
+
+  /**
+   * Write atomically so a crash mid-write never leaves a truncated file.
+   * @param {IndexerState} state
+   */
+  save(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  JsonFileStore,
+  emptyState
+};
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IERC20
+ * @notice The parts of the ERC-20 token standard LostPet uses for token bounties
+ */
+interface IERC20 {
+    /// @notice Balance of `account` in the token's smallest unit
+    function balanceOf(address account) external view returns (uint256);
+
+    /// @notice Send `amount` tokens from the caller to `to`
+    function transfer(address to, uint256 amount) external returns (bool);
+
+    /// @notice Send `amount` tokens from `from` to `to` using the caller's allowance
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+
+    /// @notice Let `spender` move up to `amount` of the caller's tokens
+    function approve(address spender, uint256 amount) external returns (bool);
+
+    /// @notice Tokens `spender` may still move on behalf of `owner`
+    function allowance(address owner, address spender) external view returns (uint256);
+}
@@ -18,6 +18,23 @@ interface LostPetInterface {
         uint256 expiresAt;
     }
 
+    /// @notice Descriptive, non-financial details of a case that the owner can edit
+    struct PetMetadata {
+        string species;         // e.g. "dog", at most 32 bytes
+        string description;     // Breed, colour, markings, at most 256 bytes
+        bytes32 photoHash;      // Content hash of a photo (zero if none)
+        string lastSeenGeohash; // Where the pet was last seen (empty if unknown)
+        bytes32 microchipHash;  // Hash of the microchip ID, so the ID itself stays private (zero if none)
+    }
+
+    /// @notice How createCase sets up a new case; all-zero options give a default ETH case
+    struct CaseOptions {
+        uint256 duration;      // Seconds until the case expires, 0 for DEFAULT_EXPIRY_DAYS
+        PetMetadata metadata;  // Descriptive details, every field optional
+        address asset;         // Allow-listed ERC-20 token, or the zero address for an ETH bounty
+        uint256 amount;        // Token bounty in the token's smallest unit, 0 for ETH (msg.value is the bounty)
+    }
+
     
     // --- Event Headers ---
     // Events defining the signals the contract emits
@@ -26,14 +43,26 @@ interface LostPetInterface {
     /// @param caseId A unique identifier for the case 
     /// @param owner Address of the owner who created the case
     /// @param petName Name of the lost pet
-    /// @param bounty Amount of ETH (in wei) locked as bounty
+    /// @param bounty Amount locked as bounty, in wei or the token's smallest unit
+    /// @param asset Token the bounty is paid in (zero address for ETH)
     /// @param expiresAt Unix timestamp of when the case expires
+    /// @param metadata Species, description, photo, last-seen location and microchip hash
     event CaseCreated(
         uint256 indexed caseId, 
         address indexed owner, 
         string petName,
         uint256 bounty,
-        uint256 expiresAt
+        address asset,
+        uint256 expiresAt,
+        PetMetadata metadata
+    );
+
+    /// @notice Owner edits the descriptive details of a case
+    /// @param caseId The lost pet case ID
+    /// @param metadata The new details (replace the old ones completely)
+    event CaseMetadataUpdated(
+        uint256 indexed caseId,
+        PetMetadata metadata
     );
 
     /// @notice When someone submits as a finder for a case
@@ -46,16 +75,282 @@ interface LostPetInterface {
         string evidence
     );
 
+    /// @notice Someone submits as a finder with a structured report
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the user who submitted the report
+    /// @param photoHash Content hash of the photo (ex: sha256 of the image file)
+    /// @param geohash Geohash of where the pet was seen
+    /// @param sightedAt Unix timestamp of the sighting
+    /// @param contactHint Optional way to reach the finder (ex: "ask at the corner shop")
+    event FinderReportSubmitted(
+        uint256 indexed caseId,
+        address indexed finder,
+        bytes32 photoHash,
+        string geohash,
+        uint64 sightedAt,
+        string contactHint
+    );
+
+    /// @notice A finder replaces the evidence of their submission
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the finder
+    /// @param evidence The new evidence
+    /// @param revision Number of times this finder has updated their evidence
+    event EvidenceUpdated(
+        uint256 indexed caseId,
+        address indexed finder,
+        string evidence,
+        uint256 revision
+    );
+
+    /// @notice Someone logs a sighting of the pet without becoming a finder
+    /// @param caseId The lost pet case ID
+    /// @param sightingId Position of the sighting in the case's log
+    /// @param reporter Address of the person who saw the pet
+    /// @param geohash Geohash of where the pet was seen
+    /// @param seenAt Unix timestamp of the sighting
+    /// @param note Optional free-form note (ex: "heading towards the park")
+    event SightingReported(
+        uint256 indexed caseId,
+        uint256 indexed sightingId,
+        address indexed reporter,
+        string geohash,
+        uint64 seenAt,
+        string note
+    );
+
+    /// @notice Owner tips the reporter of a useful sighting
+    /// @param caseId The lost pet case ID
+    /// @param sightingId Position of the sighting in the case's log
+    /// @param reporter Address credited with the tip
+    /// @param amount Amount of ETH (in wei) tipped
+    event SightingTipped(
+        uint256 indexed caseId,
+        uint256 indexed sightingId,
+        address indexed reporter,
+        uint256 amount
+    );
+
+    /// @notice A finder retracts their submission
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the finder
+    event SubmissionWithdrawn(
+        uint256 indexed caseId,
+        address indexed finder
+    );
+
+    /// @notice Owner sets the submission stake and cap of a case
+    /// @param caseId The lost pet case ID
+    /// @param stake ETH (in wei) each new finder must lock
+    /// @param maxSubmissions Most submissions the case accepts, 0 for no cap
+    event SubmissionRulesUpdated(
+        uint256 indexed caseId,
+        uint256 stake,
+        uint256 maxSubmissions
+    );
+
+    /// @notice Owner flags a submission as spam; SubmissionRejected with reason code 4 is emitted too
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the flagged finder
+    /// @param stake Stake (in wei) held until the flag stands or is reinstated
+    event SubmissionFlagged(
+        uint256 indexed caseId,
+        address indexed finder,
+        uint256 stake
+    );
+
+    /// @notice Owner rejects a finder's submission
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the rejected finder
+    /// @param reasonCode 0 not the pet, 1 insufficient evidence, 2 duplicate, 3 other, 4 spam (flagSubmission)
+    /// @param contestDeadline Unix timestamp until which the finder can contest
+    event SubmissionRejected(
+        uint256 indexed caseId,
+        address indexed finder,
+        uint8 reasonCode,
+        uint256 contestDeadline
+    );
+
+    /// @notice A rejected finder contests the rejection
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the finder
+    /// @param reason Why the rejection is wrong
+    /// @param arbitrationDeadline Unix timestamp until which an arbiter can rule
+    event RejectionContested(
+        uint256 indexed caseId,
+        address indexed finder,
+        string reason,
+        uint256 arbitrationDeadline
+    );
+
+    /// @notice An arbiter rules on a contested rejection
+    /// @param caseId The lost pet case ID
+    /// @param arbiter Address of the arbiter
+    /// @param finder Address of the finder
+    /// @param upheld True if the rejection stands, false if the submission is reinstated
+    event RejectionRuled(
+        uint256 indexed caseId,
+        address indexed arbiter,
+        address indexed finder,
+        bool upheld
+    );
+
+    /// @notice A finder takes back their stake after the case closed
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the finder
+    /// @param amount Stake (in wei) credited to the finder
+    event StakeReturned(
+        uint256 indexed caseId,
+        address indexed finder,
+        uint256 amount
+    );
+
+    /// @notice The owner takes the stake of a finder whose spam flag stands
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the flagged finder
+    /// @param amount Stake (in wei) credited to the owner
+    event FlaggedStakeClaimed(
+        uint256 indexed caseId,
+        address indexed finder,
+        uint256 amount
+    );
+
     /// @notice Owner resolves the case and pays out the bounty 
     /// @param caseId The lost pet case ID
     /// @param finder Address of the finder who received the bounty
-    /// @param bountyAmount Amount of ETH (in wei) paid out as bounty 
+    /// @param bountyAmount Amount of ETH (in wei) credited to the finder as bounty 
     event CaseResolved(
         uint256 indexed caseId, 
         address indexed finder,
         uint256 bountyAmount
     );
 
+    /// @notice Owner proposes a finder, who must confirm the handover
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the proposed finder
+    /// @param claimDeadline Unix timestamp after which anyone can finalize the proposal
+    event ResolutionProposed(
+        uint256 indexed caseId,
+        address indexed finder,
+        uint256 claimDeadline
+    );
+
+    /// @notice A proposal is confirmed and the case resolved to the proposed finder
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the proposed finder
+    /// @param acknowledged True if the finder confirmed the handover, false if it finalized after the claim window
+    event ResolutionConfirmed(
+        uint256 indexed caseId,
+        address indexed finder,
+        bool acknowledged
+    );
+
+    /// @notice Owner withdraws an unconfirmed proposal and the case is Active again
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the finder who was proposed
+    event ResolutionProposalWithdrawn(
+        uint256 indexed caseId,
+        address indexed finder
+    );
+
+    /// @notice Owner resolves the case by splitting the bounty between several finders
+    /// @param caseId The lost pet case ID
+    /// @param bountyAmount Total amount of ETH (in wei) paid out across all finders
+    /// @param payoutCount Number of finders that received a share
+    event CaseResolvedSplit(
+        uint256 indexed caseId,
+        uint256 bountyAmount,
+        uint256 payoutCount
+    );
+
+    /// @notice One finder's share of a split bounty is paid
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of the finder who received the share
+    /// @param shareBps Share of the bounty in basis points (1/100 of a percent)
+    /// @param amount Amount of ETH (in wei) credited to this finder, including any rounding dust
+    event BountySplitPaid(
+        uint256 indexed caseId,
+        address indexed finder,
+        uint256 shareBps,
+        uint256 amount
+    );
+
+    /// @notice A resolved bounty is held while finders can dispute it
+    /// @param caseId The lost pet case ID
+    /// @param amount Amount of ETH (in wei) held for the finders
+    /// @param disputeDeadline Unix timestamp after which the resolution can no longer be disputed
+    event ResolutionPending(
+        uint256 indexed caseId,
+        uint256 amount,
+        uint256 disputeDeadline
+    );
+
+    /// @notice A finder contests the owner's resolution
+    /// @param caseId The lost pet case ID
+    /// @param disputant Address of the finder who opened the dispute
+    /// @param reason Why the finder contests the resolution (ex: link to evidence)
+    /// @param arbitrationDeadline Unix timestamp after which the owner's resolution stands if no arbiter ruled
+    event DisputeOpened(
+        uint256 indexed caseId,
+        address indexed disputant,
+        string reason,
+        uint256 arbitrationDeadline
+    );
+
+    /// @notice An arbiter rules on a dispute
+    /// @param caseId The lost pet case ID
+    /// @param arbiter Address of the arbiter who ruled
+    /// @param upheld True if the owner's resolution stands
+    /// @param finder Finder awarded the whole bounty when overturned, zero address when upheld
+    /// @param amount Amount of ETH (in wei) paid out
+    event DisputeRuled(
+        uint256 indexed caseId,
+        address indexed arbiter,
+        bool upheld,
+        address finder,
+        uint256 amount
+    );
+
+    /// @notice Held payouts of a resolution are credited to the finders
+    /// @param caseId The lost pet case ID
+    /// @param amount Amount of ETH (in wei) credited
+    event ResolutionFinalized(
+        uint256 indexed caseId,
+        uint256 amount
+    );
+
+    /// @notice An arbiter is added or removed
+    /// @param arbiter Address of the arbiter
+    /// @param enabled True if the address can now rule on disputes
+    event ArbiterUpdated(
+        address indexed arbiter,
+        bool enabled
+    );
+
+    /// @notice The admin offers the admin role to another address
+    /// @param currentAdmin Address of the current admin
+    /// @param pendingAdmin Address that can accept the role, address(0) if the offer was withdrawn
+    event AdminTransferStarted(
+        address indexed currentAdmin,
+        address indexed pendingAdmin
+    );
+
+    /// @notice The admin role changes hands (or is first set at deployment)
+    /// @param previousAdmin Address of the previous admin, address(0) at deployment
+    /// @param newAdmin Address of the new admin
+    event AdminTransferred(
+        address indexed previousAdmin,
+        address indexed newAdmin
+    );
+
+    /// @notice The admin pauses new cases, bounty increases and submissions
+    /// @param admin Address of the admin
+    event Paused(address indexed admin);
+
+    /// @notice The admin lifts the pause
+    /// @param admin Address of the admin
+    event Unpaused(address indexed admin);
+
     /// @notice Owner decides to increase the bounty for an existing case
     /// @param caseId The lost pet case ID
     /// @param additionalAmount Additional bounty added
@@ -66,10 +361,32 @@ interface LostPetInterface {
         uint256 newTotal
     );
 
+    /// @notice Someone other than the owner adds ETH to a case's bounty
+    /// @param caseId The lost pet case ID
+    /// @param contributor Address that sent the ETH
+    /// @param amount Amount of ETH (in wei) contributed
+    /// @param newTotal New total bounty amount in wei
+    event BountyContributed(
+        uint256 indexed caseId,
+        address indexed contributor,
+        uint256 amount,
+        uint256 newTotal
+    );
+
+    /// @notice Owner extends the deadline of an open case
+    /// @param caseId The lost pet case ID
+    /// @param extraTime Seconds added to the deadline
+    /// @param newExpiresAt New expiry timestamp
+    event CaseExtended(
+        uint256 indexed caseId,
+        uint256 extraTime,
+        uint256 newExpiresAt
+    );
+
     /// @notice Owner cancel an unresolved case and withdraws the bounty
     /// @param caseId The lost pet case ID
     /// @param owner Address of the pet owner
-    /// @param amount Amount of ETH (in wei) refunded to the owner
+    /// @param amount Amount of ETH (in wei) refunded to the owner and contributors
     event CaseCancelled(
         uint256 indexed caseId, 
         address indexed owner,
@@ -79,13 +396,87 @@ interface LostPetInterface {
     /// @notice Case expires automatically
     /// @param caseId The lost pet case ID
     /// @param owner Address of the pet owner
-    /// @param amount Amount of ETH (in wei) refunded to the owner
+    /// @param amount Amount of ETH (in wei) refunded to the owner and contributors
+    /// @param keeper Address that processed the expiry
+    /// @param keeperReward Part of the bounty credited to the keeper (0 when the reward is off)
     event CaseExpired(
         uint256 indexed caseId, 
         address indexed owner,
+        uint256 amount,
+        address keeper,
+        uint256 keeperReward
+    );
+
+    /// @notice ETH or tokens are credited to an account instead of being sent directly
+    /// @param account Address that can withdraw the funds
+    /// @param caseId The lost pet case ID the funds came from (its bounty asset is the credited asset)
+    /// @param amount Amount credited, in wei or the token's smallest unit
+    event PaymentCredited(
+        address indexed account,
+        uint256 indexed caseId,
+        uint256 amount
+    );
+
+    /// @notice An account withdraws its credited ETH
+    /// @param account Address that withdrew
+    /// @param amount Amount of ETH (in wei) sent to the account
+    event Withdrawal(
+        address indexed account,
+        uint256 amount
+    );
+
+    /// @notice An account withdraws its credited tokens
+    /// @param account Address that withdrew
+    /// @param token Token that was sent
+    /// @param amount Amount of tokens sent to the account
+    event TokenWithdrawal(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
+    /// @notice The platform fee is taken from a resolved bounty into the treasury
+    /// @param caseId The lost pet case ID (its bounty asset is the asset of the fee)
+    /// @param amount Fee amount, in wei or the token's smallest unit
+    event PlatformFeeCharged(
+        uint256 indexed caseId,
+        uint256 amount
+    );
+
+    /// @notice The admin changes the platform fee
+    /// @param previousFeeBps Previous fee in basis points
+    /// @param newFeeBps New fee in basis points
+    event PlatformFeeUpdated(
+        uint256 previousFeeBps,
+        uint256 newFeeBps
+    );
+
+    /// @notice The admin changes the keeper reward
+    /// @param previousRewardBps Previous reward in basis points
+    /// @param newRewardBps New reward in basis points
+    event KeeperRewardUpdated(
+        uint256 previousRewardBps,
+        uint256 newRewardBps
+    );
+
+    /// @notice The admin withdraws collected fees of one asset
+    /// @param asset Token address, or the zero address for ETH
+    /// @param to Address the fees were sent to
+    /// @param amount Amount sent, in wei or the token's smallest unit
+    event TreasuryWithdrawal(
+        address indexed asset,
+        address indexed to,
         uint256 amount
     );
 
+    /// @notice A token is added to or removed from the bounty allow-list
+    /// @param token The ERC-20 token
+    /// @param minBounty Smallest bounty accepted in this token (0 when removed)
+    event TokenAllowed(
+        address indexed token,
+        uint256 minBounty
+    );
+
     /// @notice Expiry check failed for a case
     /// @param caseId The lost pet case ID
     /// @param reason Description of why the check failed
@@ -97,35 +488,285 @@ interface LostPetInterface {
     // --- Function Headers ---
     
     // OWNER-ONLY FUNCTIONS
-    /// @notice Create a lost pet case with bounty
-    /// @dev Only the creator becomes the owner
+    /// @notice Create a lost pet case with an ETH or token bounty
+    /// @dev Only the creator becomes the owner. For a token bounty the caller must first
+    ///      approve this contract to spend `options.amount` and send no ETH
     /// @param petName Name of the lost pet
+    /// @param options Duration (between MIN_CASE_DURATION and MAX_CASE_DURATION, or 0 for the default),
+    ///        metadata, bounty asset and token amount
     /// @return caseId The ID for a new case created
-    function createCase(string calldata petName) external payable returns (uint256 caseId);
+    function createCase(string calldata petName, CaseOptions calldata options) external payable returns (uint256 caseId);
     
     /// @notice Owner can increase the bounty for an open case
     /// @dev Only case owner can call this function
     /// @param caseId The lost pet case ID to increase the bounty for
     function increaseBounty(uint256 caseId) external payable;
+
+    /// @notice Push back the deadline of an open case, optionally adding ETH to the bounty
+    /// @dev Only case owner can call this function, before the case expires.
+    ///      The new deadline can be at most MAX_CASE_DURATION from now
+    /// @param caseId The lost pet case ID
+    /// @param extraTime Seconds to add to the deadline
+    /// @return newExpiresAt The new expiry timestamp
+    function extendCase(uint256 caseId, uint256 extraTime) external payable returns (uint256 newExpiresAt);
+
+    /// @notice Replace the descriptive details of an open case
+    /// @dev Only case owner can call this function. The bounty, asset and expiry cannot be changed here
+    /// @param caseId The lost pet case ID
+    /// @param metadata The new details
+    function updateCaseMetadata(uint256 caseId, PetMetadata calldata metadata) external;
+
+    /// @notice Owner can increase the token bounty for an open case
+    /// @dev Only case owner can call this function. The caller must first approve this contract
+    /// @param caseId The lost pet case ID to increase the bounty for
+    /// @param amount Tokens to add, in the token's smallest unit
+    function increaseTokenBounty(uint256 caseId, uint256 amount) external;
     
     /// @notice Resolve case and pay bounty to a finder
     /// @dev Only case owner can call this function
     /// @param caseId The lost pet case ID
     /// @param finderIndex Index of the finder in the finders array
     function resolveCase(uint256 caseId, uint256 finderIndex) external;
+
+    /// @notice Resolve case and split the bounty between several finders
+    /// @dev Only case owner can call this function. Shares must add up to 10000 bps
+    /// @param caseId The lost pet case ID
+    /// @param finderIndices Indexes of the paid finders in the finders array
+    /// @param sharesBps Share of the bounty for each finder, in basis points
+    function resolveCaseSplit(
+        uint256 caseId,
+        uint256[] calldata finderIndices,
+        uint256[] calldata sharesBps
+    ) external;
+
+    /// @notice Propose a finder; the case is PendingResolution until they confirm the handover
+    /// @dev Only case owner can call this function. Same rules as resolveCase
+    /// @param caseId The lost pet case ID
+    /// @param finderIndex Index of the finder in the finders array
+    function proposeResolution(uint256 caseId, uint256 finderIndex) external;
+
+    /// @notice Resolve a PendingResolution case to the proposed finder
+    /// @dev The proposed finder can call this at any time, anyone else once CLAIM_WINDOW is over.
+    ///      Expiry waits for the proposal, so this works even past the case deadline
+    /// @param caseId The lost pet case ID
+    function confirmResolution(uint256 caseId) external;
+
+    /// @notice Withdraw an unconfirmed proposal and reopen the case
+    /// @dev Only case owner can call this function, before CLAIM_WINDOW is over.
+    ///      If the case deadline passed meanwhile, the case reopens as expired
+    /// @param caseId The lost pet case ID
+    function withdrawProposal(uint256 caseId) external;
     
     /// @notice Cancel case and get refund
     /// @dev Only the owner of the case should be allowed to call this function
     /// @param caseId The lost pet case ID
     function cancelCase(uint256 caseId) external;
+
+    /// @notice Require a stake from new finders and cap the number of submissions
+    /// @dev Only the owner of an active case. The stake is in ETH for every case
+    /// @param caseId The lost pet case ID
+    /// @param stake ETH (in wei) each new finder must send, 0 for none
+    /// @param maxSubmissions Most submissions the case accepts, 0 for no cap
+    function setSubmissionRules(uint256 caseId, uint256 stake, uint256 maxSubmissions) external;
+
+    /// @notice Flag a submission as spam; this rejects it with reason code 4
+    /// @dev Only the owner of an active case. The finder can contest the flag like any rejection,
+    ///      and cancelCase waits for it the same way. Flagged finders cannot be paid
+    /// @param caseId The lost pet case ID
+    /// @param finderIndex Index of the finder in the finders array
+    function flagSubmission(uint256 caseId, uint256 finderIndex) external;
+
+    /// @notice Take the stake of a flagged finder once the flag stands
+    /// @dev Only the case owner. The flag stands once an arbiter upheld it, or once the contest
+    ///      period or arbitration timeout ran out. The stake is credited and claimed with withdraw()
+    /// @param caseId The lost pet case ID
+    /// @param finderIndex Index of the flagged finder in the finders array
+    function claimFlaggedStake(uint256 caseId, uint256 finderIndex) external;
+
+    /// @notice Reject a submission; once every submission is inactive and no rejection can be contested, the case can be cancelled
+    /// @dev Only the owner of an active case. Rejected finders cannot be paid
+    /// @param caseId The lost pet case ID
+    /// @param finderIndex Index of the finder in the finders array
+    /// @param reasonCode 0 not the pet, 1 insufficient evidence, 2 duplicate, 3 other
+    function rejectSubmission(uint256 caseId, uint256 finderIndex, uint8 reasonCode) external;
     
     // PUBLIC FUNCTIONS
     /// @notice Submit yourself as a finder for a case
     /// @param caseId The lost pet case ID
+    /// @dev Send the case's submission stake as msg.value
     /// @param evidence Proof that shows finder found pet (ex: photo link)
-    function submitAsFinder(uint256 caseId, string calldata evidence) external;
+    function submitAsFinder(uint256 caseId, string calldata evidence) external payable;
     
+    /// @notice Submit yourself as a finder with a structured report
+    /// @dev Send the case's submission stake as msg.value
+    /// @param caseId The lost pet case ID
+    /// @param photoHash Content hash of the photo, must not be zero
+    /// @param geohash Geohash of the sighting, 1-12 base32 geohash characters
+    /// @param sightedAt Unix timestamp of the sighting, not in the future
+    /// @param contactHint Optional way to reach the finder, at most 64 bytes
+    function submitFinderReport(
+        uint256 caseId,
+        bytes32 photoHash,
+        string calldata geohash,
+        uint64 sightedAt,
+        string calldata contactHint
+    ) external payable;
+
+    /// @notice Replace the evidence of your finder submission
+    /// @dev The previous evidence is kept in the evidence history
+    /// @param caseId The lost pet case ID
+    /// @param evidence The new evidence
+    function updateEvidence(uint256 caseId, string calldata evidence) external;
+
+    /// @notice Retract your finder submission
+    /// @dev You stay in the finders array so finder indexes do not change, but can no longer be paid
+    /// @param caseId The lost pet case ID
+    function withdrawSubmission(uint256 caseId) external;
+
+    /// @notice Get back your submission stake once the case is resolved, cancelled or expired
+    /// @dev The stake is credited and claimed with withdraw(). A flagged finder's stake goes to the owner instead
+    /// @param caseId The lost pet case ID
+    function reclaimStake(uint256 caseId) external;
+
+    /// @notice Log a sighting of the pet without becoming a finder
+    /// @dev Sightings cannot be paid the bounty and do not block cancelCase
+    /// @param caseId The lost pet case ID
+    /// @param geohash Geohash of the sighting, 1-12 base32 geohash characters
+    /// @param seenAt Unix timestamp of the sighting, not in the future
+    /// @param note Optional note, at most 140 bytes
+    function reportSighting(
+        uint256 caseId,
+        string calldata geohash,
+        uint64 seenAt,
+        string calldata note
+    ) external;
+
+    /// @notice Tip the reporter of a sighting with the ETH sent
+    /// @dev Only the owner of the case can call this function. The tip is credited and claimed with withdraw()
+    /// @param caseId The lost pet case ID
+    /// @param sightingId Position of the sighting in the case's log
+    function tipSighter(uint256 caseId, uint256 sightingId) external payable;
+
+    /// @notice Add ETH to the bounty of a case you do not own
+    /// @dev Refunded pro rata with the owner's deposit if the case is cancelled or expires
+    /// @param caseId The lost pet case ID
+    function contributeToBounty(uint256 caseId) external payable;
+
+    /// @notice Withdraw all ETH credited to the caller by resolve, cancel or expiry
+    function withdraw() external;
+
+    /// @notice Withdraw all tokens of one kind credited to the caller
+    /// @param token The token to withdraw
+    function withdrawToken(address token) external;
+
+    // DISPUTE FUNCTIONS
+    /// @notice Contest the owner's resolution of a case
+    /// @dev Only finders of the case, within the dispute window
+    /// @param caseId The lost pet case ID
+    /// @param reason Why the finder contests the resolution
+    function openDispute(uint256 caseId, string calldata reason) external;
+
+    /// @notice Keep the owner's resolution and release the held payouts
+    /// @dev Only an arbiter who is not the owner or a finder of the case
+    /// @param caseId The lost pet case ID
+    function upholdResolution(uint256 caseId) external;
+
+    /// @notice Overturn the owner's resolution and award the whole bounty to one finder
+    /// @dev Only an arbiter who is not the owner or a finder of the case
+    /// @param caseId The lost pet case ID
+    /// @param finderIndex Index of the awarded finder in the finders array
+    function overturnResolution(uint256 caseId, uint256 finderIndex) external;
+
+    /// @notice Release held payouts once the dispute window or arbitration timeout has passed
+    /// @param caseId The lost pet case ID
+    function finalizeResolution(uint256 caseId) external;
+
+    /// @notice Contest the owner's rejection or spam flag of your submission
+    /// @dev Only within the contest period of the rejection
+    /// @param caseId The lost pet case ID
+    /// @param reason Why the rejection is wrong, must not be empty
+    function contestRejection(uint256 caseId, string calldata reason) external;
+
+    /// @notice Rule on a contested rejection (arbiters only)
+    /// @param caseId The lost pet case ID
+    /// @param finderIndex Index of the finder who contested
+    /// @param uphold True to keep the rejection, false to reinstate the submission (which also clears a spam flag)
+    function ruleOnRejection(uint256 caseId, uint256 finderIndex, bool uphold) external;
+
+    /// @notice Add or remove an arbiter
+    /// @dev Only the arbiter manager can call this function
+    /// @param arbiter Address of the arbiter
+    /// @param enabled True to allow the address to rule on disputes
+    function setArbiter(address arbiter, bool enabled) external;
+
+    // ALLOW-LIST FUNCTIONS
+    /// @notice Allow a token for bounties, change its minimum, or remove it
+    /// @dev Only the admin can call this function. Existing cases keep working after removal
+    /// @param token The ERC-20 token
+    /// @param minBounty Smallest bounty accepted in the token's smallest unit, 0 to remove the token
+    function setAllowedToken(address token, uint256 minBounty) external;
+
+    /// @notice Smallest bounty accepted in a token
+    /// @param token The ERC-20 token
+    /// @return minBounty Minimum in the token's smallest unit, 0 if the token is not allowed
+    function tokenMinBounty(address token) external view returns (uint256 minBounty);
+
+    // ADMIN FUNCTIONS
+    /// @notice Stop new cases, bounty increases and finder submissions in an emergency
+    /// @dev Only the admin can call this function. Refunds, resolutions, disputes and withdrawals keep working
+    function pause() external;
+
+    /// @notice Lift the pause
+    /// @dev Only the admin can call this function
+    function unpause() external;
+
+    /// @notice Offer the admin role to another address, which must accept it with acceptAdmin()
+    /// @dev Only the admin can call this function. address(0) withdraws a pending offer
+    /// @param newAdmin Address that can accept the role
+    function transferAdmin(address newAdmin) external;
+
+    /// @notice Accept the admin role offered with transferAdmin()
+    /// @dev Only the pending admin can call this function
+    function acceptAdmin() external;
+
+    /// @notice Set the platform fee taken from resolved bounties
+    /// @dev Only the admin can call this function. At most MAX_PLATFORM_FEE_BPS; applies to later resolutions
+    /// @param feeBps Fee in basis points (100 = 1%)
+    function setPlatformFee(uint256 feeBps) external;
+
+    /// @notice Send all collected fees of one asset to an address
+    /// @dev Only the admin can call this function
+    /// @param asset Token address, or the zero address for ETH
+    /// @param to Address that receives the fees
+    function withdrawTreasury(address asset, address to) external;
+
+    /// @notice Set the share of expired bounties paid to whoever processes the expiry
+    /// @dev Only the admin can call this function. At most MAX_KEEPER_REWARD_BPS; applies to later expiries
+    /// @param rewardBps Reward in basis points (100 = 1%)
+    function setKeeperReward(uint256 rewardBps) external;
+
+    /// @notice Platform fee in basis points taken from resolved bounties, 0 by default
+    function platformFeeBps() external view returns (uint256);
+
+    /// @notice Keeper reward in basis points taken from expired bounties, 0 by default
+    function keeperRewardBps() external view returns (uint256);
+
+    /// @notice Collected fees of one asset not yet withdrawn
+    /// @param asset Token address, or the zero address for ETH
+    function treasuryBalance(address asset) external view returns (uint256);
+
+    /// @notice Address that can pause the contract and transfer the admin role
+    function admin() external view returns (address);
+
+    /// @notice Address the admin role was offered to, address(0) if none
+    function pendingAdmin() external view returns (address);
+
+    /// @notice True while new cases, bounty increases and submissions are paused
+    function paused() external view returns (bool);
+
+    // TIME LIMIT FUNCTIONS
     /// @notice Check and process expired cases
+    /// @dev Credits the keeper reward, if any, to the caller. PendingResolution cases wait for their proposal
     /// @param caseId The lost pet case ID
     /// @return processed True if case was expired and processed
     function checkAndProcessExpiry(uint256 caseId) external returns (bool processed);
@@ -188,13 +829,81 @@ interface LostPetInterface {
         view
         returns (string memory evidence);
     
+    /// @notice View the evidence a finder has replaced with updateEvidence
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of a finder to check
+    /// @return history Previous evidence, oldest first (the current evidence is in getFinderEvidence)
+    function getEvidenceHistory(uint256 caseId, address finder)
+        external
+        view
+        returns (string[] memory history);
+
+    /// @notice Check if a finder has retracted their submission
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of a finder to check
+    /// @return withdrawn True if the finder called withdrawSubmission
+    function isSubmissionWithdrawn(uint256 caseId, address finder) external view returns (bool withdrawn);
+
+    /// @notice Check if the owner flagged a finder's submission as spam
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of a finder to check
+    /// @return flagged True if the owner called flagSubmission for the finder and no arbiter reinstated them
+    function isSubmissionFlagged(uint256 caseId, address finder) external view returns (bool flagged);
+
+    /// @notice Get the anti-spam rules of a case
+    /// @param caseId The lost pet case ID
+    /// @return stake ETH (in wei) each new finder must lock
+    /// @return maxSubmissions Most submissions the case accepts, 0 for no cap
+    /// @return submissionCount Submissions so far, including withdrawn and flagged ones
+    function getSubmissionRules(uint256 caseId) external view returns (
+        uint256 stake,
+        uint256 maxSubmissions,
+        uint256 submissionCount
+    );
+
+    /// @notice Get the stake a finder has locked in a case
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of a finder to check
+    /// @return stake ETH (in wei) still locked
+    function getLockedStake(uint256 caseId, address finder) external view returns (uint256 stake);
+
+    /// @notice Get the owner's rejection of a finder's submission
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of a finder to check
+    /// @return state 0 None, 1 Rejected, 2 Contested, 3 Upheld, 4 Reinstated
+    /// @return reasonCode Reason given by the owner, 4 for a spam flag
+    /// @return contestDeadline Unix timestamp until which the finder can contest, 0 if not rejected
+    /// @return arbitrationDeadline Unix timestamp until which an arbiter can rule, 0 if not contested
+    function getRejection(uint256 caseId, address finder) external view returns (
+        uint8 state,
+        uint8 reasonCode,
+        uint256 contestDeadline,
+        uint256 arbitrationDeadline
+    );
+    
+    /// @notice View the structured report submitted by a specific finder
+    /// @param caseId The lost pet case ID
+    /// @param finder Address of a finder to check
+    /// @return hasReport True if the finder submitted a structured report
+    /// @return photoHash Content hash of the photo
+    /// @return geohash Geohash of the sighting
+    /// @return sightedAt Unix timestamp of the sighting
+    /// @return contactHint Optional way to reach the finder
+    function getFinderReport(uint256 caseId, address finder) external view returns (
+        bool hasReport,
+        bytes32 photoHash,
+        string memory geohash,
+        uint64 sightedAt,
+        string memory contactHint
+    );
+    
     // VIEW FUNCTIONS - DETAILED (Higher gas)
     /// @notice Get full case details (higher gas)
     /// @param caseId The lost pet case ID
     /// @return owner Address of the case owner
     /// @return petName Name of the lost pet
     /// @return bounty The bounty amount of the case
-    /// @return status The current status of the case (Active, Resolved, Cancelled, Expired)
+    /// @return status The current status of the case (Active, Resolved, Cancelled, Expired, PendingResolution)
     /// @return createdAt When the case was created
     /// @return expiresAt When the case expires
     /// @return finderCount Number of finders submitted for this case
@@ -208,9 +917,15 @@ interface LostPetInterface {
         uint256 finderCount
     );
     
+    /// @notice Get the descriptive details of a case (see getCaseFull for the rest)
+    /// @param caseId The lost pet case ID
+    /// @return metadata Species, description, photo hash, last-seen geohash and microchip hash
+    function getCaseMetadata(uint256 caseId) external view returns (PetMetadata memory metadata);
+    
     // VIEW FUNCTIONS - WALLET/ESCROW
     /// @notice Get total ETH held in escrow
-    /// @return total Total amount of ETH held for all active bounties
+    /// @dev Running total, so it does not loop over cases
+    /// @return total Total amount of ETH held for all active bounties (platform fees are not escrow)
     function getTotalEscrow() external view returns (uint256 total);
     
     /// @notice Get escrow for specific case
@@ -218,12 +933,31 @@ interface LostPetInterface {
     /// @return escrowAmount Amount of ETH held for this case's bounty
     function getCaseEscrow(uint256 caseId) external view returns (uint256 escrowAmount);
     
+    /// @notice Get the asset a case's bounty is paid in
+    /// @param caseId The lost pet case ID
+    /// @return asset Token address, or the zero address for ETH
+    function getCaseAsset(uint256 caseId) external view returns (address asset);
+
+    /// @notice Get everything held for one asset (zero address for ETH)
+    /// @dev The contract's balance of the asset equals the sum of the three plus treasuryBalance(asset),
+    ///      plus totalLockedStakes() for ETH
+    /// @param asset Token address, or the zero address for ETH
+    /// @return escrow Bounties of active cases
+    /// @return pendingResolutions Resolved bounties waiting for the dispute window
+    /// @return pendingWithdrawals Funds credited and not yet withdrawn
+    function getAssetTotals(address asset) external view returns (
+        uint256 escrow,
+        uint256 pendingResolutions,
+        uint256 pendingWithdrawals
+    );
+
     /// @notice Verify case has sufficient funds
     /// @param caseId The lost pet case ID
-    /// @return isFunded True if contract holds sufficient ETH for bounty
+    /// @return isFunded True if contract holds enough of the bounty asset for the bounty
     function isCaseFunded(uint256 caseId) external view returns (bool isFunded);
     
     /// @notice Get active cases (unresolved, uncancelled, not expired)
+    /// @dev Loops over every case; use getCasesPaginated once there are many cases
     /// @return activeCases Array of active case IDs
     function getActiveCases() external view returns (uint256[] memory activeCases);
     
@@ -231,4 +965,196 @@ interface LostPetInterface {
     /// @param owner Address of the case owner
     /// @return ownerCases Array of case IDs created by this owner
     function getCasesByOwner(address owner) external view returns (uint256[] memory ownerCases);
+
+    // VIEW FUNCTIONS - LISTING (Paginated)
+    /// @notice Get the cases with IDs startIndex..startIndex+count-1 that have a given status
+    /// @dev Cases past their deadline count as Expired even before they are processed.
+    ///      A page can hold fewer than `count` IDs; continue from startIndex + count
+    /// @param startIndex First case ID to look at
+    /// @param count Number of case IDs to look at
+    /// @param statusFilter 0=Active, 1=Resolved, 2=Cancelled, 3=Expired, 4=PendingResolution, ANY_STATUS for all
+    /// @return caseIds Matching case IDs in ascending order
+    function getCasesPaginated(uint256 startIndex, uint256 count, uint8 statusFilter)
+        external
+        view
+        returns (uint256[] memory caseIds);
+
+    /// @notice Get a page of the cases created by an owner
+    /// @param owner Address of the case owner
+    /// @param startIndex Position in the owner's list of cases
+    /// @param count Maximum number of case IDs to return
+    /// @return caseIds Case IDs, oldest first
+    function getCasesByOwnerPaginated(address owner, uint256 startIndex, uint256 count)
+        external
+        view
+        returns (uint256[] memory caseIds);
+
+    /// @notice Get a page of the cases an address has submitted to as a finder
+    /// @param finder Address of the finder
+    /// @param startIndex Position in the finder's list of cases
+    /// @param count Maximum number of case IDs to return
+    /// @return caseIds Case IDs in submission order
+    function getCasesByFinderPaginated(address finder, uint256 startIndex, uint256 count)
+        external
+        view
+        returns (uint256[] memory caseIds);
+
+    /// @notice Get the number of cases in each status
+    /// @dev Running counters by stored status: cases past their deadline stay Active until processed
+    /// @return active Number of Active cases
+    /// @return resolved Number of Resolved cases
+    /// @return cancelled Number of Cancelled cases
+    /// @return expired Number of Expired cases
+    /// @return pendingResolution Number of cases waiting for the proposed finder to confirm
+    function getCaseCounts() external view returns (
+        uint256 active,
+        uint256 resolved,
+        uint256 cancelled,
+        uint256 expired,
+        uint256 pendingResolution
+    );
+
+    // VIEW FUNCTIONS - FINDER HISTORY
+    /// @notice Get a page of a finder's submissions with the outcome of each case
+    /// @dev Same order as getCasesByFinderPaginated. Cases past their deadline are reported as Expired
+    /// @param finder Address of the finder
+    /// @param startIndex Position in the finder's list of cases
+    /// @param count Maximum number of submissions to return
+    /// @return caseIds Case IDs in submission order
+    /// @return statuses Status of each case (0=Active, 1=Resolved, 2=Cancelled, 3=Expired, 4=PendingResolution)
+    /// @return withdrawn Whether the finder withdrew each submission
+    /// @return paidAmounts Amount credited to the finder by each case's finalized resolution, 0 if not paid
+    function getFinderSubmissions(address finder, uint256 startIndex, uint256 count)
+        external
+        view
+        returns (
+            uint256[] memory caseIds,
+            uint8[] memory statuses,
+            bool[] memory withdrawn,
+            uint256[] memory paidAmounts
+        );
+
+    /// @notice Get the reputation counters of several addresses across every case
+    /// @dev Pass a page of getFindersPaginated to rank a case's finders. Addresses that never submitted have all zeros
+    /// @param finders Addresses to look up
+    /// @return submissions Finder submissions each address made
+    /// @return chosen Times each address was picked by an owner's resolution or awarded a disputed bounty
+    /// @return rejected Submissions rejected or flagged as spam, not counting rejections an arbiter reinstated
+    /// @return disputesLost Resolutions in each address's favour that an arbiter overturned
+    function getFinderStats(address[] calldata finders)
+        external
+        view
+        returns (
+            uint256[] memory submissions,
+            uint256[] memory chosen,
+            uint256[] memory rejected,
+            uint256[] memory disputesLost
+        );
+
+    /// @notice Get the total bounty an address has been credited as a finder
+    /// @dev Counted when resolutions are finalized, before withdrawal
+    /// @param finder Address of the finder
+    /// @param asset Token address, or address(0) for ETH
+    /// @return total Total earned in wei (or the token's smallest unit)
+    function getTotalEarned(address finder, address asset) external view returns (uint256 total);
+
+    /// @notice Get the number of sightings logged for a case
+    /// @param caseId The lost pet case ID
+    /// @return count Number of sightings
+    function getSightingCount(uint256 caseId) external view returns (uint256 count);
+
+    /// @notice Get a page of a case's sightings, oldest first
+    /// @param caseId The lost pet case ID
+    /// @param startIndex ID of the first sighting to return
+    /// @param count Maximum number of sightings to return
+    /// @return reporters Address that reported each sighting
+    /// @return seenAts Unix timestamp of each sighting
+    /// @return geohashes Geohash of each sighting
+    /// @return notes Note of each sighting
+    /// @return tips Total ETH (in wei) the owner tipped for each sighting
+    function getSightings(uint256 caseId, uint256 startIndex, uint256 count)
+        external
+        view
+        returns (
+            address[] memory reporters,
+            uint64[] memory seenAts,
+            string[] memory geohashes,
+            string[] memory notes,
+            uint256[] memory tips
+        );
+
+    /// @notice Get every contributor of a case and the amount each one added
+    /// @param caseId The lost pet case ID
+    /// @return contributors Addresses that contributed, in order of first contribution
+    /// @return amounts Total ETH (in wei) contributed by each address
+    function getContributions(uint256 caseId)
+        external
+        view
+        returns (address[] memory contributors, uint256[] memory amounts);
+
+    /// @notice Get the amount a specific address contributed to a case
+    /// @param caseId The lost pet case ID
+    /// @param contributor Address to check
+    /// @return amount Total ETH (in wei) contributed by the address
+    function getContribution(uint256 caseId, address contributor) external view returns (uint256 amount);
+
+    // VIEW FUNCTIONS - DISPUTES
+    /// @notice Get the owner's proposed finder of a case
+    /// @param caseId The lost pet case ID
+    /// @return finder Proposed finder (zero address if none)
+    /// @return claimDeadline When anyone can finalize the proposal (0 if none)
+    /// @return acknowledged True if the finder confirmed the handover
+    function getProposal(uint256 caseId) external view returns (
+        address finder,
+        uint256 claimDeadline,
+        bool acknowledged
+    );
+
+    /// @notice Get the dispute status of a resolved case
+    /// @param caseId The lost pet case ID
+    /// @return state Resolution state (0=None, 1=Pending, 2=Disputed, 3=Finalized)
+    /// @return amount Amount of ETH (in wei) paid out by the resolution
+    /// @return disputeDeadline When the resolution can no longer be disputed (0 if not resolved)
+    /// @return disputant Finder who opened a dispute (zero address if none)
+    /// @return arbitrationDeadline When the owner's resolution stands without a ruling (0 if not disputed)
+    function getResolution(uint256 caseId) external view returns (
+        uint8 state,
+        uint256 amount,
+        uint256 disputeDeadline,
+        address disputant,
+        uint256 arbitrationDeadline
+    );
+
+    /// @notice Get the finders and amounts a resolution pays out
+    /// @param caseId The lost pet case ID
+    /// @return finders Addresses of the paid finders
+    /// @return amounts Amount of ETH (in wei) for each finder
+    function getResolutionPayouts(uint256 caseId)
+        external
+        view
+        returns (address[] memory finders, uint256[] memory amounts);
+
+    /// @notice Get ETH credited to an account and not yet withdrawn
+    /// @param account Address to check
+    /// @return amount Amount of ETH (in wei) the account can withdraw
+    function pendingWithdrawal(address account) external view returns (uint256 amount);
+
+    /// @notice Get tokens credited to an account and not yet withdrawn
+    /// @param account Address to check
+    /// @param token The token
+    /// @return amount Amount of tokens the account can withdraw
+    function pendingTokenWithdrawal(address account, address token) external view returns (uint256 amount);
+
+    /// @notice ETH held for resolutions that are not finalized yet
+    /// @return total Amount of ETH (in wei)
+    function totalPendingResolutions() external view returns (uint256 total);
+
+    /// @notice ETH credited to all accounts and not yet withdrawn
+    /// @return total Amount of ETH (in wei)
+    function totalPendingWithdrawals() external view returns (uint256 total);
+
+    /// @notice ETH locked as submission stakes
+    /// @dev The contract's ETH balance equals getAssetTotals(address(0)) plus this plus treasuryBalance(address(0))
+    /// @return total Amount of ETH (in wei)
+    function totalLockedStakes() external view returns (uint256 total);
 }
\ No newline at end of file
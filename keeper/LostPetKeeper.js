@@ -0,0 +1,176 @@
+// Expiry keeper for the LostPet contract.
+// Expired bounties stay in escrow until someone calls checkAndProcessExpiry or
+// batchCheckExpiry. The keeper finds those cases and processes them in
+// batches that fit a gas budget, so owners and contributors get their refunds.
+// When the admin has turned on the keeper reward, the keeper's sender is
+// credited a share of each bounty it processes.
+
+// Intrinsic gas of a transaction, paid once per batch rather than per case
+const TX_BASE_GAS = 21000;
+
+// Gas limit for each batch unless the keeper is given another
+const DEFAULT_GAS_BUDGET = 5000000;
+
+/**
+ * @typedef {Object} KeeperBatch
+ * @property {number[]} caseIds Cases sent in the batch
+ * @property {number} gasLimit Gas limit the batch was sent with
+ * @property {number|null} gasUsed Gas used, null if the batch failed
+ * @property {string|null} error Why the batch failed, if it did
+ */
+
+/**
+ * @typedef {Object} KeeperReport
+ * @property {number} startedAt Unix time (ms) the run started
+ * @property {number} finishedAt Unix time (ms) the run finished
+ * @property {number[]} candidates Expired cases that still held a bounty
+ * @property {KeeperBatch[]} batches batchCheckExpiry transactions, in order
+ * @property {number[]} processed Cases refunded by this run, including retries
+ * @property {{caseId: number, amount: string}[]} rewards Keeper rewards credited to the sender, per case,
+ *   in wei or the token's smallest unit
+ * @property {{caseId: number, error: string}[]} failed Cases that could not be processed
+ * @property {number} gasUsed Total gas used by the batches and retries
+ */
+
+class LostPetKeeper {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client LostPetClient whose sender pays for the transactions
+   * @param {number} [options.gasBudget] Gas limit for each batchCheckExpiry transaction
+   * @param {number} [options.gasMargin] Multiplier applied to gas estimates
+   * @param {number} [options.pageSize] Case IDs read per getCasesPaginated call
+   */
+  constructor({ client, gasBudget = DEFAULT_GAS_BUDGET, gasMargin = 1.2, pageSize = 100 }) {
+    this.client = client;
+    this.gasBudget = gasBudget;
+    this.gasMargin = gasMargin;
+    this.pageSize = pageSize;
+  }
+
+  /**
+   * Cases past their deadline that have not been processed yet. getCasesPaginated
+   * reports those as Expired along with cases that already were, so cases whose
+   * bounty has left escrow are dropped.
+   * @returns {Promise<number[]>}
+   */
+  async findExpiredCases() {
+    const totalCases = await this.client.getTotalCases();
+    const expired = [];
+
+    for (let start = 0; start < totalCases; start += this.pageSize) {
+      for (const caseId of await this.client.getCasesPaginated(start, this.pageSize, "Expired")) {
+        if ((await this.client.getCaseEscrow(caseId)) !== "0") {
+          expired.push(caseId);
+        }
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Process every expired case once. A batch that fails is retried case by case
+   * so one bad case does not hold up the others.
+   * @returns {Promise<KeeperReport>}
+   */
+  async runOnce() {
+    const report = {
+      startedAt: Date.now(),
+      finishedAt: null,
+      candidates: await this.findExpiredCases(),
+      batches: [],
+      processed: [],
+      rewards: [],
+      failed: [],
+      gasUsed: 0
+    };
+
+    for (const batch of await this._planBatches(report.candidates, report.failed)) {
+      const gasLimit = this._withMargin(batch.gas);
+      try {
+        const result = await this.client.batchCheckExpiry(batch.caseIds, { gas: gasLimit });
+        report.batches.push({ caseIds: batch.caseIds, gasLimit, gasUsed: result.receipt.gasUsed, error: null });
+        report.processed.push(...result.processed);
+        result.processed.forEach((caseId, i) => this._addReward(report, caseId, result.keeperRewards[i]));
+        report.gasUsed += result.receipt.gasUsed;
+      } catch (error) {
+        report.batches.push({ caseIds: batch.caseIds, gasLimit, gasUsed: null, error: error.message });
+        await this._retryIndividually(batch, report);
+      }
+    }
+
+    report.finishedAt = Date.now();
+    return report;
+  }
+
+  // =============================================
+  // INTERNAL
+  // =============================================
+
+  /**
+   * Group cases into batches whose estimated gas stays within the budget. Each
+   * case is estimated on its own; the intrinsic transaction gas is only counted
+   * once per batch.
+   */
+  async _planBatches(caseIds, failed) {
+    const batches = [];
+    let current = { caseIds: [], gas: TX_BASE_GAS, estimates: [] };
+
+    for (const caseId of caseIds) {
+      let estimate;
+      try {
+        estimate = await this.client.estimateBatchCheckExpiryGas([caseId]);
+      } catch (error) {
+        failed.push({ caseId, error: error.message });
+        continue;
+      }
+
+      if (this._withMargin(estimate) > this.gasBudget) {
+        failed.push({ caseId, error: `Needs ${estimate} gas, more than the gas budget` });
+        continue;
+      }
+      if (this._withMargin(current.gas + estimate - TX_BASE_GAS) > this.gasBudget) {
+        batches.push(current);
+        current = { caseIds: [], gas: TX_BASE_GAS, estimates: [] };
+      }
+      current.caseIds.push(caseId);
+      current.estimates.push(estimate);
+      current.gas += estimate - TX_BASE_GAS;
+    }
+
+    if (current.caseIds.length > 0) {
+      batches.push(current);
+    }
+    return batches;
+  }
+
+  async _retryIndividually(batch, report) {
+    for (const [i, caseId] of batch.caseIds.entries()) {
+      try {
+        const result = await this.client.checkAndProcessExpiry(caseId, { gas: this._withMargin(batch.estimates[i]) });
+        if (result.processed) {
+          report.processed.push(caseId);
+          this._addReward(report, caseId, result.keeperReward);
+        }
+        report.gasUsed += result.receipt.gasUsed;
+      } catch (error) {
+        report.failed.push({ caseId, error: error.message });
+      }
+    }
+  }
+
+  _addReward(report, caseId, amount) {
+    if (amount !== "0") {
+      report.rewards.push({ caseId, amount });
+    }
+  }
+
+  _withMargin(gas) {
+    return Math.ceil(gas * this.gasMargin);
+  }
+}
+
+module.exports = {
+  LostPetKeeper,
+  TX_BASE_GAS,
+  DEFAULT_GAS_BUDGET
+};
@@ -0,0 +1,9 @@
+// Public entry point of the LostPet expiry keeper.
+
+const { LostPetKeeper, TX_BASE_GAS, DEFAULT_GAS_BUDGET } = require("./LostPetKeeper");
+
+module.exports = {
+  LostPetKeeper,
+  TX_BASE_GAS,
+  DEFAULT_GAS_BUDGET
+};
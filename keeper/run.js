@@ -0,0 +1,66 @@
+// Keeper entry point.
+// Runs through `truffle exec` so the node comes from truffle-config.js:
+//
+//   truffle exec keeper/run.js --network development
+//   truffle exec keeper/run.js --interval 300 --gas-budget 3000000 --from 0xabc... --network development
+
+const { LostPetClient } = require("../sdk");
+const { LostPetKeeper, DEFAULT_GAS_BUDGET } = require("./LostPetKeeper");
+
+function readOption(argv, name, fallback) {
+  const index = argv.indexOf(`--${name}`);
+  return index >= 0 && index + 1 < argv.length ? argv[index + 1] : fallback;
+}
+
+function logReport(report) {
+  const seconds = ((report.finishedAt - report.startedAt) / 1000).toFixed(1);
+  console.log(`${new Date(report.startedAt).toISOString()} ${report.candidates.length} expired cases, ` +
+    `${report.processed.length} processed in ${report.batches.length} batches, ` +
+    `${report.failed.length} failed, ${report.rewards.length} keeper rewards, ${report.gasUsed} gas used (${seconds}s)`);
+
+  for (const batch of report.batches.filter((entry) => entry.error)) {
+    console.log(`  Batch [${batch.caseIds.join(", ")}] failed, retried case by case: ${batch.error}`);
+  }
+  for (const { caseId, error } of report.failed) {
+    console.log(`  Case ${caseId} failed: ${error}`);
+  }
+}
+
+module.exports = async function (callback) {
+  try {
+    const LostPet = artifacts.require("LostPet");
+    const [defaultAccount] = await web3.eth.getAccounts();
+    const client = await LostPetClient.deployed(LostPet, { from: readOption(process.argv, "from", defaultAccount) });
+    const keeper = new LostPetKeeper({
+      client,
+      gasBudget: Number(readOption(process.argv, "gas-budget", DEFAULT_GAS_BUDGET)),
+      pageSize: Number(readOption(process.argv, "page-size", 100))
+    });
+    const interval = Number(readOption(process.argv, "interval", 0));
+
+    logReport(await keeper.runOnce());
+    if (interval > 0) {
+      // Keep running; the process is stopped with Ctrl+C. A run that takes
+      // longer than the interval makes the next tick a no-op.
+      let running = false;
+      setInterval(async () => {
+        if (running) {
+          return;
+        }
+        running = true;
+        try {
+          logReport(await keeper.runOnce());
+        } catch (error) {
+          console.error(error.message);
+        } finally {
+          running = false;
+        }
+      }, interval * 1000);
+      return;
+    }
+    callback();
+  } catch (error) {
+    console.error(error.message);
+    callback(error);
+  }
+};
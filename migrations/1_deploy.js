@@ -0,0 +1,14 @@
+const LostPet = artifacts.require("LostPet");
+const LostPetResolution = artifacts.require("LostPetResolution");
+const LostPetSubmissions = artifacts.require("LostPetSubmissions");
+
+// The admin can pause the contract; defaults to the deploying account
+module.exports = function (deployer, network, accounts) {
+  const admin = process.env.LOSTPET_ADMIN || accounts[0];
+
+  deployer.deploy(LostPetResolution);
+  deployer.deploy(LostPetSubmissions);
+  deployer.link(LostPetResolution, LostPet);
+  deployer.link(LostPetSubmissions, LostPet);
+  deployer.deploy(LostPet, admin);
+};
@@ -1,5 +0,0 @@
-const LostPet = artifacts.require("LostPet");
-
-module.exports = function (deployer) {
-  deployer.deploy(LostPet);
-};
\ No newline at end of file
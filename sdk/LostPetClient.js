@@ -0,0 +1,1491 @@
+// JavaScript client for the LostPet contract.
+// Wraps a truffle-contract instance (from the compiled LostPet artifact) with
+// typed methods, ETH/wei conversion, status decoding and typed revert errors.
+
+const { toWei, fromWei } = require("./units");
+const { encodeReport, decodeReport, encodeSighting, decodeSightings } = require("./reports");
+const { encodeMetadata, decodeMetadata } = require("./metadata");
+const { reputationScore } = require("./reputation");
+const { fromRevert } = require("./errors");
+
+// Case status enum (mirrors LostPet.CaseStatus)
+const CaseStatus = Object.freeze({
+  Active: 0,
+  Resolved: 1,
+  Cancelled: 2,
+  Expired: 3,
+  PendingResolution: 4
+});
+
+const CASE_STATUS_NAMES = ["Active", "Resolved", "Cancelled", "Expired", "PendingResolution"];
+
+// Status filter that matches every case (mirrors LostPet.ANY_STATUS)
+const ANY_STATUS = 255;
+
+// Resolution state enum (mirrors LostPet.ResolutionState)
+const RESOLUTION_STATE_NAMES = ["None", "Pending", "Disputed", "Finalized"];
+
+// Rejection state enum (mirrors LostPet's RejectionState)
+const REJECTION_STATE_NAMES = ["None", "Rejected", "Contested", "Upheld", "Reinstated"];
+
+// Reason codes accepted by rejectSubmission, by code
+const REJECTION_REASONS = ["NotThePet", "InsufficientEvidence", "Duplicate", "Other"];
+
+// Reason of a rejection made by flagSubmission; rejectSubmission does not accept it
+const SPAM_REASON = "Spam";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Decode the `uint8 status` returned by the contract.
+ * @param {number|string|{toString(): string}} status
+ * @returns {"Active"|"Resolved"|"Cancelled"|"Expired"|"PendingResolution"}
+ */
+function decodeStatus(status) {
+  const name = CASE_STATUS_NAMES[Number(status.toString())];
+  if (!name) {
+    throw new RangeError(`Unknown case status: ${status}`);
+  }
+  return name;
+}
+
+/**
+ * Build the `CaseOptions` struct taken by the contract's `createCase`.
+ * @param {Object} [caseOptions] Same fields as LostPetClient#createCaseWithOptions, without `bountyEth`
+ * @returns {{duration: number, metadata: Object, asset: string, amount: string}}
+ */
+function encodeCaseOptions({ token, amount = "0", duration = 0, metadata } = {}) {
+  return { duration, metadata: encodeMetadata(metadata), asset: token || ZERO_ADDRESS, amount: String(amount) };
+}
+
+/**
+ * @typedef {Object} PetCase
+ * @property {number} caseId
+ * @property {string} owner
+ * @property {string} petName
+ * @property {string} bounty Bounty in wei, or in the token's smallest unit for token cases
+ * @property {string|null} bountyEth Bounty in ETH, null for token cases
+ * @property {string|null} asset Bounty token address, null for ETH
+ * @property {"Active"|"Resolved"|"Cancelled"|"Expired"|"PendingResolution"} status
+ * @property {number} createdAt Unix timestamp (seconds)
+ * @property {number} expiresAt Unix timestamp (seconds)
+ * @property {number} finderCount
+ */
+
+/**
+ * @typedef {Object} Resolution
+ * @property {"None"|"Pending"|"Disputed"|"Finalized"} state
+ * @property {string} amount Held or paid bounty in wei
+ * @property {number} disputeDeadline Unix timestamp (seconds), 0 if not resolved
+ * @property {string|null} disputant Finder who opened a dispute
+ * @property {number} arbitrationDeadline Unix timestamp (seconds), 0 if not disputed
+ * @property {{finder: string, amount: string}[]} payouts
+ */
+
+/**
+ * @typedef {Object} TxOptions
+ * @property {string} [from] Sender address (defaults to the client's `from`)
+ * @property {string|number} [gas]
+ * @property {string} [value] Wei to send with finder submissions (defaults to the case's stake)
+ */
+
+class LostPetClient {
+  /**
+   * @param {Object} contract Deployed truffle-contract instance of LostPet
+   * @param {Object} [options]
+   * @param {string} [options.from] Default sender for transactions
+   */
+  constructor(contract, options = {}) {
+    if (!contract) {
+      throw new TypeError("A deployed LostPet contract instance is required");
+    }
+    this.contract = contract;
+    this.from = options.from;
+  }
+
+  /**
+   * Create a client for the deployed LostPet on the artifact's current network.
+   * @param {Object} LostPet Contract abstraction (e.g. `artifacts.require("LostPet")`)
+   * @param {Object} [options] Same as the constructor options
+   * @returns {Promise<LostPetClient>}
+   */
+  static async deployed(LostPet, options) {
+    return new LostPetClient(await LostPet.deployed(), options);
+  }
+
+  /**
+   * Create a client for a LostPet deployed at a known address.
+   * @param {Object} LostPet Contract abstraction (e.g. `artifacts.require("LostPet")`)
+   * @param {string} address Contract address
+   * @param {Object} [options] Same as the constructor options
+   * @returns {Promise<LostPetClient>}
+   */
+  static async at(LostPet, address, options) {
+    return new LostPetClient(await LostPet.at(address), options);
+  }
+
+  get address() {
+    return this.contract.address;
+  }
+
+  // =============================================
+  // OWNER-ONLY FUNCTIONS
+  // =============================================
+
+  /**
+   * Create a lost pet case. The bounty asset, duration and details can be combined freely;
+   * for a token bounty the sender must first approve the LostPet contract to spend `amount`.
+   * @param {string} petName
+   * @param {Object} [caseOptions]
+   * @param {string|number} [caseOptions.bountyEth] ETH bounty, for ETH cases
+   * @param {string} [caseOptions.token] Allow-listed ERC-20 token address, for token cases
+   * @param {string|number} [caseOptions.amount] Token bounty in the token's smallest unit
+   * @param {number} [caseOptions.duration] Seconds until expiry, between MIN_CASE_DURATION and
+   *   MAX_CASE_DURATION; DEFAULT_EXPIRY_DAYS if left out
+   * @param {Object} [caseOptions.metadata] Species, description, photo hash, last-seen location and
+   *   microchip (see metadata.js encodeMetadata)
+   * @param {TxOptions} [options]
+   * @returns {Promise<{caseId: number, bounty: string, expiresAt: number, receipt: Object}>}
+   */
+  async createCaseWithOptions(petName, caseOptions = {}, options = {}) {
+    const { bountyEth = "0", ...rest } = caseOptions;
+    const result = await this._send("createCase", [petName, encodeCaseOptions(rest)], {
+      ...options,
+      value: toWei(bountyEth)
+    });
+    const event = findEvent(result, "CaseCreated");
+
+    return {
+      caseId: Number(event.args.caseId.toString()),
+      bounty: event.args.bounty.toString(),
+      expiresAt: Number(event.args.expiresAt.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Create a lost pet case with an ETH bounty.
+   * @param {string} petName
+   * @param {string|number} bountyEth Bounty in ETH
+   * @param {TxOptions} [options]
+   * @returns {Promise<{caseId: number, bounty: string, expiresAt: number, receipt: Object}>}
+   */
+  async createCase(petName, bountyEth, options = {}) {
+    return this.createCaseWithOptions(petName, { bountyEth }, options);
+  }
+
+  /**
+   * Add ETH to the bounty of an active case.
+   * @param {number} caseId
+   * @param {string|number} amountEth Additional bounty in ETH
+   * @param {TxOptions} [options]
+   * @returns {Promise<{newTotal: string, receipt: Object}>}
+   */
+  async increaseBounty(caseId, amountEth, options = {}) {
+    const result = await this._send("increaseBounty", [caseId], { ...options, value: toWei(amountEth) });
+    const event = findEvent(result, "IncreaseBounty");
+
+    return {
+      newTotal: event.args.newTotal.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Push back the deadline of an active case, optionally adding ETH to the bounty.
+   * @param {number} caseId
+   * @param {number} extraTime Seconds to add
+   * @param {string|number} [topUpEth] ETH to add to the bounty (ETH cases only)
+   * @param {TxOptions} [options]
+   * @returns {Promise<{expiresAt: number, newTotal: string|null, receipt: Object}>} newTotal is null without a top-up
+   */
+  async extendCase(caseId, extraTime, topUpEth = "0", options = {}) {
+    const result = await this._send("extendCase", [caseId, extraTime], { ...options, value: toWei(topUpEth) });
+    const event = findEvent(result, "CaseExtended");
+    const increase = result.logs.find((log) => log.event === "IncreaseBounty");
+
+    return {
+      expiresAt: Number(event.args.newExpiresAt.toString()),
+      newTotal: increase ? increase.args.newTotal.toString() : null,
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Replace the details of an active case. Fields left out are cleared.
+   * @param {number} caseId
+   * @param {Object} metadata See encodeMetadata
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async updateCaseMetadata(caseId, metadata, options = {}) {
+    const result = await this._send("updateCaseMetadata", [caseId, encodeMetadata(metadata)], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Add tokens to the bounty of an active token case (approve the contract first).
+   * @param {number} caseId
+   * @param {string|number} amount Additional bounty in the token's smallest unit
+   * @param {TxOptions} [options]
+   * @returns {Promise<{newTotal: string, receipt: Object}>}
+   */
+  async increaseTokenBounty(caseId, amount, options = {}) {
+    const result = await this._send("increaseTokenBounty", [caseId, String(amount)], options);
+    const event = findEvent(result, "IncreaseBounty");
+
+    return {
+      newTotal: event.args.newTotal.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Allow a token for bounties with a minimum bounty, or remove it with minBounty 0.
+   * Only the admin can do this.
+   * @param {string} token
+   * @param {string|number} minBounty In the token's smallest unit
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async setAllowedToken(token, minBounty, options = {}) {
+    const result = await this._send("setAllowedToken", [token, String(minBounty)], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Resolve a case and pay the bounty to a finder.
+   * The platform fee (if any) goes to the treasury; the rest is held until
+   * `disputeDeadline`, then released with finalizeResolution().
+   * @param {number} caseId
+   * @param {number} finderIndex Index into the case's finders array
+   * @param {TxOptions} [options]
+   * @returns {Promise<{finder: string, bountyAmount: string, platformFee: string, disputeDeadline: number, receipt: Object}>}
+   *   `bountyAmount` is what the finder receives, after the fee
+   */
+  async resolveCase(caseId, finderIndex, options = {}) {
+    const result = await this._send("resolveCase", [caseId, finderIndex], options);
+    const event = findEvent(result, "CaseResolved");
+
+    return {
+      finder: event.args.finder,
+      bountyAmount: event.args.bountyAmount.toString(),
+      platformFee: platformFeeOf(result),
+      disputeDeadline: Number(findEvent(result, "ResolutionPending").args.disputeDeadline.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Resolve a case by splitting the bounty between several finders.
+   * Shares are in basis points and must add up to 10000; they split what is
+   * left after the platform fee, and rounding dust goes to the first finder listed.
+   * @param {number} caseId
+   * @param {{finderIndex: number, shareBps: number}[]} splits
+   * @param {TxOptions} [options]
+   * @returns {Promise<{bountyAmount: string, platformFee: string, payouts: {finder: string, shareBps: number, amount: string}[], receipt: Object}>}
+   */
+  async resolveCaseSplit(caseId, splits, options = {}) {
+    const finderIndices = splits.map((split) => split.finderIndex);
+    const sharesBps = splits.map((split) => split.shareBps);
+    const result = await this._send("resolveCaseSplit", [caseId, finderIndices, sharesBps], options);
+    const event = findEvent(result, "CaseResolvedSplit");
+
+    return {
+      bountyAmount: event.args.bountyAmount.toString(),
+      platformFee: platformFeeOf(result),
+      payouts: result.logs
+        .filter((log) => log.event === "BountySplitPaid")
+        .map((log) => ({
+          finder: log.args.finder,
+          shareBps: Number(log.args.shareBps.toString()),
+          amount: log.args.amount.toString()
+        })),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Propose a finder instead of resolving straight away. The case is
+   * "PendingResolution" until the finder confirms the handover with
+   * confirmResolution(), the claim window passes, or the owner withdraws.
+   * @param {number} caseId
+   * @param {number} finderIndex Index into the case's finders array
+   * @param {TxOptions} [options]
+   * @returns {Promise<{finder: string, claimDeadline: number, receipt: Object}>}
+   */
+  async proposeResolution(caseId, finderIndex, options = {}) {
+    const result = await this._send("proposeResolution", [caseId, finderIndex], options);
+    const event = findEvent(result, "ResolutionProposed");
+
+    return {
+      finder: event.args.finder,
+      claimDeadline: Number(event.args.claimDeadline.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Resolve a proposed case. The proposed finder can call this at any time;
+   * anyone else once the claim window is over. Payment then works as in resolveCase().
+   * @param {number} caseId
+   * @param {TxOptions} [options]
+   * @returns {Promise<{finder: string, acknowledged: boolean, bountyAmount: string, platformFee: string, disputeDeadline: number, receipt: Object}>}
+   *   `acknowledged` is false when the proposal finalized without the finder
+   */
+  async confirmResolution(caseId, options = {}) {
+    const result = await this._send("confirmResolution", [caseId], options);
+    const event = findEvent(result, "ResolutionConfirmed");
+
+    return {
+      finder: event.args.finder,
+      acknowledged: event.args.acknowledged,
+      bountyAmount: findEvent(result, "CaseResolved").args.bountyAmount.toString(),
+      platformFee: platformFeeOf(result),
+      disputeDeadline: Number(findEvent(result, "ResolutionPending").args.disputeDeadline.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Withdraw an unconfirmed proposal before the claim window is over. The case is Active again.
+   * @param {number} caseId
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async withdrawProposal(caseId, options = {}) {
+    const result = await this._send("withdrawProposal", [caseId], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Add or remove an arbiter. Only the arbiter manager can call this.
+   * @param {string} arbiter
+   * @param {boolean} enabled
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async setArbiter(arbiter, enabled, options = {}) {
+    const result = await this._send("setArbiter", [arbiter, enabled], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Stop new cases, bounty increases and finder submissions. Only the admin can call this.
+   * Refunds, resolutions, disputes and withdrawals keep working while paused.
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async pause(options = {}) {
+    const result = await this._send("pause", [], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Lift the pause. Only the admin can call this.
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async unpause(options = {}) {
+    const result = await this._send("unpause", [], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Set the platform fee taken from later resolved bounties. Only the admin can call this.
+   * @param {number} feeBps Basis points, at most MAX_PLATFORM_FEE_BPS (1000 = 10%)
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async setPlatformFee(feeBps, options = {}) {
+    const result = await this._send("setPlatformFee", [feeBps], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Set the share of later expired bounties paid to whoever processes the expiry. Only the admin can call this.
+   * @param {number} rewardBps Basis points, at most MAX_KEEPER_REWARD_BPS (100 = 1%)
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async setKeeperReward(rewardBps, options = {}) {
+    const result = await this._send("setKeeperReward", [rewardBps], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Send all collected fees of one asset to an address. Only the admin can call this.
+   * @param {string} to
+   * @param {string|null} [asset] Token address, null for ETH
+   * @param {TxOptions} [options]
+   * @returns {Promise<{amount: string, receipt: Object}>} Amount in wei or the token's smallest unit
+   */
+  async withdrawTreasury(to, asset = null, options = {}) {
+    const result = await this._send("withdrawTreasury", [asset || ZERO_ADDRESS, to], options);
+    const event = findEvent(result, "TreasuryWithdrawal");
+
+    return {
+      amount: event.args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Offer the admin role to another address, which takes it with acceptAdmin().
+   * Pass the zero address to withdraw a pending offer. Only the admin can call this.
+   * @param {string} newAdmin
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async transferAdmin(newAdmin, options = {}) {
+    const result = await this._send("transferAdmin", [newAdmin], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Accept the admin role offered to the sending account.
+   * @param {TxOptions} [options]
+   * @returns {Promise<{previousAdmin: string, receipt: Object}>}
+   */
+  async acceptAdmin(options = {}) {
+    const result = await this._send("acceptAdmin", [], options);
+    const event = findEvent(result, "AdminTransferred");
+
+    return {
+      previousAdmin: event.args.previousAdmin,
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Cancel a case and credit the bounty back to the owner.
+   * @param {number} caseId
+   * @param {TxOptions} [options]
+   * @returns {Promise<{amount: string, receipt: Object}>}
+   */
+  async cancelCase(caseId, options = {}) {
+    const result = await this._send("cancelCase", [caseId], options);
+    const event = findEvent(result, "CaseCancelled");
+
+    return {
+      amount: event.args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Require an ETH stake from new finders and cap the number of submissions.
+   * @param {number} caseId
+   * @param {{stakeEth?: string|number, maxSubmissions?: number}} rules Omitted fields are 0 (no stake, no cap)
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async setSubmissionRules(caseId, { stakeEth = "0", maxSubmissions = 0 } = {}, options = {}) {
+    const result = await this._send("setSubmissionRules", [caseId, toWei(stakeEth), maxSubmissions], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Flag a submission as spam. This rejects it with the "Spam" reason, so the finder can
+   * contest it; their stake stays locked until the flag stands (see claimFlaggedStake).
+   * @param {number} caseId
+   * @param {number} finderIndex
+   * @param {TxOptions} [options]
+   * @returns {Promise<{finder: string, stake: string, contestDeadline: number, receipt: Object}>} Stake in wei
+   */
+  async flagSubmission(caseId, finderIndex, options = {}) {
+    const result = await this._send("flagSubmission", [caseId, finderIndex], options);
+    const event = findEvent(result, "SubmissionFlagged");
+
+    return {
+      finder: event.args.finder,
+      stake: event.args.stake.toString(),
+      contestDeadline: Number(findEvent(result, "SubmissionRejected").args.contestDeadline.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Credit the stake of a flagged finder to the owner once the flag stands: an arbiter
+   * upheld it, or the contest period or arbitration timeout ran out. Claim it with withdraw().
+   * @param {number} caseId
+   * @param {number} finderIndex
+   * @param {TxOptions} [options]
+   * @returns {Promise<{finder: string, amount: string, receipt: Object}>} Stake in wei
+   */
+  async claimFlaggedStake(caseId, finderIndex, options = {}) {
+    const result = await this._send("claimFlaggedStake", [caseId, finderIndex], options);
+    const event = findEvent(result, "FlaggedStakeClaimed");
+
+    return {
+      finder: event.args.finder,
+      amount: event.args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Reject a submission so it no longer blocks cancelling. The finder can contest it.
+   * @param {number} caseId
+   * @param {number} finderIndex
+   * @param {string|number} reason A name from REJECTION_REASONS (e.g. "NotThePet") or its code
+   * @param {TxOptions} [options]
+   * @returns {Promise<{finder: string, contestDeadline: number, receipt: Object}>}
+   */
+  async rejectSubmission(caseId, finderIndex, reason, options = {}) {
+    const reasonCode = typeof reason === "number" ? reason : REJECTION_REASONS.indexOf(reason);
+    if (!REJECTION_REASONS[reasonCode]) {
+      throw new RangeError(`Unknown rejection reason: ${reason}`);
+    }
+
+    const result = await this._send("rejectSubmission", [caseId, finderIndex, reasonCode], options);
+    const event = findEvent(result, "SubmissionRejected");
+
+    return {
+      finder: event.args.finder,
+      contestDeadline: Number(event.args.contestDeadline.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  // =============================================
+  // PUBLIC FUNCTIONS
+  // =============================================
+
+  /**
+   * Submit the sender as a finder for a case. The case's submission stake is
+   * looked up and sent with the transaction.
+   * @param {number} caseId
+   * @param {string} evidence
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async submitAsFinder(caseId, evidence, options = {}) {
+    const result = await this._send("submitAsFinder", [caseId, evidence], await this._withStake(caseId, options));
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Submit the sender as a finder with a structured report, sending the case's submission stake.
+   * @param {number} caseId
+   * @param {Object} report See encodeReport() - location as `geohash` or `latitude`/`longitude`
+   * @param {TxOptions} [options]
+   * @returns {Promise<{geohash: string, receipt: Object}>}
+   */
+  async submitFinderReport(caseId, report, options = {}) {
+    const { photoHash, geohash, sightedAt, contactHint } = encodeReport(report);
+    const result = await this._send(
+      "submitFinderReport",
+      [caseId, photoHash, geohash, sightedAt, contactHint],
+      await this._withStake(caseId, options)
+    );
+    return { geohash, receipt: result.receipt };
+  }
+
+  /**
+   * Replace the sender's evidence for a case; the old evidence moves to the history.
+   * @param {number} caseId
+   * @param {string} evidence
+   * @param {TxOptions} [options]
+   * @returns {Promise<{revision: number, receipt: Object}>}
+   */
+  async updateEvidence(caseId, evidence, options = {}) {
+    const result = await this._send("updateEvidence", [caseId, evidence], options);
+    const event = result.logs.find((log) => log.event === "EvidenceUpdated");
+    return {
+      revision: Number(event.args.revision.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Retract the sender's finder submission. Finder indexes do not change.
+   * @param {number} caseId
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async withdrawSubmission(caseId, options = {}) {
+    const result = await this._send("withdrawSubmission", [caseId], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Credit the sender's submission stake back once the case is no longer active.
+   * Claim it with withdraw().
+   * @param {number} caseId
+   * @param {TxOptions} [options]
+   * @returns {Promise<{amount: string, receipt: Object}>} Stake in wei
+   */
+  async reclaimStake(caseId, options = {}) {
+    const result = await this._send("reclaimStake", [caseId], options);
+    const event = findEvent(result, "StakeReturned");
+
+    return {
+      amount: event.args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Log a sighting of the pet. Unlike a finder submission it cannot be paid
+   * the bounty and does not stop the owner cancelling.
+   * @param {number} caseId
+   * @param {Object} sighting See encodeSighting() - location as `geohash` or `latitude`/`longitude`
+   * @param {TxOptions} [options]
+   * @returns {Promise<{sightingId: number, geohash: string, receipt: Object}>}
+   */
+  async reportSighting(caseId, sighting, options = {}) {
+    const { geohash, seenAt, note } = encodeSighting(sighting);
+    const result = await this._send("reportSighting", [caseId, geohash, seenAt, note], options);
+    const event = findEvent(result, "SightingReported");
+
+    return {
+      sightingId: Number(event.args.sightingId.toString()),
+      geohash,
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Tip the reporter of a sighting. Only the case owner can call this.
+   * The tip is credited to the reporter, who claims it with withdraw().
+   * @param {number} caseId
+   * @param {number} sightingId
+   * @param {string|number} amountEth
+   * @param {TxOptions} [options]
+   * @returns {Promise<{reporter: string, amount: string, receipt: Object}>} Amount in wei
+   */
+  async tipSighter(caseId, sightingId, amountEth, options = {}) {
+    const result = await this._send("tipSighter", [caseId, sightingId], { ...options, value: toWei(amountEth) });
+    const event = findEvent(result, "SightingTipped");
+
+    return {
+      reporter: event.args.reporter,
+      amount: event.args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Process a case if it has expired.
+   * @param {number} caseId
+   * @param {TxOptions} [options]
+   * @returns {Promise<{processed: boolean, keeperReward: string, receipt: Object}>} keeperReward is what
+   *   the sender was credited, in wei or the token's smallest unit
+   */
+  async checkAndProcessExpiry(caseId, options = {}) {
+    const result = await this._send("checkAndProcessExpiry", [caseId], options);
+    const event = result.logs.find((log) => log.event === "CaseExpired");
+    return {
+      processed: Boolean(event),
+      keeperReward: event ? event.args.keeperReward.toString() : "0",
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Process several cases for expiry in one transaction.
+   * @param {number[]} caseIds
+   * @param {TxOptions} [options]
+   * @returns {Promise<{processedCount: number, processed: number[], keeperRewards: string[], receipt: Object}>}
+   *   keeperRewards[i] is what the sender was credited for processed[i]
+   */
+  async batchCheckExpiry(caseIds, options = {}) {
+    const result = await this._send("batchCheckExpiry", [caseIds], options);
+    const expired = result.logs.filter((log) => log.event === "CaseExpired");
+
+    return {
+      processedCount: expired.length,
+      processed: expired.map((log) => Number(log.args.caseId.toString())),
+      keeperRewards: expired.map((log) => log.args.keeperReward.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Gas a batchCheckExpiry call for these cases would use right now.
+   * @param {number[]} caseIds
+   * @param {TxOptions} [options]
+   * @returns {Promise<number>}
+   */
+  async estimateBatchCheckExpiryGas(caseIds, options = {}) {
+    return Number(await this._estimateGas("batchCheckExpiry", [caseIds], options));
+  }
+
+  /**
+   * Add ETH to the bounty of a case owned by someone else.
+   * @param {number} caseId
+   * @param {string|number} amountEth Contribution in ETH
+   * @param {TxOptions} [options]
+   * @returns {Promise<{contributor: string, amount: string, newTotal: string, receipt: Object}>}
+   */
+  async contributeToBounty(caseId, amountEth, options = {}) {
+    const result = await this._send("contributeToBounty", [caseId], { ...options, value: toWei(amountEth) });
+    const event = findEvent(result, "BountyContributed");
+
+    return {
+      contributor: event.args.contributor,
+      amount: event.args.amount.toString(),
+      newTotal: event.args.newTotal.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Contest the owner's resolution of a case as one of its finders.
+   * @param {number} caseId
+   * @param {string} reason
+   * @param {TxOptions} [options]
+   * @returns {Promise<{arbitrationDeadline: number, receipt: Object}>}
+   */
+  async openDispute(caseId, reason, options = {}) {
+    const result = await this._send("openDispute", [caseId, reason], options);
+    const event = findEvent(result, "DisputeOpened");
+
+    return {
+      arbitrationDeadline: Number(event.args.arbitrationDeadline.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Keep the owner's resolution of a disputed case (arbiters only).
+   * @param {number} caseId
+   * @param {TxOptions} [options]
+   * @returns {Promise<{amount: string, receipt: Object}>}
+   */
+  async upholdResolution(caseId, options = {}) {
+    const result = await this._send("upholdResolution", [caseId], options);
+    return {
+      amount: findEvent(result, "DisputeRuled").args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Award the whole bounty of a disputed case to one finder (arbiters only).
+   * @param {number} caseId
+   * @param {number} finderIndex Index into the case's finders array
+   * @param {TxOptions} [options]
+   * @returns {Promise<{finder: string, amount: string, receipt: Object}>}
+   */
+  async overturnResolution(caseId, finderIndex, options = {}) {
+    const result = await this._send("overturnResolution", [caseId, finderIndex], options);
+    const event = findEvent(result, "DisputeRuled");
+
+    return {
+      finder: event.args.finder,
+      amount: event.args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Release a held resolution once the dispute window or arbitration timeout has passed.
+   * @param {number} caseId
+   * @param {TxOptions} [options]
+   * @returns {Promise<{amount: string, receipt: Object}>}
+   */
+  async finalizeResolution(caseId, options = {}) {
+    const result = await this._send("finalizeResolution", [caseId], options);
+    return {
+      amount: findEvent(result, "ResolutionFinalized").args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Contest the owner's rejection of the sender's submission.
+   * @param {number} caseId
+   * @param {string} reason
+   * @param {TxOptions} [options]
+   * @returns {Promise<{arbitrationDeadline: number, receipt: Object}>}
+   */
+  async contestRejection(caseId, reason, options = {}) {
+    const result = await this._send("contestRejection", [caseId, reason], options);
+    const event = findEvent(result, "RejectionContested");
+
+    return {
+      arbitrationDeadline: Number(event.args.arbitrationDeadline.toString()),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Keep a contested rejection or reinstate the submission (arbiters only).
+   * @param {number} caseId
+   * @param {number} finderIndex
+   * @param {boolean} uphold
+   * @param {TxOptions} [options]
+   * @returns {Promise<{receipt: Object}>}
+   */
+  async ruleOnRejection(caseId, finderIndex, uphold, options = {}) {
+    const result = await this._send("ruleOnRejection", [caseId, finderIndex, uphold], options);
+    return { receipt: result.receipt };
+  }
+
+  /**
+   * Withdraw every payout and refund credited to the sender.
+   * @param {TxOptions} [options]
+   * @returns {Promise<{amount: string, receipt: Object}>}
+   */
+  async withdraw(options = {}) {
+    const result = await this._send("withdraw", [], options);
+    const event = findEvent(result, "Withdrawal");
+
+    return {
+      amount: event.args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  /**
+   * Withdraw all tokens of one kind credited to the sender.
+   * @param {string} token
+   * @param {TxOptions} [options]
+   * @returns {Promise<{amount: string, receipt: Object}>} Amount in the token's smallest unit
+   */
+  async withdrawToken(token, options = {}) {
+    const result = await this._send("withdrawToken", [token], options);
+    const event = findEvent(result, "TokenWithdrawal");
+
+    return {
+      amount: event.args.amount.toString(),
+      receipt: result.receipt
+    };
+  }
+
+  // =============================================
+  // VIEW FUNCTIONS
+  // =============================================
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<{owner: string, bounty: string, bountyEth: string, isResolved: boolean}>}
+   */
+  async getCaseBasic(caseId) {
+    const result = await this._call("getCaseBasic", [caseId]);
+    return {
+      owner: result.owner,
+      bounty: result.bounty.toString(),
+      bountyEth: fromWei(result.bounty),
+      isResolved: result.isResolved
+    };
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<PetCase>}
+   */
+  async getCaseFull(caseId) {
+    const [result, asset] = await Promise.all([
+      this._call("getCaseFull", [caseId]),
+      this.getCaseAsset(caseId)
+    ]);
+    return {
+      caseId: Number(caseId),
+      owner: result.owner,
+      petName: result.petName,
+      bounty: result.bounty.toString(),
+      bountyEth: asset ? null : fromWei(result.bounty),
+      asset,
+      status: decodeStatus(result.status),
+      createdAt: Number(result.createdAt.toString()),
+      expiresAt: Number(result.expiresAt.toString()),
+      finderCount: Number(result.finderCount.toString())
+    };
+  }
+
+  /** @returns {Promise<number>} */
+  async getTotalCases() {
+    return Number((await this._call("getTotalCases", [])).toString());
+  }
+
+  /**
+   * Read the contract's public constants.
+   * @returns {Promise<{minBounty: string, minResolveTime: number, defaultExpiry: number, minCaseDuration: number, maxCaseDuration: number, disputeWindow: number, arbitrationTimeout: number, claimWindow: number}>}
+   */
+  async getConstants() {
+    const [minBounty, minResolveTime, defaultExpiry, minCaseDuration, maxCaseDuration, disputeWindow, arbitrationTimeout, claimWindow] = await Promise.all([
+      this._call("MIN_BOUNTY", []),
+      this._call("MIN_RESOLVE_TIME", []),
+      this._call("DEFAULT_EXPIRY_DAYS", []),
+      this._call("MIN_CASE_DURATION", []),
+      this._call("MAX_CASE_DURATION", []),
+      this._call("DISPUTE_WINDOW", []),
+      this._call("ARBITRATION_TIMEOUT", []),
+      this._call("CLAIM_WINDOW", [])
+    ]);
+    return {
+      minBounty: minBounty.toString(),
+      minResolveTime: Number(minResolveTime.toString()),
+      defaultExpiry: Number(defaultExpiry.toString()),
+      minCaseDuration: Number(minCaseDuration.toString()),
+      maxCaseDuration: Number(maxCaseDuration.toString()),
+      disputeWindow: Number(disputeWindow.toString()),
+      arbitrationTimeout: Number(arbitrationTimeout.toString()),
+      claimWindow: Number(claimWindow.toString())
+    };
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<boolean>}
+   */
+  async isCaseExpired(caseId) {
+    return this._call("isCaseExpired", [caseId]);
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<string[]>}
+   */
+  async getFinders(caseId) {
+    return this._call("getFinders", [caseId]);
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<number>}
+   */
+  async getFinderCount(caseId) {
+    return Number((await this._call("getFinderCount", [caseId])).toString());
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} finder
+   * @returns {Promise<boolean>}
+   */
+  async isFinder(caseId, finder) {
+    return this._call("isFinder", [caseId, finder]);
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {number} startIndex
+   * @param {number} count
+   * @returns {Promise<string[]>}
+   */
+  async getFindersPaginated(caseId, startIndex, count) {
+    return this._call("getFindersPaginated", [caseId, startIndex, count]);
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} finder
+   * @returns {Promise<string>}
+   */
+  async getFinderEvidence(caseId, finder) {
+    return this._call("getFinderEvidence", [caseId, finder]);
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} finder
+   * @returns {Promise<string[]>} Replaced evidence, oldest first
+   */
+  async getEvidenceHistory(caseId, finder) {
+    return this._call("getEvidenceHistory", [caseId, finder]);
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} finder
+   * @returns {Promise<boolean>}
+   */
+  async isSubmissionWithdrawn(caseId, finder) {
+    return this._call("isSubmissionWithdrawn", [caseId, finder]);
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} finder
+   * @returns {Promise<boolean>} True if the owner flagged the submission as spam
+   */
+  async isSubmissionFlagged(caseId, finder) {
+    return this._call("isSubmissionFlagged", [caseId, finder]);
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<{stake: string, stakeEth: string, maxSubmissions: number, submissionCount: number}>}
+   *   `stake` in wei; `maxSubmissions` is 0 when there is no cap
+   */
+  async getSubmissionRules(caseId) {
+    const result = await this._call("getSubmissionRules", [caseId]);
+    return {
+      stake: result.stake.toString(),
+      stakeEth: fromWei(result.stake),
+      maxSubmissions: Number(result.maxSubmissions.toString()),
+      submissionCount: Number(result.submissionCount.toString())
+    };
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} finder
+   * @returns {Promise<string>} Stake the finder still has locked in the case, in wei
+   */
+  async getLockedStake(caseId, finder) {
+    return (await this._call("getLockedStake", [caseId, finder])).toString();
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} finder
+   * @returns {Promise<{state: string, reason: string|null, contestDeadline: number, arbitrationDeadline: number}>}
+   *   `state` is one of REJECTION_STATE_NAMES; `reason` is one of REJECTION_REASONS or "Spam" for a flag, null if never rejected
+   */
+  async getRejection(caseId, finder) {
+    const result = await this._call("getRejection", [caseId, finder]);
+    const state = REJECTION_STATE_NAMES[Number(result.state.toString())];
+    return {
+      state,
+      reason: state === "None" ? null : REJECTION_REASONS[Number(result.reasonCode.toString())] || SPAM_REASON,
+      contestDeadline: Number(result.contestDeadline.toString()),
+      arbitrationDeadline: Number(result.arbitrationDeadline.toString())
+    };
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} finder
+   * @returns {Promise<Object|null>} FinderReport (see reports.js), or null if the finder used submitAsFinder
+   */
+  async getFinderReport(caseId, finder) {
+    return decodeReport(await this._call("getFinderReport", [caseId, finder]));
+  }
+
+  /**
+   * A page of a case's sighting log, oldest first.
+   * @param {number} caseId
+   * @param {number} startIndex ID of the first sighting
+   * @param {number} count
+   * @returns {Promise<Object[]>} Sighting objects (see reports.js)
+   */
+  async getSightings(caseId, startIndex, count) {
+    return decodeSightings(await this._call("getSightings", [caseId, startIndex, count]), startIndex);
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<number>}
+   */
+  async getSightingCount(caseId) {
+    return Number((await this._call("getSightingCount", [caseId])).toString());
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<Object>} CaseMetadata (see metadata.js); empty fields are "" or null
+   */
+  async getCaseMetadata(caseId) {
+    return decodeMetadata(await this._call("getCaseMetadata", [caseId]));
+  }
+
+  /**
+   * getCaseFull plus the case's metadata.
+   * @param {number} caseId
+   * @returns {Promise<Object>}
+   */
+  async getCaseDetails(caseId) {
+    const [petCase, metadata] = await Promise.all([this.getCaseFull(caseId), this.getCaseMetadata(caseId)]);
+    return { ...petCase, metadata };
+  }
+
+  /** @returns {Promise<string>} Total escrow in wei */
+  async getTotalEscrow() {
+    return (await this._call("getTotalEscrow", [])).toString();
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<string>} Case escrow in wei
+   */
+  async getCaseEscrow(caseId) {
+    return (await this._call("getCaseEscrow", [caseId])).toString();
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<boolean>}
+   */
+  async isCaseFunded(caseId) {
+    return this._call("isCaseFunded", [caseId]);
+  }
+
+  /** @returns {Promise<number[]>} */
+  async getActiveCases() {
+    const ids = await this._call("getActiveCases", []);
+    return ids.map((id) => Number(id.toString()));
+  }
+
+  /**
+   * @param {string} owner
+   * @returns {Promise<number[]>}
+   */
+  async getCasesByOwner(owner) {
+    const ids = await this._call("getCasesByOwner", [owner]);
+    return ids.map((id) => Number(id.toString()));
+  }
+
+  /**
+   * Cases with IDs startIndex..startIndex+count-1 that have a status. Cases past
+   * their deadline count as "Expired". A page may hold fewer than `count` IDs;
+   * the next page starts at startIndex + count.
+   * @param {number} startIndex
+   * @param {number} count
+   * @param {"Active"|"Resolved"|"Cancelled"|"Expired"|"PendingResolution"|null} [status] null for any status
+   * @returns {Promise<number[]>}
+   */
+  async getCasesPaginated(startIndex, count, status = null) {
+    let statusFilter = ANY_STATUS;
+    if (status !== null) {
+      statusFilter = CASE_STATUS_NAMES.indexOf(status);
+      if (statusFilter < 0) {
+        throw new RangeError(`Unknown case status: ${status}`);
+      }
+    }
+    const ids = await this._call("getCasesPaginated", [startIndex, count, statusFilter]);
+    return ids.map((id) => Number(id.toString()));
+  }
+
+  /**
+   * @param {string} owner
+   * @param {number} startIndex Position in the owner's list of cases
+   * @param {number} count
+   * @returns {Promise<number[]>}
+   */
+  async getCasesByOwnerPaginated(owner, startIndex, count) {
+    const ids = await this._call("getCasesByOwnerPaginated", [owner, startIndex, count]);
+    return ids.map((id) => Number(id.toString()));
+  }
+
+  /**
+   * Cases an address has submitted to as a finder, in submission order.
+   * @param {string} finder
+   * @param {number} startIndex Position in the finder's list of cases
+   * @param {number} count
+   * @returns {Promise<number[]>}
+   */
+  async getCasesByFinderPaginated(finder, startIndex, count) {
+    const ids = await this._call("getCasesByFinderPaginated", [finder, startIndex, count]);
+    return ids.map((id) => Number(id.toString()));
+  }
+
+  /**
+   * A page of a finder's submissions with the outcome of each case. Cases past
+   * their deadline are reported as "Expired".
+   * @param {string} finder
+   * @param {number} startIndex Position in the finder's list of cases
+   * @param {number} count
+   * @returns {Promise<{caseId: number, status: string, withdrawn: boolean, paid: boolean, paidAmount: string}[]>}
+   */
+  async getFinderSubmissions(finder, startIndex, count) {
+    const result = await this._call("getFinderSubmissions", [finder, startIndex, count]);
+    return result.caseIds.map((caseId, i) => ({
+      caseId: Number(caseId.toString()),
+      status: decodeStatus(result.statuses[i]),
+      withdrawn: result.withdrawn[i],
+      paid: result.paidAmounts[i].toString() !== "0",
+      paidAmount: result.paidAmounts[i].toString()
+    }));
+  }
+
+  /**
+   * Reputation counters of several addresses, with the reputationScore() of each
+   * (default weights). Pass a page of getFindersPaginated() to rank a case's finders.
+   * @param {string[]} finders
+   * @returns {Promise<{finder: string, submissions: number, chosen: number, rejected: number, disputesLost: number, score: number}[]>}
+   */
+  async getFinderStats(finders) {
+    const result = await this._call("getFinderStats", [finders]);
+    return finders.map((finder, i) => {
+      const stats = {
+        submissions: Number(result.submissions[i].toString()),
+        chosen: Number(result.chosen[i].toString()),
+        rejected: Number(result.rejected[i].toString()),
+        disputesLost: Number(result.disputesLost[i].toString())
+      };
+      return { finder, ...stats, score: reputationScore(stats) };
+    });
+  }
+
+  /**
+   * Total bounty credited to a finder by finalized resolutions.
+   * @param {string} finder
+   * @param {string|null} [token] Token address, null (default) for ETH
+   * @returns {Promise<string>} Amount in wei (or the token's smallest unit)
+   */
+  async getTotalEarned(finder, token = null) {
+    return (await this._call("getTotalEarned", [finder, token || ZERO_ADDRESS])).toString();
+  }
+
+  /**
+   * Number of cases in each stored status. Cases past their deadline stay
+   * Active here until they are processed.
+   * @returns {Promise<{Active: number, Resolved: number, Cancelled: number, Expired: number, PendingResolution: number}>}
+   */
+  async getCaseCounts() {
+    const counts = await this._call("getCaseCounts", []);
+    return {
+      Active: Number(counts.active.toString()),
+      Resolved: Number(counts.resolved.toString()),
+      Cancelled: Number(counts.cancelled.toString()),
+      Expired: Number(counts.expired.toString()),
+      PendingResolution: Number(counts.pendingResolution.toString())
+    };
+  }
+
+  /**
+   * Dispute status and payouts of a resolved case.
+   * @param {number} caseId
+   * @returns {Promise<Resolution>}
+   */
+  async getResolution(caseId) {
+    const [result, payouts] = await Promise.all([
+      this._call("getResolution", [caseId]),
+      this._call("getResolutionPayouts", [caseId])
+    ]);
+    return {
+      state: RESOLUTION_STATE_NAMES[Number(result.state.toString())],
+      amount: result.amount.toString(),
+      disputeDeadline: Number(result.disputeDeadline.toString()),
+      disputant: result.disputant === ZERO_ADDRESS ? null : result.disputant,
+      arbitrationDeadline: Number(result.arbitrationDeadline.toString()),
+      payouts: payouts.finders.map((finder, i) => ({ finder, amount: payouts.amounts[i].toString() }))
+    };
+  }
+
+  /**
+   * The finder proposed for a case, or null if there is no proposal.
+   * @param {number} caseId
+   * @returns {Promise<{finder: string, claimDeadline: number, acknowledged: boolean}|null>}
+   */
+  async getProposal(caseId) {
+    const result = await this._call("getProposal", [caseId]);
+    if (result.finder === ZERO_ADDRESS) {
+      return null;
+    }
+    return {
+      finder: result.finder,
+      claimDeadline: Number(result.claimDeadline.toString()),
+      acknowledged: result.acknowledged
+    };
+  }
+
+  /**
+   * @param {string} account
+   * @returns {Promise<boolean>}
+   */
+  async isArbiter(account) {
+    return this._call("isArbiter", [account]);
+  }
+
+  /**
+   * The admin, the address the role was offered to (null if none) and whether the contract is paused.
+   * @returns {Promise<{admin: string, pendingAdmin: string|null, paused: boolean}>}
+   */
+  async getAdminState() {
+    const [admin, pendingAdmin, paused] = await Promise.all([
+      this._call("admin", []),
+      this._call("pendingAdmin", []),
+      this._call("paused", [])
+    ]);
+    return {
+      admin,
+      pendingAdmin: pendingAdmin === ZERO_ADDRESS ? null : pendingAdmin,
+      paused
+    };
+  }
+
+  /**
+   * Contributions made by addresses other than the owner, in order of first contribution.
+   * @param {number} caseId
+   * @returns {Promise<{contributor: string, amount: string}[]>} Amounts in wei
+   */
+  async getContributions(caseId) {
+    const result = await this._call("getContributions", [caseId]);
+    return result.contributors.map((contributor, i) => ({
+      contributor,
+      amount: result.amounts[i].toString()
+    }));
+  }
+
+  /**
+   * @param {number} caseId
+   * @param {string} contributor
+   * @returns {Promise<string>} Amount contributed in wei
+   */
+  async getContribution(caseId, contributor) {
+    return (await this._call("getContribution", [caseId, contributor])).toString();
+  }
+
+  /**
+   * @param {string} account
+   * @returns {Promise<string>} Amount credited to the account in wei
+   */
+  async pendingWithdrawal(account) {
+    return (await this._call("pendingWithdrawal", [account])).toString();
+  }
+
+  /** @returns {Promise<string>} Total credited but not yet withdrawn in wei */
+  async getTotalPendingWithdrawals() {
+    return (await this._call("totalPendingWithdrawals", [])).toString();
+  }
+
+  /** @returns {Promise<string>} Total ETH locked as submission stakes in wei */
+  async getTotalLockedStakes() {
+    return (await this._call("totalLockedStakes", [])).toString();
+  }
+
+  /** @returns {Promise<number>} Platform fee taken from resolved bounties, in basis points */
+  async getPlatformFee() {
+    return Number((await this._call("platformFeeBps", [])).toString());
+  }
+
+  /** @returns {Promise<number>} Keeper reward taken from expired bounties, in basis points */
+  async getKeeperReward() {
+    return Number((await this._call("keeperRewardBps", [])).toString());
+  }
+
+  /**
+   * @param {string|null} [asset] Token address, null for ETH
+   * @returns {Promise<string>} Collected fees not yet withdrawn, in wei or the token's smallest unit
+   */
+  async getTreasuryBalance(asset = null) {
+    return (await this._call("treasuryBalance", [asset || ZERO_ADDRESS])).toString();
+  }
+
+  /**
+   * @param {string} account
+   * @param {string} token
+   * @returns {Promise<string>} Tokens credited to the account, in the token's smallest unit
+   */
+  async pendingTokenWithdrawal(account, token) {
+    return (await this._call("pendingTokenWithdrawal", [account, token])).toString();
+  }
+
+  /**
+   * @param {number} caseId
+   * @returns {Promise<string|null>} Bounty token address, null for ETH
+   */
+  async getCaseAsset(caseId) {
+    const asset = await this._call("getCaseAsset", [caseId]);
+    return asset === ZERO_ADDRESS ? null : asset;
+  }
+
+  /**
+   * Everything the contract holds for one asset; with getTreasuryBalance() these add
+   * up to its balance (for ETH, plus getTotalLockedStakes()).
+   * @param {string|null} [asset] Token address, null for ETH
+   * @returns {Promise<{escrow: string, pendingResolutions: string, pendingWithdrawals: string}>}
+   */
+  async getAssetTotals(asset = null) {
+    const result = await this._call("getAssetTotals", [asset || ZERO_ADDRESS]);
+    return {
+      escrow: result.escrow.toString(),
+      pendingResolutions: result.pendingResolutions.toString(),
+      pendingWithdrawals: result.pendingWithdrawals.toString()
+    };
+  }
+
+  /**
+   * @param {string} token
+   * @returns {Promise<string>} Minimum bounty in the token's smallest unit, "0" if not allowed
+   */
+  async getTokenMinBounty(token) {
+    return (await this._call("tokenMinBounty", [token])).toString();
+  }
+
+  // =============================================
+  // UNSIGNED TRANSACTIONS
+  // =============================================
+
+  /**
+   * Build an unsigned transaction for a contract method, for signing elsewhere
+   * (e.g. in a mobile wallet). Nothing is sent.
+   * @param {string} method Contract method name (e.g. "createCase")
+   * @param {Array} args Method arguments
+   * @param {{from?: string, value?: string}} [options] `value` in wei
+   * @returns {{from: string|undefined, to: string, data: string, value: string}}
+   */
+  buildTransaction(method, args, options = {}) {
+    return {
+      from: options.from || this.from,
+      to: this.contract.address,
+      data: this.contract.contract.methods[method](...args).encodeABI(),
+      value: options.value || "0"
+    };
+  }
+
+  // =============================================
+  // INTERNAL HELPERS
+  // =============================================
+
+  async _withStake(caseId, options) {
+    if (options.value !== undefined) {
+      return options;
+    }
+    const { stake } = await this.getSubmissionRules(caseId);
+    return { ...options, value: stake };
+  }
+
+  async _send(method, args, options) {
+    try {
+      return await this.contract[method](...args, this._txOptions(options));
+    } catch (error) {
+      throw fromRevert(error);
+    }
+  }
+
+  async _estimateGas(method, args, options) {
+    try {
+      return await this.contract[method].estimateGas(...args, this._txOptions(options));
+    } catch (error) {
+      throw fromRevert(error);
+    }
+  }
+
+  _txOptions(options) {
+    const txOptions = { ...options };
+    if (!txOptions.from && this.from) {
+      txOptions.from = this.from;
+    }
+    return txOptions;
+  }
+
+  async _call(method, args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw fromRevert(error);
+    }
+  }
+}
+
+// Platform fee taken by a resolution, "0" if there was none
+function platformFeeOf(result) {
+  const log = result.logs.find((entry) => entry.event === "PlatformFeeCharged");
+  return log ? log.args.amount.toString() : "0";
+}
+
+function findEvent(result, name) {
+  const log = result.logs.find((entry) => entry.event === name);
+  if (!log) {
+    throw new Error(`Expected ${name} event in transaction ${result.tx}`);
+  }
+  return log;
+}
+
+module.exports = {
+  LostPetClient,
+  CaseStatus,
+  CASE_STATUS_NAMES,
+  RESOLUTION_STATE_NAMES,
+  REJECTION_STATE_NAMES,
+  REJECTION_REASONS,
+  decodeStatus,
+  encodeCaseOptions
+};
@@ -0,0 +1,240 @@
+// Typed errors for LostPet contract reverts.
+// Each `require` message in LostPet.sol maps to one error class below, so
+// callers can branch on `instanceof` instead of matching revert strings.
+
+class LostPetError extends Error {
+  /**
+   * @param {string} message Human readable message
+   * @param {Error} [cause] Original error thrown by web3/truffle
+   */
+  constructor(message, cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = message;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+class CaseNotFoundError extends LostPetError {}
+class NotCaseOwnerError extends LostPetError {}
+class CaseNotActiveError extends LostPetError {}
+class CaseExpiredError extends LostPetError {}
+class BountyTooLowError extends LostPetError {}
+class EmptyPetNameError extends LostPetError {}
+class NoValueSentError extends LostPetError {}
+class CaseTooNewError extends LostPetError {}
+class InvalidFinderIndexError extends LostPetError {}
+class InsufficientBalanceError extends LostPetError {}
+class TransferFailedError extends LostPetError {}
+class FindersSubmittedError extends LostPetError {}
+class CancelTooEarlyError extends LostPetError {}
+class AlreadyFinderError extends LostPetError {}
+class EmptyEvidenceError extends LostPetError {}
+class InvalidSplitError extends LostPetError {}
+class NothingToWithdrawError extends LostPetError {}
+class OwnerContributionError extends LostPetError {}
+class TooManyContributorsError extends LostPetError {}
+class DisputeError extends LostPetError {}
+class NotArbiterError extends LostPetError {}
+class InvalidReportError extends LostPetError {}
+class NotFinderError extends LostPetError {}
+class SubmissionWithdrawnError extends LostPetError {}
+class TokenNotAllowedError extends LostPetError {}
+class WrongAssetError extends LostPetError {}
+class InvalidMetadataError extends LostPetError {}
+class InvalidDurationError extends LostPetError {}
+class StakeError extends LostPetError {}
+class SubmissionLimitError extends LostPetError {}
+class SubmissionFlaggedError extends LostPetError {}
+class SubmissionRejectedError extends LostPetError {}
+class PausedError extends LostPetError {}
+class NotAdminError extends LostPetError {}
+class TreasuryError extends LostPetError {}
+class KeeperRewardError extends LostPetError {}
+class ProposalError extends LostPetError {}
+
+// Revert reason (exact `require` message) -> error class
+const REVERT_REASONS = {
+  "Case does not exist": CaseNotFoundError,
+  "Only case owner can increase bounty": NotCaseOwnerError,
+  "Only case owner can resolve": NotCaseOwnerError,
+  "Only case owner can update metadata": NotCaseOwnerError,
+  "Only case owner can extend": NotCaseOwnerError,
+  "Only owner can cancel": NotCaseOwnerError,
+  "Only case owner can set rules": NotCaseOwnerError,
+  "Only case owner can flag": NotCaseOwnerError,
+  "Only case owner can reject": NotCaseOwnerError,
+  "Only case owner can claim": NotCaseOwnerError,
+  "Only case owner can withdraw proposal": NotCaseOwnerError,
+  "Case not active": CaseNotActiveError,
+  "Case expired": CaseExpiredError,
+  "Bounty must be at least 0.001 ETH": BountyTooLowError,
+  "Contribution must be at least 0.001 ETH": BountyTooLowError,
+  "Pet name cannot be empty": EmptyPetNameError,
+  "Must send ETH": NoValueSentError,
+  "Case too new to resolve": CaseTooNewError,
+  "Invalid finder index": InvalidFinderIndexError,
+  "Insufficient contract balance": InsufficientBalanceError,
+  "Withdrawal failed": TransferFailedError,
+  "Token transfer failed": TransferFailedError,
+  "Token not allowed": TokenNotAllowedError,
+  "Invalid token": TokenNotAllowedError,
+  "Bounty below token minimum": BountyTooLowError,
+  "Wrong bounty asset": WrongAssetError,
+  "Must send tokens": NoValueSentError,
+  "No funds to withdraw": NothingToWithdrawError,
+  "Owner must use increaseBounty": OwnerContributionError,
+  "Too many contributors": TooManyContributorsError,
+  "Resolution not pending": DisputeError,
+  "Only finders can dispute": DisputeError,
+  "Dispute window closed": DisputeError,
+  "Dispute reason cannot be empty": DisputeError,
+  "Dispute window still open": DisputeError,
+  "Arbitration still in progress": DisputeError,
+  "No open dispute": DisputeError,
+  "Arbitration period over": DisputeError,
+  "Only arbiter manager": NotArbiterError,
+  "Only arbiter": NotArbiterError,
+  "Arbiter is a party to the case": NotArbiterError,
+  "Invalid arbiter": NotArbiterError,
+  "Only admin": NotAdminError,
+  "Only pending admin": NotAdminError,
+  "Invalid admin": NotAdminError,
+  "Contract paused": PausedError,
+  "Already paused": PausedError,
+  "Not paused": PausedError,
+  "Fee above cap": TreasuryError,
+  "Invalid recipient": TreasuryError,
+  "Reward above cap": KeeperRewardError,
+  "Treasury empty": NothingToWithdrawError,
+  "No pending proposal": ProposalError,
+  "Claim window still open": ProposalError,
+  "Claim window over": ProposalError,
+  "Cannot cancel - finders already submitted": FindersSubmittedError,
+  "Cannot cancel before 7 days": CancelTooEarlyError,
+  "Already submitted as finder": AlreadyFinderError,
+  "Evidence cannot be empty": EmptyEvidenceError,
+  "Not a finder for this case": NotFinderError,
+  "Submission withdrawn": SubmissionWithdrawnError,
+  "Finder withdrew submission": SubmissionWithdrawnError,
+  "Submission flagged as spam": SubmissionFlaggedError,
+  "Submission not flagged": SubmissionFlaggedError,
+  "Flag can still be contested": SubmissionFlaggedError,
+  "Submission limit reached": SubmissionLimitError,
+  "Cap below current submissions": SubmissionLimitError,
+  "Incorrect stake": StakeError,
+  "No stake to reclaim": StakeError,
+  "No stake to claim": StakeError,
+  "Case still active": StakeError,
+  "Submission rejected": SubmissionRejectedError,
+  "Submission already rejected": SubmissionRejectedError,
+  "Invalid reason code": SubmissionRejectedError,
+  "No rejection to contest": SubmissionRejectedError,
+  "Contest period over": SubmissionRejectedError,
+  "Contest reason cannot be empty": SubmissionRejectedError,
+  "No contested rejection": SubmissionRejectedError,
+  "Rejection can still be contested": SubmissionRejectedError,
+  "Photo hash required": InvalidReportError,
+  "Invalid geohash": InvalidReportError,
+  "Invalid sighting time": InvalidReportError,
+  "Contact hint too long": InvalidReportError,
+  "Note too long": InvalidReportError,
+  "Invalid sighting": InvalidReportError,
+  "Only case owner can tip": NotCaseOwnerError,
+  "Species too long": InvalidMetadataError,
+  "Description too long": InvalidMetadataError,
+  "Invalid duration": InvalidDurationError,
+  "Extension too long": InvalidDurationError,
+  "Invalid number of finders": InvalidSplitError,
+  "Shares length mismatch": InvalidSplitError,
+  "Share must be greater than zero": InvalidSplitError,
+  "Duplicate finder index": InvalidSplitError,
+  "Shares must add up to 10000 bps": InvalidSplitError
+};
+
+/**
+ * Extract the revert reason from a web3/truffle error, if there is one.
+ * @param {Error} error
+ * @returns {string|null}
+ */
+function getRevertReason(error) {
+  if (!error) {
+    return null;
+  }
+  if (typeof error.reason === "string" && error.reason.length > 0) {
+    return error.reason;
+  }
+
+  const message = String(error.message || "");
+  for (const reason of Object.keys(REVERT_REASONS)) {
+    if (message.includes(reason)) {
+      return reason;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a contract revert into the matching LostPetError subclass.
+ * Errors that are not recognised reverts are returned unchanged.
+ * @param {Error} error
+ * @returns {Error}
+ */
+function fromRevert(error) {
+  if (error instanceof LostPetError) {
+    return error;
+  }
+
+  const reason = getRevertReason(error);
+  const ErrorClass = reason && REVERT_REASONS[reason];
+  if (!ErrorClass) {
+    return error;
+  }
+  return new ErrorClass(reason, error);
+}
+
+module.exports = {
+  LostPetError,
+  CaseNotFoundError,
+  NotCaseOwnerError,
+  CaseNotActiveError,
+  CaseExpiredError,
+  BountyTooLowError,
+  EmptyPetNameError,
+  NoValueSentError,
+  CaseTooNewError,
+  InvalidFinderIndexError,
+  InsufficientBalanceError,
+  TransferFailedError,
+  FindersSubmittedError,
+  CancelTooEarlyError,
+  AlreadyFinderError,
+  EmptyEvidenceError,
+  InvalidSplitError,
+  NothingToWithdrawError,
+  OwnerContributionError,
+  TooManyContributorsError,
+  DisputeError,
+  NotArbiterError,
+  InvalidReportError,
+  NotFinderError,
+  SubmissionWithdrawnError,
+  TokenNotAllowedError,
+  WrongAssetError,
+  InvalidMetadataError,
+  InvalidDurationError,
+  StakeError,
+  SubmissionLimitError,
+  SubmissionFlaggedError,
+  SubmissionRejectedError,
+  PausedError,
+  NotAdminError,
+  TreasuryError,
+  KeeperRewardError,
+  ProposalError,
+  REVERT_REASONS,
+  getRevertReason,
+  fromRevert
+};
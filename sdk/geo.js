@@ -0,0 +1,138 @@
+// Area search.
+// Turns "within R metres of a point" into the geohash prefixes that cover the
+// circle, so an index keyed by case geohashes (see the indexer's
+// getActiveCasesNear) can answer it with prefix lookups.
+
+const { MAX_GEOHASH_LENGTH, encodeGeohash, decodeGeohash } = require("./reports");
+
+const EARTH_RADIUS_METERS = 6371000;
+const DEFAULT_MAX_PREFIXES = 16;
+
+/**
+ * Great-circle (haversine) distance between two coordinates.
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} Metres
+ */
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Distance from a point to the nearest edge of a geohash cell, 0 inside the cell.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} geohash
+ * @returns {number} Metres
+ */
+function distanceToGeohash(latitude, longitude, geohash) {
+  const cell = decodeGeohash(geohash);
+  // Keep coordinates that are already inside the cell untouched so a point in the cell is exactly 0
+  const nearest = (value, offset, centre, half) =>
+    Math.abs(offset) <= half ? value : centre + Math.sign(offset) * half;
+
+  const nearestLat = nearest(latitude, latitude - cell.latitude, cell.latitude, cell.latitudeError);
+  // Measure longitude the short way round, across the antimeridian if needed
+  const dLon = ((longitude - cell.longitude + 540) % 360) - 180;
+  const nearestLon = nearest(longitude, dLon, cell.longitude, cell.longitudeError);
+  return distanceMeters(latitude, longitude, nearestLat, nearestLon);
+}
+
+// Height and width in degrees of a cell with `precision` characters
+function cellSize(precision) {
+  const bits = precision * 5;
+  return {
+    latitude: 180 / 2 ** Math.floor(bits / 2),
+    longitude: 360 / 2 ** Math.ceil(bits / 2)
+  };
+}
+
+/**
+ * Geohash prefixes whose cells cover a circle. The finest precision that needs
+ * at most `maxPrefixes` cells over the circle's bounding box is used, and cells
+ * that do not touch the circle are dropped. Cases whose geohash starts with one
+ * of the prefixes are candidates; check them with distanceToGeohash for an exact
+ * answer. A circle too large for `maxPrefixes` cells returns `[""]`, which matches
+ * every geohash.
+ * @param {number} latitude -90..90
+ * @param {number} longitude -180..180
+ * @param {number} radiusMeters
+ * @param {Object} [options]
+ * @param {number} [options.maxPrefixes] Upper bound on the number of prefixes (default 16)
+ * @returns {string[]} Sorted prefixes of equal length
+ */
+function geohashPrefixesForRadius(latitude, longitude, radiusMeters, { maxPrefixes = DEFAULT_MAX_PREFIXES } = {}) {
+  encodeGeohash(latitude, longitude, 1); // RangeError for invalid coordinates
+  if (!Number.isFinite(radiusMeters) || radiusMeters < 0) {
+    throw new RangeError(`Invalid radius: ${radiusMeters}`);
+  }
+  if (!Number.isInteger(maxPrefixes) || maxPrefixes < 1) {
+    throw new RangeError(`maxPrefixes must be a positive integer, got ${maxPrefixes}`);
+  }
+
+  // Bounding box of the circle; longitude widens towards the poles
+  const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const south = Math.max(-90, latitude - latDelta);
+  const north = Math.min(90, latitude + latDelta);
+  const cosLat = Math.cos((Math.max(Math.abs(south), Math.abs(north)) * Math.PI) / 180);
+  const lonDelta = cosLat > 1e-9 ? latDelta / cosLat : 180;
+
+  const gridFor = (precision) => {
+    const size = cellSize(precision);
+    const rowCount = Math.round(180 / size.latitude);
+    const colCount = Math.round(360 / size.longitude);
+    const row = (lat) => Math.min(rowCount - 1, Math.floor((lat + 90) / size.latitude));
+    const firstCol = Math.floor((longitude - lonDelta + 180) / size.longitude);
+    const lastCol = Math.floor((longitude + lonDelta + 180) / size.longitude);
+    return {
+      precision,
+      size,
+      colCount,
+      firstRow: row(south),
+      lastRow: row(north),
+      firstCol,
+      cols: lonDelta >= 180 ? colCount : Math.min(colCount, lastCol - firstCol + 1)
+    };
+  };
+
+  let grid = null;
+  for (let precision = 1; precision <= MAX_GEOHASH_LENGTH; precision++) {
+    const candidate = gridFor(precision);
+    if ((candidate.lastRow - candidate.firstRow + 1) * candidate.cols > maxPrefixes) {
+      break;
+    }
+    grid = candidate;
+  }
+  if (!grid) {
+    return [""];
+  }
+
+  // The point's own cell always counts, whatever the rounding of the grid maths
+  const prefixes = new Set([encodeGeohash(latitude, longitude, grid.precision)]);
+  for (let r = grid.firstRow; r <= grid.lastRow; r++) {
+    for (let i = 0; i < grid.cols; i++) {
+      const c = (((grid.firstCol + i) % grid.colCount) + grid.colCount) % grid.colCount;
+      const prefix = encodeGeohash(
+        -90 + (r + 0.5) * grid.size.latitude,
+        -180 + (c + 0.5) * grid.size.longitude,
+        grid.precision
+      );
+      if (distanceToGeohash(latitude, longitude, prefix) <= radiusMeters) {
+        prefixes.add(prefix);
+      }
+    }
+  }
+  return [...prefixes].sort();
+}
+
+module.exports = {
+  distanceMeters,
+  distanceToGeohash,
+  geohashPrefixesForRadius
+};
@@ -0,0 +1,35 @@
+// Public entry point of the LostPet JavaScript SDK.
+
+const {
+  LostPetClient,
+  CaseStatus,
+  CASE_STATUS_NAMES,
+  RESOLUTION_STATE_NAMES,
+  REJECTION_STATE_NAMES,
+  REJECTION_REASONS,
+  decodeStatus,
+  encodeCaseOptions
+} = require("./LostPetClient");
+const units = require("./units");
+const reports = require("./reports");
+const metadata = require("./metadata");
+const geo = require("./geo");
+const reputation = require("./reputation");
+const errors = require("./errors");
+
+module.exports = {
+  LostPetClient,
+  CaseStatus,
+  CASE_STATUS_NAMES,
+  RESOLUTION_STATE_NAMES,
+  REJECTION_STATE_NAMES,
+  REJECTION_REASONS,
+  decodeStatus,
+  encodeCaseOptions,
+  ...units,
+  ...reports,
+  ...metadata,
+  ...geo,
+  ...reputation,
+  ...errors
+};
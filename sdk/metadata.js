@@ -0,0 +1,122 @@
+// Case metadata.
+// Converts between the metadata objects used by apps (lat/lon, plain
+// microchip IDs) and the `PetMetadata` struct taken by `createCase`
+// / `updateCaseMetadata` and returned by `getCaseMetadata`. Validation mirrors
+// the contract's `require` rules.
+
+const crypto = require("crypto");
+const { encodeGeohash, decodeGeohash, isGeohash } = require("./reports");
+const { InvalidMetadataError } = require("./errors");
+
+const MAX_SPECIES_LENGTH = 32;
+const MAX_DESCRIPTION_LENGTH = 256;
+
+const ZERO_HASH = "0x" + "0".repeat(64);
+
+/**
+ * @typedef {Object} CaseMetadata
+ * @property {string} species Empty string when not given
+ * @property {string} description Breed, colour and markings
+ * @property {string|null} photoHash 0x-prefixed 32-byte content hash
+ * @property {string|null} lastSeenGeohash
+ * @property {number|null} lastSeenLatitude Centre of the geohash cell
+ * @property {number|null} lastSeenLongitude Centre of the geohash cell
+ * @property {string|null} microchipHash See hashMicrochipId()
+ */
+
+/**
+ * Hash a microchip ID so it can be published without revealing the ID.
+ * Spaces and dashes are removed and letters upper-cased first, so the number
+ * read from a scanner and the one on the registration papers hash the same.
+ * @param {string} microchipId
+ * @returns {string} 0x-prefixed SHA-256 hex
+ */
+function hashMicrochipId(microchipId) {
+  const normalized = String(microchipId).replace(/[\s-]/g, "").toUpperCase();
+  if (normalized.length === 0) {
+    throw new InvalidMetadataError("Microchip ID cannot be empty");
+  }
+  return "0x" + crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+function encodeHash(value, name) {
+  if (value === undefined || value === null || value === "") {
+    return ZERO_HASH;
+  }
+  const hash = String(value).toLowerCase();
+  if (!/^0x[0-9a-f]{64}$/.test(hash)) {
+    throw new InvalidMetadataError(`Invalid ${name}`);
+  }
+  return hash;
+}
+
+/**
+ * Turn app-side metadata into the `PetMetadata` struct. Every field is optional.
+ * Give the last-seen location either as `lastSeenGeohash` or as
+ * `lastSeenLatitude`/`lastSeenLongitude` (encoded with `precision` characters),
+ * and the microchip either as `microchipHash` or as a plain `microchipId`.
+ * Throws InvalidMetadataError with the contract's revert message for the first invalid field.
+ * @param {Object} metadata
+ * @returns {{species: string, description: string, photoHash: string, lastSeenGeohash: string, microchipHash: string}}
+ */
+function encodeMetadata(metadata = {}) {
+  const species = metadata.species || "";
+  if (Buffer.byteLength(species, "utf8") > MAX_SPECIES_LENGTH) {
+    throw new InvalidMetadataError("Species too long");
+  }
+
+  const description = metadata.description || "";
+  if (Buffer.byteLength(description, "utf8") > MAX_DESCRIPTION_LENGTH) {
+    throw new InvalidMetadataError("Description too long");
+  }
+
+  let lastSeenGeohash = metadata.lastSeenGeohash || "";
+  if (!lastSeenGeohash && metadata.lastSeenLatitude !== undefined) {
+    try {
+      lastSeenGeohash = encodeGeohash(metadata.lastSeenLatitude, metadata.lastSeenLongitude, metadata.precision);
+    } catch (error) {
+      throw new InvalidMetadataError("Invalid geohash", error);
+    }
+  }
+  if (lastSeenGeohash && !isGeohash(lastSeenGeohash)) {
+    throw new InvalidMetadataError("Invalid geohash");
+  }
+
+  const microchipHash = metadata.microchipId !== undefined
+    ? hashMicrochipId(metadata.microchipId)
+    : encodeHash(metadata.microchipHash, "microchip hash");
+
+  return {
+    species,
+    description,
+    photoHash: encodeHash(metadata.photoHash, "photo hash"),
+    lastSeenGeohash,
+    microchipHash
+  };
+}
+
+/**
+ * Turn a `PetMetadata` struct (from `getCaseMetadata` or an event) into a metadata object.
+ * @param {Object} result
+ * @returns {CaseMetadata}
+ */
+function decodeMetadata(result) {
+  const location = result.lastSeenGeohash ? decodeGeohash(result.lastSeenGeohash) : null;
+  return {
+    species: result.species,
+    description: result.description,
+    photoHash: result.photoHash === ZERO_HASH ? null : result.photoHash,
+    lastSeenGeohash: result.lastSeenGeohash || null,
+    lastSeenLatitude: location ? location.latitude : null,
+    lastSeenLongitude: location ? location.longitude : null,
+    microchipHash: result.microchipHash === ZERO_HASH ? null : result.microchipHash
+  };
+}
+
+module.exports = {
+  MAX_SPECIES_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  hashMicrochipId,
+  encodeMetadata,
+  decodeMetadata
+};
@@ -0,0 +1,285 @@
+// Structured finder reports and sightings.
+// Converts between the report objects used by apps (lat/lon, Date, photo bytes)
+// and the arguments/return values of `submitFinderReport` / `getFinderReport`
+// and `reportSighting` / `getSightings`.
+// Validation mirrors the contract's `require` rules so bad reports fail before
+// a transaction is sent.
+
+const crypto = require("crypto");
+const { InvalidReportError } = require("./errors");
+
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+const MAX_GEOHASH_LENGTH = 12;
+const MAX_CONTACT_HINT_LENGTH = 64;
+const MAX_SIGHTING_NOTE_LENGTH = 140;
+const DEFAULT_GEOHASH_PRECISION = 9; // ~5 m x 5 m cell
+
+const ZERO_HASH = "0x" + "0".repeat(64);
+
+/**
+ * @typedef {Object} FinderReport
+ * @property {string} photoHash 0x-prefixed 32-byte content hash of the photo
+ * @property {string} geohash Geohash of the sighting
+ * @property {number} latitude Centre of the geohash cell
+ * @property {number} longitude Centre of the geohash cell
+ * @property {number} sightedAt Unix timestamp (seconds)
+ * @property {string} contactHint Empty string when not given
+ */
+
+/**
+ * @typedef {Object} Sighting
+ * @property {number} sightingId Position in the case's sighting log
+ * @property {string} reporter
+ * @property {string} geohash
+ * @property {number} latitude Centre of the geohash cell
+ * @property {number} longitude Centre of the geohash cell
+ * @property {number} seenAt Unix timestamp (seconds)
+ * @property {string} note Empty string when not given
+ * @property {string} tips ETH tipped by the owner, in wei
+ */
+
+/**
+ * SHA-256 content hash of a photo, in the bytes32 form the contract stores.
+ * @param {Buffer|Uint8Array|string} content
+ * @returns {string} 0x-prefixed hex
+ */
+function hashContent(content) {
+  return "0x" + crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Encode a coordinate as a geohash.
+ * @param {number} latitude -90..90
+ * @param {number} longitude -180..180
+ * @param {number} [precision] Number of characters, 1-12
+ * @returns {string}
+ */
+function encodeGeohash(latitude, longitude, precision = DEFAULT_GEOHASH_PRECISION) {
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    throw new RangeError(`Invalid latitude: ${latitude}`);
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new RangeError(`Invalid longitude: ${longitude}`);
+  }
+  if (!Number.isInteger(precision) || precision < 1 || precision > MAX_GEOHASH_LENGTH) {
+    throw new RangeError(`Geohash precision must be 1-${MAX_GEOHASH_LENGTH}, got ${precision}`);
+  }
+
+  const lat = [-90, 90];
+  const lon = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    // Bits alternate between longitude (even) and latitude (odd)
+    const range = evenBit ? lon : lat;
+    const value = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    if (value >= mid) {
+      bits = (bits << 1) | 1;
+      range[0] = mid;
+    } else {
+      bits = bits << 1;
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Decode a geohash to the centre and half-size of its cell.
+ * @param {string} geohash
+ * @returns {{latitude: number, longitude: number, latitudeError: number, longitudeError: number}}
+ */
+function decodeGeohash(geohash) {
+  if (!isGeohash(geohash)) {
+    throw new TypeError(`Invalid geohash: ${geohash}`);
+  }
+
+  const lat = [-90, 90];
+  const lon = [-180, 180];
+  let evenBit = true;
+
+  for (const ch of geohash) {
+    const bits = GEOHASH_ALPHABET.indexOf(ch);
+    for (let shift = 4; shift >= 0; shift--) {
+      const range = evenBit ? lon : lat;
+      const mid = (range[0] + range[1]) / 2;
+      if ((bits >> shift) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    latitude: (lat[0] + lat[1]) / 2,
+    longitude: (lon[0] + lon[1]) / 2,
+    latitudeError: (lat[1] - lat[0]) / 2,
+    longitudeError: (lon[1] - lon[0]) / 2
+  };
+}
+
+/**
+ * Same rule as the contract: 1-12 characters of the geohash alphabet.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isGeohash(value) {
+  return typeof value === "string" &&
+    value.length > 0 &&
+    value.length <= MAX_GEOHASH_LENGTH &&
+    [...value].every((ch) => GEOHASH_ALPHABET.includes(ch));
+}
+
+/**
+ * Turn an app-side report into `submitFinderReport` arguments.
+ * Give the location either as `geohash` or as `latitude`/`longitude`
+ * (encoded with `precision` characters). Throws InvalidReportError with the
+ * contract's revert message for the first invalid field.
+ * @param {Object} report
+ * @param {string} report.photoHash 0x-prefixed 32-byte hash (see hashContent)
+ * @param {string} [report.geohash]
+ * @param {number} [report.latitude]
+ * @param {number} [report.longitude]
+ * @param {number} [report.precision]
+ * @param {Date|number} report.sightedAt Date or Unix timestamp (seconds)
+ * @param {string} [report.contactHint]
+ * @param {number} [now] Current Unix timestamp, to reject future sightings early
+ * @returns {{photoHash: string, geohash: string, sightedAt: number, contactHint: string}}
+ */
+function encodeReport(report, now) {
+  const photoHash = String(report.photoHash || "").toLowerCase();
+  if (!/^0x[0-9a-f]{64}$/.test(photoHash) || photoHash === ZERO_HASH) {
+    throw new InvalidReportError("Photo hash required");
+  }
+
+  const geohash = encodeLocation(report);
+  const sightedAt = encodeTimestamp(report.sightedAt, now);
+
+  const contactHint = report.contactHint || "";
+  if (Buffer.byteLength(contactHint, "utf8") > MAX_CONTACT_HINT_LENGTH) {
+    throw new InvalidReportError("Contact hint too long");
+  }
+
+  return { photoHash, geohash, sightedAt, contactHint };
+}
+
+/**
+ * Turn an app-side sighting into `reportSighting` arguments.
+ * The location is given as in encodeReport(). Throws InvalidReportError with
+ * the contract's revert message for the first invalid field.
+ * @param {Object} sighting
+ * @param {string} [sighting.geohash]
+ * @param {number} [sighting.latitude]
+ * @param {number} [sighting.longitude]
+ * @param {number} [sighting.precision]
+ * @param {Date|number} sighting.seenAt Date or Unix timestamp (seconds)
+ * @param {string} [sighting.note]
+ * @param {number} [now] Current Unix timestamp, to reject future sightings early
+ * @returns {{geohash: string, seenAt: number, note: string}}
+ */
+function encodeSighting(sighting, now) {
+  const geohash = encodeLocation(sighting);
+  const seenAt = encodeTimestamp(sighting.seenAt, now);
+
+  const note = sighting.note || "";
+  if (Buffer.byteLength(note, "utf8") > MAX_SIGHTING_NOTE_LENGTH) {
+    throw new InvalidReportError("Note too long");
+  }
+
+  return { geohash, seenAt, note };
+}
+
+/**
+ * Turn a page returned by `getSightings` into sighting objects.
+ * @param {Object} result Return value of the contract call (named outputs)
+ * @param {number} startIndex The startIndex the page was requested with
+ * @returns {Sighting[]}
+ */
+function decodeSightings(result, startIndex) {
+  return result.reporters.map((reporter, i) => {
+    const { latitude, longitude } = decodeGeohash(result.geohashes[i]);
+    return {
+      sightingId: startIndex + i,
+      reporter,
+      geohash: result.geohashes[i],
+      latitude,
+      longitude,
+      seenAt: Number(result.seenAts[i].toString()),
+      note: result.notes[i],
+      tips: result.tips[i].toString()
+    };
+  });
+}
+
+// Location as `geohash`, or `latitude`/`longitude` encoded with `precision` characters
+function encodeLocation({ geohash, latitude, longitude, precision }) {
+  if (geohash === undefined) {
+    try {
+      geohash = encodeGeohash(latitude, longitude, precision);
+    } catch (error) {
+      throw new InvalidReportError("Invalid geohash", error);
+    }
+  }
+  if (!isGeohash(geohash)) {
+    throw new InvalidReportError("Invalid geohash");
+  }
+  return geohash;
+}
+
+// Date or Unix timestamp (seconds) of a sighting, not in the future
+function encodeTimestamp(value, now) {
+  const timestamp = value instanceof Date ? Math.floor(value.getTime() / 1000) : Number(value);
+  if (!Number.isInteger(timestamp) || timestamp <= 0 || (now !== undefined && timestamp > now)) {
+    throw new InvalidReportError("Invalid sighting time");
+  }
+  return timestamp;
+}
+
+/**
+ * Turn the result of `getFinderReport` into a report object.
+ * @param {Object} result Return value of the contract call (named outputs)
+ * @returns {FinderReport|null} null when the finder did not submit a report
+ */
+function decodeReport(result) {
+  if (!result.hasReport) {
+    return null;
+  }
+
+  const { latitude, longitude } = decodeGeohash(result.geohash);
+  return {
+    photoHash: result.photoHash,
+    geohash: result.geohash,
+    latitude,
+    longitude,
+    sightedAt: Number(result.sightedAt.toString()),
+    contactHint: result.contactHint
+  };
+}
+
+module.exports = {
+  GEOHASH_ALPHABET,
+  MAX_GEOHASH_LENGTH,
+  MAX_CONTACT_HINT_LENGTH,
+  MAX_SIGHTING_NOTE_LENGTH,
+  hashContent,
+  encodeGeohash,
+  decodeGeohash,
+  isGeohash,
+  encodeReport,
+  decodeReport,
+  encodeSighting,
+  decodeSightings
+};
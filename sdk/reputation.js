@@ -0,0 +1,61 @@
+// Finder reputation.
+// Turns the counters returned by `getFinderStats` into a single score so apps
+// can rank the finders of a case. The contract only keeps the counters; how
+// they are weighed is up to the app, and these defaults can be overridden.
+
+// Weights used by reputationScore()
+const DEFAULT_REPUTATION_WEIGHTS = Object.freeze({
+  chosen: 1,       // A returned pet
+  rejected: 1,     // A submission the owner turned down or flagged as spam
+  disputesLost: 3, // A bounty an arbiter took back, the strongest sign of a false claim
+  prior: 1         // Imaginary good and bad outcomes every address starts with
+});
+
+/**
+ * @typedef {Object} FinderStats
+ * @property {number} submissions Finder submissions made
+ * @property {number} chosen Times picked by an owner's resolution or awarded a disputed bounty
+ * @property {number} rejected Submissions rejected or flagged as spam
+ * @property {number} disputesLost Resolutions in the finder's favour that an arbiter overturned
+ */
+
+/**
+ * Score a finder from 0 to 100: the weighted share of good outcomes among all
+ * outcomes. Every address starts at 50 and moves away from it as outcomes
+ * accumulate, so one lucky case does not outrank ten returned pets. Submissions
+ * still waiting for an outcome do not count either way.
+ * @param {FinderStats} stats
+ * @param {Partial<typeof DEFAULT_REPUTATION_WEIGHTS>} [weights]
+ * @returns {number} Integer score
+ */
+function reputationScore(stats, weights = {}) {
+  const w = { ...DEFAULT_REPUTATION_WEIGHTS, ...weights };
+  for (const field of ["submissions", "chosen", "rejected", "disputesLost"]) {
+    if (!Number.isInteger(stats[field]) || stats[field] < 0) {
+      throw new TypeError(`Invalid ${field}: ${stats[field]}`);
+    }
+  }
+
+  const good = w.chosen * stats.chosen + w.prior;
+  const bad = w.rejected * stats.rejected + w.disputesLost * stats.disputesLost + w.prior;
+  return Math.round((100 * good) / (good + bad));
+}
+
+/**
+ * Sort finders by score, best first. Ties keep their original order, so a page
+ * from getFindersPaginated stays in submission order among equal scores.
+ * @param {(FinderStats & {finder: string})[]} finders
+ * @param {Partial<typeof DEFAULT_REPUTATION_WEIGHTS>} [weights]
+ * @returns {(FinderStats & {finder: string, score: number})[]}
+ */
+function rankFinders(finders, weights = {}) {
+  return finders
+    .map((entry) => ({ ...entry, score: reputationScore(entry, weights) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  DEFAULT_REPUTATION_WEIGHTS,
+  reputationScore,
+  rankFinders
+};
@@ -0,0 +1,48 @@
+// ETH <-> wei conversion helpers.
+// Done with BigInt so the SDK does not depend on a particular web3 version.
+
+const WEI_PER_ETHER = 10n ** 18n;
+const ETHER_DECIMALS = 18;
+
+/**
+ * Convert an ETH amount to wei.
+ * @param {string|number|bigint} ether Amount in ETH (e.g. "0.05")
+ * @returns {string} Amount in wei as a decimal string
+ */
+function toWei(ether) {
+  if (typeof ether === "bigint") {
+    return (ether * WEI_PER_ETHER).toString();
+  }
+
+  const text = String(ether).trim();
+  if (!/^\d+(\.\d+)?$/.test(text) && !/^\.\d+$/.test(text)) {
+    throw new TypeError(`Invalid ETH amount: ${ether}`);
+  }
+
+  const [whole, fraction = ""] = text.split(".");
+  if (fraction.length > ETHER_DECIMALS) {
+    throw new RangeError(`ETH amount has more than ${ETHER_DECIMALS} decimals: ${ether}`);
+  }
+
+  const padded = fraction.padEnd(ETHER_DECIMALS, "0");
+  return (BigInt(whole || "0") * WEI_PER_ETHER + BigInt(padded)).toString();
+}
+
+/**
+ * Convert a wei amount to ETH.
+ * @param {string|number|bigint|{toString(): string}} wei Amount in wei (BN, bigint or string)
+ * @returns {string} Amount in ETH with trailing zeros removed (e.g. "0.05")
+ */
+function fromWei(wei) {
+  const value = BigInt(wei.toString());
+  const whole = value / WEI_PER_ETHER;
+  const fraction = (value % WEI_PER_ETHER).toString().padStart(ETHER_DECIMALS, "0").replace(/0+$/, "");
+
+  return fraction.length > 0 ? `${whole}.${fraction}` : whole.toString();
+}
+
+module.exports = {
+  WEI_PER_ETHER,
+  toWei,
+  fromWei
+};
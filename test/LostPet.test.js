@@ -1,16 +1,25 @@
 const LostPet = artifacts.require("LostPet");
+const RejectingReceiver = artifacts.require("RejectingReceiver");
+const { encodeCaseOptions } = require("../sdk");
 
 // Helper constants
 const MIN_BOUNTY = web3.utils.toWei("0.001", "ether");
 const ONE_ETHER = web3.utils.toWei("1", "ether");
 const DEFAULT_EXPIRY_DAYS = 90 * 24 * 60 * 60; // 90 days in seconds
+const DISPUTE_WINDOW = 3 * 24 * 60 * 60; // 3 days in seconds
+const ARBITRATION_TIMEOUT = 7 * 24 * 60 * 60; // 7 days in seconds
+const CLAIM_WINDOW = 7 * 24 * 60 * 60; // 7 days in seconds
+const REJECTION_CONTEST_PERIOD = 3 * 24 * 60 * 60; // 3 days in seconds
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const ZERO_HASH = "0x" + "0".repeat(64);
 
 // Case status enum
 const CaseStatus = {
   Active: 0,
   Resolved: 1,
   Cancelled: 2,
-  Expired: 3
+  Expired: 3,
+  PendingResolution: 4
 };
 
 contract("LostPet", (accounts) => {
@@ -39,7 +48,7 @@ contract("LostPet", (accounts) => {
   }
 
   beforeEach(async () => {
-    lostPetInstance = await LostPet.new();
+    lostPetInstance = await LostPet.new(owner);
   });
 
 
@@ -54,7 +63,7 @@ contract("LostPet", (accounts) => {
   describe("Case Creation", () => {
     it("should create a case with bounty and emit CaseCreated event", async () => {
       const petName = "Fluffy";
-      const receipt = await lostPetInstance.createCase(petName, { 
+      const receipt = await lostPetInstance.createCase(petName, encodeCaseOptions(), { 
         from: owner, 
         value: ONE_ETHER 
       });
@@ -69,13 +78,13 @@ contract("LostPet", (accounts) => {
     });
 
     it("should increment case IDs properly", async () => {
-      const receipt1 = await lostPetInstance.createCase("Fluffy", {
+      const receipt1 = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
       assert.equal(receipt1.logs[0].args.caseId, 0, "First case should have ID 0");
 
-      const receipt2 = await lostPetInstance.createCase("Luna", {
+      const receipt2 = await lostPetInstance.createCase("Luna", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -89,7 +98,7 @@ contract("LostPet", (accounts) => {
       const belowMinBounty = web3.utils.toWei("0.0005", "ether");
      
       try {
-        await lostPetInstance.createCase("Ruby", { 
+        await lostPetInstance.createCase("Ruby", encodeCaseOptions(), { 
           from: owner, 
           value: belowMinBounty 
         });
@@ -101,7 +110,7 @@ contract("LostPet", (accounts) => {
     
     it("should reject cases with empty pet names", async () => {
       try {
-        await lostPetInstance.createCase ("", {
+        await lostPetInstance.createCase ("", encodeCaseOptions(), {
           from: owner,
           value: ONE_ETHER
         });
@@ -112,7 +121,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should set expiry date to 90 days from creation date", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -129,6 +138,117 @@ contract("LostPet", (accounts) => {
   });
 
 
+  // ===== Case Metadata =====
+  // Tests descriptive case details by showing:
+  // - createCase stores the details given in its options and includes them in CaseCreated
+  // - Cases created without details return empty metadata
+  // - updateCaseMetadata replaces the details and emits CaseMetadataUpdated
+  // - Only the owner can edit, and only while the case is Active and not expired
+  // - Species, description and geohash formats are checked
+
+  describe("Case Metadata", () => {
+    const metadata = {
+      species: "Cat",
+      description: "Grey tabby, white paws, blue collar",
+      photoHash: web3.utils.sha3("photo"),
+      lastSeenGeohash: "dr5ru7",
+      microchipHash: web3.utils.sha3("985112003456789")
+    };
+
+    function assertMetadata(actual, expected) {
+      assert.equal(actual.species, expected.species);
+      assert.equal(actual.description, expected.description);
+      assert.equal(actual.photoHash, expected.photoHash);
+      assert.equal(actual.lastSeenGeohash, expected.lastSeenGeohash);
+      assert.equal(actual.microchipHash, expected.microchipHash);
+    }
+
+    it("should create a case with metadata and emit it in CaseCreated", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ metadata }), {
+        from: owner,
+        value: ONE_ETHER
+      });
+
+      assert.equal(receipt.logs[0].event, "CaseCreated");
+      assert.equal(receipt.logs[0].args.bounty.toString(), ONE_ETHER);
+      assertMetadata(receipt.logs[0].args.metadata, metadata);
+      assertMetadata(await lostPetInstance.getCaseMetadata(0), metadata);
+    });
+
+    it("should return empty metadata for cases created without it", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const stored = await lostPetInstance.getCaseMetadata(0);
+      assert.equal(stored.species, "");
+      assert.equal(stored.lastSeenGeohash, "");
+      assert.equal(stored.photoHash, ZERO_HASH);
+    });
+
+    it("should let the owner update metadata while the case is active", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const res = await lostPetInstance.updateCaseMetadata(0, metadata, { from: owner });
+      assert.equal(res.logs[0].event, "CaseMetadataUpdated");
+      assert.equal(res.logs[0].args.caseId.toString(), "0");
+      assertMetadata(res.logs[0].args.metadata, metadata);
+
+      const moved = { ...metadata, lastSeenGeohash: "dr5rsq" };
+      await lostPetInstance.updateCaseMetadata(0, moved, { from: owner });
+      assertMetadata(await lostPetInstance.getCaseMetadata(0), moved);
+    });
+
+    it("should only let the owner update metadata", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      try {
+        await lostPetInstance.updateCaseMetadata(0, metadata, { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only case owner can update metadata");
+      }
+    });
+
+    it("should reject metadata updates once the case is closed or expired", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Luna", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await lostPetInstance.cancelCase(0, { from: owner });
+
+      try {
+        await lostPetInstance.updateCaseMetadata(0, metadata, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case not active");
+      }
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS);
+      try {
+        await lostPetInstance.updateCaseMetadata(1, metadata, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case expired");
+      }
+    });
+
+    it("should validate metadata fields", async () => {
+      const invalid = [
+        [{ ...metadata, species: "x".repeat(33) }, "Species too long"],
+        [{ ...metadata, description: "x".repeat(257) }, "Description too long"],
+        [{ ...metadata, lastSeenGeohash: "dr5ra" }, "Invalid geohash"]
+      ];
+
+      for (const [value, reason] of invalid) {
+        try {
+          await lostPetInstance.createCase("Fluffy", { ...encodeCaseOptions(), metadata: value }, { from: owner, value: ONE_ETHER });
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+    });
+  });
+
+
   // ===== Increasing Bounty =====
   // Tests increasing bounty features by showing:
   // - Owner can increase bounty and `IncreaseBounty` event is emitted
@@ -138,7 +258,7 @@ contract("LostPet", (accounts) => {
 
   describe("Increasing Bounty", () => {
     it("should allow owner to increase bounty and emit IncreaseBounty event", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -158,7 +278,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should reject bounty increase from non-owner", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -173,7 +293,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should reject bounty increase with no ETH sent", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -188,7 +308,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should accumulate bounty correctly after multiple increases", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -207,6 +327,126 @@ contract("LostPet", (accounts) => {
   });
 
 
+  // ===== Community Co-funding =====
+  // Tests contributions from non-owners by showing:
+  // - Anyone but the owner can add to a bounty and `BountyContributed` is emitted
+  // - Repeat contributions are added together and listed once per contributor
+  // - Owner, late and below-MIN_BOUNTY contributions are rejected, so dust cannot fill MAX_CONTRIBUTORS
+  // - Cancel and expiry refund every contributor pro rata and the owner gets the rest
+  // - Resolution pays the whole co-funded bounty to the finder
+
+  describe("Community Co-funding", () => {
+    const [, , , , neighbour, shelter] = accounts;
+    const HALF_ETHER = web3.utils.toWei("0.5", "ether");
+
+    it("should let non-owners contribute and list their contributions", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const res = await lostPetInstance.contributeToBounty(0, { from: neighbour, value: HALF_ETHER });
+      assert.equal(res.logs[0].event, "BountyContributed");
+      assert.equal(res.logs[0].args.contributor, neighbour);
+      assert.equal(res.logs[0].args.amount.toString(), HALF_ETHER);
+      assert.equal(res.logs[0].args.newTotal.toString(), web3.utils.toWei("1.5", "ether"));
+
+      await lostPetInstance.contributeToBounty(0, { from: shelter, value: ONE_ETHER });
+      await lostPetInstance.contributeToBounty(0, { from: neighbour, value: HALF_ETHER });
+
+      const result = await lostPetInstance.getContributions(0);
+      assert.deepEqual(result.contributors, [neighbour, shelter], "Each contributor should be listed once");
+      assert.deepEqual(result.amounts.map(a => a.toString()), [ONE_ETHER, ONE_ETHER]);
+      assert.equal((await lostPetInstance.getContribution(0, neighbour)).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.getContribution(0, owner)).toString(), "0", "Owner deposits are not contributions");
+      assert.equal((await lostPetInstance.getCaseFull(0)).bounty.toString(), web3.utils.toWei("3", "ether"));
+      assert.equal((await lostPetInstance.getTotalEscrow()).toString(), web3.utils.toWei("3", "ether"));
+    });
+
+    it("should reject owner, too small and expired contributions", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      try {
+        await lostPetInstance.contributeToBounty(0, { from: owner, value: HALF_ETHER });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Owner must use increaseBounty");
+      }
+
+      for (const value of ["0", "1", web3.utils.toBN(MIN_BOUNTY).subn(1).toString()]) {
+        try {
+          await lostPetInstance.contributeToBounty(0, { from: neighbour, value });
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, "Contribution must be at least 0.001 ETH");
+        }
+      }
+      assert.deepEqual((await lostPetInstance.getContributions(0)).contributors, []);
+      await lostPetInstance.contributeToBounty(0, { from: neighbour, value: MIN_BOUNTY });
+
+      try {
+        await lostPetInstance.contributeToBounty(5, { from: neighbour, value: HALF_ETHER });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case does not exist");
+      }
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      try {
+        await lostPetInstance.contributeToBounty(0, { from: neighbour, value: HALF_ETHER });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case expired");
+      }
+    });
+
+    it("should refund contributors pro rata on cancel", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.contributeToBounty(0, { from: neighbour, value: HALF_ETHER });
+      await lostPetInstance.contributeToBounty(0, { from: shelter, value: web3.utils.toWei("0.25", "ether") });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      const res = await lostPetInstance.cancelCase(0, { from: owner });
+      assert.equal(res.logs[0].args.amount.toString(), web3.utils.toWei("1.75", "ether"));
+
+      const credited = res.logs.filter(log => log.event === "PaymentCredited").map(log => log.args.account);
+      assert.deepEqual(credited, [neighbour, shelter, owner]);
+
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.pendingWithdrawal(neighbour)).toString(), HALF_ETHER);
+      assert.equal((await lostPetInstance.pendingWithdrawal(shelter)).toString(), web3.utils.toWei("0.25", "ether"));
+    });
+
+    it("should refund contributors pro rata on expiry", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.contributeToBounty(0, { from: neighbour, value: ONE_ETHER });
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      await lostPetInstance.batchCheckExpiry([0]);
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.pendingWithdrawal(neighbour)).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.totalPendingWithdrawals()).toString(), web3.utils.toWei("2", "ether"));
+    });
+
+    it("should pay the whole co-funded bounty to the finder", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.contributeToBounty(0, { from: neighbour, value: HALF_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), web3.utils.toWei("1.5", "ether"));
+      assert.equal((await lostPetInstance.pendingWithdrawal(neighbour)).toString(), "0");
+
+      try {
+        await lostPetInstance.contributeToBounty(0, { from: neighbour, value: HALF_ETHER });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case not active");
+      }
+    });
+  });
+
+
   // ===== Finder Submission =====
   // Tests finder submission features by showing:
   // - Finders can submit evidence and `FinderSubmitted` event is emitted
@@ -218,7 +458,7 @@ contract("LostPet", (accounts) => {
 
   describe("Finder Submission", () => {
     it("should allow a finder to submit evidence and emit FinderSubmitted", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -240,7 +480,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should track multiple finders for the same case", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -256,7 +496,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should reject duplicate finder submissions from same address", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -273,7 +513,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should reject submissions with empty evidence", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -288,7 +528,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should report finder status with isFinder() and return evidence via getFinderEvidence()", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -309,297 +549,2595 @@ contract("LostPet", (accounts) => {
   });
 
 
-  // ===== Case Resolution =====
-  // Tests resolving cases by showing:
-  // - Resolve pays bounty to finder and emits CaseResolved
-  // - Status updates to Resolved and escrow cleared
-  // - Rejection when non-owner attempts resolution
-  // - Rejection for invalid finder index
-  // - Rejection when no finders exist
-  // - Bounty is transferred to the correct finder address
+  // ===== Finder Reports =====
+  // Tests structured finder reports by showing:
+  // - submitFinderReport() registers the finder and emits `FinderReportSubmitted`
+  // - getFinderReport() returns every field; plain submissions have no report
+  // - Zero photo hashes, bad geohashes, future sighting times and long contact hints are rejected
+  // - A finder cannot submit both a report and plain evidence
 
-  describe("Case Resolution", () => {
-    it("should resolve a case and pay bounty to the finder, updating status", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+  describe("Finder Reports", () => {
+    const PHOTO_HASH = web3.utils.sha3("photo of Fluffy");
 
-      // Submit a finder
-      await lostPetInstance.submitAsFinder(caseId, "Evidence for Fluffy", { from: finder1 });
+    async function now() {
+      return Number((await web3.eth.getBlock("latest")).timestamp);
+    }
 
-      // Advance time beyond minimum resolve time
-      await increaseTime(2 * 24 * 60 * 60);
+    it("should store a structured report and register the finder", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      const sightedAt = (await now()) - 3600;
 
-      const initialFinderBalance = await web3.eth.getBalance(finder1);
+      const res = await lostPetInstance.submitFinderReport(0, PHOTO_HASH, "dr5regw3p", sightedAt, "Ask for Sam at the deli", { from: finder1 });
+      assert.equal(res.logs[0].event, "FinderReportSubmitted");
+      assert.equal(res.logs[0].args.finder, finder1);
+      assert.equal(res.logs[0].args.photoHash, PHOTO_HASH);
+      assert.equal(res.logs[0].args.geohash, "dr5regw3p");
+
+      const report = await lostPetInstance.getFinderReport(0, finder1);
+      assert.equal(report.hasReport, true);
+      assert.equal(report.photoHash, PHOTO_HASH);
+      assert.equal(report.geohash, "dr5regw3p");
+      assert.equal(report.sightedAt.toString(), sightedAt.toString());
+      assert.equal(report.contactHint, "Ask for Sam at the deli");
+
+      assert.equal(await lostPetInstance.isFinder(0, finder1), true);
+      assert.equal((await lostPetInstance.getFinderCount(0)).toString(), "1");
+    });
 
-      const res = await lostPetInstance.resolveCase(caseId, 0, { from: owner });
+    it("should return no report for plain evidence submissions", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Photo link", { from: finder1 });
 
-      // Event check
-      assert.equal(res.logs[0].event, "CaseResolved");
-      assert.equal(res.logs[0].args.caseId.toString(), caseId.toString());
+      const report = await lostPetInstance.getFinderReport(0, finder1);
+      assert.equal(report.hasReport, false);
+      assert.equal(report.photoHash, ZERO_HASH);
+
+      try {
+        await lostPetInstance.submitFinderReport(0, PHOTO_HASH, "dr5r", (await now()) - 60, "", { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Already submitted as finder");
+      }
+    });
+
+    it("should validate report fields", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      const past = (await now()) - 60;
+
+      const invalid = [
+        [[ZERO_HASH, "dr5r", past, ""], "Photo hash required"],
+        [[PHOTO_HASH, "", past, ""], "Invalid geohash"],
+        [[PHOTO_HASH, "dr5a", past, ""], "Invalid geohash"],
+        [[PHOTO_HASH, "DR5R", past, ""], "Invalid geohash"],
+        [[PHOTO_HASH, "dr5regw3p0000", past, ""], "Invalid geohash"],
+        [[PHOTO_HASH, "dr5r", 0, ""], "Invalid sighting time"],
+        [[PHOTO_HASH, "dr5r", past + 86400, ""], "Invalid sighting time"],
+        [[PHOTO_HASH, "dr5r", past, "x".repeat(65)], "Contact hint too long"]
+      ];
+
+      for (const [args, reason] of invalid) {
+        try {
+          await lostPetInstance.submitFinderReport(0, ...args, { from: finder1 });
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      // Twelve characters and an empty contact hint are accepted
+      await lostPetInstance.submitFinderReport(0, PHOTO_HASH, "dr5regw3pg6f", past, "", { from: finder1 });
+      assert.equal((await lostPetInstance.getFinderReport(0, finder1)).contactHint, "");
+    });
+  });
+
+
+  // ===== Sightings =====
+  // Tests the sighting log by showing:
+  // - reportSighting() logs a sighting and emits `SightingReported` without making the reporter a finder
+  // - A case with only sightings can still be cancelled
+  // - Bad geohashes, future times, long notes and closed cases are rejected
+  // - getSightings() pages through the log
+  // - tipSighter() credits the reporter, and only the owner can tip
+
+  describe("Sightings", () => {
+    async function now() {
+      return Number((await web3.eth.getBlock("latest")).timestamp);
+    }
+
+    beforeEach(async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+    });
+
+    it("should log a sighting without registering a finder", async () => {
+      const seenAt = (await now()) - 3600;
+      const res = await lostPetInstance.reportSighting(0, "dr5regw3p", seenAt, "Near the park at 8pm", { from: finder1 });
+
+      assert.equal(res.logs[0].event, "SightingReported");
+      assert.equal(res.logs[0].args.sightingId.toString(), "0");
+      assert.equal(res.logs[0].args.reporter, finder1);
+      assert.equal(res.logs[0].args.geohash, "dr5regw3p");
+      assert.equal(res.logs[0].args.seenAt.toString(), seenAt.toString());
+      assert.equal(res.logs[0].args.note, "Near the park at 8pm");
+
+      assert.equal(await lostPetInstance.isFinder(0, finder1), false);
+      assert.equal((await lostPetInstance.getFinderCount(0)).toString(), "0");
+      assert.equal((await lostPetInstance.getSightingCount(0)).toString(), "1");
+
+      // Sightings do not block cancelling
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await lostPetInstance.cancelCase(0, { from: owner });
+    });
+
+    it("should validate sighting fields", async () => {
+      const past = (await now()) - 60;
+
+      const invalid = [
+        [["", past, ""], "Invalid geohash"],
+        [["dr5a", past, ""], "Invalid geohash"],
+        [["dr5r", 0, ""], "Invalid sighting time"],
+        [["dr5r", past + 86400, ""], "Invalid sighting time"],
+        [["dr5r", past, "x".repeat(141)], "Note too long"]
+      ];
+
+      for (const [args, reason] of invalid) {
+        try {
+          await lostPetInstance.reportSighting(0, ...args, { from: finder1 });
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS);
+      try {
+        await lostPetInstance.reportSighting(0, "dr5r", past, "", { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case not active");
+      }
+    });
+
+    it("should page through the sighting log", async () => {
+      const past = (await now()) - 60;
+      await lostPetInstance.reportSighting(0, "dr5r", past, "First", { from: finder1 });
+      await lostPetInstance.reportSighting(0, "dr5x", past, "", { from: finder2 });
+      await lostPetInstance.reportSighting(0, "dr72", past, "Third", { from: finder1 });
+
+      const page = await lostPetInstance.getSightings(0, 1, 5);
+      assert.deepEqual(page.reporters, [finder2, finder1]);
+      assert.deepEqual(page.geohashes, ["dr5x", "dr72"]);
+      assert.deepEqual(page.notes, ["", "Third"]);
+      assert.equal(page.seenAts[0].toString(), past.toString());
+
+      assert.equal((await lostPetInstance.getSightings(0, 3, 5)).reporters.length, 0);
+    });
+
+    it("should credit tips to the reporter", async () => {
+      await lostPetInstance.reportSighting(0, "dr5r", (await now()) - 60, "", { from: finder1 });
+
+      const invalid = [
+        [[0, { from: otherAccount, value: MIN_BOUNTY }], "Only case owner can tip"],
+        [[1, { from: owner, value: MIN_BOUNTY }], "Invalid sighting"],
+        [[0, { from: owner }], "Must send ETH"]
+      ];
+      for (const [args, reason] of invalid) {
+        try {
+          await lostPetInstance.tipSighter(0, ...args);
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      const res = await lostPetInstance.tipSighter(0, 0, { from: owner, value: MIN_BOUNTY });
+      assert.equal(res.logs[0].event, "SightingTipped");
+      assert.equal(res.logs[0].args.reporter, finder1);
+      assert.equal(res.logs[0].args.amount.toString(), MIN_BOUNTY);
+
+      await lostPetInstance.tipSighter(0, 0, { from: owner, value: MIN_BOUNTY });
+      assert.equal((await lostPetInstance.getSightings(0, 0, 1)).tips[0].toString(), (2 * MIN_BOUNTY).toString());
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), (2 * MIN_BOUNTY).toString());
+
+      // The bounty is untouched
+      assert.equal((await lostPetInstance.getCaseEscrow(0)).toString(), MIN_BOUNTY);
+    });
+  });
+
+
+  // ===== Finder Edits =====
+  // Tests finders changing their own submissions by showing:
+  // - updateEvidence() replaces the evidence, keeps the old versions and emits `EvidenceUpdated`
+  // - withdrawSubmission() keeps finder indexes stable and emits `SubmissionWithdrawn`
+  // - Withdrawn finders cannot be paid, dispute, update or resubmit
+  // - The owner can cancel once every finder has withdrawn
+  // - Both functions are rejected for non-finders and once the case is no longer Active
+
+  describe("Finder Edits", () => {
+    it("should update evidence and keep the history", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Blurry photo", { from: finder1 });
+
+      const res = await lostPetInstance.updateEvidence(0, "Clear photo", { from: finder1 });
+      assert.equal(res.logs[0].event, "EvidenceUpdated");
       assert.equal(res.logs[0].args.finder, finder1);
-      assert.equal(res.logs[0].args.bountyAmount.toString(), ONE_ETHER);
+      assert.equal(res.logs[0].args.evidence, "Clear photo");
+      assert.equal(res.logs[0].args.revision.toString(), "1");
 
-      // Finder balance should increase by approx bounty (ignoring tiny differences)
-      const finalFinderBalance = await web3.eth.getBalance(finder1);
-      assert(BigInt(finalFinderBalance) >= BigInt(initialFinderBalance) + BigInt(ONE_ETHER) - BigInt(web3.utils.toWei("0.001", "ether")), "Finder should receive bounty");
+      await lostPetInstance.updateEvidence(0, "Video", { from: finder1 });
 
-      // Case status should be Resolved
-      const caseFull = await lostPetInstance.getCaseFull(caseId);
-      assert.equal(caseFull.status, CaseStatus.Resolved, "Case should be marked Resolved");
+      assert.equal(await lostPetInstance.getFinderEvidence(0, finder1), "Video");
+      assert.deepEqual(await lostPetInstance.getEvidenceHistory(0, finder1), ["Blurry photo", "Clear photo"]);
     });
 
-    it("should reject resolution from non-owner", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+    it("should not archive empty evidence of report finders", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      const sightedAt = Number((await web3.eth.getBlock("latest")).timestamp) - 60;
+      await lostPetInstance.submitFinderReport(0, web3.utils.sha3("photo"), "dr5r", sightedAt, "", { from: finder1 });
 
-      await lostPetInstance.submitAsFinder(caseId, "Evidence", { from: finder1 });
-      await increaseTime(2 * 24 * 60 * 60);
+      const res = await lostPetInstance.updateEvidence(0, "Extra photo link", { from: finder1 });
+      assert.equal(res.logs[0].args.revision.toString(), "0");
+      assert.equal(await lostPetInstance.getFinderEvidence(0, finder1), "Extra photo link");
+      assert.deepEqual(await lostPetInstance.getEvidenceHistory(0, finder1), []);
+    });
+
+    it("should reject invalid evidence updates", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Photo link", { from: finder1 });
 
       try {
-        await lostPetInstance.resolveCase(caseId, 0, { from: finder1 });
+        await lostPetInstance.updateEvidence(0, "", { from: finder1 });
         assert.fail("Should have thrown error");
       } catch (error) {
-        assert.include(error.message, "Only case owner can resolve");
+        assert.include(error.message, "Evidence cannot be empty");
+      }
+
+      try {
+        await lostPetInstance.updateEvidence(0, "Photo link", { from: finder2 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Not a finder for this case");
       }
     });
 
-    it("should reject resolution with invalid finder index", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+    it("should keep finder indexes stable after a withdrawal", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Photo 1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Photo 2", { from: finder2 });
 
-      await lostPetInstance.submitAsFinder(caseId, "Evidence", { from: finder1 });
-      await increaseTime(2 * 24 * 60 * 60);
+      const res = await lostPetInstance.withdrawSubmission(0, { from: finder1 });
+      assert.equal(res.logs[0].event, "SubmissionWithdrawn");
+      assert.equal(res.logs[0].args.finder, finder1);
+
+      assert.equal(await lostPetInstance.isSubmissionWithdrawn(0, finder1), true);
+      assert.equal(await lostPetInstance.isSubmissionWithdrawn(0, finder2), false);
+      assert.deepEqual(await lostPetInstance.getFinders(0), [finder1, finder2]);
+
+      // Index 1 still points at finder2
+      await increaseTime(24 * 60 * 60 + 1);
+      const resolved = await lostPetInstance.resolveCase(0, 1, { from: owner });
+      assert.equal(resolved.logs[0].args.finder, finder2);
+    });
+
+    it("should not pay or accept further changes from withdrawn finders", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Photo 1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Photo 2", { from: finder2 });
+      await lostPetInstance.withdrawSubmission(0, { from: finder1 });
+      await increaseTime(24 * 60 * 60 + 1);
+
+      const attempts = [
+        [() => lostPetInstance.resolveCase(0, 0, { from: owner }), "Finder withdrew submission"],
+        [() => lostPetInstance.resolveCaseSplit(0, [1, 0], [5000, 5000], { from: owner }), "Finder withdrew submission"],
+        [() => lostPetInstance.updateEvidence(0, "New photo", { from: finder1 }), "Submission withdrawn"],
+        [() => lostPetInstance.withdrawSubmission(0, { from: finder1 }), "Submission withdrawn"],
+        [() => lostPetInstance.submitAsFinder(0, "Photo 1 again", { from: finder1 }), "Already submitted as finder"]
+      ];
+      for (const [attempt, reason] of attempts) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
 
+      // A withdrawn finder cannot dispute the resolution either
+      await lostPetInstance.resolveCase(0, 1, { from: owner });
       try {
-        await lostPetInstance.resolveCase(caseId, 5, { from: owner });
+        await lostPetInstance.openDispute(0, "That was my cat", { from: finder1 });
         assert.fail("Should have thrown error");
       } catch (error) {
-        assert.include(error.message, "Invalid finder index");
+        assert.include(error.message, "Only finders can dispute");
       }
     });
 
-    it("should reject resolution if case has no finders", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+    it("should let the owner cancel once every finder has withdrawn", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Photo 1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Photo 2", { from: finder2 });
+      await lostPetInstance.withdrawSubmission(0, { from: finder1 });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
 
-      await increaseTime(2 * 24 * 60 * 60);
+      try {
+        await lostPetInstance.cancelCase(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Cannot cancel - finders already submitted");
+      }
+
+      await lostPetInstance.withdrawSubmission(0, { from: finder2 });
+      await lostPetInstance.cancelCase(0, { from: owner });
+
+      const caseData = await lostPetInstance.getCaseFull(0);
+      assert.equal(caseData.status.toString(), CaseStatus.Cancelled.toString());
+    });
+
+    it("should reject edits once the case is no longer Active", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Rex", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Photo 1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(1, "Photo 2", { from: finder1 });
+
+      await increaseTime(24 * 60 * 60 + 1);
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+
+      for (const attempt of [
+        () => lostPetInstance.updateEvidence(0, "New photo", { from: finder1 }),
+        () => lostPetInstance.withdrawSubmission(0, { from: finder1 })
+      ]) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, "Case not active");
+        }
+      }
+
+      // Expired but not yet processed
+      await increaseTime(DEFAULT_EXPIRY_DAYS);
+      try {
+        await lostPetInstance.withdrawSubmission(1, { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case expired");
+      }
+    });
+  });
+
+
+  // ===== Submission Stakes & Spam =====
+  // Tests the anti-spam rules of a case by showing:
+  // - setSubmissionRules() sets the stake and cap (owner only) and emits `SubmissionRulesUpdated`
+  // - Finders must send exactly the stake, which is locked until the case closes
+  // - Submissions past the cap are rejected
+  // - flagSubmission() rejects with the spam reason and the flagged finder cannot be paid, dispute or edit
+  // - The flagged stake stays locked until the flag stands, then claimFlaggedStake() credits it to the owner
+  // - A flagged finder can contest; reinstating clears the flag and the finder keeps their stake
+  // - The owner can cancel once every submission is withdrawn or flagged and REJECTION_CONTEST_PERIOD is over
+  // - reclaimStake() credits the stake back once the case is no longer Active, except for flagged finders
+  // - The ETH balance equals getAssetTotals(0) plus totalLockedStakes() and treasuryBalance(0)
+
+  describe("Submission Stakes & Spam", () => {
+    const STAKE = web3.utils.toWei("0.01", "ether");
+
+    async function assertEthBalanced() {
+      const totals = await lostPetInstance.getAssetTotals(ZERO_ADDRESS);
+      const expected = web3.utils.toBN(totals.escrow)
+        .add(totals.pendingResolutions)
+        .add(totals.pendingWithdrawals)
+        .add(await lostPetInstance.totalLockedStakes())
+        .add(await lostPetInstance.treasuryBalance(ZERO_ADDRESS));
+      assert.equal((await web3.eth.getBalance(lostPetInstance.address)).toString(), expected.toString());
+    }
+
+    it("should set submission rules and emit SubmissionRulesUpdated", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+
+      const res = await lostPetInstance.setSubmissionRules(0, STAKE, 5, { from: owner });
+      assert.equal(res.logs[0].event, "SubmissionRulesUpdated");
+      assert.equal(res.logs[0].args.stake.toString(), STAKE);
+      assert.equal(res.logs[0].args.maxSubmissions.toString(), "5");
+
+      const rules = await lostPetInstance.getSubmissionRules(0);
+      assert.equal(rules.stake.toString(), STAKE);
+      assert.equal(rules.maxSubmissions.toString(), "5");
+      assert.equal(rules.submissionCount.toString(), "0");
+
+      try {
+        await lostPetInstance.setSubmissionRules(0, 0, 0, { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only case owner can set rules");
+      }
+    });
+
+    it("should lock the exact stake from each finder", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.setSubmissionRules(0, STAKE, 0, { from: owner });
+
+      for (const value of ["0", web3.utils.toWei("0.02", "ether")]) {
+        try {
+          await lostPetInstance.submitAsFinder(0, "Photo link", { from: finder1, value });
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, "Incorrect stake");
+        }
+      }
+
+      await lostPetInstance.submitAsFinder(0, "Photo link", { from: finder1, value: STAKE });
+      const sightedAt = Number((await web3.eth.getBlock("latest")).timestamp) - 60;
+      await lostPetInstance.submitFinderReport(0, web3.utils.sha3("photo"), "dr5r", sightedAt, "", { from: finder2, value: STAKE });
+
+      assert.equal((await lostPetInstance.getLockedStake(0, finder1)).toString(), STAKE);
+      assert.equal((await lostPetInstance.getLockedStake(0, finder2)).toString(), STAKE);
+      assert.equal((await lostPetInstance.totalLockedStakes()).toString(), web3.utils.toWei("0.02", "ether"));
+      await assertEthBalanced();
+    });
+
+    it("should reject submissions past the cap", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Photo 1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Photo 2", { from: finder2 });
+
+      try {
+        await lostPetInstance.setSubmissionRules(0, 0, 1, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Cap below current submissions");
+      }
+
+      await lostPetInstance.setSubmissionRules(0, 0, 2, { from: owner });
+      try {
+        await lostPetInstance.submitAsFinder(0, "Photo 3", { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Submission limit reached");
+      }
+
+      // Withdrawn submissions still count toward the cap
+      await lostPetInstance.withdrawSubmission(0, { from: finder1 });
+      try {
+        await lostPetInstance.submitAsFinder(0, "Photo 3", { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Submission limit reached");
+      }
+    });
+
+    it("should give the owner a flagged finder's stake once the flag stands", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.setSubmissionRules(0, STAKE, 0, { from: owner });
+      await lostPetInstance.submitAsFinder(0, "Spam", { from: finder1, value: STAKE });
+
+      try {
+        await lostPetInstance.flagSubmission(0, 0, { from: finder2 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only case owner can flag");
+      }
+
+      const res = await lostPetInstance.flagSubmission(0, 0, { from: owner });
+      const flagged = res.logs.find((log) => log.event === "SubmissionFlagged");
+      assert.equal(flagged.args.finder, finder1);
+      assert.equal(flagged.args.stake.toString(), STAKE);
+      const rejected = res.logs.find((log) => log.event === "SubmissionRejected");
+      assert.equal(rejected.args.reasonCode.toString(), "4");
+
+      // The stake stays locked while the flag can be contested
+      assert.equal(await lostPetInstance.isSubmissionFlagged(0, finder1), true);
+      assert.equal((await lostPetInstance.getLockedStake(0, finder1)).toString(), STAKE);
+      const attempts = [
+        [() => lostPetInstance.claimFlaggedStake(0, 0, { from: finder2 }), "Only case owner can claim"],
+        [() => lostPetInstance.claimFlaggedStake(0, 0, { from: owner }), "Flag can still be contested"],
+        [() => lostPetInstance.flagSubmission(0, 0, { from: owner }), "Submission flagged as spam"]
+      ];
+      for (const [attempt, reason] of attempts) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      await increaseTime(REJECTION_CONTEST_PERIOD);
+      const claimed = await lostPetInstance.claimFlaggedStake(0, 0, { from: owner });
+      const event = claimed.logs.find((log) => log.event === "FlaggedStakeClaimed");
+      assert.equal(event.args.finder, finder1);
+      assert.equal(event.args.amount.toString(), STAKE);
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), STAKE);
+      assert.equal((await lostPetInstance.totalLockedStakes()).toString(), "0");
+      await assertEthBalanced();
+
+      try {
+        await lostPetInstance.claimFlaggedStake(0, 0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "No stake to claim");
+      }
+    });
+
+    it("should let a flagged finder contest the flag", async () => {
+      await lostPetInstance.setArbiter(otherAccount, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.setSubmissionRules(0, STAKE, 0, { from: owner });
+      await lostPetInstance.submitAsFinder(0, "Photo", { from: finder1, value: STAKE });
+      await lostPetInstance.submitAsFinder(0, "Spam", { from: finder2, value: STAKE });
+      await lostPetInstance.flagSubmission(0, 0, { from: owner });
+      await lostPetInstance.flagSubmission(0, 1, { from: owner });
+      await lostPetInstance.contestRejection(0, "That is your cat", { from: finder1 });
+      await lostPetInstance.contestRejection(0, "Not spam", { from: finder2 });
+      await increaseTime(REJECTION_CONTEST_PERIOD);
+
+      try {
+        await lostPetInstance.cancelCase(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Rejection can still be contested");
+      }
+
+      // Reinstating clears the flag and the finder keeps their stake
+      await lostPetInstance.ruleOnRejection(0, 0, false, { from: otherAccount });
+      assert.equal(await lostPetInstance.isSubmissionFlagged(0, finder1), false);
+      try {
+        await lostPetInstance.claimFlaggedStake(0, 0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Submission not flagged");
+      }
+      await lostPetInstance.updateEvidence(0, "Better photo", { from: finder1 });
+
+      // Upholding lets the owner take the stake without waiting for ARBITRATION_TIMEOUT
+      await lostPetInstance.ruleOnRejection(0, 1, true, { from: otherAccount });
+      await lostPetInstance.claimFlaggedStake(0, 1, { from: owner });
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), STAKE);
+
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await lostPetInstance.reclaimStake(0, { from: finder1 });
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), STAKE);
+      try {
+        await lostPetInstance.reclaimStake(0, { from: finder2 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Submission flagged as spam");
+      }
+      await assertEthBalanced();
+    });
+
+    it("should not flag a withdrawn submission or take its stake", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.setSubmissionRules(0, STAKE, 0, { from: owner });
+      await lostPetInstance.submitAsFinder(0, "Photo", { from: finder1, value: STAKE });
+      await lostPetInstance.withdrawSubmission(0, { from: finder1 });
+
+      try {
+        await lostPetInstance.flagSubmission(0, 0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Submission withdrawn");
+      }
+
+      assert.equal(await lostPetInstance.isSubmissionFlagged(0, finder1), false);
+      assert.equal((await lostPetInstance.getLockedStake(0, finder1)).toString(), STAKE);
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), "0");
+    });
+
+    it("should not pay or accept further changes from flagged finders", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Spam", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Photo", { from: finder2 });
+      await lostPetInstance.flagSubmission(0, 0, { from: owner });
+      await increaseTime(24 * 60 * 60 + 1);
+
+      const attempts = [
+        [() => lostPetInstance.resolveCase(0, 0, { from: owner }), "Submission flagged as spam"],
+        [() => lostPetInstance.resolveCaseSplit(0, [1, 0], [5000, 5000], { from: owner }), "Submission flagged as spam"],
+        [() => lostPetInstance.updateEvidence(0, "More spam", { from: finder1 }), "Submission flagged as spam"],
+        [() => lostPetInstance.withdrawSubmission(0, { from: finder1 }), "Submission flagged as spam"]
+      ];
+      for (const [attempt, reason] of attempts) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      await lostPetInstance.resolveCase(0, 1, { from: owner });
+      try {
+        await lostPetInstance.openDispute(0, "Pay me", { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only finders can dispute");
+      }
+    });
+
+    it("should let the owner cancel once every submission is withdrawn or flagged", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Spam", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Photo", { from: finder2 });
+      await lostPetInstance.withdrawSubmission(0, { from: finder2 });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      try {
+        await lostPetInstance.cancelCase(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Cannot cancel - finders already submitted");
+      }
+
+      await lostPetInstance.flagSubmission(0, 0, { from: owner });
+      try {
+        await lostPetInstance.cancelCase(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Rejection can still be contested");
+      }
+
+      await increaseTime(REJECTION_CONTEST_PERIOD);
+      await lostPetInstance.cancelCase(0, { from: owner });
+
+      const caseData = await lostPetInstance.getCaseFull(0);
+      assert.equal(caseData.status.toString(), CaseStatus.Cancelled.toString());
+
+      try {
+        await lostPetInstance.cancelCase(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case not active");
+      }
+    });
+
+    it("should return stakes once the case is no longer Active", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.setSubmissionRules(0, STAKE, 0, { from: owner });
+      await lostPetInstance.submitAsFinder(0, "Photo 1", { from: finder1, value: STAKE });
+      await lostPetInstance.submitAsFinder(0, "Photo 2", { from: finder2, value: STAKE });
+
+      try {
+        await lostPetInstance.reclaimStake(0, { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case still active");
+      }
+
+      await increaseTime(24 * 60 * 60 + 1);
+      await lostPetInstance.resolveCase(0, 1, { from: owner });
+
+      // Both the paid finder and the other genuine finder get their stake back
+      for (const finder of [finder1, finder2]) {
+        const res = await lostPetInstance.reclaimStake(0, { from: finder });
+        const returned = res.logs.find((log) => log.event === "StakeReturned");
+        assert.equal(returned.args.finder, finder);
+        assert.equal(returned.args.amount.toString(), STAKE);
+        assert.equal((await lostPetInstance.pendingWithdrawal(finder)).toString(), STAKE);
+      }
+      assert.equal((await lostPetInstance.totalLockedStakes()).toString(), "0");
+      await assertEthBalanced();
+
+      try {
+        await lostPetInstance.reclaimStake(0, { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "No stake to reclaim");
+      }
+    });
+  });
+
+  // ===== Submission Rejections =====
+  // Tests owners rejecting submissions by showing:
+  // - rejectSubmission() records the reason code and emits `SubmissionRejected` with the contest deadline
+  // - Only the owner can reject, with a known reason code and only once per submission
+  // - Rejected finders cannot be paid, dispute or edit
+  // - The owner can cancel once every submission is rejected and REJECTION_CONTEST_PERIOD is over
+  // - contestRejection() keeps the case from being cancelled until an arbiter rules or ARBITRATION_TIMEOUT passes
+  // - Cancellation is released as soon as every rejection has been ruled on
+  // - ruleOnRejection() upholds the rejection or reinstates the finder
+  // - Rejected submissions cannot be flagged as spam, even once reinstated
+
+  describe("Submission Rejections", () => {
+    const RejectionState = { None: 0, Rejected: 1, Contested: 2, Upheld: 3, Reinstated: 4 };
+
+    it("should reject a submission and emit SubmissionRejected", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Wrong cat", { from: finder1 });
+
+      const res = await lostPetInstance.rejectSubmission(0, 0, 0, { from: owner });
+      const { timestamp } = await web3.eth.getBlock(res.receipt.blockNumber);
+      assert.equal(res.logs[0].event, "SubmissionRejected");
+      assert.equal(res.logs[0].args.finder, finder1);
+      assert.equal(res.logs[0].args.reasonCode.toString(), "0");
+      assert.equal(res.logs[0].args.contestDeadline.toString(), (Number(timestamp) + REJECTION_CONTEST_PERIOD).toString());
+
+      const rejection = await lostPetInstance.getRejection(0, finder1);
+      assert.equal(rejection.state.toString(), RejectionState.Rejected.toString());
+      assert.equal(rejection.contestDeadline.toString(), res.logs[0].args.contestDeadline.toString());
+      assert.equal(rejection.arbitrationDeadline.toString(), "0");
+    });
+
+    it("should reject invalid rejections", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Wrong cat", { from: finder1 });
+
+      const attempts = [
+        [() => lostPetInstance.rejectSubmission(0, 0, 0, { from: finder2 }), "Only case owner can reject"],
+        [() => lostPetInstance.rejectSubmission(0, 0, 4, { from: owner }), "Invalid reason code"],
+        [() => lostPetInstance.rejectSubmission(0, 1, 0, { from: owner }), "Invalid finder index"]
+      ];
+      for (const [attempt, reason] of attempts) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      await lostPetInstance.rejectSubmission(0, 0, 3, { from: owner });
+      try {
+        await lostPetInstance.rejectSubmission(0, 0, 1, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Submission already rejected");
+      }
+    });
+
+    it("should not pay or accept further changes from rejected finders", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Wrong cat", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Photo", { from: finder2 });
+      await lostPetInstance.rejectSubmission(0, 0, 1, { from: owner });
+      await increaseTime(24 * 60 * 60 + 1);
+
+      const attempts = [
+        [() => lostPetInstance.resolveCase(0, 0, { from: owner }), "Submission rejected"],
+        [() => lostPetInstance.resolveCaseSplit(0, [1, 0], [5000, 5000], { from: owner }), "Submission rejected"],
+        [() => lostPetInstance.updateEvidence(0, "Better photo", { from: finder1 }), "Submission rejected"],
+        [() => lostPetInstance.withdrawSubmission(0, { from: finder1 }), "Submission rejected"],
+        [() => lostPetInstance.flagSubmission(0, 0, { from: owner }), "Submission already rejected"]
+      ];
+      for (const [attempt, reason] of attempts) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      await lostPetInstance.resolveCase(0, 1, { from: owner });
+      try {
+        await lostPetInstance.openDispute(0, "That was my cat", { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only finders can dispute");
+      }
+    });
+
+    it("should let the owner cancel once the contest period is over", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await lostPetInstance.submitAsFinder(0, "Wrong cat", { from: finder1 });
+      await lostPetInstance.rejectSubmission(0, 0, 0, { from: owner });
+
+      try {
+        await lostPetInstance.cancelCase(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Rejection can still be contested");
+      }
+
+      await increaseTime(REJECTION_CONTEST_PERIOD);
+      try {
+        await lostPetInstance.contestRejection(0, "It is your cat", { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Contest period over");
+      }
+
+      await lostPetInstance.cancelCase(0, { from: owner });
+      const caseData = await lostPetInstance.getCaseFull(0);
+      assert.equal(caseData.status.toString(), CaseStatus.Cancelled.toString());
+    });
+
+    it("should hold cancellation while a contest waits for an arbiter", async () => {
+      await lostPetInstance.setArbiter(otherAccount, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await lostPetInstance.submitAsFinder(0, "Wrong cat", { from: finder1 });
+      await lostPetInstance.rejectSubmission(0, 0, 0, { from: owner });
+
+      const res = await lostPetInstance.contestRejection(0, "It is your cat", { from: finder1 });
+      assert.equal(res.logs[0].event, "RejectionContested");
+      assert.equal(res.logs[0].args.reason, "It is your cat");
+      const rejection = await lostPetInstance.getRejection(0, finder1);
+      assert.equal(rejection.state.toString(), RejectionState.Contested.toString());
+      assert.equal(rejection.arbitrationDeadline.toString(), res.logs[0].args.arbitrationDeadline.toString());
+
+      // The contest period is over, but the arbitration period is not
+      await increaseTime(REJECTION_CONTEST_PERIOD);
+      try {
+        await lostPetInstance.cancelCase(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Rejection can still be contested");
+      }
+
+      const ruled = await lostPetInstance.ruleOnRejection(0, 0, true, { from: otherAccount });
+      assert.equal(ruled.logs[0].event, "RejectionRuled");
+      assert.equal(ruled.logs[0].args.finder, finder1);
+      assert.equal(ruled.logs[0].args.upheld, true);
+      assert.equal((await lostPetInstance.getRejection(0, finder1)).state.toString(), RejectionState.Upheld.toString());
+
+      // Nothing is left to rule on, so the owner does not wait for ARBITRATION_TIMEOUT
+      await lostPetInstance.cancelCase(0, { from: owner });
+    });
+
+    it("should keep cancellation held while another rejection is open after a ruling", async () => {
+      await lostPetInstance.setArbiter(otherAccount, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await lostPetInstance.submitAsFinder(0, "Wrong cat", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Wrong dog", { from: finder2 });
+      await lostPetInstance.rejectSubmission(0, 0, 0, { from: owner });
+      await lostPetInstance.rejectSubmission(0, 1, 0, { from: owner });
+      await lostPetInstance.contestRejection(0, "It is your cat", { from: finder1 });
+      await lostPetInstance.contestRejection(0, "It is your dog", { from: finder2 });
+      await increaseTime(REJECTION_CONTEST_PERIOD);
+
+      await lostPetInstance.ruleOnRejection(0, 0, true, { from: otherAccount });
+      try {
+        await lostPetInstance.cancelCase(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Rejection can still be contested");
+      }
+
+      await lostPetInstance.ruleOnRejection(0, 1, true, { from: otherAccount });
+      await lostPetInstance.cancelCase(0, { from: owner });
+    });
+
+    it("should reinstate a finder when the arbiter overturns the rejection", async () => {
+      await lostPetInstance.setArbiter(otherAccount, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Photo", { from: finder1 });
+      await lostPetInstance.rejectSubmission(0, 0, 1, { from: owner });
+      await lostPetInstance.contestRejection(0, "See the collar", { from: finder1 });
+
+      for (const [from, reason] of [[finder2, "Only arbiter"], [owner, "Arbiter is a party to the case"]]) {
+        try {
+          await lostPetInstance.ruleOnRejection(0, 0, false, { from });
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      await lostPetInstance.ruleOnRejection(0, 0, false, { from: otherAccount });
+      assert.equal((await lostPetInstance.getRejection(0, finder1)).state.toString(), RejectionState.Reinstated.toString());
+
+      await increaseTime(ARBITRATION_TIMEOUT + 1);
+      try {
+        await lostPetInstance.cancelCase(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Cannot cancel - finders already submitted");
+      }
+
+      try {
+        await lostPetInstance.flagSubmission(0, 0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Submission already rejected");
+      }
+
+      const resolved = await lostPetInstance.resolveCase(0, 0, { from: owner });
+      assert.equal(resolved.logs[0].args.finder, finder1);
+    });
+  });
+
+  // ===== Case Resolution =====
+  // Tests resolving cases by showing:
+  // - Resolve pays bounty to finder and emits CaseResolved
+  // - Status updates to Resolved and escrow cleared
+  // - Rejection when non-owner attempts resolution
+  // - Rejection for invalid finder index
+  // - Rejection when no finders exist
+  // - Bounty is transferred to the correct finder address
+
+  describe("Case Resolution", () => {
+    it("should resolve a case and pay bounty to the finder, updating status", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      // Submit a finder
+      await lostPetInstance.submitAsFinder(caseId, "Evidence for Fluffy", { from: finder1 });
+
+      // Advance time beyond minimum resolve time
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const initialFinderBalance = await web3.eth.getBalance(finder1);
+
+      const res = await lostPetInstance.resolveCase(caseId, 0, { from: owner });
+
+      // Event check
+      assert.equal(res.logs[0].event, "CaseResolved");
+      assert.equal(res.logs[0].args.caseId.toString(), caseId.toString());
+      assert.equal(res.logs[0].args.finder, finder1);
+      assert.equal(res.logs[0].args.bountyAmount.toString(), ONE_ETHER);
+
+      // Bounty is held for the dispute window, then credited to the finder, who withdraws it
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), "0", "Bounty should be held during the dispute window");
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(caseId);
+      const pending = await lostPetInstance.pendingWithdrawal(finder1);
+      assert.equal(pending.toString(), ONE_ETHER, "Bounty should be credited to the finder");
+      await lostPetInstance.withdraw({ from: finder1 });
+
+      // Finder balance should increase by approx bounty (ignoring tiny differences)
+      const finalFinderBalance = await web3.eth.getBalance(finder1);
+      assert(BigInt(finalFinderBalance) >= BigInt(initialFinderBalance) + BigInt(ONE_ETHER) - BigInt(web3.utils.toWei("0.001", "ether")), "Finder should receive bounty");
+
+      // Case status should be Resolved
+      const caseFull = await lostPetInstance.getCaseFull(caseId);
+      assert.equal(caseFull.status, CaseStatus.Resolved, "Case should be marked Resolved");
+    });
+
+    it("should reject resolution from non-owner", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      await lostPetInstance.submitAsFinder(caseId, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      try {
+        await lostPetInstance.resolveCase(caseId, 0, { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only case owner can resolve");
+      }
+    });
+
+    it("should reject resolution with invalid finder index", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      await lostPetInstance.submitAsFinder(caseId, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      try {
+        await lostPetInstance.resolveCase(caseId, 5, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Invalid finder index");
+      }
+    });
+
+    it("should reject resolution if case has no finders", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      await increaseTime(2 * 24 * 60 * 60);
+
+      try {
+        await lostPetInstance.resolveCase(caseId, 0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Invalid finder index");
+      }
+    });
+  });
+
+
+  // ===== Split Bounty Resolution =====
+  // Tests splitting a bounty between several finders by showing:
+  // - Each finder is paid their basis-point share and BountySplitPaid is emitted per payout
+  // - Rounding dust goes to the first finder listed so the whole bounty is paid out
+  // - Shares that do not add up to 10000 bps, duplicates and bad indices are rejected
+  // - A finder that rejects ETH keeps its credit without blocking the other finders
+  // - The single-finder resolveCase path is unaffected
+
+  describe("Split Bounty Resolution", () => {
+    it("should pay each finder their share and emit an event per payout", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      await lostPetInstance.submitAsFinder(caseId, "Spotted him", { from: finder1 });
+      await lostPetInstance.submitAsFinder(caseId, "Caught him", { from: finder2 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const res = await lostPetInstance.resolveCaseSplit(caseId, [0, 1], [2500, 7500], { from: owner });
+
+      const payouts = res.logs.filter(log => log.event === "BountySplitPaid");
+      assert.equal(payouts.length, 2, "Should emit one payout event per finder");
+      assert.equal(payouts[0].args.finder, finder1);
+      assert.equal(payouts[0].args.amount.toString(), web3.utils.toWei("0.25", "ether"));
+      assert.equal(payouts[1].args.finder, finder2);
+      assert.equal(payouts[1].args.shareBps.toString(), "7500");
+      assert.equal(payouts[1].args.amount.toString(), web3.utils.toWei("0.75", "ether"));
+
+      const resolved = res.logs.find(log => log.event === "CaseResolvedSplit");
+      assert.equal(resolved.args.bountyAmount.toString(), ONE_ETHER);
+      assert.equal(resolved.args.payoutCount.toString(), "2");
+
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(caseId);
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), web3.utils.toWei("0.25", "ether"));
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder2)).toString(), web3.utils.toWei("0.75", "ether"));
+
+      const caseFull = await lostPetInstance.getCaseFull(caseId);
+      assert.equal(caseFull.status, CaseStatus.Resolved, "Case should be marked Resolved");
+      assert.equal((await lostPetInstance.getCaseEscrow(caseId)).toString(), "0");
+    });
+
+    it("should give the rounding dust to the first finder listed", async () => {
+      // 0.001 ETH + 2 wei does not divide evenly into thirds
+      const bounty = (BigInt(MIN_BOUNTY) + 2n).toString();
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: bounty
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      await lostPetInstance.submitAsFinder(caseId, "E1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(caseId, "E2", { from: finder2 });
+      await lostPetInstance.submitAsFinder(caseId, "E3", { from: otherAccount });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      // List the last finder first so it receives the dust
+      const res = await lostPetInstance.resolveCaseSplit(caseId, [2, 0, 1], [3333, 3333, 3334], { from: owner });
+      const amounts = res.logs
+        .filter(log => log.event === "BountySplitPaid")
+        .map(log => BigInt(log.args.amount.toString()));
+
+      const base = BigInt(bounty) * 3333n / 10000n;
+      const last = BigInt(bounty) * 3334n / 10000n;
+      const dust = BigInt(bounty) - (base * 2n + last);
+
+      assert.equal(amounts[0].toString(), (base + dust).toString(), "First listed finder should receive the dust");
+      assert.equal(amounts[1].toString(), base.toString());
+      assert.equal(amounts[2].toString(), last.toString());
+      assert.equal((amounts[0] + amounts[1] + amounts[2]).toString(), bounty, "Whole bounty should be paid out");
+      assert.equal(res.logs.find(log => log.event === "BountySplitPaid").args.finder, otherAccount);
+    });
+
+    it("should reject invalid splits", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      await lostPetInstance.submitAsFinder(caseId, "E1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(caseId, "E2", { from: finder2 });
+
+      try {
+        await lostPetInstance.resolveCaseSplit(caseId, [0, 1], [5000, 5000], { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case too new to resolve");
+      }
+
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const invalid = [
+        [[0, 1], [5000, 4000], "Shares must add up to 10000 bps"],
+        [[0, 1], [10000, 0], "Share must be greater than zero"],
+        [[0, 0], [5000, 5000], "Duplicate finder index"],
+        [[0, 5], [5000, 5000], "Invalid finder index"],
+        [[0, 1], [10000], "Shares length mismatch"],
+        [[], [], "Invalid number of finders"]
+      ];
+      for (const [indices, shares, reason] of invalid) {
+        try {
+          await lostPetInstance.resolveCaseSplit(caseId, indices, shares, { from: owner });
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      try {
+        await lostPetInstance.resolveCaseSplit(caseId, [0, 1], [5000, 5000], { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only case owner can resolve");
+      }
+    });
+
+    it("should credit a finder that rejects ETH without blocking the other payouts", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      const rejectingFinder = await RejectingReceiver.new(lostPetInstance.address);
+      await lostPetInstance.submitAsFinder(caseId, "E1", { from: finder1 });
+      await rejectingFinder.submitAsFinder(caseId, "E2");
+      await increaseTime(2 * 24 * 60 * 60);
+
+      await lostPetInstance.resolveCaseSplit(caseId, [0, 1], [5000, 5000], { from: owner });
+      assert.equal((await lostPetInstance.getCaseFull(caseId)).status, CaseStatus.Resolved);
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(caseId);
+
+      // The rejecting finder's share stays credited; the other finder withdraws normally
+      try {
+        await rejectingFinder.withdraw();
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Withdrawal failed");
+      }
+      const half = web3.utils.toWei("0.5", "ether");
+      assert.equal((await lostPetInstance.pendingWithdrawal(rejectingFinder.address)).toString(), half);
+
+      await lostPetInstance.withdraw({ from: finder1 });
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), "0");
+    });
+
+    it("should keep the single-finder resolveCase path working", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      await lostPetInstance.submitAsFinder(caseId, "E1", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const res = await lostPetInstance.resolveCase(caseId, 0, { from: owner });
+      assert.equal(res.logs[0].event, "CaseResolved");
+      assert.isUndefined(res.logs.find(log => log.event === "BountySplitPaid"));
+
+      try {
+        await lostPetInstance.resolveCaseSplit(caseId, [0], [10000], { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case not active");
+      }
+    });
+  });
+
+
+  // ===== Two-Phase Resolution =====
+  // Tests proposing a finder and waiting for the handover by showing:
+  // - Proposing moves the case to PendingResolution and keeps the bounty in escrow
+  // - The proposed finder confirms and the case resolves as with resolveCase
+  // - Anyone can finalize an unacknowledged proposal once the claim window is over
+  // - The owner can withdraw an unconfirmed proposal and the case is Active again
+  // - Cancelling, resolving and new submissions are blocked while a proposal is pending
+  // - Expiry waits for the proposal: the finder can confirm past the deadline, and a withdrawn proposal expires the case
+
+  describe("Two-Phase Resolution", () => {
+    beforeEach(async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+    });
+
+    it("should move a proposed case to PendingResolution", async () => {
+      const res = await lostPetInstance.proposeResolution(0, 0, { from: owner });
+      const block = await web3.eth.getBlock(res.receipt.blockNumber);
+
+      assert.equal(res.logs[0].event, "ResolutionProposed");
+      assert.equal(res.logs[0].args.finder, finder1);
+      assert.equal(res.logs[0].args.claimDeadline.toString(), (Number(block.timestamp) + CLAIM_WINDOW).toString());
+
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.PendingResolution);
+      assert.equal((await lostPetInstance.getCaseEscrow(0)).toString(), MIN_BOUNTY, "Bounty should stay in escrow");
+
+      const proposal = await lostPetInstance.getProposal(0);
+      assert.equal(proposal.finder, finder1);
+      assert.equal(proposal.acknowledged, false);
+
+      const counts = await lostPetInstance.getCaseCounts();
+      assert.equal(counts.active.toString(), "0");
+      assert.equal(counts.pendingResolution.toString(), "1");
+    });
+
+    it("should resolve when the proposed finder confirms", async () => {
+      await lostPetInstance.proposeResolution(0, 0, { from: owner });
+      const res = await lostPetInstance.confirmResolution(0, { from: finder1 });
+
+      assert.equal(res.logs[0].event, "ResolutionConfirmed");
+      assert.equal(res.logs[0].args.acknowledged, true);
+      const resolved = res.logs.find((log) => log.event === "CaseResolved");
+      assert.equal(resolved.args.finder, finder1);
+      assert.equal(resolved.args.bountyAmount.toString(), MIN_BOUNTY);
+
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.Resolved);
+      assert.equal((await lostPetInstance.getProposal(0)).acknowledged, true);
+      assert.equal((await lostPetInstance.getCaseCounts()).pendingResolution.toString(), "0");
+
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), MIN_BOUNTY);
+    });
+
+    it("should let anyone finalize once the claim window is over", async () => {
+      await lostPetInstance.proposeResolution(0, 0, { from: owner });
+
+      try {
+        await lostPetInstance.confirmResolution(0, { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Claim window still open");
+      }
+
+      await increaseTime(CLAIM_WINDOW);
+      const res = await lostPetInstance.confirmResolution(0, { from: otherAccount });
+
+      assert.equal(res.logs[0].args.finder, finder1);
+      assert.equal(res.logs[0].args.acknowledged, false);
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.Resolved);
+    });
+
+    it("should let the owner withdraw an unconfirmed proposal", async () => {
+      await lostPetInstance.proposeResolution(0, 0, { from: owner });
+
+      try {
+        await lostPetInstance.withdrawProposal(0, { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only case owner can withdraw proposal");
+      }
+
+      const res = await lostPetInstance.withdrawProposal(0, { from: owner });
+      assert.equal(res.logs[0].event, "ResolutionProposalWithdrawn");
+      assert.equal(res.logs[0].args.finder, finder1);
+
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.Active);
+      const proposal = await lostPetInstance.getProposal(0);
+      assert.equal(proposal.finder, ZERO_ADDRESS);
+      assert.equal(proposal.claimDeadline.toString(), "0");
+
+      try {
+        await lostPetInstance.confirmResolution(0, { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "No pending proposal");
+      }
+
+      // The owner can resolve the reopened case directly
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.Resolved);
+    });
+
+    it("should reject withdrawing a proposal after the claim window", async () => {
+      await lostPetInstance.proposeResolution(0, 0, { from: owner });
+      await increaseTime(CLAIM_WINDOW);
+
+      try {
+        await lostPetInstance.withdrawProposal(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Claim window over");
+      }
+    });
+
+    it("should block other case actions while a proposal is pending", async () => {
+      await lostPetInstance.proposeResolution(0, 0, { from: owner });
+
+      const blocked = [
+        () => lostPetInstance.resolveCase(0, 0, { from: owner }),
+        () => lostPetInstance.proposeResolution(0, 0, { from: owner }),
+        () => lostPetInstance.submitAsFinder(0, "Evidence", { from: finder2 }),
+        () => lostPetInstance.withdrawSubmission(0, { from: finder1 }),
+        () => lostPetInstance.flagSubmission(0, 0, { from: owner })
+      ];
+      for (const action of blocked) {
+        try {
+          await action();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, "Case not active");
+        }
+      }
+    });
+
+    it("should not expire a pending case and let the finder confirm past the deadline", async () => {
+      await increaseTime(DEFAULT_EXPIRY_DAYS - 5 * 24 * 60 * 60);
+      await lostPetInstance.proposeResolution(0, 0, { from: owner });
+      await increaseTime(4 * 24 * 60 * 60);
+
+      await lostPetInstance.checkAndProcessExpiry(0);
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.PendingResolution);
+      assert.equal((await lostPetInstance.getCaseEscrow(0)).toString(), MIN_BOUNTY);
+
+      await lostPetInstance.confirmResolution(0, { from: finder1 });
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.Resolved);
+    });
+
+    it("should expire the case once a proposal is withdrawn past the deadline", async () => {
+      await increaseTime(DEFAULT_EXPIRY_DAYS - 5 * 24 * 60 * 60);
+      await lostPetInstance.proposeResolution(0, 0, { from: owner });
+      await increaseTime(4 * 24 * 60 * 60);
+
+      await lostPetInstance.withdrawProposal(0, { from: owner });
+      assert.deepEqual((await lostPetInstance.getCasesPaginated(0, 1, CaseStatus.Expired)).map(String), ["0"]);
+
+      const res = await lostPetInstance.checkAndProcessExpiry(0);
+      assert.equal(res.logs[0].event, "CaseExpired");
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.Expired);
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), MIN_BOUNTY);
+    });
+  });
+
+
+  // ===== Disputes & Arbitration =====
+  // Tests contested resolutions by showing:
+  // - Resolved bounties are held as Pending and `ResolutionPending` is emitted
+  // - Only finders of the case can dispute, only within the dispute window and with a reason
+  // - An arbiter can uphold the resolution or award the whole bounty to another finder
+  // - Arbiters who are a party to the case, or are not arbiters, cannot rule
+  // - Timeouts: undisputed resolutions finalize after the window; unruled disputes let the owner's choice stand
+  // - Only the arbiter manager can add or remove arbiters
+
+  describe("Disputes & Arbitration", () => {
+    const arbiter = accounts[4];
+    const FAKE_FRIEND = accounts[5];
+
+    // Case 0 with finder1 (genuine) and FAKE_FRIEND; the owner resolves to FAKE_FRIEND
+    async function resolveToFriend() {
+      await lostPetInstance.setArbiter(arbiter, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Photo at the park", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Trust me", { from: FAKE_FRIEND });
+      await increaseTime(2 * 24 * 60 * 60);
+      return lostPetInstance.resolveCase(0, 1, { from: owner });
+    }
+
+    it("should hold a resolved bounty as pending until the dispute window passes", async () => {
+      const res = await resolveToFriend();
+      const pendingEvent = res.logs.find(log => log.event === "ResolutionPending");
+      assert.equal(pendingEvent.args.amount.toString(), ONE_ETHER);
+
+      const resolution = await lostPetInstance.getResolution(0);
+      assert.equal(resolution.state.toString(), "1", "Resolution should be Pending");
+      assert.equal(resolution.disputeDeadline.toString(), pendingEvent.args.disputeDeadline.toString());
+      assert.equal((await lostPetInstance.totalPendingResolutions()).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.pendingWithdrawal(FAKE_FRIEND)).toString(), "0");
+
+      try {
+        await lostPetInstance.finalizeResolution(0);
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Dispute window still open");
+      }
+
+      await increaseTime(DISPUTE_WINDOW);
+      const finalizeRes = await lostPetInstance.finalizeResolution(0, { from: otherAccount });
+      assert.equal(finalizeRes.logs.find(log => log.event === "ResolutionFinalized").args.amount.toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.pendingWithdrawal(FAKE_FRIEND)).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.getResolution(0)).state.toString(), "3", "Resolution should be Finalized");
+      assert.equal((await lostPetInstance.totalPendingResolutions()).toString(), "0");
+
+      try {
+        await lostPetInstance.finalizeResolution(0);
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Resolution not pending");
+      }
+    });
+
+    it("should only let finders dispute, with a reason, inside the window", async () => {
+      await resolveToFriend();
+
+      try {
+        await lostPetInstance.openDispute(0, "Not fair", { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only finders can dispute");
+      }
+
+      try {
+        await lostPetInstance.openDispute(0, "", { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Dispute reason cannot be empty");
+      }
+
+      await increaseTime(DISPUTE_WINDOW);
+      try {
+        await lostPetInstance.openDispute(0, "Too late", { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Dispute window closed");
+      }
+    });
+
+    it("should let an arbiter overturn the resolution in favour of the genuine finder", async () => {
+      await resolveToFriend();
+
+      const disputeRes = await lostPetInstance.openDispute(0, "I found her, see photo", { from: finder1 });
+      assert.equal(disputeRes.logs[0].event, "DisputeOpened");
+      assert.equal(disputeRes.logs[0].args.disputant, finder1);
+      assert.equal(disputeRes.logs[0].args.reason, "I found her, see photo");
+
+      const resolution = await lostPetInstance.getResolution(0);
+      assert.equal(resolution.state.toString(), "2", "Resolution should be Disputed");
+      assert.equal(resolution.disputant, finder1);
+      assert.equal(resolution.arbitrationDeadline.toString(), disputeRes.logs[0].args.arbitrationDeadline.toString());
+
+      try {
+        await lostPetInstance.openDispute(0, "Me too", { from: FAKE_FRIEND });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Resolution not pending");
+      }
+
+      const ruleRes = await lostPetInstance.overturnResolution(0, 0, { from: arbiter });
+      const ruled = ruleRes.logs.find(log => log.event === "DisputeRuled");
+      assert.equal(ruled.args.arbiter, arbiter);
+      assert.equal(ruled.args.upheld, false);
+      assert.equal(ruled.args.finder, finder1);
+
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.pendingWithdrawal(FAKE_FRIEND)).toString(), "0");
+      const payouts = await lostPetInstance.getResolutionPayouts(0);
+      assert.deepEqual(payouts.finders, [finder1]);
+    });
+
+    it("should let an arbiter uphold a split resolution", async () => {
+      await lostPetInstance.setArbiter(arbiter, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Spotted", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Caught", { from: finder2 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCaseSplit(0, [0, 1], [2000, 8000], { from: owner });
+
+      await lostPetInstance.openDispute(0, "I did most of the work", { from: finder1 });
+      const ruleRes = await lostPetInstance.upholdResolution(0, { from: arbiter });
+      assert.equal(ruleRes.logs.find(log => log.event === "DisputeRuled").args.upheld, true);
+
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), web3.utils.toWei("0.2", "ether"));
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder2)).toString(), web3.utils.toWei("0.8", "ether"));
+    });
+
+    it("should reject rulings from non-arbiters and arbiters who are a party to the case", async () => {
+      await resolveToFriend();
+
+      try {
+        await lostPetInstance.upholdResolution(0, { from: arbiter });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "No open dispute");
+      }
+
+      await lostPetInstance.openDispute(0, "I found her", { from: finder1 });
+
+      try {
+        await lostPetInstance.overturnResolution(0, 0, { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only arbiter");
+      }
+
+      // The deployer is the first arbiter, but here it also owns the case
+      try {
+        await lostPetInstance.upholdResolution(0, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Arbiter is a party to the case");
+      }
+
+      try {
+        await lostPetInstance.overturnResolution(0, 7, { from: arbiter });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Invalid finder index");
+      }
+    });
+
+    it("should let the owner's resolution stand when the arbiter does not rule in time", async () => {
+      await resolveToFriend();
+      await lostPetInstance.openDispute(0, "I found her", { from: finder1 });
+
+      // The original dispute window passing does not release a disputed resolution
+      await increaseTime(DISPUTE_WINDOW);
+      try {
+        await lostPetInstance.finalizeResolution(0);
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Arbitration still in progress");
+      }
+
+      await increaseTime(ARBITRATION_TIMEOUT);
+      try {
+        await lostPetInstance.overturnResolution(0, 0, { from: arbiter });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Arbitration period over");
+      }
+
+      await lostPetInstance.finalizeResolution(0, { from: finder1 });
+      assert.equal((await lostPetInstance.pendingWithdrawal(FAKE_FRIEND)).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.getResolution(0)).state.toString(), "3");
+    });
+
+    it("should only let the arbiter manager change arbiters", async () => {
+      assert.equal(await lostPetInstance.arbiterManager(), owner, "Deployer should manage arbiters");
+      assert.equal(await lostPetInstance.isArbiter(owner), true, "Deployer should be the first arbiter");
+
+      try {
+        await lostPetInstance.setArbiter(otherAccount, true, { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only arbiter manager");
+      }
+
+      const res = await lostPetInstance.setArbiter(arbiter, true, { from: owner });
+      assert.equal(res.logs[0].event, "ArbiterUpdated");
+      assert.equal(res.logs[0].args.arbiter, arbiter);
+      assert.equal(res.logs[0].args.enabled, true);
+
+      await lostPetInstance.setArbiter(arbiter, false, { from: owner });
+      assert.equal(await lostPetInstance.isArbiter(arbiter), false);
+    });
+  });
+
+
+  // ===== Case Cancellation =====
+  // Tests cancellation by showing:
+  // - Cannot cancel before 7 days have passed
+  // - Cannot cancel if finders already submitted
+  // - Only owner can cancel
+  // - Successful cancellation refunds owner and emits CaseCancelled
+  // - Case status updates to Cancelled after refund
+
+  describe("Case Cancellation", () => {
+    it("should reject cancellation before 7 days have passed", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      try {
+        await lostPetInstance.cancelCase(caseId, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Cannot cancel before 7 days");
+      }
+    });
+
+    it("should reject cancellation if finders already submitted", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      await lostPetInstance.submitAsFinder(caseId, "Found it", { from: finder1 });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      try {
+        await lostPetInstance.cancelCase(caseId, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Cannot cancel - finders already submitted");
+      }
+    });
+
+    it("should reject cancellation from non-owner", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      try {
+        await lostPetInstance.cancelCase(caseId, { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only owner can cancel");
+      }
+    });
+
+    it("should allow owner to cancel after 7 days and refund bounty, updating status", async () => {
+      const initialBalance = await web3.eth.getBalance(owner);
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      // Advance time beyond 7 days
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      const cancelRes = await lostPetInstance.cancelCase(caseId, { from: owner });
+
+      // Event check
+      assert.equal(cancelRes.logs[0].event, "CaseCancelled");
+      assert.equal(cancelRes.logs[0].args.caseId.toString(), caseId.toString());
+
+      await lostPetInstance.withdraw({ from: owner });
+      const finalBalance = await web3.eth.getBalance(owner);
+      assert(BigInt(finalBalance) > BigInt(initialBalance) - BigInt(ONE_ETHER), "Owner should receive refund");
+
+      const caseFull = await lostPetInstance.getCaseFull(caseId);
+      assert.equal(caseFull.status, CaseStatus.Cancelled, "Case status should be Cancelled");
+    });
+  });
+
+
+  // ===== Case Expiry =====
+  // This should test the following:
+  // - A case's status can change to Expired
+  // - Refunds are credited to the owner when case expires
+  // - checkAndProcessExpiry() returns false for active non-expired cases, and true for expired cases
+  // - batchCheckExpiry() processes multiple cases correctly
+  // - isCaseExpired() view function returns correct status
+  // - setKeeperReward() is admin-only and capped at MAX_KEEPER_REWARD_BPS
+  // - The keeper reward is credited to the caller and shown in CaseExpired; the owner and contributors get the rest
+
+  describe("Case Expiry", () => {
+    it("should return false for active non-expired cases", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      const result = await lostPetInstance.checkAndProcessExpiry.call(caseId);
+      assert.equal(result, false, "Should return false for non-expired case");
+    });
+
+    it("should return true for expired cases", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      // Advance time beyond expiry
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      const result = await lostPetInstance.checkAndProcessExpiry.call(caseId);
+      assert.equal(result, true, "Should return true for expired case");
+    });
+
+    it("should refund bounty to owner when case expires", async () => {
+      const initialBalance = await web3.eth.getBalance(owner);
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      // Advance time beyond expiry
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      await lostPetInstance.checkAndProcessExpiry(caseId);
+      await lostPetInstance.withdraw({ from: owner });
+      const finalBalance = await web3.eth.getBalance(owner);
+
+      assert(BigInt(finalBalance) > BigInt(initialBalance) - BigInt(ONE_ETHER), "Owner should receive refund");
+    });
+
+    it("should change case status to Expired", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      // Advance time beyond expiry
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      await lostPetInstance.checkAndProcessExpiry(caseId);
+      const caseDetails = await lostPetInstance.getCaseFull(caseId);
+
+      assert.equal(caseDetails.status, CaseStatus.Expired, "Case status should be Expired");
+    });
+
+    it("should process multiple cases correctly with batchCheckExpiry()", async () => {
+      const receipt1 = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId1 = receipt1.logs[0].args.caseId;
+
+      const receipt2 = await lostPetInstance.createCase("Buddy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId2 = receipt2.logs[0].args.caseId;
+
+      // Advance time beyond expiry
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      // Execute the batch transaction to process expiries
+      await lostPetInstance.batchCheckExpiry([caseId1, caseId2]);
+
+      // Verify both cases changed status to Expired
+      const caseDetails1 = await lostPetInstance.getCaseFull(caseId1);
+      const caseDetails2 = await lostPetInstance.getCaseFull(caseId2);
+
+      assert.equal(caseDetails1.status, CaseStatus.Expired, "First case should be Expired");
+      assert.equal(caseDetails2.status, CaseStatus.Expired, "Second case should be Expired");
+    });
+
+    it("should correctly identify expired cases with isCaseExpired()", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
+        from: owner,
+        value: ONE_ETHER
+      });
+      const caseId = receipt.logs[0].args.caseId;
+
+      let isExpired = await lostPetInstance.isCaseExpired(caseId);
+      assert.equal(isExpired, false, "Should not be expired initially");
+
+      // Advance time beyond expiry
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      isExpired = await lostPetInstance.isCaseExpired(caseId);
+      assert.equal(isExpired, true, "Should be expired after time advancement");
+    });
+
+    it("should only let the admin set a keeper reward up to the cap", async () => {
+      const cap = Number((await lostPetInstance.MAX_KEEPER_REWARD_BPS()).toString());
+      assert.equal(cap, 100);
+      assert.equal((await lostPetInstance.keeperRewardBps()).toString(), "0");
+
+      for (const [rewardBps, from, reason] of [[50, otherAccount, "Only admin"], [cap + 1, owner, "Reward above cap"]]) {
+        try {
+          await lostPetInstance.setKeeperReward(rewardBps, { from });
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      const res = await lostPetInstance.setKeeperReward(cap, { from: owner });
+      assert.equal(res.logs[0].event, "KeeperRewardUpdated");
+      assert.equal(res.logs[0].args.previousRewardBps.toString(), "0");
+      assert.equal(res.logs[0].args.newRewardBps.toString(), cap.toString());
+      assert.equal((await lostPetInstance.keeperRewardBps()).toString(), cap.toString());
+    });
+
+    it("should show who processed an expiry and pay no reward by default", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      const res = await lostPetInstance.checkAndProcessExpiry(0, { from: otherAccount });
+      const expired = res.logs.find((log) => log.event === "CaseExpired");
+      assert.equal(expired.args.amount.toString(), MIN_BOUNTY);
+      assert.equal(expired.args.keeper, otherAccount);
+      assert.equal(expired.args.keeperReward.toString(), "0");
+      assert.equal((await lostPetInstance.pendingWithdrawal(otherAccount)).toString(), "0");
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), MIN_BOUNTY);
+    });
+
+    it("should pay the keeper reward to the caller and refund the rest", async () => {
+      const bounty = BigInt(MIN_BOUNTY);
+      await lostPetInstance.setKeeperReward(100, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.contributeToBounty(0, { from: finder2, value: MIN_BOUNTY });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: (bounty * 2n).toString() });
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      // Both cases hold 2 * MIN_BOUNTY, so each pays 1% of that to the keeper
+      const reward = (bounty * 2n) / 100n;
+      const refund = bounty * 2n - reward;
+      const res = await lostPetInstance.batchCheckExpiry([0, 1], { from: otherAccount });
+      const expired = res.logs.filter((log) => log.event === "CaseExpired");
+      assert.deepEqual(expired.map((log) => log.args.keeper), [otherAccount, otherAccount]);
+      assert.deepEqual(expired.map((log) => log.args.keeperReward.toString()), [reward.toString(), reward.toString()]);
+      assert.deepEqual(expired.map((log) => log.args.amount.toString()), [refund.toString(), refund.toString()]);
+
+      assert.equal((await lostPetInstance.pendingWithdrawal(otherAccount)).toString(), (reward * 2n).toString());
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder2)).toString(), (refund / 2n).toString());
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), (refund / 2n + refund).toString());
+      assert.equal((await lostPetInstance.getTotalEscrow()).toString(), "0");
+      assert.equal(
+        (await lostPetInstance.totalPendingWithdrawals()).toString(),
+        await web3.eth.getBalance(lostPetInstance.address)
+      );
+    });
+  });
+
+
+  // ===== Case Duration & Extension =====
+  // Tests custom deadlines by showing:
+  // - createCase() sets expiresAt from the duration in its options, with 0 meaning DEFAULT_EXPIRY_DAYS
+  // - A custom duration can be combined with details
+  // - Durations outside MIN_CASE_DURATION..MAX_CASE_DURATION are rejected
+  // - extendCase() moves expiresAt, emits CaseExtended and keeps the case open past the old deadline
+  // - An ETH top-up sent with extendCase() is added to the bounty
+  // - Only the owner can extend, only before expiry, and never beyond MAX_CASE_DURATION from now
+
+  describe("Case Duration & Extension", () => {
+    const DAY = 24 * 60 * 60;
+
+    it("should create a case with a custom duration", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ duration: 30 * DAY }), {
+        from: owner,
+        value: ONE_ETHER
+      });
+
+      const caseDetails = await lostPetInstance.getCaseFull(0);
+      const createdAt = BigInt(caseDetails[4].toString());
+      assert.equal(caseDetails[5].toString(), (createdAt + BigInt(30 * DAY)).toString());
+      assert.equal(receipt.logs[0].args.expiresAt.toString(), caseDetails[5].toString());
+
+      await increaseTime(30 * DAY + 1);
+      const result = await lostPetInstance.checkAndProcessExpiry.call(0);
+      assert.equal(result, true, "Case should expire after its own duration");
+    });
+
+    it("should use the default duration when the options leave it at 0", async () => {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ duration: 0 }), { from: owner, value: MIN_BOUNTY });
+
+      const caseDetails = await lostPetInstance.getCaseFull(0);
+      const createdAt = BigInt(caseDetails[4].toString());
+      assert.equal(receipt.logs[0].args.expiresAt.toString(), (createdAt + BigInt(DEFAULT_EXPIRY_DAYS)).toString());
+    });
+
+    it("should create a case with both a custom duration and details", async () => {
+      const metadata = { species: "Dog", lastSeenGeohash: "dr5ru7" };
+      const receipt = await lostPetInstance.createCase("Buddy", encodeCaseOptions({ duration: 14 * DAY, metadata }), { from: owner, value: MIN_BOUNTY });
+
+      const caseDetails = await lostPetInstance.getCaseFull(0);
+      const createdAt = BigInt(caseDetails[4].toString());
+      assert.equal(receipt.logs[0].args.expiresAt.toString(), (createdAt + BigInt(14 * DAY)).toString());
+      assert.equal(receipt.logs[0].args.metadata.species, "Dog");
+      assert.equal((await lostPetInstance.getCaseMetadata(0)).lastSeenGeohash, "dr5ru7");
+    });
+
+    it("should reject durations outside the allowed range", async () => {
+      for (const duration of [7 * DAY - 1, 365 * DAY + 1]) {
+        try {
+          await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ duration }), { from: owner, value: ONE_ETHER });
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, "Invalid duration");
+        }
+      }
+    });
+
+    it("should extend a case past its original deadline", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      const before = await lostPetInstance.getCaseFull(0);
+
+      const res = await lostPetInstance.extendCase(0, 30 * DAY, { from: owner });
+      const newExpiresAt = BigInt(before[5].toString()) + BigInt(30 * DAY);
+      assert.equal(res.logs[0].event, "CaseExtended");
+      assert.equal(res.logs[0].args.extraTime.toString(), String(30 * DAY));
+      assert.equal(res.logs[0].args.newExpiresAt.toString(), newExpiresAt.toString());
+
+      // Still open after the old deadline, expired after the new one
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      assert.equal(await lostPetInstance.isCaseExpired(0), false);
+      await lostPetInstance.submitAsFinder(0, "Photo", { from: finder1 });
+
+      await increaseTime(30 * DAY);
+      assert.equal(await lostPetInstance.isCaseExpired(0), true);
+    });
+
+    it("should add a top-up to the bounty", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const res = await lostPetInstance.extendCase(0, DAY, { from: owner, value: ONE_ETHER });
+      assert.equal(res.logs[0].event, "IncreaseBounty");
+      assert.equal(res.logs[0].args.newTotal.toString(), web3.utils.toWei("2", "ether"));
+      assert.equal(res.logs[1].event, "CaseExtended");
+
+      const escrow = await lostPetInstance.getTotalEscrow();
+      assert.equal(escrow.toString(), web3.utils.toWei("2", "ether"));
+    });
+
+    it("should reject invalid extensions", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const attempts = [
+        [() => lostPetInstance.extendCase(0, DAY, { from: otherAccount }), "Only case owner can extend"],
+        [() => lostPetInstance.extendCase(0, 0, { from: owner }), "Invalid duration"],
+        [() => lostPetInstance.extendCase(0, 300 * DAY, { from: owner }), "Extension too long"]
+      ];
+      for (const [attempt, reason] of attempts) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      try {
+        await lostPetInstance.extendCase(0, DAY, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Case expired");
+      }
+    });
+  });
+
+
+  // ===== Withdrawals =====
+  // Tests pull payments by showing:
+  // - Finalized resolutions, cancel and expiry credit ETH and emit PaymentCredited instead of sending it
+  // - withdraw() sends the whole credited balance once and emits Withdrawal
+  // - Withdrawing with nothing credited is rejected
+  // - An owner contract that rejects ETH can still cancel, and does not block batchCheckExpiry()
+  // - Contract balance always equals escrow plus held resolutions plus pending withdrawals
+
+  describe("Withdrawals", () => {
+    it("should credit payouts and let the recipient withdraw once", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await increaseTime(DISPUTE_WINDOW);
+      const finalizeRes = await lostPetInstance.finalizeResolution(0);
+      const credited = finalizeRes.logs.find(log => log.event === "PaymentCredited");
+      assert.equal(credited.args.account, finder1);
+      assert.equal(credited.args.caseId.toString(), "0");
+      assert.equal(credited.args.amount.toString(), ONE_ETHER);
+
+      await lostPetInstance.cancelCase(1, { from: owner });
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.totalPendingWithdrawals()).toString(), (2n * BigInt(ONE_ETHER)).toString());
+
+      const initialBalance = BigInt(await web3.eth.getBalance(finder1));
+      const withdrawRes = await lostPetInstance.withdraw({ from: finder1 });
+      assert.equal(withdrawRes.logs[0].event, "Withdrawal");
+      assert.equal(withdrawRes.logs[0].args.account, finder1);
+      assert.equal(withdrawRes.logs[0].args.amount.toString(), ONE_ETHER);
+
+      const gasPrice = BigInt((await web3.eth.getTransaction(withdrawRes.tx)).gasPrice);
+      const gasCost = BigInt(withdrawRes.receipt.gasUsed) * gasPrice;
+      const finalBalance = BigInt(await web3.eth.getBalance(finder1));
+      assert.equal((finalBalance - initialBalance + gasCost).toString(), ONE_ETHER, "Finder should receive exactly the bounty");
+
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), "0");
+      try {
+        await lostPetInstance.withdraw({ from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "No funds to withdraw");
+      }
+    });
+
+    it("should let an owner that rejects ETH cancel and keep the refund credited", async () => {
+      const rejectingOwner = await RejectingReceiver.new(lostPetInstance.address);
+      await rejectingOwner.createCase("Fluffy", { value: ONE_ETHER });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      await rejectingOwner.cancelCase(0);
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.Cancelled);
+      assert.equal((await lostPetInstance.pendingWithdrawal(rejectingOwner.address)).toString(), ONE_ETHER);
+
+      try {
+        await rejectingOwner.withdraw();
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Withdrawal failed");
+      }
+      assert.equal((await lostPetInstance.pendingWithdrawal(rejectingOwner.address)).toString(), ONE_ETHER, "Failed withdrawal should keep the credit");
+    });
+
+    it("should not let one owner that rejects ETH block batchCheckExpiry()", async () => {
+      const rejectingOwner = await RejectingReceiver.new(lostPetInstance.address);
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await rejectingOwner.createCase("Buddy", { value: ONE_ETHER });
+      await lostPetInstance.createCase("Luna", encodeCaseOptions(), { from: otherAccount, value: ONE_ETHER });
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      const processed = await lostPetInstance.batchCheckExpiry.call([0, 1, 2]);
+      assert.equal(processed.toString(), "3", "Every case should be processed");
+      await lostPetInstance.batchCheckExpiry([0, 1, 2]);
+
+      for (const caseId of [0, 1, 2]) {
+        assert.equal((await lostPetInstance.getCaseFull(caseId)).status, CaseStatus.Expired);
+      }
+      assert.equal((await lostPetInstance.pendingWithdrawal(rejectingOwner.address)).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.pendingWithdrawal(otherAccount)).toString(), ONE_ETHER);
+    });
+
+    it("should keep contract balance equal to escrow plus held resolutions plus pending withdrawals", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: web3.utils.toWei("0.5", "ether") });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+
+      const assertInvariant = async () => {
+        const balance = BigInt(await web3.eth.getBalance(lostPetInstance.address));
+        const escrow = BigInt((await lostPetInstance.getTotalEscrow()).toString());
+        const held = BigInt((await lostPetInstance.totalPendingResolutions()).toString());
+        const pending = BigInt((await lostPetInstance.totalPendingWithdrawals()).toString());
+        assert.equal(balance.toString(), (escrow + held + pending).toString(), "Balance should equal escrow plus held resolutions plus pending withdrawals");
+      };
+
+      await assertInvariant();
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+      await assertInvariant();
+      await lostPetInstance.withdraw({ from: finder1 });
+      await assertInvariant();
+    });
+  });
+
+
+  // ===== Token Bounties =====
+  // Tests ERC-20 bounties by showing:
+  // - Only the admin can allow-list a token and set its minimum bounty, and the role moves with transferAdmin()
+  // - createCase() with a token asset pulls the tokens and records the bounty asset per case
+  // - Token cases take a custom duration and details like ETH cases
+  // - Creating and topping up reject the wrong asset
+  // - Resolve, cancel and expiry credit the case's token; withdrawToken() pays it out
+  // - Tokens that return false on transfer are rejected
+  // - Each asset's balance equals escrow plus held resolutions plus pending withdrawals
+
+  describe("Token Bounties", () => {
+    const MockERC20 = artifacts.require("MockERC20");
+    const USD = (amount) => (BigInt(amount) * 10n ** 6n).toString(); // 6-decimal stablecoin
+
+    let token;
+
+    beforeEach(async () => {
+      token = await MockERC20.new("Mock USD", "mUSD", 6);
+      await lostPetInstance.setAllowedToken(token.address, USD(5), { from: owner });
+      await token.mint(owner, USD(1000));
+      await token.approve(lostPetInstance.address, USD(1000), { from: owner });
+    });
+
+    async function tokenBalance(account) {
+      return (await token.balanceOf(account)).toString();
+    }
+
+    async function assertAssetInvariant() {
+      const totals = await lostPetInstance.getAssetTotals(token.address);
+      const sum = BigInt(totals.escrow.toString()) + BigInt(totals.pendingResolutions.toString()) +
+        BigInt(totals.pendingWithdrawals.toString()) + BigInt((await lostPetInstance.treasuryBalance(token.address)).toString());
+      assert.equal(await tokenBalance(lostPetInstance.address), sum.toString(), "Token balance should equal the asset totals");
+    }
+
+    it("should only let the admin allow-list tokens", async () => {
+      const res = await lostPetInstance.setAllowedToken(token.address, USD(10), { from: owner });
+      assert.equal(res.logs[0].event, "TokenAllowed");
+      assert.equal(res.logs[0].args.minBounty.toString(), USD(10));
+      assert.equal((await lostPetInstance.tokenMinBounty(token.address)).toString(), USD(10));
+
+      try {
+        await lostPetInstance.setAllowedToken(token.address, USD(1), { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only admin");
+      }
+
+      try {
+        await lostPetInstance.setAllowedToken(otherAccount, USD(1), { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Invalid token");
+      }
+
+      await lostPetInstance.transferAdmin(otherAccount, { from: owner });
+      await lostPetInstance.acceptAdmin({ from: otherAccount });
+      await lostPetInstance.setAllowedToken(token.address, USD(1), { from: otherAccount });
+      assert.equal((await lostPetInstance.tokenMinBounty(token.address)).toString(), USD(1));
+    });
+
+    it("should create a token case and record its asset", async () => {
+      const res = await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner });
+      assert.equal(res.logs[0].event, "CaseCreated");
+      assert.equal(res.logs[0].args.asset, token.address);
+      assert.equal(res.logs[0].args.bounty.toString(), USD(50));
+
+      assert.equal(await lostPetInstance.getCaseAsset(0), token.address);
+      assert.equal((await lostPetInstance.getCaseEscrow(0)).toString(), USD(50));
+      assert.equal(await tokenBalance(lostPetInstance.address), USD(50));
+      assert.equal(await tokenBalance(owner), USD(950));
+
+      // ETH escrow is reported separately
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      assert.equal(await lostPetInstance.getCaseAsset(1), ZERO_ADDRESS);
+      assert.equal((await lostPetInstance.getTotalEscrow()).toString(), ONE_ETHER);
+      assert.equal((await lostPetInstance.getAssetTotals(token.address)).escrow.toString(), USD(50));
+      assert.equal((await lostPetInstance.getAssetTotals(ZERO_ADDRESS)).escrow.toString(), ONE_ETHER);
+    });
+
+    it("should create a token case with a custom duration and details", async () => {
+      const metadata = { species: "Cat" };
+      const options = encodeCaseOptions({ token: token.address, amount: USD(50), duration: 30 * 24 * 60 * 60, metadata });
+      const res = await lostPetInstance.createCase("Fluffy", options, { from: owner });
+
+      const createdAt = BigInt((await lostPetInstance.getCaseFull(0))[4].toString());
+      assert.equal(res.logs[0].args.asset, token.address);
+      assert.equal(res.logs[0].args.expiresAt.toString(), (createdAt + BigInt(30 * 24 * 60 * 60)).toString());
+      assert.equal((await lostPetInstance.getCaseMetadata(0)).species, "Cat");
+    });
+
+    it("should reject tokens that are not allowed and bounties below the minimum", async () => {
+      const other = await MockERC20.new("Other", "OTH", 18);
+
+      const attempts = [
+        [() => lostPetInstance.createCase("Fluffy", encodeCaseOptions({ token: other.address, amount: USD(50) }), { from: owner }), "Token not allowed"],
+        [() => lostPetInstance.createCase("Fluffy", encodeCaseOptions({ token: token.address, amount: USD(4) }), { from: owner }), "Bounty below token minimum"],
+        [() => lostPetInstance.createCase("", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner }), "Pet name cannot be empty"]
+      ];
+      for (const [attempt, reason] of attempts) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, reason);
+        }
+      }
+
+      // Removing a token from the allow-list stops new cases
+      await lostPetInstance.setAllowedToken(token.address, 0, { from: owner });
+      try {
+        await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Token not allowed");
+      }
+    });
+
+    it("should increase a token bounty and reject the wrong asset", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const res = await lostPetInstance.increaseTokenBounty(0, USD(25), { from: owner });
+      assert.equal(res.logs[0].event, "IncreaseBounty");
+      assert.equal(res.logs[0].args.newTotal.toString(), USD(75));
+
+      const attempts = [
+        () => lostPetInstance.increaseBounty(0, { from: owner, value: ONE_ETHER }),
+        () => lostPetInstance.contributeToBounty(0, { from: otherAccount, value: ONE_ETHER }),
+        () => lostPetInstance.increaseTokenBounty(1, USD(25), { from: owner }),
+        () => lostPetInstance.createCase("Luna", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner, value: ONE_ETHER }),
+        () => lostPetInstance.createCase("Luna", encodeCaseOptions({ amount: USD(50) }), { from: owner, value: ONE_ETHER })
+      ];
+      for (const attempt of attempts) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, "Wrong bounty asset");
+        }
+      }
+      await assertAssetInvariant();
+    });
+
+    it("should pay a resolved token bounty to the finder", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      assert.equal(await lostPetInstance.isCaseFunded(0), true);
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await assertAssetInvariant();
+
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+      assert.equal((await lostPetInstance.pendingTokenWithdrawal(finder1, token.address)).toString(), USD(50));
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), "0", "No ETH should be credited");
+      await assertAssetInvariant();
+
+      const res = await lostPetInstance.withdrawToken(token.address, { from: finder1 });
+      assert.equal(res.logs[0].event, "TokenWithdrawal");
+      assert.equal(res.logs[0].args.amount.toString(), USD(50));
+      assert.equal(await tokenBalance(finder1), USD(50));
+      await assertAssetInvariant();
+
+      try {
+        await lostPetInstance.withdrawToken(token.address, { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "No funds to withdraw");
+      }
+    });
+
+    it("should take the platform fee from a token bounty in the same token", async () => {
+      await lostPetInstance.setPlatformFee(500, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      assert.equal((await lostPetInstance.treasuryBalance(token.address)).toString(), "2500000");
+      await assertAssetInvariant();
+
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+      assert.equal((await lostPetInstance.pendingTokenWithdrawal(finder1, token.address)).toString(), "47500000");
+
+      const res = await lostPetInstance.withdrawTreasury(token.address, otherAccount, { from: owner });
+      assert.equal(res.logs[0].args.asset, token.address);
+      assert.equal(await tokenBalance(otherAccount), "2500000");
+      await assertAssetInvariant();
+    });
+
+    it("should refund token bounties on cancel and expiry", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions({ token: token.address, amount: USD(30) }), { from: owner });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      await lostPetInstance.cancelCase(0, { from: owner });
+      assert.equal((await lostPetInstance.pendingTokenWithdrawal(owner, token.address)).toString(), USD(50));
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS);
+      await lostPetInstance.checkAndProcessExpiry(1);
+      assert.equal((await lostPetInstance.pendingTokenWithdrawal(owner, token.address)).toString(), USD(80));
+      await assertAssetInvariant();
+
+      await lostPetInstance.withdrawToken(token.address, { from: owner });
+      assert.equal(await tokenBalance(owner), USD(1000));
+      await assertAssetInvariant();
+    });
+
+    it("should reject token transfers that return false", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await lostPetInstance.cancelCase(0, { from: owner });
+      await token.setFailTransfers(true);
+
+      const attempts = [
+        () => lostPetInstance.createCase("Buddy", encodeCaseOptions({ token: token.address, amount: USD(50) }), { from: owner }),
+        () => lostPetInstance.withdrawToken(token.address, { from: owner })
+      ];
+      for (const attempt of attempts) {
+        try {
+          await attempt();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, "Token transfer failed");
+        }
+      }
+
+      // The credit is kept for a later withdrawal
+      assert.equal((await lostPetInstance.pendingTokenWithdrawal(owner, token.address)).toString(), USD(50));
 
       try {
-        await lostPetInstance.resolveCase(caseId, 0, { from: owner });
+        await lostPetInstance.withdrawToken(ZERO_ADDRESS, { from: owner });
         assert.fail("Should have thrown error");
       } catch (error) {
-        assert.include(error.message, "Invalid finder index");
+        assert.include(error.message, "Invalid token");
       }
     });
   });
 
 
-  // ===== Case Cancellation =====
-  // Tests cancellation by showing:
-  // - Cannot cancel before 7 days have passed
-  // - Cannot cancel if finders already submitted
-  // - Only owner can cancel
-  // - Successful cancellation refunds owner and emits CaseCancelled
-  // - Case status updates to Cancelled after refund
+  // ===== Admin & Emergency Pause =====
+  // Tests the admin role by showing:
+  // - The admin is set at deployment (emitting AdminTransferred) and cannot be the zero address
+  // - Only the admin can pause and unpause, and each emits Paused or Unpaused
+  // - While paused, creating cases, adding to bounties and submitting as a finder are rejected
+  // - Refunds, resolutions and withdrawals keep working while paused
+  // - The admin role moves only once the new admin accepts it, and an offer can be withdrawn
 
-  describe("Case Cancellation", () => {
-    it("should reject cancellation before 7 days have passed", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+  describe("Admin & Emergency Pause", () => {
+    it("should set the admin at deployment and reject the zero address", async () => {
+      assert.equal(await lostPetInstance.admin(), owner);
+      assert.equal(await lostPetInstance.pendingAdmin(), ZERO_ADDRESS);
+      assert.equal(await lostPetInstance.paused(), false);
+
+      const events = await lostPetInstance.getPastEvents("AdminTransferred", { fromBlock: 0 });
+      assert.equal(events.length, 1);
+      assert.equal(events[0].args.previousAdmin, ZERO_ADDRESS);
+      assert.equal(events[0].args.newAdmin, owner);
 
       try {
-        await lostPetInstance.cancelCase(caseId, { from: owner });
+        await LostPet.new(ZERO_ADDRESS);
         assert.fail("Should have thrown error");
       } catch (error) {
-        assert.include(error.message, "Cannot cancel before 7 days");
+        assert.include(error.message, "Invalid admin");
       }
     });
 
-    it("should reject cancellation if finders already submitted", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+    it("should let only the admin pause and unpause", async () => {
+      try {
+        await lostPetInstance.pause({ from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only admin");
+      }
 
-      await lostPetInstance.submitAsFinder(caseId, "Found it", { from: finder1 });
-      await increaseTime(7 * 24 * 60 * 60 + 1);
+      const pauseRes = await lostPetInstance.pause({ from: owner });
+      assert.equal(pauseRes.logs[0].event, "Paused");
+      assert.equal(pauseRes.logs[0].args.admin, owner);
+      assert.equal(await lostPetInstance.paused(), true);
 
       try {
-        await lostPetInstance.cancelCase(caseId, { from: owner });
+        await lostPetInstance.pause({ from: owner });
         assert.fail("Should have thrown error");
       } catch (error) {
-        assert.include(error.message, "Cannot cancel - finders already submitted");
+        assert.include(error.message, "Already paused");
+      }
+      try {
+        await lostPetInstance.unpause({ from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only admin");
       }
-    });
-
-    it("should reject cancellation from non-owner", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
 
-      await increaseTime(7 * 24 * 60 * 60 + 1);
+      const unpauseRes = await lostPetInstance.unpause({ from: owner });
+      assert.equal(unpauseRes.logs[0].event, "Unpaused");
+      assert.equal(unpauseRes.logs[0].args.admin, owner);
+      assert.equal(await lostPetInstance.paused(), false);
 
       try {
-        await lostPetInstance.cancelCase(caseId, { from: otherAccount });
+        await lostPetInstance.unpause({ from: owner });
         assert.fail("Should have thrown error");
       } catch (error) {
-        assert.include(error.message, "Only owner can cancel");
+        assert.include(error.message, "Not paused");
       }
     });
 
-    it("should allow owner to cancel after 7 days and refund bounty, updating status", async () => {
-      const initialBalance = await web3.eth.getBalance(owner);
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+    it("should block new cases, bounty increases and submissions while paused", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.pause({ from: owner });
+
+      const blocked = [
+        () => lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY }),
+        () => lostPetInstance.createCase("Buddy", encodeCaseOptions({ duration: 30 * 24 * 60 * 60 }), { from: owner, value: MIN_BOUNTY }),
+        () => lostPetInstance.increaseBounty(0, { from: owner, value: MIN_BOUNTY }),
+        () => lostPetInstance.extendCase(0, 24 * 60 * 60, { from: owner, value: MIN_BOUNTY }),
+        () => lostPetInstance.contributeToBounty(0, { from: otherAccount, value: MIN_BOUNTY }),
+        () => lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 }),
+        () => lostPetInstance.submitFinderReport(0, web3.utils.keccak256("photo"), "dr5r", 1, "", { from: finder1 })
+      ];
+      for (const call of blocked) {
+        try {
+          await call();
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.include(error.message, "Contract paused");
+        }
+      }
 
-      // Advance time beyond 7 days
+      // Extending without adding ETH is still allowed
+      await lostPetInstance.extendCase(0, 24 * 60 * 60, { from: owner });
+
+      await lostPetInstance.unpause({ from: owner });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      assert.equal(await lostPetInstance.isFinder(0, finder1), true);
+    });
+
+    it("should keep refunds, resolutions and withdrawals working while paused", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.createCase("Luna", encodeCaseOptions({ duration: 7 * 24 * 60 * 60 }), { from: otherAccount, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
       await increaseTime(7 * 24 * 60 * 60 + 1);
 
-      const cancelRes = await lostPetInstance.cancelCase(caseId, { from: owner });
+      await lostPetInstance.pause({ from: owner });
 
-      // Event check
-      assert.equal(cancelRes.logs[0].event, "CaseCancelled");
-      assert.equal(cancelRes.logs[0].args.caseId.toString(), caseId.toString());
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+      await lostPetInstance.cancelCase(1, { from: owner });
+      await lostPetInstance.checkAndProcessExpiry(2);
 
-      const finalBalance = await web3.eth.getBalance(owner);
-      assert(BigInt(finalBalance) > BigInt(initialBalance) - BigInt(ONE_ETHER), "Owner should receive refund");
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, CaseStatus.Resolved);
+      assert.equal((await lostPetInstance.getCaseFull(1)).status, CaseStatus.Cancelled);
+      assert.equal((await lostPetInstance.getCaseFull(2)).status, CaseStatus.Expired);
 
-      const caseFull = await lostPetInstance.getCaseFull(caseId);
-      assert.equal(caseFull.status, CaseStatus.Cancelled, "Case status should be Cancelled");
+      await lostPetInstance.withdraw({ from: finder1 });
+      await lostPetInstance.withdraw({ from: owner });
+      await lostPetInstance.withdraw({ from: otherAccount });
+      assert.equal((await lostPetInstance.totalPendingWithdrawals()).toString(), "0");
     });
-  });
 
+    it("should move the admin role only once the new admin accepts it", async () => {
+      try {
+        await lostPetInstance.transferAdmin(finder1, { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only admin");
+      }
 
-  // ===== Case Expiry =====
-  // This should test the following:
-  // - A case's status can change to Expired
-  // - Refunds are automatically sent to owner when case expires
-  // - checkAndProcessExpiry() returns false for active non-expired cases, and true for expired cases
-  // - batchCheckExpiry() processes multiple cases correctly
-  // - isCaseExpired() view function returns correct status
+      const offerRes = await lostPetInstance.transferAdmin(finder1, { from: owner });
+      assert.equal(offerRes.logs[0].event, "AdminTransferStarted");
+      assert.equal(offerRes.logs[0].args.currentAdmin, owner);
+      assert.equal(offerRes.logs[0].args.pendingAdmin, finder1);
+      assert.equal(await lostPetInstance.admin(), owner, "Admin should not change before acceptance");
+      assert.equal(await lostPetInstance.pendingAdmin(), finder1);
 
-  describe("Case Expiry", () => {
-    it("should return false for active non-expired cases", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+      try {
+        await lostPetInstance.acceptAdmin({ from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only pending admin");
+      }
 
-      const result = await lostPetInstance.checkAndProcessExpiry.call(caseId);
-      assert.equal(result, false, "Should return false for non-expired case");
-    });
+      const acceptRes = await lostPetInstance.acceptAdmin({ from: finder1 });
+      assert.equal(acceptRes.logs[0].event, "AdminTransferred");
+      assert.equal(acceptRes.logs[0].args.previousAdmin, owner);
+      assert.equal(acceptRes.logs[0].args.newAdmin, finder1);
+      assert.equal(await lostPetInstance.admin(), finder1);
+      assert.equal(await lostPetInstance.pendingAdmin(), ZERO_ADDRESS);
 
-    it("should return true for expired cases", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+      try {
+        await lostPetInstance.pause({ from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only admin");
+      }
+      await lostPetInstance.pause({ from: finder1 });
+      assert.equal(await lostPetInstance.paused(), true);
+    });
 
-      // Advance time beyond expiry
-      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+    it("should let the admin withdraw a pending offer", async () => {
+      await lostPetInstance.transferAdmin(finder1, { from: owner });
+      const withdrawRes = await lostPetInstance.transferAdmin(ZERO_ADDRESS, { from: owner });
+      assert.equal(withdrawRes.logs[0].event, "AdminTransferStarted");
+      assert.equal(withdrawRes.logs[0].args.pendingAdmin, ZERO_ADDRESS);
 
-      const result = await lostPetInstance.checkAndProcessExpiry.call(caseId);
-      assert.equal(result, true, "Should return true for expired case");
+      try {
+        await lostPetInstance.acceptAdmin({ from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only pending admin");
+      }
+      assert.equal(await lostPetInstance.admin(), owner);
     });
+  });
 
-    it("should refund bounty to owner when case expires", async () => {
-      const initialBalance = await web3.eth.getBalance(owner);
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
 
-      // Advance time beyond expiry
-      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+  // ===== Platform Fee & Treasury =====
+  // Tests the platform fee by showing:
+  // - The fee is 0 by default; only the admin can set it, up to MAX_PLATFORM_FEE_BPS, emitting PlatformFeeUpdated
+  // - resolveCase() and resolveCaseSplit() move the fee to the treasury and pay out the rest
+  // - Cancel and expiry refunds are never charged
+  // - Only the admin can withdraw the treasury, which emits TreasuryWithdrawal
+  // - The ETH balance still equals escrow, held resolutions, pending withdrawals and the treasury
+
+  describe("Platform Fee & Treasury", () => {
+    const FEE_BPS = 250; // 2.5%
+    const FEE = (BigInt(MIN_BOUNTY) * BigInt(FEE_BPS) / 10000n).toString();
+    const NET = (BigInt(MIN_BOUNTY) - BigInt(FEE)).toString();
+
+    async function assertEthBalanced() {
+      const totals = await lostPetInstance.getAssetTotals(ZERO_ADDRESS);
+      const expected = web3.utils.toBN(totals.escrow)
+        .add(totals.pendingResolutions)
+        .add(totals.pendingWithdrawals)
+        .add(await lostPetInstance.treasuryBalance(ZERO_ADDRESS));
+      assert.equal((await web3.eth.getBalance(lostPetInstance.address)).toString(), expected.toString());
+    }
+
+    it("should default to no fee and let only the admin set it up to the cap", async () => {
+      assert.equal((await lostPetInstance.platformFeeBps()).toString(), "0");
+      assert.equal((await lostPetInstance.MAX_PLATFORM_FEE_BPS()).toString(), "1000");
 
-      await lostPetInstance.checkAndProcessExpiry(caseId);
-      const finalBalance = await web3.eth.getBalance(owner);
+      try {
+        await lostPetInstance.setPlatformFee(FEE_BPS, { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only admin");
+      }
+      try {
+        await lostPetInstance.setPlatformFee(1001, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Fee above cap");
+      }
 
-      assert(BigInt(finalBalance) > BigInt(initialBalance) - BigInt(ONE_ETHER), "Owner should receive refund");
+      const res = await lostPetInstance.setPlatformFee(FEE_BPS, { from: owner });
+      assert.equal(res.logs[0].event, "PlatformFeeUpdated");
+      assert.equal(res.logs[0].args.previousFeeBps.toString(), "0");
+      assert.equal(res.logs[0].args.newFeeBps.toString(), FEE_BPS.toString());
+      assert.equal((await lostPetInstance.platformFeeBps()).toString(), FEE_BPS.toString());
     });
 
-    it("should change case status to Expired", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
-
-      // Advance time beyond expiry
-      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
-
-      await lostPetInstance.checkAndProcessExpiry(caseId);
-      const caseDetails = await lostPetInstance.getCaseFull(caseId);
+    it("should move the fee of a resolved bounty to the treasury and pay the rest", async () => {
+      await lostPetInstance.setPlatformFee(FEE_BPS, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
 
-      assert.equal(caseDetails.status, CaseStatus.Expired, "Case status should be Expired");
+      const res = await lostPetInstance.resolveCase(0, 0, { from: owner });
+      const charged = res.logs.find(log => log.event === "PlatformFeeCharged");
+      assert.equal(charged.args.caseId.toString(), "0");
+      assert.equal(charged.args.amount.toString(), FEE);
+      assert.equal(res.logs.find(log => log.event === "CaseResolved").args.bountyAmount.toString(), NET);
+
+      assert.equal((await lostPetInstance.treasuryBalance(ZERO_ADDRESS)).toString(), FEE);
+      assert.equal((await lostPetInstance.getTotalEscrow()).toString(), "0", "The fee should leave escrow");
+      assert.equal((await lostPetInstance.totalPendingResolutions()).toString(), NET);
+      await assertEthBalanced();
+
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+      assert.equal((await lostPetInstance.pendingWithdrawal(finder1)).toString(), NET);
+      assert.equal((await lostPetInstance.getTotalEarned(finder1, ZERO_ADDRESS)).toString(), NET);
+      await assertEthBalanced();
     });
 
-    it("should process multiple cases correctly with batchCheckExpiry()", async () => {
-      const receipt1 = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId1 = receipt1.logs[0].args.caseId;
+    it("should take the fee before splitting a bounty", async () => {
+      await lostPetInstance.setPlatformFee(FEE_BPS, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Evidence 1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Evidence 2", { from: finder2 });
+      await increaseTime(2 * 24 * 60 * 60);
 
-      const receipt2 = await lostPetInstance.createCase("Buddy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId2 = receipt2.logs[0].args.caseId;
+      const res = await lostPetInstance.resolveCaseSplit(0, [0, 1], [5000, 5000], { from: owner });
+      assert.equal(res.logs.find(log => log.event === "CaseResolvedSplit").args.bountyAmount.toString(), NET);
 
-      // Advance time beyond expiry
-      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      const payouts = await lostPetInstance.getResolutionPayouts(0);
+      const paid = payouts.amounts.reduce((sum, amount) => sum + BigInt(amount.toString()), 0n);
+      assert.equal(paid.toString(), NET);
+      assert.equal((await lostPetInstance.treasuryBalance(ZERO_ADDRESS)).toString(), FEE);
+      await assertEthBalanced();
+    });
 
-      // Execute the batch transaction to process expiries
-      await lostPetInstance.batchCheckExpiry([caseId1, caseId2]);
+    it("should not charge the fee on cancel or expiry refunds", async () => {
+      await lostPetInstance.setPlatformFee(FEE_BPS, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions({ duration: 7 * 24 * 60 * 60 }), { from: owner, value: MIN_BOUNTY });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
 
-      // Verify both cases changed status to Expired
-      const caseDetails1 = await lostPetInstance.getCaseFull(caseId1);
-      const caseDetails2 = await lostPetInstance.getCaseFull(caseId2);
+      await lostPetInstance.cancelCase(0, { from: owner });
+      await lostPetInstance.checkAndProcessExpiry(1);
 
-      assert.equal(caseDetails1.status, CaseStatus.Expired, "First case should be Expired");
-      assert.equal(caseDetails2.status, CaseStatus.Expired, "Second case should be Expired");
+      assert.equal((await lostPetInstance.pendingWithdrawal(owner)).toString(), (2n * BigInt(MIN_BOUNTY)).toString());
+      assert.equal((await lostPetInstance.treasuryBalance(ZERO_ADDRESS)).toString(), "0");
+      await assertEthBalanced();
     });
 
-    it("should correctly identify expired cases with isCaseExpired()", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
-        from: owner,
-        value: ONE_ETHER
-      });
-      const caseId = receipt.logs[0].args.caseId;
+    it("should let only the admin withdraw the treasury", async () => {
+      await lostPetInstance.setPlatformFee(FEE_BPS, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
 
-      let isExpired = await lostPetInstance.isCaseExpired(caseId);
-      assert.equal(isExpired, false, "Should not be expired initially");
+      try {
+        await lostPetInstance.withdrawTreasury(ZERO_ADDRESS, otherAccount, { from: otherAccount });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Only admin");
+      }
+      try {
+        await lostPetInstance.withdrawTreasury(ZERO_ADDRESS, ZERO_ADDRESS, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Invalid recipient");
+      }
 
-      // Advance time beyond expiry
-      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      const initialBalance = BigInt(await web3.eth.getBalance(otherAccount));
+      const res = await lostPetInstance.withdrawTreasury(ZERO_ADDRESS, otherAccount, { from: owner });
+      assert.equal(res.logs[0].event, "TreasuryWithdrawal");
+      assert.equal(res.logs[0].args.asset, ZERO_ADDRESS);
+      assert.equal(res.logs[0].args.to, otherAccount);
+      assert.equal(res.logs[0].args.amount.toString(), FEE);
+      assert.equal((BigInt(await web3.eth.getBalance(otherAccount)) - initialBalance).toString(), FEE);
+      await assertEthBalanced();
 
-      isExpired = await lostPetInstance.isCaseExpired(caseId);
-      assert.equal(isExpired, true, "Should be expired after time advancement");
+      try {
+        await lostPetInstance.withdrawTreasury(ZERO_ADDRESS, otherAccount, { from: owner });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.include(error.message, "Treasury empty");
+      }
     });
   });
 
@@ -615,11 +3153,11 @@ contract("LostPet", (accounts) => {
   describe("Escrow & Funding", () => {
 
     it("should sum all active bounties with getTotalEscrow()", async () => {
-      await lostPetInstance.createCase("Fluffy", {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
-      await lostPetInstance.createCase("Buddy", {
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), {
         from: owner,
         value: web3.utils.toWei("0.5", "ether")
       });
@@ -631,7 +3169,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should return correct bounty for specific case with getCaseEscrow()", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -642,7 +3180,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should return 0 escrow for resolved cases", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -662,7 +3200,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should return 0 escrow for cancelled cases", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -679,7 +3217,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should verify sufficient contract balance with isCaseFunded()", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -699,7 +3237,7 @@ contract("LostPet", (accounts) => {
 
   describe("View Functions - Basic", () => {
     it("should return owner, bounty, and isResolved status", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -712,11 +3250,11 @@ contract("LostPet", (accounts) => {
     });
 
     it("should return correct count with getTotalCases()", async () => {
-      await lostPetInstance.createCase("Fluffy", {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
-      await lostPetInstance.createCase("Buddy", {
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -734,7 +3272,7 @@ contract("LostPet", (accounts) => {
 
   describe("View Functions - Detailed", () => {
     it("should return all case details", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -749,7 +3287,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should return correct case status enum value and finder count", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -775,7 +3313,7 @@ contract("LostPet", (accounts) => {
 
   describe("Finder Query Functions", () => {
     it("should return all finders with getFinders()", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -791,7 +3329,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should return correct count with getFinderCount()", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -805,7 +3343,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should identify finders correctly with isFinder()", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -821,7 +3359,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should return correct page with getFindersPaginated()", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -842,7 +3380,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should return empty array for out-of-range indices", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -863,13 +3401,13 @@ contract("LostPet", (accounts) => {
 
   describe("Active Cases", () => {
     it("should return only active, non-expired cases", async () => {
-      const receipt1 = await lostPetInstance.createCase("Fluffy", {
+      const receipt1 = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
       const caseId1 = receipt1.logs[0].args.caseId;
 
-      const receipt2 = await lostPetInstance.createCase("Buddy", {
+      const receipt2 = await lostPetInstance.createCase("Buddy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -882,7 +3420,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should exclude resolved cases", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -898,7 +3436,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should exclude cancelled cases", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -913,7 +3451,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should exclude expired cases", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", {
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), {
         from: owner,
         value: ONE_ETHER
       });
@@ -928,6 +3466,225 @@ contract("LostPet", (accounts) => {
   });
 
 
+  // ===== Paginated Case Listing =====
+  // Tests the paginated listing views by showing:
+  // - getCasesPaginated() filters a window of case IDs by status, counting overdue cases as Expired
+  // - Out-of-range windows return empty arrays and oversized counts are clamped
+  // - getCasesByOwnerPaginated() and getCasesByFinderPaginated() return pages of each list
+  // - getCaseCounts() follows cases through resolution, cancellation and expiry
+
+  describe("Paginated Case Listing", () => {
+    const toNumbers = (ids) => ids.map((id) => Number(id.toString()));
+
+    beforeEach(async () => {
+      for (const petName of ["Fluffy", "Buddy", "Rex", "Max"]) {
+        await lostPetInstance.createCase(petName, encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      }
+      await lostPetInstance.createCase("Luna", encodeCaseOptions(), { from: finder1, value: MIN_BOUNTY });
+    });
+
+    it("should filter a window of case IDs by status", async () => {
+      await lostPetInstance.submitAsFinder(1, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCase(1, 0, { from: owner });
+
+      const anyStatus = await lostPetInstance.ANY_STATUS();
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesPaginated(0, 3, CaseStatus.Active)), [0, 2]);
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesPaginated(3, 3, CaseStatus.Active)), [3, 4]);
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesPaginated(0, 10, CaseStatus.Resolved)), [1]);
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesPaginated(1, 2, anyStatus)), [1, 2]);
+    });
+
+    it("should count cases past their deadline as expired", async () => {
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      await lostPetInstance.checkAndProcessExpiry(0, { from: otherAccount });
+
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesPaginated(0, 10, CaseStatus.Active)), []);
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesPaginated(0, 10, CaseStatus.Expired)), [0, 1, 2, 3, 4]);
+    });
+
+    it("should handle out-of-range windows", async () => {
+      const MAX_UINT = web3.utils.toTwosComplement(-1);
+      assert.equal((await lostPetInstance.getCasesPaginated(5, 10, CaseStatus.Active)).length, 0);
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesPaginated(4, MAX_UINT, CaseStatus.Active)), [4]);
+      assert.equal((await lostPetInstance.getCasesByOwnerPaginated(owner, 4, 1)).length, 0);
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesByOwnerPaginated(owner, 2, MAX_UINT)), [2, 3]);
+    });
+
+    it("should page through an owner's and a finder's cases", async () => {
+      await lostPetInstance.submitAsFinder(3, "Evidence", { from: finder2 });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder2 });
+      await lostPetInstance.submitAsFinder(4, "Evidence", { from: finder2 });
+
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesByOwnerPaginated(owner, 1, 2)), [1, 2]);
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesByOwnerPaginated(finder1, 0, 10)), [4]);
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesByFinderPaginated(finder2, 0, 2)), [3, 0]);
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesByFinderPaginated(finder2, 2, 2)), [4]);
+      assert.equal((await lostPetInstance.getCasesByFinderPaginated(finder1, 0, 10)).length, 0);
+    });
+
+    it("should keep running case counts and escrow", async () => {
+      let counts = await lostPetInstance.getCaseCounts();
+      assert.equal(counts.active.toString(), "5");
+      assert.equal((await lostPetInstance.getTotalEscrow()).toString(), (BigInt(MIN_BOUNTY) * 5n).toString());
+
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder2 });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await lostPetInstance.cancelCase(1, { from: owner });
+      await increaseTime(DEFAULT_EXPIRY_DAYS);
+      await lostPetInstance.checkAndProcessExpiry(2, { from: otherAccount });
+
+      counts = await lostPetInstance.getCaseCounts();
+      assert.equal(counts.active.toString(), "2", "Overdue cases stay Active until processed");
+      assert.equal(counts.resolved.toString(), "1");
+      assert.equal(counts.cancelled.toString(), "1");
+      assert.equal(counts.expired.toString(), "1");
+      assert.deepEqual(toNumbers(await lostPetInstance.getCasesPaginated(0, 10, CaseStatus.Cancelled)), [1]);
+      assert.equal((await lostPetInstance.getTotalEscrow()).toString(), (BigInt(MIN_BOUNTY) * 2n).toString());
+    });
+  });
+
+
+  // ===== Finder History =====
+  // Tests the finder-side views by showing:
+  // - getFinderSubmissions() reports each case's status, withdrawn submissions and the amount paid
+  // - Payouts only count once the resolution is finalized
+  // - getTotalEarned() adds up single and split payouts per asset
+
+  describe("Finder History", () => {
+    const toStrings = (values) => values.map((value) => value.toString());
+
+    it("should report the outcome of each submission", async () => {
+      for (const petName of ["Fluffy", "Buddy", "Rex"]) {
+        await lostPetInstance.createCase(petName, encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      }
+      await lostPetInstance.submitAsFinder(2, "Evidence", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await lostPetInstance.submitAsFinder(1, "Evidence", { from: finder1 });
+      await lostPetInstance.withdrawSubmission(1, { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+
+      let result = await lostPetInstance.getFinderSubmissions(finder1, 0, 10);
+      assert.deepEqual(toStrings(result.caseIds), ["2", "0", "1"]);
+      assert.deepEqual(toStrings(result.statuses), ["0", "1", "0"]);
+      assert.deepEqual(result.withdrawn, [false, false, true]);
+      assert.deepEqual(toStrings(result.paidAmounts), ["0", "0", "0"], "Held payouts are not paid yet");
+
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+
+      result = await lostPetInstance.getFinderSubmissions(finder1, 1, 1);
+      assert.deepEqual(toStrings(result.caseIds), ["0"]);
+      assert.deepEqual(toStrings(result.paidAmounts), [MIN_BOUNTY]);
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS);
+      result = await lostPetInstance.getFinderSubmissions(finder1, 0, 1);
+      assert.equal(result.statuses[0].toString(), CaseStatus.Expired.toString(), "Overdue cases are reported as expired");
+    });
+
+    it("should count total earned across single and split resolutions", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await lostPetInstance.submitAsFinder(1, "Evidence", { from: finder1 });
+      await lostPetInstance.submitAsFinder(1, "Evidence", { from: finder2 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await lostPetInstance.resolveCaseSplit(1, [0, 1], [2500, 7500], { from: owner });
+      assert.equal((await lostPetInstance.getTotalEarned(finder1, ZERO_ADDRESS)).toString(), "0");
+
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+      await lostPetInstance.finalizeResolution(1);
+
+      const quarter = (BigInt(MIN_BOUNTY) / 4n).toString();
+      assert.equal(
+        (await lostPetInstance.getTotalEarned(finder1, ZERO_ADDRESS)).toString(),
+        (BigInt(MIN_BOUNTY) + BigInt(quarter)).toString()
+      );
+      assert.equal((await lostPetInstance.getTotalEarned(finder2, ZERO_ADDRESS)).toString(), (BigInt(MIN_BOUNTY) - BigInt(quarter)).toString());
+      assert.equal((await lostPetInstance.getTotalEarned(otherAccount, ZERO_ADDRESS)).toString(), "0");
+
+      const result = await lostPetInstance.getFinderSubmissions(finder1, 0, 10);
+      assert.deepEqual(toStrings(result.paidAmounts), [MIN_BOUNTY, quarter]);
+    });
+  });
+
+
+  // ===== Finder Reputation =====
+  // Tests the reputation counters by showing:
+  // - Submissions count across cases, and unknown addresses report zeros
+  // - Being picked by resolveCase, a split or a confirmed proposal counts as chosen
+  // - Rejections and spam flags count as rejected, and a reinstated rejection is taken back
+  // - An overturned resolution counts as a lost dispute for the payee and as chosen for the awarded finder
+
+  describe("Finder Reputation", () => {
+    const toStrings = (values) => values.map((value) => value.toString());
+
+    async function statsOf(finder) {
+      const stats = await lostPetInstance.getFinderStats([finder]);
+      return toStrings([stats.submissions[0], stats.chosen[0], stats.rejected[0], stats.disputesLost[0]]);
+    }
+
+    it("should count submissions and chosen finders across cases", async () => {
+      for (const [caseId, petName] of ["Fluffy", "Buddy", "Rex"].entries()) {
+        await lostPetInstance.createCase(petName, encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+        await lostPetInstance.submitAsFinder(caseId, "Evidence", { from: finder1 });
+      }
+      await lostPetInstance.submitAsFinder(1, "Evidence", { from: finder2 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await lostPetInstance.resolveCaseSplit(1, [0, 1], [5000, 5000], { from: owner });
+      await lostPetInstance.proposeResolution(2, 0, { from: owner });
+      assert.deepEqual(await statsOf(finder1), ["3", "2", "0", "0"], "A proposal should not count until confirmed");
+      await lostPetInstance.confirmResolution(2, { from: finder1 });
+
+      const stats = await lostPetInstance.getFinderStats([finder1, finder2, otherAccount]);
+      assert.deepEqual(toStrings(stats.submissions), ["3", "1", "0"]);
+      assert.deepEqual(toStrings(stats.chosen), ["3", "1", "0"]);
+      assert.deepEqual(toStrings(stats.rejected), ["0", "0", "0"]);
+      assert.deepEqual(toStrings(stats.disputesLost), ["0", "0", "0"]);
+    });
+
+    it("should count rejections and spam flags, and take back reinstated rejections", async () => {
+      await lostPetInstance.setArbiter(otherAccount, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Photo", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Spam", { from: finder2 });
+
+      await lostPetInstance.rejectSubmission(0, 0, 1, { from: owner });
+      await lostPetInstance.flagSubmission(0, 1, { from: owner });
+      assert.deepEqual(await statsOf(finder1), ["1", "0", "1", "0"]);
+      assert.deepEqual(await statsOf(finder2), ["1", "0", "1", "0"]);
+
+      await lostPetInstance.contestRejection(0, "See the collar", { from: finder1 });
+      await lostPetInstance.ruleOnRejection(0, 0, false, { from: otherAccount });
+      assert.deepEqual(await statsOf(finder1), ["1", "0", "0", "0"]);
+    });
+
+    it("should count an overturned resolution against the payee and for the awarded finder", async () => {
+      const arbiter = accounts[4];
+      const FAKE_FRIEND = accounts[5];
+      await lostPetInstance.setArbiter(arbiter, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      await lostPetInstance.submitAsFinder(0, "Photo at the park", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Trust me", { from: FAKE_FRIEND });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCase(0, 1, { from: owner });
+
+      await lostPetInstance.openDispute(0, "I found her", { from: finder1 });
+      await lostPetInstance.overturnResolution(0, 0, { from: arbiter });
+
+      assert.deepEqual(await statsOf(FAKE_FRIEND), ["1", "1", "0", "1"]);
+      assert.deepEqual(await statsOf(finder1), ["1", "1", "0", "0"]);
+    });
+  });
+
+
   // ===== Error Handling & Edge Cases =====
   // This should test the following:
   // - The rejection of operations on any non-existent cases
@@ -956,11 +3713,11 @@ contract("LostPet", (accounts) => {
     });
 
     it("should handle multiple cases independently", async () => {
-      await lostPetInstance.createCase("Fluffy", { 
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { 
         from: owner, 
         value: ONE_ETHER 
       });
-      await lostPetInstance.createCase("Buddy", { 
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { 
         from: finder1, 
         value: web3.utils.toWei("0.5", "ether") 
       });
@@ -981,10 +3738,12 @@ contract("LostPet", (accounts) => {
   // - Comparison between the gas costs of getCaseBasic() and getCaseFull()
   // - Proving our test pagination function is more efficient than returning all finders
   // - State changes use less gas operations
+  // - getTotalEscrow() and getCaseCounts() cost the same however many cases exist
+  // - Paginated case listing is cheaper than getActiveCases() once there are many cases
 
   describe("Gas Optimization & Efficiency", () => {
     it("should use less gas for basic queries than full queries", async () => {
-      await lostPetInstance.createCase("Fluffy", { 
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { 
         from: owner, 
         value: ONE_ETHER 
       });
@@ -1000,7 +3759,7 @@ contract("LostPet", (accounts) => {
     });
 
     it("should prove pagination is more efficient than returning all finders", async () => {
-      const receipt = await lostPetInstance.createCase("Fluffy", { 
+      const receipt = await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { 
         from: owner, 
         value: ONE_ETHER 
       });
@@ -1020,5 +3779,33 @@ contract("LostPet", (accounts) => {
       // Paginated should use less gas than getting all
       assert.isBelow(parseInt(paginatedGasEstimate), parseInt(allFindersGasEstimate), "Paginated query should use less gas than returning all finders");
     });
+
+    it("should keep escrow totals and case counts constant-cost as cases grow", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      const escrowGasBefore = await lostPetInstance.getTotalEscrow.estimateGas();
+      const countsGasBefore = await lostPetInstance.getCaseCounts.estimateGas();
+
+      for (let i = 0; i < 10; i++) {
+        await lostPetInstance.createCase(`Pet ${i}`, encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      }
+
+      const escrowGasAfter = await lostPetInstance.getTotalEscrow.estimateGas();
+      const countsGasAfter = await lostPetInstance.getCaseCounts.estimateGas();
+      assert.equal(parseInt(escrowGasAfter), parseInt(escrowGasBefore), "getTotalEscrow() should not loop over cases");
+      assert.equal(parseInt(countsGasAfter), parseInt(countsGasBefore), "getCaseCounts() should not loop over cases");
+    });
+
+    it("should prove paginated case listing is more efficient than getActiveCases()", async () => {
+      for (let i = 0; i < 10; i++) {
+        await lostPetInstance.createCase(`Pet ${i}`, encodeCaseOptions(), { from: owner, value: MIN_BOUNTY });
+      }
+
+      const allActiveGasEstimate = await lostPetInstance.getActiveCases.estimateGas();
+      const paginatedGasEstimate = await lostPetInstance.getCasesPaginated.estimateGas(0, 3, 0);
+      const ownerPageGasEstimate = await lostPetInstance.getCasesByOwnerPaginated.estimateGas(owner, 0, 3);
+
+      assert.isBelow(parseInt(paginatedGasEstimate), parseInt(allActiveGasEstimate), "Paginated listing should use less gas than getActiveCases()");
+      assert.isBelow(parseInt(ownerPageGasEstimate), parseInt(allActiveGasEstimate), "Owner page should use less gas than getActiveCases()");
+    });
   });
 });
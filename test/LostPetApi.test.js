@@ -0,0 +1,274 @@
+const http = require("http");
+
+const LostPet = artifacts.require("LostPet");
+const { LostPetClient, encodeCaseOptions } = require("../sdk");
+const { createApp } = require("../api/app");
+
+// Helper constants
+const ONE_ETHER = web3.utils.toWei("1", "ether");
+const DEFAULT_EXPIRY_DAYS = 90 * 24 * 60 * 60; // 90 days in seconds
+
+contract("LostPet HTTP API", (accounts) => {
+  const [owner, finder1, finder2] = accounts;
+
+  let lostPetInstance;
+  let server;
+  let baseUrl;
+
+  // Helper to advance time and mine a block
+  async function increaseTime(seconds) {
+    await new Promise((resolve, reject) => {
+      web3.currentProvider.send({
+        jsonrpc: '2.0',
+        method: 'evm_increaseTime',
+        params: [seconds],
+        id: new Date().getTime()
+      }, (err, res) => err ? reject(err) : resolve(res));
+    });
+    await new Promise((resolve, reject) => {
+      web3.currentProvider.send({
+        jsonrpc: '2.0',
+        method: 'evm_mine',
+        params: [],
+        id: new Date().getTime() + 1
+      }, (err, res) => err ? reject(err) : resolve(res));
+    });
+  }
+
+  // Helper to call the API and parse the JSON response
+  function request(method, path, body) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(`${baseUrl}${path}`, { method, headers: { "Content-Type": "application/json" } }, (res) => {
+        let data = "";
+        res.on("data", (chunk) => { data += chunk; });
+        res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on("error", reject);
+      if (body !== undefined) {
+        req.write(typeof body === "string" ? body : JSON.stringify(body));
+      }
+      req.end();
+    });
+  }
+
+  beforeEach(async () => {
+    lostPetInstance = await LostPet.new(owner);
+    const client = new LostPetClient(lostPetInstance);
+
+    server = http.createServer(createApp({ client, web3 }));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+
+  // ===== Read Routes =====
+  // Tests the read-only routes by showing:
+  // - GET /cases pages through all cases and ?active=true returns active ones
+  // - GET /cases/:id returns the decoded case and 404s for missing cases
+  // - GET /cases/:id/finders pages through finders with evidence
+  // - GET /cases/:id/sightings pages through the sighting log
+  // - GET /owners/:addr/cases and GET /escrow match the contract views
+  // - GET /finders/:addr/cases pages through a finder's submissions and includes their reputation
+  // - Malformed parameters and unknown routes are rejected
+
+  describe("Read Routes", () => {
+    it("should list cases and return a single case", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: finder1, value: ONE_ETHER });
+      await lostPetInstance.createCase("Luna", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const page = await request("GET", "/cases?start=1&count=5");
+      assert.equal(page.status, 200);
+      assert.equal(page.body.total, 3);
+      assert.deepEqual(page.body.cases.map((c) => c.petName), ["Buddy", "Luna"]);
+
+      const active = await request("GET", "/cases?active=true");
+      assert.deepEqual(active.body.cases.map((c) => c.caseId), [0, 1, 2]);
+
+      const single = await request("GET", "/cases/1");
+      assert.equal(single.status, 200);
+      assert.equal(single.body.owner, finder1);
+      assert.equal(single.body.status, "Active");
+      assert.equal(single.body.bounty, ONE_ETHER);
+
+      const missing = await request("GET", "/cases/99");
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.error, "CaseNotFoundError");
+    });
+
+    it("should page through finders", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "E1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "E2", { from: finder2 });
+
+      const res = await request("GET", "/cases/0/finders?start=1&count=1");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 2);
+      assert.deepEqual(res.body.finders, [{ index: 1, finder: finder2, evidence: "E2" }]);
+    });
+
+    it("should page through sightings", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      const seenAt = Number((await web3.eth.getBlock("latest")).timestamp) - 60;
+      await lostPetInstance.reportSighting(0, "dr5r", seenAt, "By the pond", { from: finder1 });
+      await lostPetInstance.reportSighting(0, "dr5x", seenAt, "", { from: finder2 });
+
+      const res = await request("GET", "/cases/0/sightings?start=1&count=5");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 2);
+      assert.deepEqual(res.body.sightings.map((s) => [s.sightingId, s.reporter, s.geohash]), [[1, finder2, "dr5x"]]);
+    });
+
+    it("should return owner cases and total escrow", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: finder1, value: web3.utils.toWei("0.5", "ether") });
+
+      const mine = await request("GET", `/owners/${finder1}/cases`);
+      assert.deepEqual(mine.body.cases.map((c) => c.petName), ["Buddy"]);
+
+      const escrow = await request("GET", "/escrow");
+      assert.equal(escrow.body.totalEscrow, (await lostPetInstance.getTotalEscrow()).toString());
+    });
+
+    it("should return a finder's submissions and earnings", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "E1", { from: finder1 });
+      await lostPetInstance.submitAsFinder(1, "E2", { from: finder1 });
+
+      const res = await request("GET", `/finders/${finder1}/cases?start=1&count=5`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalEarned, "0");
+      assert.deepEqual(res.body.reputation, { finder: finder1, submissions: 2, chosen: 0, rejected: 0, disputesLost: 0, score: 50 });
+      assert.deepEqual(res.body.submissions.map((s) => s.caseId), [1]);
+      assert.equal((await request("GET", "/finders/0x123/cases")).status, 400);
+    });
+
+    it("should reject malformed parameters and unknown routes", async () => {
+      assert.equal((await request("GET", "/cases/abc")).status, 400);
+      const badEncoding = await request("GET", "/cases/%E0");
+      assert.equal(badEncoding.status, 400);
+      assert.equal(badEncoding.body.error, "RequestError");
+      assert.equal((await request("GET", "/owners/0x123/cases")).status, 400);
+      assert.equal((await request("GET", "/cases?count=1000")).status, 400);
+      assert.equal((await request("GET", "/nope")).status, 404);
+      assert.equal((await request("DELETE", "/cases")).status, 405);
+    });
+  });
+
+
+  // ===== Transaction Builders =====
+  // Tests the unsigned transaction routes by showing:
+  // - Built transactions can be signed and sent as-is, including a case's submission stake
+  // - Contract `require` rules are checked before a transaction is built
+  // - Malformed JSON bodies are rejected
+
+  describe("Transaction Builders", () => {
+    it("should build createCase and submitAsFinder transactions", async () => {
+      const create = await request("POST", "/tx/createCase", { from: owner, petName: "Fluffy", bountyEth: "1" });
+      assert.equal(create.status, 200);
+      assert.equal(create.body.to, lostPetInstance.address);
+      assert.equal(create.body.value, ONE_ETHER);
+
+      await web3.eth.sendTransaction({ ...create.body, gas: 500000 });
+      const caseFull = await lostPetInstance.getCaseFull(0);
+      assert.equal(caseFull.petName, "Fluffy");
+
+      const submit = await request("POST", "/tx/submitAsFinder", { from: finder1, caseId: 0, evidence: "Photo" });
+      assert.equal(submit.status, 200);
+      await web3.eth.sendTransaction({ ...submit.body, gas: 500000 });
+      assert.equal(await lostPetInstance.isFinder(0, finder1), true);
+    });
+
+    it("should send the case's stake and respect its submission cap", async () => {
+      const stake = web3.utils.toWei("0.01", "ether");
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.setSubmissionRules(0, stake, 1, { from: owner });
+
+      const submit = await request("POST", "/tx/submitAsFinder", { from: finder1, caseId: 0, evidence: "Photo" });
+      assert.equal(submit.body.value, stake);
+      await web3.eth.sendTransaction({ ...submit.body, gas: 500000 });
+      assert.equal((await lostPetInstance.getLockedStake(0, finder1)).toString(), stake);
+
+      const full = await request("POST", "/tx/submitAsFinder", { from: finder2, caseId: 0, evidence: "Photo" });
+      assert.equal(full.status, 409);
+      assert.equal(full.body.error, "SubmissionLimitError");
+    });
+
+    it("should reject invalid createCase and submitAsFinder requests", async () => {
+      const lowBounty = await request("POST", "/tx/createCase", { from: owner, petName: "Fluffy", bountyEth: "0.0005" });
+      assert.equal(lowBounty.status, 400);
+      assert.equal(lowBounty.body.message, "Bounty must be at least 0.001 ETH");
+
+      const noName = await request("POST", "/tx/createCase", { from: owner, petName: "", bountyEth: "1" });
+      assert.equal(noName.body.error, "EmptyPetNameError");
+
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "E1", { from: finder1 });
+
+      const duplicate = await request("POST", "/tx/submitAsFinder", { from: finder1, caseId: 0, evidence: "E2" });
+      assert.equal(duplicate.status, 409);
+      assert.equal(duplicate.body.error, "AlreadyFinderError");
+
+      const noEvidence = await request("POST", "/tx/submitAsFinder", { from: finder2, caseId: 0, evidence: "" });
+      assert.equal(noEvidence.body.error, "EmptyEvidenceError");
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      const expired = await request("POST", "/tx/submitAsFinder", { from: finder2, caseId: 0, evidence: "E2" });
+      assert.equal(expired.body.error, "CaseExpiredError");
+    });
+
+    it("should reject createCase and submitAsFinder while the contract is paused", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.pause({ from: owner });
+
+      const create = await request("POST", "/tx/createCase", { from: owner, petName: "Buddy", bountyEth: "1" });
+      assert.equal(create.status, 409);
+      assert.equal(create.body.error, "PausedError");
+
+      const submit = await request("POST", "/tx/submitAsFinder", { from: finder1, caseId: 0, evidence: "Photo" });
+      assert.equal(submit.status, 409);
+      assert.equal(submit.body.message, "Contract paused");
+    });
+
+    it("should build resolveCase only once the contract would accept it", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "E1", { from: finder1 });
+
+      const tooNew = await request("POST", "/tx/resolveCase", { from: owner, caseId: 0, finderIndex: 0 });
+      assert.equal(tooNew.status, 409);
+      assert.equal(tooNew.body.error, "CaseTooNewError");
+
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const notOwner = await request("POST", "/tx/resolveCase", { from: finder1, caseId: 0, finderIndex: 0 });
+      assert.equal(notOwner.status, 403);
+
+      const badIndex = await request("POST", "/tx/resolveCase", { from: owner, caseId: 0, finderIndex: 3 });
+      assert.equal(badIndex.body.error, "InvalidFinderIndexError");
+
+      await lostPetInstance.submitAsFinder(0, "E2", { from: finder2 });
+      await lostPetInstance.withdrawSubmission(0, { from: finder2 });
+      const withdrawn = await request("POST", "/tx/resolveCase", { from: owner, caseId: 0, finderIndex: 1 });
+      assert.equal(withdrawn.body.error, "SubmissionWithdrawnError");
+
+      const resolve = await request("POST", "/tx/resolveCase", { from: owner, caseId: 0, finderIndex: 0 });
+      assert.equal(resolve.status, 200);
+      await web3.eth.sendTransaction({ ...resolve.body, gas: 500000 });
+      assert.equal((await lostPetInstance.getCaseFull(0)).status, 1, "Case should be Resolved");
+
+      const again = await request("POST", "/tx/resolveCase", { from: owner, caseId: 0, finderIndex: 0 });
+      assert.equal(again.body.error, "CaseNotActiveError");
+    });
+
+    it("should reject malformed bodies", async () => {
+      assert.equal((await request("POST", "/tx/createCase", "not json")).status, 400);
+      assert.equal((await request("POST", "/tx/createCase", { from: "me", petName: "Fluffy", bountyEth: "1" })).status, 400);
+      assert.equal((await request("POST", "/tx/createCase", { from: owner, petName: "Fluffy", bountyEth: "lots" })).status, 400);
+    });
+  });
+});
@@ -0,0 +1,500 @@
+const LostPet = artifacts.require("LostPet");
+const MockERC20 = artifacts.require("MockERC20");
+const { LostPetClient } = require("../sdk");
+const { run, parseArgs, UsageError } = require("../cli/commands");
+const { scriptArgs } = require("../cli/lostpet");
+
+const DEFAULT_EXPIRY_DAYS = 90 * 24 * 60 * 60; // 90 days in seconds
+const DISPUTE_WINDOW = 3 * 24 * 60 * 60; // 3 days in seconds
+
+contract("lostpet CLI", (accounts) => {
+  const [owner, finder1, finder2, arbiter] = accounts;
+
+  let client;
+
+  // Helper to advance time and mine a block
+  async function increaseTime(seconds) {
+    await new Promise((resolve, reject) => {
+      web3.currentProvider.send({
+        jsonrpc: '2.0',
+        method: 'evm_increaseTime',
+        params: [seconds],
+        id: new Date().getTime()
+      }, (err, res) => err ? reject(err) : resolve(res));
+    });
+    await new Promise((resolve, reject) => {
+      web3.currentProvider.send({
+        jsonrpc: '2.0',
+        method: 'evm_mine',
+        params: [],
+        id: new Date().getTime() + 1
+      }, (err, res) => err ? reject(err) : resolve(res));
+    });
+  }
+
+  // Helper to run a command and parse its --json output
+  async function runJson(...args) {
+    return JSON.parse(await run(client, [...args, "--json"]));
+  }
+
+  beforeEach(async () => {
+    client = new LostPetClient(await LostPet.new(owner), { from: owner });
+  });
+
+
+  // ===== Argument Parsing =====
+  // Tests argument handling by showing:
+  // - Positionals, value flags and boolean flags are split correctly
+  // - truffle's own --network option is stripped from the script arguments
+  // - Unknown commands and missing arguments raise UsageError
+
+  describe("Argument Parsing", () => {
+    it("should split positionals and flags", async () => {
+      const parsed = parseArgs(["list", "--owner", owner, "--json"]);
+      assert.equal(parsed.command, "list");
+      assert.deepEqual(parsed.positionals, []);
+      assert.deepEqual(parsed.flags, { owner, json: true });
+    });
+
+    it("should strip truffle options from process arguments", async () => {
+      const argv = ["node", "truffle", "exec", "cli/lostpet.js", "show", "0", "--network", "development", "--json"];
+      assert.deepEqual(scriptArgs(argv), ["show", "0", "--json"]);
+    });
+
+    it("should reject unknown commands and missing arguments", async () => {
+      for (const args of [["fly"], ["create", "Fluffy"], ["resolve", "x", "0"], ["list"]]) {
+        try {
+          await run(client, args);
+          assert.fail("Should have thrown error");
+        } catch (error) {
+          assert.instanceOf(error, UsageError, error.message);
+        }
+      }
+    });
+
+    it("should print usage without a command", async () => {
+      assert.include(await run(client, []), "Usage:");
+    });
+  });
+
+
+  // ===== Case Lifecycle =====
+  // Tests the transaction commands by showing:
+  // - create, increase-bounty, contribute and submit-finder update the case
+  // - update-evidence and retract change the sender's submission
+  // - set-rules, rules, flag, claim-flagged-stake and reclaim-stake handle submission stakes
+  // - reject, contest-rejection, rule-rejection and rejection handle owner rejections
+  // - create --species/--last-seen/... and describe set a case's details
+  // - resolve pays the finder selected by index; resolve-split pays several
+  // - propose, proposal, confirm and withdraw-proposal drive a two-phase resolution
+  // - sighting, sightings and tip-sighter handle the sighting log
+  // - dispute, overturn and finalize drive a contested resolution
+  // - cancel credits the owner; expire/batch-expire process expired cases
+  // - set-keeper-reward and keeper-reward manage the reward paid for processing expiries
+  // - create --duration and extend set a case's deadline, with or without details
+  // - pending shows credited funds and withdraw pays them out
+  // - allow-token, create-token and withdraw --token handle token bounties
+
+  describe("Case Lifecycle", () => {
+    it("should create a case, add bounty and submit finders", async () => {
+      const created = await runJson("create", "Fluffy", "1");
+      assert.equal(created.caseId, 0);
+      assert.match(created.tx, /^0x[0-9a-f]{64}$/);
+
+      const increased = await runJson("increase-bounty", "0", "0.5");
+      assert.equal(increased.newTotal, web3.utils.toWei("1.5", "ether"));
+
+      await run(client, ["submit-finder", "0", "Photo near the park", "--from", finder1]);
+      assert.equal(await client.isFinder(0, finder1), true);
+    });
+
+    it("should update evidence and retract a submission", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["submit-finder", "0", "Blurry photo", "--from", finder1]);
+
+      const updated = await runJson("update-evidence", "0", "Clear photo", "--from", finder1);
+      assert.equal(updated.revision, 1);
+      assert.equal(await client.getFinderEvidence(0, finder1), "Clear photo");
+
+      await run(client, ["retract", "0", "--from", finder1]);
+      assert.equal(await client.isSubmissionWithdrawn(0, finder1), true);
+    });
+
+    it("should set a submission stake, flag spam and reclaim stakes", async () => {
+      await run(client, ["create", "Fluffy", "0.01"]);
+      await run(client, ["set-rules", "0", "0.002", "5"]);
+
+      const rules = await runJson("rules", "0");
+      assert.deepEqual(rules, { caseId: 0, stakeEth: "0.002", maxSubmissions: 5, submissionCount: 0 });
+
+      await run(client, ["submit-finder", "0", "Spam", "--from", finder1]);
+      await run(client, ["submit-finder", "0", "Photo", "--from", finder2]);
+
+      const flagged = await runJson("flag", "0", "0");
+      assert.equal(flagged.finder, finder1);
+      assert.equal(flagged.stake, web3.utils.toWei("0.002", "ether"));
+
+      await increaseTime(3 * 24 * 60 * 60);
+      const claimed = await runJson("claim-flagged-stake", "0", "0");
+      assert.equal(claimed.amount, web3.utils.toWei("0.002", "ether"));
+      await run(client, ["resolve", "0", "1"]);
+      const reclaimed = await runJson("reclaim-stake", "0", "--from", finder2);
+      assert.equal(reclaimed.amount, web3.utils.toWei("0.002", "ether"));
+    });
+
+    it("should reject a submission and let an arbiter rule on the contest", async () => {
+      await client.setArbiter(arbiter, true);
+      await run(client, ["create", "Fluffy", "0.01"]);
+      await run(client, ["submit-finder", "0", "Photo", "--from", finder1]);
+
+      try {
+        await run(client, ["reject", "0", "0", "Rude"]);
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.instanceOf(error, UsageError);
+      }
+
+      const rejected = await runJson("reject", "0", "0", "NotThePet");
+      assert.equal(rejected.finder, finder1);
+      await run(client, ["contest-rejection", "0", "Same collar", "--from", finder1]);
+      await run(client, ["rule-rejection", "0", "0", "reinstate", "--from", arbiter]);
+
+      const rejection = await runJson("rejection", "0", finder1);
+      assert.equal(rejection.state, "Reinstated");
+      assert.equal(rejection.reason, "NotThePet");
+    });
+
+    it("should create a case with details and replace them with describe", async () => {
+      await run(client, ["create", "Fluffy", "1", "--species", "Cat", "--last-seen", "dr5ru7"]);
+      assert.equal((await client.getCaseMetadata(0)).species, "Cat");
+
+      await run(client, ["describe", "0", "--species", "Cat", "--description", "Grey tabby", "--microchip", "985112003456789"]);
+      const shown = await runJson("show", "0");
+      assert.equal(shown.metadata.description, "Grey tabby");
+      assert.equal(shown.metadata.lastSeenGeohash, null);
+      assert.match(shown.metadata.microchipHash, /^0x[0-9a-f]{64}$/);
+
+      try {
+        await run(client, ["describe", "0"]);
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.instanceOf(error, UsageError);
+      }
+    });
+
+    it("should add and list contributions from other accounts", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      const contributed = await runJson("contribute", "0", "0.25", "--from", finder2);
+      assert.equal(contributed.newTotal, web3.utils.toWei("1.25", "ether"));
+
+      assert.deepEqual(await runJson("contributions", "0"), [
+        { contributor: finder2, amount: web3.utils.toWei("0.25", "ether") }
+      ]);
+    });
+
+    it("should resolve a case to the chosen finder", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await run(client, ["submit-finder", "0", "E2", "--from", finder2]);
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const resolved = await runJson("resolve", "0", "1");
+      assert.equal(resolved.finder, finder2);
+      assert.equal((await client.getCaseFull(0)).status, "Resolved");
+    });
+
+    it("should split a bounty between finders", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await run(client, ["submit-finder", "0", "E2", "--from", finder2]);
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const resolved = await runJson("resolve-split", "0", "0:2500", "1:7500");
+      assert.deepEqual(resolved.payouts.map((p) => p.finder), [finder1, finder2]);
+      assert.equal(resolved.payouts[1].amount, web3.utils.toWei("0.75", "ether"));
+    });
+
+    it("should cancel and expire cases", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["create", "Buddy", "1"]);
+      await run(client, ["create", "Rex", "1"]);
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      const cancelled = await runJson("cancel", "0");
+      assert.equal(cancelled.refunded, web3.utils.toWei("1", "ether"));
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS);
+      assert.equal((await runJson("expire", "1")).processed, true);
+      assert.equal((await runJson("batch-expire", "1", "2")).processedCount, 1);
+    });
+
+    it("should set the keeper reward and pay it for processed expiries", async () => {
+      await run(client, ["set-keeper-reward", "100"]);
+      assert.deepEqual(await runJson("keeper-reward"), { rewardBps: 100 });
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["create", "Buddy", "1"]);
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      const expired = await runJson("expire", "0", "--from", finder1);
+      assert.equal(expired.keeperReward, web3.utils.toWei("0.01", "ether"));
+      const batch = await runJson("batch-expire", "0", "1", "--from", finder1);
+      assert.equal(batch.processed, "1");
+      assert.equal(batch.keeperRewards, web3.utils.toWei("0.01", "ether"));
+    });
+
+    it("should create a case with a custom duration and extend it", async () => {
+      await run(client, ["create", "Fluffy", "1", "--duration", "30"]);
+      const { createdAt, expiresAt } = await client.getCaseFull(0);
+      assert.equal(expiresAt - createdAt, 30 * 24 * 60 * 60);
+
+      const extended = await runJson("extend", "0", "10", "0.5");
+      assert.equal(extended.expiresAt, new Date((expiresAt + 10 * 24 * 60 * 60) * 1000).toISOString());
+      assert.equal(extended.newTotal, web3.utils.toWei("1.5", "ether"));
+
+      const withDetails = await runJson("create", "Buddy", "1", "--duration", "14", "--species", "Dog");
+      const details = await client.getCaseDetails(withDetails.caseId);
+      assert.equal(details.expiresAt - details.createdAt, 14 * 24 * 60 * 60);
+      assert.equal(details.metadata.species, "Dog");
+    });
+
+    it("should show pending funds and withdraw them", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await increaseTime(2 * 24 * 60 * 60);
+      await run(client, ["resolve", "0", "0"]);
+      await increaseTime(DISPUTE_WINDOW);
+      await run(client, ["finalize", "0"]);
+
+      assert.equal((await runJson("pending", finder1)).pending, web3.utils.toWei("1", "ether"));
+      assert.equal((await runJson("withdraw", "--from", finder1)).amount, web3.utils.toWei("1", "ether"));
+      assert.equal((await runJson("pending", "--from", finder1)).pending, "0");
+    });
+
+    it("should create, refund and withdraw a token bounty", async () => {
+      const token = await MockERC20.new("Mock USD", "mUSD", 6);
+      await token.mint(owner, "5000000");
+      await token.approve(client.address, "5000000", { from: owner });
+
+      await run(client, ["allow-token", token.address, "1000000"]);
+      const created = await runJson("create-token", "Fluffy", token.address, "2000000", "--duration", "30", "--species", "Cat");
+      assert.equal(created.bounty, "2000000");
+      const details = await client.getCaseDetails(0);
+      assert.equal(details.expiresAt - details.createdAt, 30 * 24 * 60 * 60);
+      assert.equal(details.metadata.species, "Cat");
+      const increased = await runJson("increase-token-bounty", "0", "500000");
+      assert.equal(increased.newTotal, "2500000");
+
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await run(client, ["cancel", "0"]);
+      assert.equal((await runJson("pending", "--token", token.address)).pending, "2500000");
+      assert.equal((await runJson("withdraw", "--token", token.address)).amount, "2500000");
+      assert.equal((await token.balanceOf(owner)).toString(), "5000000");
+    });
+
+    it("should dispute a resolution and let an arbiter overturn it", async () => {
+      await client.setArbiter(arbiter, true);
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await run(client, ["submit-finder", "0", "E2", "--from", finder2]);
+      await increaseTime(2 * 24 * 60 * 60);
+      await run(client, ["resolve", "0", "1"]);
+
+      await run(client, ["dispute", "0", "I found her first", "--from", finder1]);
+      const disputed = await runJson("resolution", "0");
+      assert.equal(disputed.state, "Disputed");
+      assert.equal(disputed.disputant, finder1);
+
+      const overturned = await runJson("overturn", "0", "0", "--from", arbiter);
+      assert.equal(overturned.finder, finder1);
+      assert.equal((await runJson("resolution", "0")).state, "Finalized");
+      assert.equal(await client.pendingWithdrawal(finder1), web3.utils.toWei("1", "ether"));
+    });
+
+    it("should pause the contract and hand the admin role over", async () => {
+      assert.equal((await runJson("pause")).tx.length, 66);
+      assert.equal((await runJson("admin")).paused, true);
+      try {
+        await run(client, ["create", "Fluffy", "0.01"]);
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.equal(error.name, "PausedError");
+      }
+      await run(client, ["unpause"]);
+
+      await run(client, ["transfer-admin", finder1]);
+      assert.equal((await runJson("admin")).pendingAdmin, finder1);
+      assert.equal((await runJson("accept-admin", "--from", finder1)).previousAdmin, owner);
+      assert.deepEqual(await runJson("admin"), { admin: finder1, pendingAdmin: null, paused: false });
+    });
+
+    it("should set the platform fee and withdraw the treasury", async () => {
+      await run(client, ["set-fee", "200"]);
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const resolved = await runJson("resolve", "0", "0");
+      assert.equal(resolved.platformFee, web3.utils.toWei("0.02", "ether"));
+      assert.deepEqual(await runJson("treasury"), { feeBps: 200, asset: "ETH", balance: web3.utils.toWei("0.02", "ether") });
+      assert.equal((await runJson("withdraw-treasury", arbiter)).amount, web3.utils.toWei("0.02", "ether"));
+    });
+
+    it("should propose a finder and resolve when they confirm", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await increaseTime(2 * 24 * 60 * 60);
+
+      await run(client, ["propose", "0", "0"]);
+      await run(client, ["withdraw-proposal", "0"]);
+      assert.deepEqual(await runJson("proposal", "0"), { caseId: 0, proposal: null });
+
+      await run(client, ["propose", "0", "0"]);
+      assert.equal((await runJson("proposal", "0")).finder, finder1);
+      assert.equal((await runJson("list", "--status", "PendingResolution")).length, 1);
+
+      const confirmed = await runJson("confirm", "0", "--from", finder1);
+      assert.equal(confirmed.acknowledged, true);
+      assert.equal(confirmed.bountyAmount, web3.utils.toWei("1", "ether"));
+    });
+
+    it("should log, list and tip sightings", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      const logged = await runJson("sighting", "0", "dr5regw3p", "--note", "By the pond", "--from", finder1);
+      assert.equal(logged.sightingId, 0);
+
+      assert.equal((await runJson("tip-sighter", "0", "0", "0.01")).reporter, finder1);
+      const [sighting] = await runJson("sightings", "0");
+      assert.equal(sighting.note, "By the pond");
+      assert.equal(sighting.tips, web3.utils.toWei("0.01", "ether"));
+      assert.include(await run(client, ["sightings", "0"]), "dr5regw3p");
+    });
+
+    it("should surface contract reverts as typed errors", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      try {
+        await run(client, ["cancel", "0"]);
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.equal(error.name, "CancelTooEarlyError");
+      }
+    });
+  });
+
+
+  // ===== Queries =====
+  // Tests the read-only commands by showing:
+  // - show prints the case and a page of finders with evidence
+  // - list --active and list --owner print matching cases
+  // - list --status and list --finder page through cases
+  // - history shows a finder's submissions and total earned
+  // - reputation ranks a case's finders by score
+  // - escrow prints total and per-case escrow
+
+  describe("Queries", () => {
+    it("should show a finder's history", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["create", "Buddy", "0.5"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await run(client, ["submit-finder", "1", "E2", "--from", finder1]);
+
+      const history = await runJson("history", finder1, "--start", "1");
+      assert.equal(history.totalEarned, "0");
+      assert.deepEqual(history.submissions, [{ caseId: 1, status: "Active", withdrawn: false, paid: false, paidAmount: "0" }]);
+
+      const text = await run(client, ["history", "--from", finder1]);
+      assert.include(text, "totalEarned");
+      assert.include(text, "paidAmount");
+    });
+
+    it("should rank a case's finders by reputation", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["create", "Buddy", "0.5"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await run(client, ["submit-finder", "1", "E2", "--from", finder1]);
+      await run(client, ["submit-finder", "1", "E3", "--from", finder2]);
+      await run(client, ["reject", "0", "0", "NotThePet"]);
+
+      const ranked = await runJson("reputation", "1");
+      assert.deepEqual(ranked.map((entry) => [entry.index, entry.finder, entry.score]), [[1, finder2, 50], [0, finder1, 33]]);
+      assert.equal(ranked[1].submissions, 2);
+      assert.equal(ranked[1].rejected, 1);
+
+      const text = await run(client, ["reputation", "1", "--start", "1"]);
+      assert.include(text, "disputesLost");
+      assert.include(text, finder2);
+      assert.notInclude(text, finder1);
+    });
+
+    it("should show a case with a page of finders", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await run(client, ["submit-finder", "0", "E2", "--from", finder2]);
+
+      const shown = await runJson("show", "0", "--start", "1", "--count", "5");
+      assert.equal(shown.petName, "Fluffy");
+      assert.equal(shown.status, "Active");
+      assert.deepEqual(shown.finders, [{ index: 1, finder: finder2, evidence: "E2" }]);
+
+      const text = await run(client, ["show", "0"]);
+      assert.include(text, "Fluffy");
+      assert.include(text, "Finders 1-2 of 2:");
+      assert.include(text, finder1);
+      assert.include(text, "E2");
+      assert.include(await run(client, ["show", "0", "--start", "1"]), "Finders 2-2 of 2:");
+      assert.include(await run(client, ["show", "0", "--start", "5"]), "Finders none of 2:");
+    });
+
+    it("should list active cases and cases by owner", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["create", "Buddy", "0.5", "--from", finder1]);
+
+      const active = await runJson("list", "--active");
+      assert.deepEqual(active.map((c) => c.caseId), [0, 1]);
+
+      const mine = await runJson("list", "--owner", finder1);
+      assert.deepEqual(mine.map((c) => c.petName), ["Buddy"]);
+
+      const table = await run(client, ["list", "--active"]);
+      assert.include(table, "bountyEth");
+      assert.include(table, "Buddy");
+    });
+
+    it("should list cases by status and by finder a page at a time", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["create", "Buddy", "0.5"]);
+      await run(client, ["create", "Rex", "0.5"]);
+      await run(client, ["submit-finder", "0", "E1", "--from", finder1]);
+      await run(client, ["submit-finder", "2", "E2", "--from", finder1]);
+
+      const active = await runJson("list", "--status", "active", "--start", "1", "--count", "2");
+      assert.deepEqual(active.map((c) => c.caseId), [1, 2]);
+
+      const any = await runJson("list", "--status", "any", "--count", "1");
+      assert.deepEqual(any.map((c) => c.caseId), [0]);
+
+      assert.deepEqual((await runJson("list", "--status", "Resolved")), []);
+
+      const found = await runJson("list", "--finder", finder1);
+      assert.deepEqual(found.map((c) => c.petName), ["Fluffy", "Rex"]);
+
+      const ownerPage = await runJson("list", "--owner", owner, "--start", "2");
+      assert.deepEqual(ownerPage.map((c) => c.caseId), [2]);
+
+      try {
+        await run(client, ["list", "--status", "Lost"]);
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.instanceOf(error, UsageError);
+        assert.include(error.message, "Unknown status");
+      }
+    });
+
+    it("should report escrow", async () => {
+      await run(client, ["create", "Fluffy", "1"]);
+      await run(client, ["create", "Buddy", "0.5"]);
+
+      assert.equal((await runJson("escrow")).totalEscrow, web3.utils.toWei("1.5", "ether"));
+      assert.equal((await runJson("escrow", "1")).escrow, web3.utils.toWei("0.5", "ether"));
+    });
+  });
+});
@@ -0,0 +1,831 @@
+const LostPet = artifacts.require("LostPet");
+const {
+  LostPetClient,
+  toWei,
+  fromWei,
+  decodeStatus,
+  LostPetError,
+  CaseNotFoundError,
+  NotCaseOwnerError,
+  BountyTooLowError,
+  EmptyPetNameError,
+  NoValueSentError,
+  CaseTooNewError,
+  InvalidFinderIndexError,
+  FindersSubmittedError,
+  CancelTooEarlyError,
+  AlreadyFinderError,
+  EmptyEvidenceError,
+  InvalidSplitError,
+  NothingToWithdrawError,
+  OwnerContributionError,
+  DisputeError,
+  NotArbiterError,
+  NotFinderError,
+  SubmissionWithdrawnError,
+  TokenNotAllowedError,
+  WrongAssetError,
+  InvalidMetadataError,
+  InvalidDurationError,
+  StakeError,
+  SubmissionLimitError,
+  SubmissionFlaggedError,
+  SubmissionRejectedError,
+  PausedError,
+  NotAdminError,
+  TreasuryError,
+  ProposalError,
+  KeeperRewardError,
+  hashMicrochipId,
+  reputationScore,
+  rankFinders
+} = require("../sdk");
+
+// Helper constants
+const ONE_ETHER = web3.utils.toWei("1", "ether");
+const DEFAULT_EXPIRY_DAYS = 90 * 24 * 60 * 60; // 90 days in seconds
+const DISPUTE_WINDOW = 3 * 24 * 60 * 60; // 3 days in seconds
+
+contract("LostPetClient", (accounts) => {
+  const [owner, finder1, finder2, otherAccount] = accounts;
+
+  let client;
+
+  // Helper to advance time and mine a block
+  async function increaseTime(seconds) {
+    await new Promise((resolve, reject) => {
+      web3.currentProvider.send({
+        jsonrpc: '2.0',
+        method: 'evm_increaseTime',
+        params: [seconds],
+        id: new Date().getTime()
+      }, (err, res) => err ? reject(err) : resolve(res));
+    });
+    await new Promise((resolve, reject) => {
+      web3.currentProvider.send({
+        jsonrpc: '2.0',
+        method: 'evm_mine',
+        params: [],
+        id: new Date().getTime() + 1
+      }, (err, res) => err ? reject(err) : resolve(res));
+    });
+  }
+
+  // Helper to assert that a promise rejects with a given error class
+  async function expectError(promise, ErrorClass) {
+    try {
+      await promise;
+      assert.fail("Should have thrown error");
+    } catch (error) {
+      assert.instanceOf(error, ErrorClass, error.message);
+      assert.instanceOf(error, LostPetError);
+    }
+  }
+
+  beforeEach(async () => {
+    client = new LostPetClient(await LostPet.new(owner), { from: owner });
+  });
+
+
+  // ===== Units & Status =====
+  // Tests the SDK helpers by showing:
+  // - toWei()/fromWei() convert between ETH strings and wei like web3.utils
+  // - decodeStatus() maps the uint8 status to its name
+  // - reputationScore() weighs finder outcomes and rankFinders() sorts best first
+
+  describe("Units & Status", () => {
+    it("should convert between ETH and wei", async () => {
+      assert.equal(toWei("1"), ONE_ETHER);
+      assert.equal(toWei("0.001"), web3.utils.toWei("0.001", "ether"));
+      assert.equal(toWei(".5"), web3.utils.toWei("0.5", "ether"));
+      assert.equal(fromWei(ONE_ETHER), "1");
+      assert.equal(fromWei(web3.utils.toWei("0.05", "ether")), "0.05");
+      assert.throws(() => toWei("abc"), TypeError);
+      assert.throws(() => toWei("0.0000000000000000001"), RangeError);
+    });
+
+    it("should decode case status values", async () => {
+      assert.equal(decodeStatus(0), "Active");
+      assert.equal(decodeStatus(1), "Resolved");
+      assert.equal(decodeStatus("2"), "Cancelled");
+      assert.equal(decodeStatus(3), "Expired");
+      assert.equal(decodeStatus(4), "PendingResolution");
+      assert.throws(() => decodeStatus(5), RangeError);
+    });
+
+    it("should score and rank finders", async () => {
+      const stats = (chosen, rejected, disputesLost) => ({ submissions: chosen + rejected, chosen, rejected, disputesLost });
+      assert.equal(reputationScore(stats(0, 0, 0)), 50);
+      assert.equal(reputationScore(stats(9, 0, 0)), 91);
+      assert.equal(reputationScore(stats(1, 1, 0)), 50);
+      assert.equal(reputationScore(stats(1, 0, 1)), 33);
+      assert.equal(reputationScore(stats(1, 0, 1), { disputesLost: 1 }), 50);
+      assert.throws(() => reputationScore({ ...stats(1, 0, 0), rejected: -1 }), TypeError);
+      assert.throws(() => reputationScore({ chosen: 1 }), TypeError);
+
+      const ranked = rankFinders([
+        { finder: "a", ...stats(0, 1, 0) },
+        { finder: "b", ...stats(0, 0, 0) },
+        { finder: "c", ...stats(3, 0, 0) },
+        { finder: "d", ...stats(0, 0, 0) }
+      ]);
+      assert.deepEqual(ranked.map((entry) => [entry.finder, entry.score]), [["c", 80], ["b", 50], ["d", 50], ["a", 33]]);
+    });
+  });
+
+
+  // ===== Case Creation =====
+  // Tests creating cases through the SDK by showing:
+  // - createCase() converts the ETH bounty and returns the new case ID
+  // - Reverts are mapped to BountyTooLowError and EmptyPetNameError
+
+  describe("Case Creation", () => {
+    it("should create a case and return its ID and expiry", async () => {
+      const first = await client.createCase("Fluffy", "1");
+      const second = await client.createCase("Luna", "0.5");
+
+      assert.equal(first.caseId, 0);
+      assert.equal(second.caseId, 1);
+
+      const caseFull = await client.getCaseFull(first.caseId);
+      assert.equal(caseFull.expiresAt, first.expiresAt);
+      assert.equal(caseFull.expiresAt, caseFull.createdAt + DEFAULT_EXPIRY_DAYS);
+      assert.equal(await client.getTotalCases(), 2);
+    });
+
+    it("should map low bounty and empty name reverts to typed errors", async () => {
+      await expectError(client.createCase("Ruby", "0.0005"), BountyTooLowError);
+      await expectError(client.createCase("", "1"), EmptyPetNameError);
+    });
+  });
+
+
+  // ===== Case Metadata =====
+  // Tests case details through the SDK by showing:
+  // - createCaseWithOptions() encodes lat/lon and a plain microchip ID
+  // - getCaseDetails() returns the case with decoded metadata
+  // - updateCaseMetadata() replaces the details; non-owners get NotCaseOwnerError
+  // - Invalid details throw InvalidMetadataError before a transaction is sent
+
+  describe("Case Metadata", () => {
+    it("should create a case with metadata and read it back", async () => {
+      const { caseId } = await client.createCaseWithOptions("Fluffy", {
+        bountyEth: "1",
+        metadata: {
+          species: "Cat",
+          description: "Grey tabby",
+          lastSeenLatitude: 40.6892,
+          lastSeenLongitude: -74.0445,
+          precision: 6,
+          microchipId: "985 112-003456789"
+        }
+      });
+
+      const details = await client.getCaseDetails(caseId);
+      assert.equal(details.petName, "Fluffy");
+      assert.equal(details.status, "Active");
+      assert.equal(details.metadata.species, "Cat");
+      assert.equal(details.metadata.lastSeenGeohash, "dr5r7p");
+      assert.closeTo(details.metadata.lastSeenLatitude, 40.6892, 0.01);
+      assert.equal(details.metadata.photoHash, null);
+      assert.equal(details.metadata.microchipHash, hashMicrochipId("985112003456789"));
+    });
+
+    it("should update metadata as the owner only", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      assert.equal((await client.getCaseMetadata(caseId)).lastSeenGeohash, null);
+
+      await client.updateCaseMetadata(caseId, { species: "Cat", lastSeenGeohash: "dr5ru7" });
+      const metadata = await client.getCaseMetadata(caseId);
+      assert.equal(metadata.species, "Cat");
+      assert.equal(metadata.lastSeenGeohash, "dr5ru7");
+
+      await expectError(client.updateCaseMetadata(caseId, { species: "Dog" }, { from: otherAccount }), NotCaseOwnerError);
+    });
+
+    it("should reject invalid metadata before sending", async () => {
+      await expectError(client.createCaseWithOptions("Fluffy", { bountyEth: "1", metadata: { species: "x".repeat(33) } }), InvalidMetadataError);
+      await expectError(client.createCaseWithOptions("Fluffy", { bountyEth: "1", metadata: { lastSeenGeohash: "dr5ra" } }), InvalidMetadataError);
+      await expectError(client.createCaseWithOptions("Fluffy", { bountyEth: "1", metadata: { photoHash: "0x1234" } }), InvalidMetadataError);
+      assert.equal(await client.getTotalCases(), 0);
+    });
+  });
+
+
+  // ===== Increasing Bounty =====
+  // Tests increasing bounty through the SDK by showing:
+  // - increaseBounty() returns the new total in wei
+  // - Non-owner and zero-value increases map to typed errors
+
+  describe("Increasing Bounty", () => {
+    it("should increase the bounty and return the new total", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      const result = await client.increaseBounty(caseId, "0.5");
+
+      assert.equal(result.newTotal, web3.utils.toWei("1.5", "ether"));
+
+      const caseFull = await client.getCaseFull(caseId);
+      assert.equal(caseFull.bountyEth, "1.5");
+    });
+
+    it("should map non-owner and zero-value reverts to typed errors", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+
+      await expectError(client.increaseBounty(caseId, "0.1", { from: finder1 }), NotCaseOwnerError);
+      await expectError(client.increaseBounty(caseId, "0"), NoValueSentError);
+    });
+  });
+
+
+  // ===== Community Co-funding =====
+  // Tests contributions through the SDK by showing:
+  // - contributeToBounty() returns the contribution and new total in wei
+  // - getContributions() lists each contributor once with their total
+  // - Owner contributions map to OwnerContributionError, too small ones to BountyTooLowError
+
+  describe("Community Co-funding", () => {
+    it("should contribute and list contributions", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+
+      const result = await client.contributeToBounty(caseId, "0.5", { from: otherAccount });
+      assert.equal(result.contributor, otherAccount);
+      assert.equal(result.amount, web3.utils.toWei("0.5", "ether"));
+      assert.equal(result.newTotal, web3.utils.toWei("1.5", "ether"));
+
+      await client.contributeToBounty(caseId, "0.25", { from: otherAccount });
+      assert.deepEqual(await client.getContributions(caseId), [
+        { contributor: otherAccount, amount: web3.utils.toWei("0.75", "ether") }
+      ]);
+      assert.equal(await client.getContribution(caseId, otherAccount), web3.utils.toWei("0.75", "ether"));
+    });
+
+    it("should map owner and too small contributions to typed errors", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await expectError(client.contributeToBounty(caseId, "0.5"), OwnerContributionError);
+      await expectError(client.contributeToBounty(caseId, "0.0005", { from: otherAccount }), BountyTooLowError);
+    });
+  });
+
+
+  // ===== Finder Submission =====
+  // Tests finder submissions through the SDK by showing:
+  // - submitAsFinder() records finders and evidence
+  // - Duplicate and empty submissions map to typed errors
+  // - updateEvidence() returns the revision; withdrawSubmission() reverts map to typed errors
+  // - Submissions send the case's stake; flagging, claiming flagged stakes, caps and stake reclaims map to typed errors
+  // - Rejections take a reason name, decode with getRejection() and map reverts to SubmissionRejectedError
+
+  describe("Finder Submission", () => {
+    it("should record finders and their evidence", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+
+      await client.submitAsFinder(caseId, "E1", { from: finder1 });
+      await client.submitAsFinder(caseId, "E2", { from: finder2 });
+
+      assert.deepEqual(await client.getFinders(caseId), [finder1, finder2]);
+      assert.equal(await client.getFinderCount(caseId), 2);
+      assert.equal(await client.isFinder(caseId, finder1), true);
+      assert.equal(await client.isFinder(caseId, otherAccount), false);
+      assert.equal(await client.getFinderEvidence(caseId, finder2), "E2");
+      assert.deepEqual(await client.getFindersPaginated(caseId, 1, 5), [finder2]);
+    });
+
+    it("should map duplicate and empty submissions to typed errors", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "E1", { from: finder1 });
+
+      await expectError(client.submitAsFinder(caseId, "E1-dup", { from: finder1 }), AlreadyFinderError);
+      await expectError(client.submitAsFinder(caseId, "", { from: finder2 }), EmptyEvidenceError);
+      await expectError(client.submitAsFinder(999, "E1", { from: finder2 }), CaseNotFoundError);
+    });
+
+    it("should update evidence and withdraw submissions", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "E1", { from: finder1 });
+
+      const { revision } = await client.updateEvidence(caseId, "E1-better", { from: finder1 });
+      assert.equal(revision, 1);
+      assert.equal(await client.getFinderEvidence(caseId, finder1), "E1-better");
+      assert.deepEqual(await client.getEvidenceHistory(caseId, finder1), ["E1"]);
+      await expectError(client.updateEvidence(caseId, "E2", { from: finder2 }), NotFinderError);
+
+      await client.withdrawSubmission(caseId, { from: finder1 });
+      assert.equal(await client.isSubmissionWithdrawn(caseId, finder1), true);
+      assert.deepEqual(await client.getFinders(caseId), [finder1]);
+      await expectError(client.withdrawSubmission(caseId, { from: finder1 }), SubmissionWithdrawnError);
+    });
+
+    it("should send the stake, flag spam and return stakes", async () => {
+      const { caseId } = await client.createCase("Fluffy", "0.01");
+      await client.setSubmissionRules(caseId, { stakeEth: "0.002", maxSubmissions: 2 });
+      assert.deepEqual(await client.getSubmissionRules(caseId), {
+        stake: toWei("0.002"),
+        stakeEth: "0.002",
+        maxSubmissions: 2,
+        submissionCount: 0
+      });
+
+      await expectError(client.submitAsFinder(caseId, "E1", { from: finder1, value: "0" }), StakeError);
+      await client.submitAsFinder(caseId, "Spam", { from: finder1 });
+      await client.submitAsFinder(caseId, "E2", { from: finder2 });
+      assert.equal(await client.getLockedStake(caseId, finder2), toWei("0.002"));
+      assert.equal(await client.getTotalLockedStakes(), toWei("0.004"));
+      await expectError(client.submitAsFinder(caseId, "E3", { from: otherAccount }), SubmissionLimitError);
+
+      const { finder, stake, contestDeadline } = await client.flagSubmission(caseId, 0);
+      assert.equal(finder, finder1);
+      assert.equal(stake, toWei("0.002"));
+      assert.equal(contestDeadline, (await client.getRejection(caseId, finder1)).contestDeadline);
+      assert.equal((await client.getRejection(caseId, finder1)).reason, "Spam");
+      assert.equal(await client.isSubmissionFlagged(caseId, finder1), true);
+      await expectError(client.updateEvidence(caseId, "More spam", { from: finder1 }), SubmissionFlaggedError);
+      await expectError(client.claimFlaggedStake(caseId, 0), SubmissionFlaggedError);
+      await expectError(client.reclaimStake(caseId, { from: finder2 }), StakeError);
+
+      await increaseTime(3 * 24 * 60 * 60);
+      const claimed = await client.claimFlaggedStake(caseId, 0);
+      assert.deepEqual([claimed.finder, claimed.amount], [finder1, toWei("0.002")]);
+      await client.resolveCase(caseId, 1);
+      const { amount } = await client.reclaimStake(caseId, { from: finder2 });
+      assert.equal(amount, toWei("0.002"));
+      assert.equal(await client.getTotalLockedStakes(), "0");
+    });
+
+    it("should reject, contest and rule on a submission", async () => {
+      await client.setArbiter(otherAccount, true);
+      const { caseId } = await client.createCase("Fluffy", "0.01");
+      await client.submitAsFinder(caseId, "E1", { from: finder1 });
+
+      try {
+        await client.rejectSubmission(caseId, 0, "Rude");
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.instanceOf(error, RangeError);
+      }
+      await client.rejectSubmission(caseId, 0, "InsufficientEvidence");
+      let rejection = await client.getRejection(caseId, finder1);
+      assert.equal(rejection.state, "Rejected");
+      assert.equal(rejection.reason, "InsufficientEvidence");
+      assert.equal(rejection.arbitrationDeadline, 0);
+      await expectError(client.rejectSubmission(caseId, 0, "Other"), SubmissionRejectedError);
+      await expectError(client.updateEvidence(caseId, "E1-better", { from: finder1 }), SubmissionRejectedError);
+
+      const { arbitrationDeadline } = await client.contestRejection(caseId, "Look again", { from: finder1 });
+      await client.ruleOnRejection(caseId, 0, false, { from: otherAccount });
+      rejection = await client.getRejection(caseId, finder1);
+      assert.equal(rejection.state, "Reinstated");
+      assert.equal(rejection.arbitrationDeadline, arbitrationDeadline);
+      assert.deepEqual(await client.getRejection(caseId, finder2), {
+        state: "None",
+        reason: null,
+        contestDeadline: 0,
+        arbitrationDeadline: 0
+      });
+    });
+  });
+
+
+  // ===== Case Resolution =====
+  // Tests resolving cases through the SDK by showing:
+  // - resolveCase() pays the finder and the status decodes to "Resolved"
+  // - Early, non-owner and invalid-index resolutions map to typed errors
+  // - resolveCaseSplit() returns every payout and invalid shares map to InvalidSplitError
+  // - getResolution() decodes the dispute state; dispute and arbiter reverts map to typed errors
+  // - proposeResolution()/confirmResolution() resolve in two phases and proposal reverts map to ProposalError
+
+  describe("Case Resolution", () => {
+    it("should resolve a case and decode the Resolved status", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const result = await client.resolveCase(caseId, 0);
+      assert.equal(result.finder, finder1);
+      assert.equal(result.bountyAmount, ONE_ETHER);
+
+      const { disputeWindow } = await client.getConstants();
+      assert.equal(disputeWindow, DISPUTE_WINDOW);
+      assert.equal(result.disputeDeadline, (await client.getResolution(caseId)).disputeDeadline);
+
+      const caseFull = await client.getCaseFull(caseId);
+      assert.equal(caseFull.status, "Resolved");
+      assert.equal((await client.getCaseBasic(caseId)).isResolved, true);
+      assert.equal(await client.getCaseEscrow(caseId), "0");
+    });
+
+    it("should map resolution reverts to typed errors", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "Evidence", { from: finder1 });
+
+      await expectError(client.resolveCase(caseId, 0), CaseTooNewError);
+
+      await increaseTime(2 * 24 * 60 * 60);
+      await expectError(client.resolveCase(caseId, 0, { from: finder1 }), NotCaseOwnerError);
+      await expectError(client.resolveCase(caseId, 5), InvalidFinderIndexError);
+    });
+
+    it("should split a bounty and return every payout", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "Spotted", { from: finder1 });
+      await client.submitAsFinder(caseId, "Caught", { from: finder2 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      await expectError(
+        client.resolveCaseSplit(caseId, [{ finderIndex: 0, shareBps: 5000 }, { finderIndex: 1, shareBps: 4000 }]),
+        InvalidSplitError
+      );
+
+      const result = await client.resolveCaseSplit(caseId, [
+        { finderIndex: 1, shareBps: 6000 },
+        { finderIndex: 0, shareBps: 4000 }
+      ]);
+      assert.equal(result.bountyAmount, ONE_ETHER);
+      assert.deepEqual(result.payouts, [
+        { finder: finder2, shareBps: 6000, amount: web3.utils.toWei("0.6", "ether") },
+        { finder: finder1, shareBps: 4000, amount: web3.utils.toWei("0.4", "ether") }
+      ]);
+      assert.equal((await client.getCaseFull(caseId)).status, "Resolved");
+    });
+
+    it("should dispute, rule on and finalize a resolution", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "Spotted", { from: finder1 });
+      await client.submitAsFinder(caseId, "Caught", { from: finder2 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await client.resolveCase(caseId, 1);
+
+      assert.equal((await client.getResolution(caseId)).state, "Pending");
+      await expectError(client.finalizeResolution(caseId), DisputeError);
+      await expectError(client.openDispute(caseId, "Not me", { from: otherAccount }), DisputeError);
+
+      await client.openDispute(caseId, "I caught her", { from: finder1 });
+      const disputed = await client.getResolution(caseId);
+      assert.equal(disputed.state, "Disputed");
+      assert.equal(disputed.disputant, finder1);
+      assert.deepEqual(disputed.payouts, [{ finder: finder2, amount: ONE_ETHER }]);
+
+      // The deployer (owner) is an arbiter but owns this case
+      await expectError(client.upholdResolution(caseId), NotArbiterError);
+      await expectError(client.upholdResolution(caseId, { from: otherAccount }), NotArbiterError);
+
+      await client.setArbiter(otherAccount, true);
+      assert.equal(await client.isArbiter(otherAccount), true);
+      const ruling = await client.overturnResolution(caseId, 0, { from: otherAccount });
+      assert.equal(ruling.finder, finder1);
+
+      const finalized = await client.getResolution(caseId);
+      assert.equal(finalized.state, "Finalized");
+      assert.deepEqual(finalized.payouts, [{ finder: finder1, amount: ONE_ETHER }]);
+      assert.equal(await client.pendingWithdrawal(finder1), ONE_ETHER);
+    });
+
+    it("should finalize an undisputed resolution after the dispute window", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await client.resolveCase(caseId, 0);
+
+      await increaseTime(DISPUTE_WINDOW);
+      assert.equal((await client.finalizeResolution(caseId, { from: otherAccount })).amount, ONE_ETHER);
+      assert.equal(await client.pendingWithdrawal(finder1), ONE_ETHER);
+    });
+
+    it("should propose a finder and resolve once they confirm", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const proposed = await client.proposeResolution(caseId, 0);
+      assert.equal(proposed.finder, finder1);
+      assert.deepEqual(await client.getProposal(caseId), { finder: finder1, claimDeadline: proposed.claimDeadline, acknowledged: false });
+      assert.equal((await client.getCaseFull(caseId)).status, "PendingResolution");
+      assert.equal((await client.getCaseCounts()).PendingResolution, 1);
+
+      await expectError(client.confirmResolution(caseId, { from: otherAccount }), ProposalError);
+      await expectError(client.withdrawProposal(caseId, { from: finder1 }), NotCaseOwnerError);
+
+      const confirmed = await client.confirmResolution(caseId, { from: finder1 });
+      assert.equal(confirmed.acknowledged, true);
+      assert.equal(confirmed.bountyAmount, ONE_ETHER);
+      assert.equal(confirmed.platformFee, "0");
+      assert.equal((await client.getCaseFull(caseId)).status, "Resolved");
+      assert.equal((await client.getProposal(caseId)).acknowledged, true);
+
+      await expectError(client.withdrawProposal(caseId), ProposalError);
+    });
+  });
+
+
+  // ===== Token Bounties =====
+  // Tests ERC-20 bounties through the SDK by showing:
+  // - createCaseWithOptions() with a token returns the received bounty and getCaseFull() reports the asset
+  // - Token payouts are withdrawn with withdrawToken() and tracked by getAssetTotals()
+  // - Unlisted tokens and wrong-asset top-ups map to typed errors
+
+  describe("Token Bounties", () => {
+    const MockERC20 = artifacts.require("MockERC20");
+
+    let token;
+
+    beforeEach(async () => {
+      token = await MockERC20.new("Mock USD", "mUSD", 6);
+      await client.setAllowedToken(token.address, "1000000");
+      await token.mint(owner, "100000000");
+      await token.approve(client.address, "100000000", { from: owner });
+    });
+
+    it("should create a token case and pay the finder in tokens", async () => {
+      const { caseId, bounty } = await client.createCaseWithOptions("Fluffy", { token: token.address, amount: "50000000" });
+      assert.equal(bounty, "50000000");
+      assert.equal(await client.getTokenMinBounty(token.address), "1000000");
+
+      const caseFull = await client.getCaseFull(caseId);
+      assert.equal(caseFull.asset, token.address);
+      assert.equal(caseFull.bountyEth, null);
+      assert.equal((await client.getAssetTotals(token.address)).escrow, "50000000");
+
+      await client.submitAsFinder(caseId, "E1", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await client.resolveCase(caseId, 0);
+      await increaseTime(DISPUTE_WINDOW);
+      await client.finalizeResolution(caseId);
+
+      assert.equal(await client.pendingTokenWithdrawal(finder1, token.address), "50000000");
+      assert.equal((await client.withdrawToken(token.address, { from: finder1 })).amount, "50000000");
+      assert.deepEqual(await client.getAssetTotals(token.address), {
+        escrow: "0",
+        pendingResolutions: "0",
+        pendingWithdrawals: "0"
+      });
+    });
+
+    it("should map token reverts to typed errors", async () => {
+      const other = await MockERC20.new("Other", "OTH", 18);
+      await expectError(client.createCaseWithOptions("Fluffy", { token: other.address, amount: "50000000" }), TokenNotAllowedError);
+      await expectError(client.createCaseWithOptions("Fluffy", { token: token.address, amount: "10" }), BountyTooLowError);
+
+      const { caseId } = await client.createCase("Buddy", "1");
+      assert.equal((await client.getCaseFull(caseId)).asset, null);
+      await expectError(client.increaseTokenBounty(caseId, "1000000"), WrongAssetError);
+    });
+  });
+
+
+  // ===== Case Cancellation =====
+  // Tests cancellation through the SDK by showing:
+  // - cancelCase() credits the refund and the status decodes to "Cancelled"
+  // - withdraw() returns the credited amount; withdrawing nothing maps to NothingToWithdrawError
+  // - Early cancellation and cancellation with finders map to typed errors
+
+  describe("Case Cancellation", () => {
+    it("should cancel a case after 7 days and return the refund", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await expectError(client.cancelCase(caseId), CancelTooEarlyError);
+
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      const result = await client.cancelCase(caseId);
+
+      assert.equal(result.amount, ONE_ETHER);
+      assert.equal((await client.getCaseFull(caseId)).status, "Cancelled");
+      assert.equal(await client.pendingWithdrawal(owner), ONE_ETHER);
+      assert.equal(await client.getTotalPendingWithdrawals(), ONE_ETHER);
+    });
+
+    it("should withdraw the credited refund once", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await client.cancelCase(caseId);
+
+      assert.equal((await client.withdraw()).amount, ONE_ETHER);
+      assert.equal(await client.pendingWithdrawal(owner), "0");
+      await expectError(client.withdraw(), NothingToWithdrawError);
+    });
+
+    it("should map cancellation with finders to FindersSubmittedError", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "Found it", { from: finder1 });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+
+      await expectError(client.cancelCase(caseId), FindersSubmittedError);
+    });
+  });
+
+
+  // ===== Case Expiry =====
+  // Tests expiry processing through the SDK by showing:
+  // - checkAndProcessExpiry() reports whether a case was processed
+  // - batchCheckExpiry() returns the processed case IDs
+  // - setKeeperReward() sets the reward returned with each processed expiry; above the cap maps to KeeperRewardError
+  // - createCaseWithOptions() and extendCase() set the deadline; bad durations map to InvalidDurationError
+  // - createCaseWithOptions() combines a duration with details
+
+  describe("Case Expiry", () => {
+    it("should report processed expiries", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+
+      assert.equal((await client.checkAndProcessExpiry(caseId)).processed, false);
+      assert.equal(await client.isCaseExpired(caseId), false);
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      assert.equal(await client.isCaseExpired(caseId), true);
+      assert.equal((await client.checkAndProcessExpiry(caseId)).processed, true);
+      assert.equal((await client.getCaseFull(caseId)).status, "Expired");
+    });
+
+    it("should return processed case IDs from batchCheckExpiry()", async () => {
+      const first = await client.createCase("Fluffy", "1");
+      const second = await client.createCase("Buddy", "1");
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      const result = await client.batchCheckExpiry([first.caseId, second.caseId]);
+      assert.equal(result.processedCount, 2);
+      assert.deepEqual(result.processed, [first.caseId, second.caseId]);
+      assert.deepEqual(result.keeperRewards, ["0", "0"]);
+    });
+
+    it("should pay the keeper reward to the sender", async () => {
+      await expectError(client.setKeeperReward(101), KeeperRewardError);
+      await client.setKeeperReward(50);
+      assert.equal(await client.getKeeperReward(), 50);
+
+      const first = await client.createCase("Fluffy", "0.01");
+      const second = await client.createCase("Buddy", "0.01");
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+
+      const single = await client.checkAndProcessExpiry(first.caseId, { from: otherAccount });
+      assert.equal(single.keeperReward, toWei("0.00005"));
+      const batch = await client.batchCheckExpiry([first.caseId, second.caseId], { from: otherAccount });
+      assert.deepEqual(batch.processed, [second.caseId]);
+      assert.deepEqual(batch.keeperRewards, [toWei("0.00005")]);
+
+      assert.equal(await client.pendingWithdrawal(otherAccount), toWei("0.0001"));
+      assert.equal(await client.pendingWithdrawal(owner), toWei("0.0199"));
+    });
+
+    it("should create with a custom duration and extend the deadline", async () => {
+      const { minCaseDuration, maxCaseDuration } = await client.getConstants();
+      const { caseId, expiresAt } = await client.createCaseWithOptions("Fluffy", { bountyEth: "1", duration: minCaseDuration });
+      assert.equal(expiresAt, (await client.getCaseFull(caseId)).createdAt + minCaseDuration);
+
+      const extended = await client.extendCase(caseId, 3600);
+      assert.equal(extended.expiresAt, expiresAt + 3600);
+      assert.isNull(extended.newTotal);
+      assert.equal((await client.getCaseFull(caseId)).expiresAt, expiresAt + 3600);
+
+      const toppedUp = await client.extendCase(caseId, 3600, "0.5");
+      assert.equal(toppedUp.newTotal, toWei("1.5"));
+
+      await expectError(client.createCaseWithOptions("Buddy", { bountyEth: "1", duration: maxCaseDuration + 1 }), InvalidDurationError);
+      await expectError(client.extendCase(caseId, maxCaseDuration), InvalidDurationError);
+      await expectError(client.extendCase(caseId, 3600, "0", { from: otherAccount }), NotCaseOwnerError);
+    });
+
+    it("should create with a custom duration and details", async () => {
+      const { minCaseDuration } = await client.getConstants();
+      const { caseId, bounty, expiresAt } = await client.createCaseWithOptions("Fluffy", {
+        bountyEth: "1",
+        duration: minCaseDuration,
+        metadata: { species: "Cat", lastSeenGeohash: "dr5ru7" }
+      });
+
+      const details = await client.getCaseDetails(caseId);
+      assert.equal(bounty, toWei("1"));
+      assert.equal(expiresAt, details.createdAt + minCaseDuration);
+      assert.equal(details.metadata.species, "Cat");
+      assert.equal(details.metadata.lastSeenGeohash, "dr5ru7");
+    });
+  });
+
+
+  // ===== Admin & Pause =====
+  // Tests the admin role through the SDK by showing:
+  // - getAdminState() reports the admin, a pending offer (null if none) and the pause flag
+  // - Calls blocked by the pause map to PausedError; admin calls from others map to NotAdminError
+  // - transferAdmin() and acceptAdmin() move the role in two steps
+  // - resolveCase() reports the platform fee, which the admin withdraws with withdrawTreasury()
+
+  describe("Admin & Pause", () => {
+    it("should pause, unpause and transfer the admin role", async () => {
+      assert.deepEqual(await client.getAdminState(), { admin: owner, pendingAdmin: null, paused: false });
+
+      await expectError(client.pause({ from: otherAccount }), NotAdminError);
+      await client.pause();
+      assert.equal((await client.getAdminState()).paused, true);
+      await expectError(client.createCase("Fluffy", "0.01"), PausedError);
+      await expectError(client.pause(), PausedError);
+      await client.unpause();
+      await client.createCase("Fluffy", "0.01");
+
+      await client.transferAdmin(otherAccount);
+      assert.equal((await client.getAdminState()).pendingAdmin, otherAccount);
+      await expectError(client.acceptAdmin({ from: finder1 }), NotAdminError);
+
+      const { previousAdmin } = await client.acceptAdmin({ from: otherAccount });
+      assert.equal(previousAdmin, owner);
+      assert.deepEqual(await client.getAdminState(), { admin: otherAccount, pendingAdmin: null, paused: false });
+    });
+
+    it("should charge the platform fee on resolution and withdraw the treasury", async () => {
+      await expectError(client.setPlatformFee(1001), TreasuryError);
+      await client.setPlatformFee(100);
+      assert.equal(await client.getPlatformFee(), 100);
+
+      const { caseId } = await client.createCase("Fluffy", "0.01");
+      await client.submitAsFinder(caseId, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+
+      const result = await client.resolveCase(caseId, 0);
+      assert.equal(result.platformFee, web3.utils.toWei("0.0001", "ether"));
+      assert.equal(result.bountyAmount, web3.utils.toWei("0.0099", "ether"));
+      assert.equal(await client.getTreasuryBalance(), result.platformFee);
+
+      const { amount } = await client.withdrawTreasury(otherAccount);
+      assert.equal(amount, result.platformFee);
+      await expectError(client.withdrawTreasury(otherAccount), NothingToWithdrawError);
+    });
+  });
+
+
+  // ===== Escrow & Listing Views =====
+  // Tests the escrow and listing views through the SDK by showing:
+  // - getTotalEscrow() and getCaseEscrow() return wei strings
+  // - getActiveCases() and getCasesByOwner() return numeric case IDs
+  // - Paginated listings take status names and getCaseCounts() decodes the counters
+  // - getFinderSubmissions() decodes a finder's history and getTotalEarned() returns wei strings
+  // - getFinderStats() decodes the reputation counters and adds a score
+
+  describe("Escrow & Listing Views", () => {
+    it("should report escrow and list cases", async () => {
+      await client.createCase("Fluffy", "1");
+      await client.createCase("Buddy", "0.5", { from: finder1 });
+
+      assert.equal(await client.getTotalEscrow(), web3.utils.toWei("1.5", "ether"));
+      assert.equal(await client.getCaseEscrow(1), web3.utils.toWei("0.5", "ether"));
+      assert.equal(await client.isCaseFunded(0), true);
+      assert.deepEqual(await client.getActiveCases(), [0, 1]);
+      assert.deepEqual(await client.getCasesByOwner(finder1), [1]);
+    });
+
+    it("should page through cases by status, owner and finder", async () => {
+      await client.createCase("Fluffy", "1");
+      await client.createCase("Buddy", "0.5");
+      await client.createCase("Rex", "0.5");
+      await client.submitAsFinder(1, "E1", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await client.resolveCase(1, 0);
+
+      assert.deepEqual(await client.getCasesPaginated(0, 10, "Active"), [0, 2]);
+      assert.deepEqual(await client.getCasesPaginated(0, 10, "Resolved"), [1]);
+      assert.deepEqual(await client.getCasesPaginated(1, 2), [1, 2]);
+      assert.deepEqual(await client.getCasesByOwnerPaginated(owner, 1, 1), [1]);
+      assert.deepEqual(await client.getCasesByFinderPaginated(finder1, 0, 10), [1]);
+      assert.deepEqual(await client.getCaseCounts(), { Active: 2, Resolved: 1, Cancelled: 0, Expired: 0, PendingResolution: 0 });
+
+      try {
+        await client.getCasesPaginated(0, 10, "Lost");
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.instanceOf(error, RangeError);
+      }
+    });
+
+    it("should show a finder's submissions and earnings", async () => {
+      await client.createCase("Fluffy", "1");
+      await client.createCase("Buddy", "0.5");
+      await client.submitAsFinder(1, "E1", { from: finder1 });
+      await client.submitAsFinder(0, "E2", { from: finder1 });
+      await client.withdrawSubmission(0, { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await client.resolveCase(1, 0);
+      await increaseTime(DISPUTE_WINDOW);
+      await client.finalizeResolution(1);
+
+      assert.deepEqual(await client.getFinderSubmissions(finder1, 0, 10), [
+        { caseId: 1, status: "Resolved", withdrawn: false, paid: true, paidAmount: web3.utils.toWei("0.5", "ether") },
+        { caseId: 0, status: "Active", withdrawn: true, paid: false, paidAmount: "0" }
+      ]);
+      assert.equal(await client.getTotalEarned(finder1), web3.utils.toWei("0.5", "ether"));
+      assert.equal(await client.getTotalEarned(finder2), "0");
+    });
+
+    it("should report finder reputation", async () => {
+      await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(0, "E1", { from: finder1 });
+      await client.submitAsFinder(0, "E2", { from: finder2 });
+      await client.flagSubmission(0, 1);
+      await increaseTime(2 * 24 * 60 * 60);
+      await client.resolveCase(0, 0);
+
+      assert.deepEqual(await client.getFinderStats([finder1, finder2, otherAccount]), [
+        { finder: finder1, submissions: 1, chosen: 1, rejected: 0, disputesLost: 0, score: 67 },
+        { finder: finder2, submissions: 1, chosen: 0, rejected: 1, disputesLost: 0, score: 33 },
+        { finder: otherAccount, submissions: 0, chosen: 0, rejected: 0, disputesLost: 0, score: 50 }
+      ]);
+    });
+
+    it("should map views on missing cases to CaseNotFoundError", async () => {
+      await expectError(client.getCaseBasic(999), CaseNotFoundError);
+      await expectError(client.getCaseFull(999), CaseNotFoundError);
+    });
+  });
+});
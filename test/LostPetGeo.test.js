@@ -0,0 +1,83 @@
+const {
+  encodeGeohash,
+  distanceMeters,
+  distanceToGeohash,
+  geohashPrefixesForRadius
+} = require("../sdk");
+
+// Fixed coordinates used throughout
+const STATUE_OF_LIBERTY = [40.6892, -74.0445];
+const NYC_CITY_HALL = [40.7128, -74.0060]; // ~4.2 km from the statue
+const PHILADELPHIA = [39.9526, -75.1652]; // ~125 km from the statue
+
+contract("Area search", () => {
+  // Helper to check whether any prefix covers a point's geohash
+  function covers(prefixes, [lat, lon]) {
+    const geohash = encodeGeohash(lat, lon, 12);
+    return prefixes.some((prefix) => geohash.startsWith(prefix));
+  }
+
+
+  // ===== Distances =====
+  // Tests the distance helpers by showing:
+  // - distanceMeters() matches known great-circle distances
+  // - distanceToGeohash() is zero inside a cell and measured across the antimeridian
+
+  describe("Distances", () => {
+    it("should measure known distances", async () => {
+      assert.closeTo(distanceMeters(...STATUE_OF_LIBERTY, ...NYC_CITY_HALL), 4174, 10);
+      assert.closeTo(distanceMeters(...STATUE_OF_LIBERTY, ...PHILADELPHIA), 125440, 100);
+      assert.equal(distanceMeters(...STATUE_OF_LIBERTY, ...STATUE_OF_LIBERTY), 0);
+    });
+
+    it("should measure the distance to a geohash cell", async () => {
+      assert.equal(distanceToGeohash(...STATUE_OF_LIBERTY, "dr5r7p"), 0);
+      assert.isBelow(distanceToGeohash(...STATUE_OF_LIBERTY, "dr5regw"), 4174);
+      assert.closeTo(distanceToGeohash(0, 179.999, encodeGeohash(0, -179.999, 7)), 0, 300);
+    });
+  });
+
+
+  // ===== Prefixes for a Radius =====
+  // Tests geohashPrefixesForRadius() by showing:
+  // - A 5 km circle around a fixed point gives known same-length prefixes
+  // - Points inside the circle are covered and distant points are not
+  // - maxPrefixes trades precision for fewer prefixes; huge circles give [""]
+  // - Circles crossing the antimeridian include cells on both sides
+  // - Invalid input throws RangeError
+
+  describe("Prefixes for a Radius", () => {
+    it("should cover a 5 km circle with known prefixes", async () => {
+      const prefixes = geohashPrefixesForRadius(...STATUE_OF_LIBERTY, 5000);
+
+      assert.deepEqual(prefixes, [
+        "dr5r3", "dr5r4", "dr5r5", "dr5r6", "dr5r7",
+        "dr5r9", "dr5rd", "dr5re", "dr5rk", "dr5rs"
+      ]);
+      assert.isTrue(covers(prefixes, STATUE_OF_LIBERTY));
+      assert.isTrue(covers(prefixes, NYC_CITY_HALL));
+      assert.isFalse(covers(prefixes, PHILADELPHIA));
+    });
+
+    it("should respect maxPrefixes", async () => {
+      assert.deepEqual(geohashPrefixesForRadius(...STATUE_OF_LIBERTY, 5000, { maxPrefixes: 1 }), ["dr5r"]);
+      assert.deepEqual(geohashPrefixesForRadius(-33.8568, 151.2153, 2000), ["r3gx2", "r3gx3"]);
+      assert.deepEqual(geohashPrefixesForRadius(...STATUE_OF_LIBERTY, 0), [encodeGeohash(...STATUE_OF_LIBERTY, 12)]);
+      assert.deepEqual(geohashPrefixesForRadius(...STATUE_OF_LIBERTY, 10000000), [""]);
+    });
+
+    it("should wrap around the antimeridian", async () => {
+      const prefixes = geohashPrefixesForRadius(0, 179.99, 10000);
+
+      assert.isTrue(covers(prefixes, [0.01, 179.99]));
+      assert.isTrue(covers(prefixes, [0.01, -179.99]));
+      assert.isTrue(covers(prefixes, [-0.01, -179.99]));
+    });
+
+    it("should reject invalid input", async () => {
+      assert.throws(() => geohashPrefixesForRadius(91, 0, 1000), RangeError);
+      assert.throws(() => geohashPrefixesForRadius(0, 0, -1), RangeError);
+      assert.throws(() => geohashPrefixesForRadius(0, 0, 1000, { maxPrefixes: 0 }), RangeError);
+    });
+  });
+});
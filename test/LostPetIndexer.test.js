@@ -0,0 +1,524 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const LostPet = artifacts.require("LostPet");
+const MockERC20 = artifacts.require("MockERC20");
+const { LostPetIndexer, JsonFileStore } = require("../indexer");
+const { encodeCaseOptions, encodeMetadata } = require("../sdk");
+
+// Helper constants
+const ONE_ETHER = web3.utils.toWei("1", "ether");
+const HALF_ETHER = web3.utils.toWei("0.5", "ether");
+const DEFAULT_EXPIRY_DAYS = 90 * 24 * 60 * 60; // 90 days in seconds
+const DISPUTE_WINDOW = 3 * 24 * 60 * 60; // 3 days in seconds
+
+contract("LostPetIndexer", (accounts) => {
+  const [owner, finder1, finder2, otherAccount] = accounts;
+
+  let lostPetInstance;
+  let deployBlock;
+
+  // Helper to send a raw JSON-RPC request to ganache
+  function rpc(method, params = []) {
+    return new Promise((resolve, reject) => {
+      web3.currentProvider.send({
+        jsonrpc: '2.0',
+        method,
+        params,
+        id: new Date().getTime()
+      }, (err, res) => err ? reject(err) : resolve(res.result));
+    });
+  }
+
+  // Helper to advance time and mine a block
+  async function increaseTime(seconds) {
+    await rpc('evm_increaseTime', [seconds]);
+    await rpc('evm_mine');
+  }
+
+  async function latestTimestamp() {
+    return Number((await web3.eth.getBlock("latest")).timestamp);
+  }
+
+  function newIndexer(options = {}) {
+    return new LostPetIndexer({ contract: lostPetInstance, web3, fromBlock: deployBlock, ...options });
+  }
+
+  // Helper to check the indexer against the contract's own view functions
+  async function assertMatchesContract(indexer) {
+    const activeCases = (await lostPetInstance.getActiveCases()).map((id) => Number(id.toString()));
+    assert.deepEqual(indexer.getActiveCases(await latestTimestamp()), activeCases, "Active cases should match");
+
+    const totalEscrow = await lostPetInstance.getTotalEscrow();
+    assert.equal(indexer.getTotalEscrow(), totalEscrow.toString(), "Total escrow should match");
+
+    for (const account of [owner, finder1, otherAccount]) {
+      const ownerCases = (await lostPetInstance.getCasesByOwner(account)).map((id) => Number(id.toString()));
+      assert.deepEqual(indexer.getCasesByOwner(account), ownerCases, "Owner cases should match");
+
+      const finderCases = (await lostPetInstance.getCasesByFinderPaginated(account, 0, 100)).map((id) => Number(id.toString()));
+      assert.deepEqual(indexer.getCasesByFinder(account), finderCases, "Finder cases should match");
+
+      const totalEarned = await lostPetInstance.getTotalEarned(account, "0x0000000000000000000000000000000000000000");
+      assert.equal(indexer.getTotalEarned(account), totalEarned.toString(), "Total earned should match");
+    }
+  }
+
+  beforeEach(async () => {
+    lostPetInstance = await LostPet.new(owner);
+    const receipt = await web3.eth.getTransactionReceipt(lostPetInstance.transactionHash);
+    deployBlock = receipt.blockNumber;
+  });
+
+
+  // ===== Event Replay =====
+  // Tests rebuilding case state from logs by showing:
+  // - Created, increased, submitted, resolved and cancelled cases are replayed
+  // - Query results match getActiveCases(), getTotalEscrow(), getCasesByOwner(), getCasesByFinderPaginated() and getTotalEarned()
+  // - Finder evidence, structured reports and the paid finder are recorded per case
+  // - Evidence updates keep a history; withdrawn finders keep their place in the list
+  // - Submission rules, flagged submissions and locked stakes are tracked per finder
+  // - Rejections, contests and rulings are tracked per finder
+  // - Case metadata from CaseCreated is replaced by CaseMetadataUpdated
+  // - Active cases can be searched by geohash prefix and by distance, a page at a time
+  // - Split resolutions record every payout
+  // - Proposed resolutions are PendingResolution until confirmed or withdrawn
+  // - Community contributions are recorded per contributor
+  // - Sightings and their tips are recorded per case, without adding finders
+  // - Disputes and arbiter rulings update the resolution and the paid finder
+  // - Extended cases stay active until their new deadline
+  // - A second sync only indexes new blocks
+
+  describe("Event Replay", () => {
+    it("should rebuild case state that matches the contract views", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: finder1, value: HALF_ETHER });
+      await lostPetInstance.createCase("Luna", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      await lostPetInstance.increaseBounty(0, { from: owner, value: HALF_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Photo at the park", { from: finder2 });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await lostPetInstance.cancelCase(2, { from: owner });
+
+      const indexer = newIndexer();
+      const result = await indexer.sync();
+      assert.equal(result.eventCount, 8, "Should index every state-changing event");
+      assert.equal(result.rolledBackTo, null);
+
+      await assertMatchesContract(indexer);
+
+      const resolved = indexer.getCase(0);
+      assert.equal(resolved.status, "Resolved");
+      assert.equal(resolved.paidFinder, finder2);
+      assert.equal(resolved.paidAmount, web3.utils.toWei("1.5", "ether"));
+      assert.equal(indexer.db.getFinderEvidence(0, finder2), "Photo at the park");
+      assert.equal(indexer.getCase(2).status, "Cancelled");
+      assert.deepEqual(indexer.getOwnerHistory(owner).map((c) => c.petName), ["Fluffy", "Luna"]);
+    });
+
+    it("should record every payout of a split resolution", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Spotted", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Caught", { from: finder2 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCaseSplit(0, [0, 1], [3000, 7000], { from: owner });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const resolved = indexer.getCase(0);
+      assert.equal(resolved.status, "Resolved");
+      assert.deepEqual(resolved.payouts, [
+        { finder: finder1, shareBps: 3000, amount: web3.utils.toWei("0.3", "ether") },
+        { finder: finder2, shareBps: 7000, amount: web3.utils.toWei("0.7", "ether") }
+      ]);
+      await assertMatchesContract(indexer);
+    });
+
+    it("should record the platform fee taken from a resolved bounty", async () => {
+      await lostPetInstance.setPlatformFee(250, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Spotted", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const resolved = indexer.getCase(0);
+      assert.equal(resolved.platformFee, web3.utils.toWei("0.025", "ether"));
+      assert.equal(resolved.paidAmount, web3.utils.toWei("0.975", "ether"));
+      await assertMatchesContract(indexer);
+    });
+
+    it("should track proposed resolutions until the finder confirms", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Spotted", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.proposeResolution(0, 0, { from: owner });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const pending = indexer.getCase(0);
+      assert.equal(pending.status, "PendingResolution");
+      assert.equal(pending.proposal.finder, finder1);
+      assert.equal(pending.proposal.acknowledged, null);
+      await assertMatchesContract(indexer);
+
+      await lostPetInstance.withdrawProposal(0, { from: owner });
+      await indexer.sync();
+      assert.equal(indexer.getCase(0).status, "Active");
+      assert.equal(indexer.getCase(0).proposal, null);
+
+      await lostPetInstance.proposeResolution(0, 0, { from: owner });
+      await lostPetInstance.confirmResolution(0, { from: finder1 });
+      await indexer.sync();
+
+      const resolved = indexer.getCase(0);
+      assert.equal(resolved.status, "Resolved");
+      assert.equal(resolved.proposal.acknowledged, true);
+      assert.equal(resolved.paidFinder, finder1);
+      await assertMatchesContract(indexer);
+    });
+
+    it("should record sightings and their tips", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      const seenAt = (await latestTimestamp()) - 60;
+      await lostPetInstance.reportSighting(0, "dr5r", seenAt, "By the pond", { from: finder1 });
+      await lostPetInstance.reportSighting(0, "dr5x", seenAt, "", { from: finder2 });
+      await lostPetInstance.tipSighter(0, 1, { from: owner, value: HALF_ETHER });
+      await lostPetInstance.tipSighter(0, 1, { from: owner, value: HALF_ETHER });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const c = indexer.getCase(0);
+      assert.deepEqual(c.sightings, [
+        { reporter: finder1, geohash: "dr5r", seenAt, note: "By the pond", tips: "0" },
+        { reporter: finder2, geohash: "dr5x", seenAt, note: "", tips: ONE_ETHER }
+      ]);
+      assert.deepEqual(c.finders, []);
+      await assertMatchesContract(indexer);
+    });
+
+    it("should track disputes and apply an overturned ruling", async () => {
+      await lostPetInstance.setArbiter(otherAccount, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Spotted", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Caught", { from: finder2 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCase(0, 1, { from: owner });
+      await lostPetInstance.openDispute(0, "I caught her", { from: finder1 });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      assert.equal(indexer.getCase(0).resolution.state, "Disputed");
+      assert.equal(indexer.getCase(0).resolution.reason, "I caught her");
+      assert.equal(indexer.getCase(0).paidFinder, finder2);
+
+      await lostPetInstance.overturnResolution(0, 0, { from: otherAccount });
+      await indexer.sync();
+      const resolved = indexer.getCase(0);
+      assert.equal(resolved.resolution.state, "Finalized");
+      assert.equal(resolved.resolution.ruling, "Overturned");
+      assert.equal(resolved.paidFinder, finder1);
+    });
+
+    it("should mark undisputed resolutions as finalized", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await lostPetInstance.resolveCase(0, 0, { from: owner });
+      await increaseTime(DISPUTE_WINDOW);
+      await lostPetInstance.finalizeResolution(0);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      assert.equal(indexer.getCase(0).resolution.state, "Finalized");
+      assert.equal(indexer.getCase(0).resolution.ruling, null);
+    });
+
+    it("should record structured finder reports", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      const { timestamp } = await web3.eth.getBlock("latest");
+      const photoHash = web3.utils.sha3("photo");
+      await lostPetInstance.submitFinderReport(0, photoHash, "gcpvj0d", Number(timestamp) - 60, "", { from: finder1 });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      assert.deepEqual(indexer.db.getFinders(0), [finder1]);
+      assert.deepEqual(indexer.getCase(0).finders[0].report, {
+        photoHash,
+        geohash: "gcpvj0d",
+        sightedAt: Number(timestamp) - 60,
+        contactHint: ""
+      });
+    });
+
+    it("should track evidence updates and withdrawn submissions", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Blurry photo", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Spotted", { from: finder2 });
+      await lostPetInstance.updateEvidence(0, "Clear photo", { from: finder1 });
+      await lostPetInstance.withdrawSubmission(0, { from: finder2 });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const [first, second] = indexer.getCase(0).finders;
+      assert.equal(first.evidence, "Clear photo");
+      assert.deepEqual(first.history, await lostPetInstance.getEvidenceHistory(0, finder1));
+      assert.equal(first.withdrawn, false);
+      assert.equal(second.withdrawn, true);
+      await assertMatchesContract(indexer);
+    });
+
+    it("should track submission stakes and flagged submissions", async () => {
+      const stake = web3.utils.toWei("0.01", "ether");
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Before the rules", { from: otherAccount });
+      await lostPetInstance.setSubmissionRules(0, stake, 10, { from: owner });
+      await lostPetInstance.submitAsFinder(0, "Spam", { from: finder1, value: stake });
+      await lostPetInstance.submitAsFinder(0, "Spotted", { from: finder2, value: stake });
+      await lostPetInstance.flagSubmission(0, 1, { from: owner });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const c = indexer.getCase(0);
+      assert.deepEqual(c.submissionRules, { stake, maxSubmissions: 10 });
+      assert.deepEqual(c.finders.map((f) => [f.flagged, f.stake]), [[false, "0"], [true, stake], [false, stake]]);
+
+      await increaseTime(3 * 24 * 60 * 60);
+      await lostPetInstance.claimFlaggedStake(0, 1, { from: owner });
+      await lostPetInstance.resolveCase(0, 2, { from: owner });
+      await lostPetInstance.reclaimStake(0, { from: finder2 });
+      await indexer.sync();
+
+      for (const f of indexer.getCase(0).finders) {
+        assert.equal(f.stake, (await lostPetInstance.getLockedStake(0, f.finder)).toString());
+      }
+      await assertMatchesContract(indexer);
+    });
+
+    it("should track rejections and contest rulings", async () => {
+      await lostPetInstance.setArbiter(otherAccount, true, { from: owner });
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Wrong cat", { from: finder1 });
+      await lostPetInstance.submitAsFinder(0, "Photo", { from: finder2 });
+      await lostPetInstance.rejectSubmission(0, 0, 0, { from: owner });
+      await lostPetInstance.rejectSubmission(0, 1, 1, { from: owner });
+      await lostPetInstance.contestRejection(0, "Look at the collar", { from: finder2 });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      const [first, second] = indexer.getCase(0).finders;
+      assert.equal(first.rejection.state, "Rejected");
+      assert.equal(first.rejection.reasonCode, 0);
+      assert.equal(first.rejection.contestDeadline, Number((await lostPetInstance.getRejection(0, finder1)).contestDeadline));
+      assert.equal(second.rejection.state, "Contested");
+      assert.equal(second.rejection.contestReason, "Look at the collar");
+
+      await lostPetInstance.ruleOnRejection(0, 1, false, { from: otherAccount });
+      await indexer.sync();
+      assert.equal(indexer.getCase(0).finders[1].rejection.state, "Reinstated");
+      await assertMatchesContract(indexer);
+    });
+
+    it("should record case metadata and its updates", async () => {
+      const metadata = {
+        species: "Cat",
+        description: "Grey tabby",
+        photoHash: web3.utils.sha3("photo"),
+        lastSeenGeohash: "dr5ru7",
+        microchipHash: web3.utils.sha3("985112003456789")
+      };
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions({ metadata }), { from: owner, value: ONE_ETHER });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      assert.deepEqual(indexer.getCase(0).metadata, metadata);
+
+      await lostPetInstance.updateCaseMetadata(0, { ...metadata, lastSeenGeohash: "dr5rsq" }, { from: owner });
+      await indexer.sync();
+      assert.equal(indexer.getCase(0).metadata.lastSeenGeohash, "dr5rsq");
+    });
+
+    it("should search active cases by area", async () => {
+      const lastSeen = ["dr5r7p", "dr5regw", "dr4e3", "dr5r7q"]; // statue, City Hall, Philadelphia, statue
+      for (const [i, lastSeenGeohash] of lastSeen.entries()) {
+        const metadata = { species: "Dog", lastSeenGeohash };
+        await lostPetInstance.createCase(`Pet ${i}`, encodeCaseOptions({ metadata }), { from: owner, value: ONE_ETHER });
+      }
+      await lostPetInstance.createCase("No location", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await increaseTime(7 * 24 * 60 * 60 + 1);
+      await lostPetInstance.cancelCase(3, { from: owner });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      assert.deepEqual(indexer.getActiveCasesByGeohash(["dr5r7"]), [0]);
+      assert.deepEqual(indexer.getActiveCasesByGeohash(["dr5r", "dr4"]), [0, 1, 2]);
+      assert.deepEqual(indexer.getActiveCasesByGeohash(["dr"], 1, 1), [1]);
+      assert.deepEqual(indexer.getActiveCasesNear(40.6892, -74.0445, 5000), [0, 1]);
+      assert.deepEqual(indexer.getActiveCasesNear(40.6892, -74.0445, 200000), [0, 1, 2]);
+      assert.deepEqual(indexer.getActiveCasesNear(40.6892, -74.0445, 200000, 2, 10), [2]);
+
+      // Moving a case takes it out of its old buckets
+      await lostPetInstance.updateCaseMetadata(1, encodeMetadata({ species: "Dog", lastSeenGeohash: "dr4e3" }), { from: owner });
+      await indexer.sync();
+      assert.deepEqual(indexer.getActiveCasesNear(40.6892, -74.0445, 5000), [0]);
+      assert.deepEqual(indexer.getActiveCasesByGeohash(["dr4e3"]), [1, 2]);
+    });
+
+    it("should keep token escrow separate from ETH escrow", async () => {
+      const token = await MockERC20.new("Mock USD", "mUSD", 6);
+      await lostPetInstance.setAllowedToken(token.address, 1, { from: owner });
+      await token.mint(owner, 5000);
+      await token.approve(lostPetInstance.address, 5000, { from: owner });
+
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions({ token: token.address, amount: 3000 }), { from: owner });
+      await lostPetInstance.increaseTokenBounty(1, 500, { from: owner });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      assert.equal(indexer.getCase(0).asset, null);
+      assert.equal(indexer.getCase(1).asset, token.address);
+      assert.equal(indexer.getTotalEscrow(token.address), "3500");
+      await assertMatchesContract(indexer);
+    });
+
+    it("should record contributions and keep escrow in step", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.contributeToBounty(0, { from: finder1, value: HALF_ETHER });
+      await lostPetInstance.contributeToBounty(0, { from: otherAccount, value: HALF_ETHER });
+      await lostPetInstance.contributeToBounty(0, { from: finder1, value: HALF_ETHER });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      assert.deepEqual(indexer.getCase(0).contributions, [
+        { contributor: finder1, amount: ONE_ETHER },
+        { contributor: otherAccount, amount: HALF_ETHER }
+      ]);
+      assert.equal(indexer.getCase(0).bounty, web3.utils.toWei("2.5", "ether"));
+      await assertMatchesContract(indexer);
+    });
+
+    it("should exclude expired cases and index CaseExpired", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      assert.deepEqual(indexer.getActiveCases(), [0, 1]);
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      await indexer.sync();
+      assert.deepEqual(indexer.getActiveCases(), [], "Expired cases should not be active");
+      await assertMatchesContract(indexer);
+
+      await lostPetInstance.setKeeperReward(100, { from: owner });
+      await lostPetInstance.batchCheckExpiry([0, 1], { from: otherAccount });
+      await indexer.sync();
+      assert.equal(indexer.getCase(1).status, "Expired");
+      assert.deepEqual(indexer.getCase(1).keeperReward, { keeper: otherAccount, amount: web3.utils.toWei("0.01", "ether") });
+      await assertMatchesContract(indexer);
+    });
+
+    it("should move the deadline of extended cases", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+      await lostPetInstance.extendCase(0, 10 * 24 * 60 * 60, { from: owner, value: HALF_ETHER });
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      assert.equal(indexer.getCase(0).expiresAt, Number((await lostPetInstance.getCaseFull(0))[5].toString()));
+      assert.equal(indexer.getCase(0).bounty, web3.utils.toWei("1.5", "ether"));
+
+      await increaseTime(DEFAULT_EXPIRY_DAYS + 1);
+      await indexer.sync();
+      assert.deepEqual(indexer.getActiveCases(), [0], "Extended case should still be active");
+      await assertMatchesContract(indexer);
+    });
+
+    it("should only index new blocks on the next sync", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const indexer = newIndexer();
+      const first = await indexer.sync();
+      const second = await indexer.sync();
+      assert.equal(first.eventCount, 1);
+      assert.equal(second.eventCount, 0);
+
+      await lostPetInstance.submitAsFinder(0, "Evidence", { from: finder1 });
+      const third = await indexer.sync();
+      assert.equal(third.eventCount, 1);
+      assert.equal(third.fromBlock, first.toBlock + 1);
+      assert.deepEqual(indexer.db.getFinders(0), [finder1]);
+    });
+  });
+
+
+  // ===== Reorg Handling =====
+  // Tests chain reorganisations by showing:
+  // - Blocks replaced after an evm_revert are detected on the next sync
+  // - The index rolls back to the last block that is still canonical
+  // - Events from the replacement blocks are indexed instead
+
+  describe("Reorg Handling", () => {
+    it("should roll back to a safe block and re-index the new chain", async () => {
+      await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+
+      const indexer = newIndexer({ batchSize: 1 });
+      await indexer.sync();
+      const safeBlock = indexer.lastBlock;
+
+      const snapshotId = await rpc('evm_snapshot');
+      await lostPetInstance.createCase("Ghost", encodeCaseOptions(), { from: otherAccount, value: ONE_ETHER });
+      await lostPetInstance.submitAsFinder(0, "Orphaned evidence", { from: finder1 });
+      await indexer.sync();
+      assert.equal(indexer.getCase(1).petName, "Ghost");
+
+      // Replace the two blocks above with a different history
+      await rpc('evm_revert', [snapshotId]);
+      await lostPetInstance.createCase("Buddy", encodeCaseOptions(), { from: finder1, value: HALF_ETHER });
+      await rpc('evm_mine');
+
+      const result = await indexer.sync();
+      assert.equal(result.rolledBackTo, safeBlock, "Should roll back to the last canonical block");
+      assert.equal(indexer.getCase(1).petName, "Buddy");
+      assert.deepEqual(indexer.db.getFinders(0), [], "Orphaned submission should be removed");
+      await assertMatchesContract(indexer);
+    });
+  });
+
+
+  // ===== Persistence =====
+  // Tests the JSON file store by showing:
+  // - A new indexer loads the saved events and resumes after the last block
+
+  describe("Persistence", () => {
+    it("should resume from a JSON file store", async () => {
+      const dbPath = path.join(os.tmpdir(), `lostpet-index-${Date.now()}.json`);
+
+      try {
+        await lostPetInstance.createCase("Fluffy", encodeCaseOptions(), { from: owner, value: ONE_ETHER });
+        const first = newIndexer({ store: new JsonFileStore(dbPath) });
+        await first.sync();
+
+        const second = newIndexer({ store: new JsonFileStore(dbPath) });
+        assert.equal(second.lastBlock, first.lastBlock);
+        assert.equal(second.getCase(0).petName, "Fluffy");
+        assert.equal((await second.sync()).eventCount, 0);
+      } finally {
+        fs.rmSync(dbPath, { force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const LostPet = artifacts.require("LostPet");
+const { LostPetClient } = require("../sdk");
+const { LostPetKeeper, TX_BASE_GAS } = require("../keeper");
+
+// Helper constants
+const BOUNTY_ETH = "0.01";
+const WEEK = 7 * 24 * 60 * 60; // MIN_CASE_DURATION in seconds
+
+contract("LostPetKeeper", (accounts) => {
+  const [owner, finder1, funder, keeperAccount] = accounts;
+
+  let client;
+
+  // Helper to advance time and mine a block
+  async function increaseTime(seconds) {
+    await new Promise((resolve, reject) => {
+      web3.currentProvider.send({
+        jsonrpc: '2.0',
+        method: 'evm_increaseTime',
+        params: [seconds],
+        id: new Date().getTime()
+      }, (err, res) => err ? reject(err) : resolve(res));
+    });
+    await new Promise((resolve, reject) => {
+      web3.currentProvider.send({
+        jsonrpc: '2.0',
+        method: 'evm_mine',
+        params: [],
+        id: new Date().getTime() + 1
+      }, (err, res) => err ? reject(err) : resolve(res));
+    });
+  }
+
+  // Helper to create `count` cases that expire after a week
+  async function createWeekLongCases(count) {
+    for (let i = 0; i < count; i++) {
+      await client.createCaseWithOptions(`Pet ${i}`, { bountyEth: BOUNTY_ETH, duration: WEEK });
+    }
+  }
+
+  function newKeeper(options = {}) {
+    const keeperClient = new LostPetClient(client.contract, { from: keeperAccount });
+    return new LostPetKeeper({ client: keeperClient, ...options });
+  }
+
+  beforeEach(async () => {
+    client = new LostPetClient(await LostPet.new(owner), { from: owner });
+  });
+
+
+  // ===== Discovery =====
+  // Tests finding work by showing:
+  // - Only cases past their deadline that still hold a bounty are picked up
+  // - Cases already processed, resolved or not yet due are left alone
+
+  describe("Discovery", () => {
+    it("should find expired cases that have not been processed", async () => {
+      await createWeekLongCases(2);
+      await client.createCaseWithOptions("Rex", { bountyEth: BOUNTY_ETH, duration: 4 * WEEK });
+      await client.createCaseWithOptions("Max", { bountyEth: BOUNTY_ETH, duration: WEEK });
+      await client.submitAsFinder(3, "Evidence", { from: finder1 });
+      await increaseTime(2 * 24 * 60 * 60);
+      await client.resolveCase(3, 0);
+
+      const keeper = newKeeper({ pageSize: 2 });
+      assert.deepEqual(await keeper.findExpiredCases(), []);
+
+      await increaseTime(WEEK);
+      await client.checkAndProcessExpiry(1);
+      assert.deepEqual(await keeper.findExpiredCases(), [0]);
+    });
+
+    it("should report an empty run when nothing has expired", async () => {
+      await createWeekLongCases(1);
+
+      const report = await newKeeper().runOnce();
+      assert.deepEqual(report.candidates, []);
+      assert.deepEqual(report.batches, []);
+      assert.deepEqual(report.processed, []);
+      assert.equal(report.gasUsed, 0);
+    });
+  });
+
+
+  // ===== Processing =====
+  // Tests runOnce() by showing:
+  // - Expired cases are refunded to owners and contributors through batchCheckExpiry
+  // - Batches are sized so their estimated gas fits the gas budget
+  // - A failed batch is retried case by case and failures are reported per case
+  // - Keeper rewards credited to the keeper's sender are reported per case
+
+  describe("Processing", () => {
+    it("should refund expired cases and leave nothing for the next run", async () => {
+      await createWeekLongCases(3);
+      await client.contributeToBounty(1, "0.01", { from: funder });
+      await increaseTime(WEEK);
+
+      const keeper = newKeeper();
+      const report = await keeper.runOnce();
+      assert.deepEqual(report.candidates, [0, 1, 2]);
+      assert.deepEqual(report.processed, [0, 1, 2]);
+      assert.equal(report.batches.length, 1);
+      assert.deepEqual(report.failed, []);
+      assert.isAbove(report.gasUsed, 0);
+      assert.isAtLeast(report.finishedAt, report.startedAt);
+
+      for (const caseId of [0, 1, 2]) {
+        assert.equal((await client.getCaseFull(caseId)).status, "Expired");
+      }
+      assert.equal(await client.getTotalEscrow(), "0");
+      assert.equal(await client.pendingWithdrawal(owner), web3.utils.toWei("0.03", "ether"));
+      assert.equal(await client.pendingWithdrawal(funder), web3.utils.toWei("0.01", "ether"));
+
+      assert.deepEqual((await keeper.runOnce()).candidates, []);
+    });
+
+    it("should split cases into batches that fit the gas budget", async () => {
+      await createWeekLongCases(5);
+      await increaseTime(WEEK);
+
+      const keeper = newKeeper();
+      const perCase = (await keeper.client.estimateBatchCheckExpiryGas([0])) - TX_BASE_GAS;
+      keeper.gasBudget = Math.ceil((TX_BASE_GAS + 2.5 * perCase) * keeper.gasMargin);
+
+      const report = await keeper.runOnce();
+      assert.deepEqual(report.batches.map((batch) => batch.caseIds), [[0, 1], [2, 3], [4]]);
+      for (const batch of report.batches) {
+        assert.isAtMost(batch.gasLimit, keeper.gasBudget);
+        assert.isAtMost(batch.gasUsed, batch.gasLimit);
+      }
+      assert.deepEqual(report.processed, [0, 1, 2, 3, 4]);
+      assert.equal(report.gasUsed, report.batches.reduce((sum, batch) => sum + batch.gasUsed, 0));
+    });
+
+    it("should report cases that do not fit the gas budget at all", async () => {
+      await createWeekLongCases(1);
+      await increaseTime(WEEK);
+
+      const report = await newKeeper({ gasBudget: TX_BASE_GAS }).runOnce();
+      assert.deepEqual(report.batches, []);
+      assert.deepEqual(report.failed.map((entry) => entry.caseId), [0]);
+      assert.include(report.failed[0].error, "gas budget");
+      assert.equal((await client.getCaseFull(0)).status, "Active", "Case should not be processed");
+      assert.equal(await client.getCaseEscrow(0), web3.utils.toWei(BOUNTY_ETH, "ether"));
+    });
+
+    it("should retry a failed batch case by case", async () => {
+      await createWeekLongCases(3);
+      await increaseTime(WEEK);
+
+      const keeper = newKeeper();
+      keeper.client.batchCheckExpiry = async () => {
+        throw new Error("Transaction was not mined within 750 seconds");
+      };
+      const checkAndProcessExpiry = keeper.client.checkAndProcessExpiry.bind(keeper.client);
+      keeper.client.checkAndProcessExpiry = async (caseId, options) => {
+        if (caseId === 1) {
+          throw new Error("nonce too low");
+        }
+        return checkAndProcessExpiry(caseId, options);
+      };
+
+      const report = await keeper.runOnce();
+      assert.equal(report.batches.length, 1);
+      assert.equal(report.batches[0].gasUsed, null);
+      assert.include(report.batches[0].error, "not mined");
+      assert.deepEqual(report.processed, [0, 2]);
+      assert.deepEqual(report.failed, [{ caseId: 1, error: "nonce too low" }]);
+      assert.isAbove(report.gasUsed, 0);
+
+      // The next run picks up the case that failed
+      assert.deepEqual(await newKeeper().findExpiredCases(), [1]);
+      assert.deepEqual((await newKeeper().runOnce()).processed, [1]);
+    });
+
+    it("should report the keeper rewards it earns", async () => {
+      await createWeekLongCases(2);
+      await increaseTime(WEEK);
+
+      assert.deepEqual((await newKeeper().runOnce()).rewards, [], "The reward is off by default");
+
+      await client.setKeeperReward(100);
+      await createWeekLongCases(2);
+      await increaseTime(WEEK);
+
+      const report = await newKeeper().runOnce();
+      const reward = web3.utils.toWei("0.0001", "ether");
+      assert.deepEqual(report.rewards, [{ caseId: 2, amount: reward }, { caseId: 3, amount: reward }]);
+      assert.equal(await client.pendingWithdrawal(keeperAccount), web3.utils.toWei("0.0002", "ether"));
+      assert.equal(await client.pendingWithdrawal(owner), web3.utils.toWei("0.0398", "ether"));
+    });
+  });
+});
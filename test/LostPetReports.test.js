@@ -0,0 +1,211 @@
+const LostPet = artifacts.require("LostPet");
+const {
+  LostPetClient,
+  hashContent,
+  encodeGeohash,
+  decodeGeohash,
+  isGeohash,
+  encodeReport,
+  decodeReport,
+  encodeSighting,
+  InvalidReportError,
+  NotCaseOwnerError
+} = require("../sdk");
+
+contract("Finder reports", (accounts) => {
+  const [owner, finder1] = accounts;
+
+  const PHOTO_HASH = hashContent("photo of Fluffy");
+
+  // Helper to assert that a call throws InvalidReportError with a given reason
+  function expectInvalid(fn, reason) {
+    try {
+      fn();
+      assert.fail("Should have thrown error");
+    } catch (error) {
+      assert.instanceOf(error, InvalidReportError, error.message);
+      assert.equal(error.reason, reason);
+    }
+  }
+
+
+  // ===== Geohash =====
+  // Tests the geohash helpers by showing:
+  // - Known coordinates encode to their published geohash
+  // - Decoding returns the cell centre within the cell's error bounds
+  // - Invalid coordinates and alphabets are rejected
+
+  describe("Geohash", () => {
+    it("should encode known coordinates", async () => {
+      assert.equal(encodeGeohash(57.64911, 10.40744, 11), "u4pruydqqvj");
+      assert.equal(encodeGeohash(40.6892, -74.0445, 6), "dr5r7p");
+      assert.equal(encodeGeohash(-33.8568, 151.2153, 5), "r3gx2");
+    });
+
+    it("should round-trip coordinates to within the cell size", async () => {
+      for (const [lat, lon] of [[51.5007, -0.1246], [-22.9519, -43.2105], [0, 0], [89.9, 179.9]]) {
+        for (const precision of [4, 7, 9, 12]) {
+          const decoded = decodeGeohash(encodeGeohash(lat, lon, precision));
+          assert.isAtMost(Math.abs(decoded.latitude - lat), decoded.latitudeError);
+          assert.isAtMost(Math.abs(decoded.longitude - lon), decoded.longitudeError);
+        }
+      }
+    });
+
+    it("should reject invalid input", async () => {
+      assert.throws(() => encodeGeohash(91, 0), RangeError);
+      assert.throws(() => encodeGeohash(0, -181), RangeError);
+      assert.throws(() => encodeGeohash(0, 0, 13), RangeError);
+      assert.throws(() => decodeGeohash("dr5a"), TypeError);
+      assert.equal(isGeohash("dr5regw3pg6f"), true);
+      assert.equal(isGeohash("dr5regw3pg6f0"), false);
+      assert.equal(isGeohash("DR5R"), false);
+    });
+  });
+
+
+  // ===== Report Encoding =====
+  // Tests the report encoder/decoder by showing:
+  // - encodeReport() accepts lat/lon or a geohash, and a Date or Unix time
+  // - decodeReport() reverses it, with lat/lon at the geohash cell centre
+  // - Each field fails with the same reason the contract reverts with
+  // - encodeSighting() shares the location and time rules and checks the note
+
+  describe("Report Encoding", () => {
+    it("should round-trip a report through encode and decode", async () => {
+      const sightedAt = new Date("2026-03-14T15:09:26Z");
+      const encoded = encodeReport({
+        photoHash: PHOTO_HASH.toUpperCase().replace("0X", "0x"),
+        latitude: 40.6892,
+        longitude: -74.0445,
+        precision: 8,
+        sightedAt,
+        contactHint: "Ask for Sam"
+      });
+
+      assert.deepEqual(encoded, {
+        photoHash: PHOTO_HASH,
+        geohash: "dr5r7p4r",
+        sightedAt: 1773500966,
+        contactHint: "Ask for Sam"
+      });
+
+      const decoded = decodeReport({ hasReport: true, ...encoded });
+      assert.equal(decoded.photoHash, PHOTO_HASH);
+      assert.equal(decoded.geohash, "dr5r7p4r");
+      assert.equal(decoded.sightedAt, sightedAt.getTime() / 1000);
+      assert.equal(decoded.contactHint, "Ask for Sam");
+      assert.equal(encodeGeohash(decoded.latitude, decoded.longitude, 8), "dr5r7p4r", "Cell centre should encode to the same geohash");
+
+      assert.deepEqual(encodeReport(decoded), encoded, "Re-encoding a decoded report should be lossless");
+    });
+
+    it("should return null for finders without a report", async () => {
+      assert.isNull(decodeReport({ hasReport: false }));
+    });
+
+    it("should reject invalid fields with the contract's reasons", async () => {
+      const valid = { photoHash: PHOTO_HASH, geohash: "dr5r", sightedAt: 1700000000 };
+
+      expectInvalid(() => encodeReport({ ...valid, photoHash: "0x" + "0".repeat(64) }), "Photo hash required");
+      expectInvalid(() => encodeReport({ ...valid, photoHash: "0x1234" }), "Photo hash required");
+      expectInvalid(() => encodeReport({ ...valid, geohash: "dr5a" }), "Invalid geohash");
+      expectInvalid(() => encodeReport({ ...valid, geohash: undefined, latitude: 95, longitude: 0 }), "Invalid geohash");
+      expectInvalid(() => encodeReport({ ...valid, sightedAt: 0 }), "Invalid sighting time");
+      expectInvalid(() => encodeReport(valid, 1600000000), "Invalid sighting time");
+      expectInvalid(() => encodeReport({ ...valid, contactHint: "é".repeat(33) }), "Contact hint too long");
+    });
+
+    it("should encode sightings with the same location and time rules", async () => {
+      assert.deepEqual(
+        encodeSighting({ latitude: 40.6892, longitude: -74.0445, precision: 8, seenAt: new Date("2026-03-14T15:09:26Z") }),
+        { geohash: "dr5r7p4r", seenAt: 1773500966, note: "" }
+      );
+
+      const valid = { geohash: "dr5r", seenAt: 1700000000, note: "By the pond" };
+      assert.deepEqual(encodeSighting(valid), valid);
+      expectInvalid(() => encodeSighting({ ...valid, geohash: "dr5a" }), "Invalid geohash");
+      expectInvalid(() => encodeSighting(valid, 1600000000), "Invalid sighting time");
+      expectInvalid(() => encodeSighting({ ...valid, note: "x".repeat(141) }), "Note too long");
+    });
+  });
+
+
+  // ===== On-chain Round Trip =====
+  // Tests reports through the SDK and contract by showing:
+  // - A report submitted with LostPetClient reads back identically from getFinderReport()
+  // - Finders who used submitAsFinder() read back as null
+  // - Sightings logged with LostPetClient read back from getSightings(), with the owner's tips
+
+  describe("On-chain Round Trip", () => {
+    let client;
+
+    beforeEach(async () => {
+      client = new LostPetClient(await LostPet.new(owner), { from: owner });
+    });
+
+    it("should read back the submitted report", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      const { timestamp } = await web3.eth.getBlock("latest");
+      const sightedAt = Number(timestamp) - 600;
+
+      const { geohash } = await client.submitFinderReport(caseId, {
+        photoHash: PHOTO_HASH,
+        latitude: 51.5007,
+        longitude: -0.1246,
+        sightedAt,
+        contactHint: "Call the shelter"
+      }, { from: finder1 });
+
+      const report = await client.getFinderReport(caseId, finder1);
+      assert.equal(report.geohash, geohash);
+      assert.equal(report.geohash, encodeGeohash(51.5007, -0.1246));
+      assert.equal(report.photoHash, PHOTO_HASH);
+      assert.equal(report.sightedAt, sightedAt);
+      assert.equal(report.contactHint, "Call the shelter");
+      assert.closeTo(report.latitude, 51.5007, 0.0001);
+      assert.closeTo(report.longitude, -0.1246, 0.0001);
+    });
+
+    it("should read back null for plain submissions", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      await client.submitAsFinder(caseId, "Photo link", { from: finder1 });
+
+      assert.isNull(await client.getFinderReport(caseId, finder1));
+    });
+
+    it("should read back logged sightings and their tips", async () => {
+      const { caseId } = await client.createCase("Fluffy", "1");
+      const { timestamp } = await web3.eth.getBlock("latest");
+      const seenAt = Number(timestamp) - 600;
+
+      const { sightingId, geohash } = await client.reportSighting(caseId, {
+        latitude: 51.5007,
+        longitude: -0.1246,
+        seenAt,
+        note: "Heading for the bridge"
+      }, { from: finder1 });
+      assert.equal(sightingId, 0);
+
+      try {
+        await client.tipSighter(caseId, sightingId, "0.01", { from: finder1 });
+        assert.fail("Should have thrown error");
+      } catch (error) {
+        assert.instanceOf(error, NotCaseOwnerError);
+      }
+      const tip = await client.tipSighter(caseId, sightingId, "0.01");
+      assert.equal(tip.reporter, finder1);
+
+      const [sighting] = await client.getSightings(caseId, 0, 10);
+      assert.equal(await client.getSightingCount(caseId), 1);
+      assert.equal(sighting.sightingId, 0);
+      assert.equal(sighting.reporter, finder1);
+      assert.equal(sighting.geohash, geohash);
+      assert.equal(sighting.seenAt, seenAt);
+      assert.equal(sighting.note, "Heading for the bridge");
+      assert.equal(sighting.tips, web3.utils.toWei("0.01", "ether"));
+      assert.closeTo(sighting.latitude, 51.5007, 0.0001);
+      assert.equal(await client.isFinder(caseId, finder1), false);
+    });
+  });
+});
@@ -77,13 +77,16 @@ module.exports = {
     solc: {
       version: "0.8.21",      // Fetch exact version from solc-bin (default: truffle's version)
       // docker: true,        // Use "0.5.1" you've installed locally with docker (default: false)
-      // settings: {          // See the solidity docs for advice about optimization and evmVersion
-      //  optimizer: {
-      //    enabled: false,
-      //    runs: 200
-      //  },
+      settings: {             // See the solidity docs for advice about optimization and evmVersion
+        // LostPet is over the 24 KB contract size limit without the optimizer
+        // and the IR pipeline (viaIR), which produces noticeably smaller code
+        optimizer: {
+          enabled: true,
+          runs: 200
+        },
+        viaIR: true,
       //  evmVersion: "byzantium"
-      // }
+      }
     }
   },
 